@@ -0,0 +1,215 @@
+/**
+ * 管理後台 API
+ * 所有端點都需要 ADMIN_TOKEN 驗證 (Authorization: Bearer <token> 或 x-admin-token 標頭)
+ *
+ * 端點:
+ *   GET  /admin/status                 系統狀態與預設搜尋設定 (browser.identities 為 UA / Proxy 輪替與最近被阻擋紀錄)
+ *   GET  /admin/users                  列出所有用戶與設定
+ *   POST /admin/users/:userId/pause    暫停用戶推播
+ *   POST /admin/users/:userId/resume   恢復用戶推播
+ *   POST /admin/crawl                  觸發爬蟲 (body: { userId } 指定用戶，推播新物件給該用戶；
+ *                                      不帶 userId 則合併爬取所有訂閱用戶的搜尋，與平日排程相同只更新資料，
+ *                                      只有設為每日推播的搜尋會收到通知，加上 { notify: true } 則所有週報搜尋也推播新物件；
+ *                                      { broadcast: true } 為舊版預設條件廣播爬蟲)
+ *   POST /admin/weekly-report          強制發送週報 (body: { userId } 指定用戶，不帶則為所有訂閱用戶)
+ *   GET  /admin/runs?limit=20          最近的爬蟲執行紀錄 (含 log 與各地區結果，狀態為 success / error / blocked)
+ *   GET  /admin/queue?limit=50         工作佇列 (執行中 / 待執行 / 最近結束的工作)
+ *   GET  /admin/districts              最近一次行政區代碼同步報告
+ *   POST /admin/districts/sync         同步 591 行政區代碼 (body: { regions: [10, 17] } 指定縣市，
+ *                                      { apply: true } 套用變動並更新用戶的搜尋地區)
+ *
+ * 爬蟲、週報與行政區同步都排入工作佇列，立即回應 202，結果從 /admin/queue、/admin/runs 與 /admin/districts 查詢
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+const {
+    getUser,
+    getAllUsers,
+    toggleSubscription,
+    getCrawlRuns
+} = require('./storage');
+const { getLastSyncReport } = require('./districtSync');
+const { getCounty } = require('./geography');
+
+// 執行紀錄 / 佇列單次最多回傳筆數
+const MAX_RUNS_LIMIT = 100;
+
+/**
+ * 比對 token (固定時間比較，避免 timing attack)
+ */
+function isValidToken(provided, expected) {
+    const a = Buffer.from(String(provided || ''));
+    const b = Buffer.from(String(expected));
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * 從請求標頭取出 token
+ */
+function extractToken(req) {
+    const auth = req.headers.authorization || '';
+    if (auth.startsWith('Bearer ')) return auth.substring(7).trim();
+    return req.headers['x-admin-token'] || '';
+}
+
+/**
+ * 包裝 async 路由，讓錯誤交給 Express 的錯誤處理
+ */
+function asyncHandler(fn) {
+    return (req, res, next) => fn(req, res, next).catch(next);
+}
+
+/**
+ * 解析 JSON 字串欄位 (解析失敗回傳原字串)
+ */
+function parseJsonField(value) {
+    if (!value) return null;
+    try {
+        return JSON.parse(value);
+    } catch (e) {
+        return value;
+    }
+}
+
+/**
+ * 佇列加入結果 → 回應內容
+ */
+function formatEnqueueResult({ job, position, duplicate }) {
+    return { jobId: job.id, position, duplicate };
+}
+
+/**
+ * 建立管理後台路由
+ * @param {object} deps - 由 server.js 注入的爬蟲操作
+ * @param {Function} deps.enqueueCrawlForUser - (user, options) => Promise<enqueueResult>
+ * @param {Function} deps.enqueueCrawlForAllUsers - (isWeeklyReport, trigger, { notify }) => Promise<number>，新加入的工作數 (所有用戶共用一個合併搜尋的工作)
+ * @param {Function} deps.enqueueBroadcastCrawl - () => Promise<enqueueResult>，舊版預設條件廣播爬蟲
+ * @param {Function} deps.enqueueDistrictSync - ({ regions, apply }) => Promise<enqueueResult>，行政區代碼同步
+ * @param {Function} deps.getQueue - (limit) => object，佇列概況與工作清單
+ * @param {Function} deps.getStatus - () => Promise<object>，系統狀態
+ */
+function createAdminRouter(deps) {
+    const router = express.Router();
+    const adminToken = process.env.ADMIN_TOKEN;
+
+    router.use(express.json());
+
+    // 驗證 token
+    router.use((req, res, next) => {
+        if (!adminToken) {
+            return res.status(503).json({ error: 'ADMIN_TOKEN 未設定，管理 API 已停用' });
+        }
+        if (!isValidToken(extractToken(req), adminToken)) {
+            console.warn(`🚫 拒絕管理 API 請求: ${req.method} ${req.originalUrl} - IP: ${req.ip}`);
+            return res.status(401).json({ error: 'Unauthorized' });
+        }
+        next();
+    });
+
+    router.get('/status', asyncHandler(async (req, res) => {
+        res.json(await deps.getStatus());
+    }));
+
+    router.get('/users', asyncHandler(async (req, res) => {
+        const users = await getAllUsers();
+        res.json({
+            count: users.length,
+            users: users.map(user => ({
+                ...user,
+                targets: parseJsonField(user.targets),
+                filters: parseJsonField(user.filters),
+                costProfile: parseJsonField(user.costProfile),
+                searches: parseJsonField(user.searches)
+            }))
+        });
+    }));
+
+    router.post('/users/:userId/pause', asyncHandler(async (req, res) => {
+        const user = await toggleSubscription(req.params.userId, false);
+        if (!user) return res.status(404).json({ error: '用戶不存在' });
+        console.log(`🔕 [管理] 暫停用戶推播: ${req.params.userId}`);
+        res.json({ userId: req.params.userId, subscribed: false });
+    }));
+
+    router.post('/users/:userId/resume', asyncHandler(async (req, res) => {
+        const user = await toggleSubscription(req.params.userId, true);
+        if (!user) return res.status(404).json({ error: '用戶不存在' });
+        console.log(`🔔 [管理] 恢復用戶推播: ${req.params.userId}`);
+        res.json({ userId: req.params.userId, subscribed: true });
+    }));
+
+    router.post('/crawl', asyncHandler(async (req, res) => {
+        const { userId, broadcast = false, notify = false } = req.body || {};
+
+        if (userId) {
+            const user = await getUser(userId);
+            if (!user) return res.status(404).json({ error: '用戶不存在' });
+
+            // 單一用戶：以手動模式執行，結果會推播給該用戶
+            const queued = await deps.enqueueCrawlForUser(user, { trigger: 'admin' });
+            return res.status(202).json({ message: '爬蟲工作已加入佇列', userId, ...formatEnqueueResult(queued) });
+        }
+
+        if (broadcast) {
+            const queued = await deps.enqueueBroadcastCrawl();
+            return res.status(202).json({ message: '爬蟲工作已加入佇列', broadcast, ...formatEnqueueResult(queued) });
+        }
+
+        // 預設只更新資料 (每日推播的搜尋除外)，notify 時所有週報搜尋也推播新物件
+        const queuedCount = await deps.enqueueCrawlForAllUsers(false, 'admin', { notify: !!notify });
+        res.status(202).json({ message: '爬蟲工作已加入佇列', queued: queuedCount, notify: !!notify });
+    }));
+
+    router.post('/weekly-report', asyncHandler(async (req, res) => {
+        const { userId } = req.body || {};
+
+        if (userId) {
+            const user = await getUser(userId);
+            if (!user) return res.status(404).json({ error: '用戶不存在' });
+
+            const queued = await deps.enqueueCrawlForUser(user, { isScheduled: true, isWeeklyReport: true, trigger: 'admin' });
+            return res.status(202).json({ message: '週報工作已加入佇列', userId, ...formatEnqueueResult(queued) });
+        }
+
+        const queuedCount = await deps.enqueueCrawlForAllUsers(true, 'admin');
+        res.status(202).json({ message: '週報工作已加入佇列', queued: queuedCount });
+    }));
+
+    router.get('/runs', asyncHandler(async (req, res) => {
+        const limit = Math.min(parseInt(req.query.limit) || 20, MAX_RUNS_LIMIT);
+        const runs = await getCrawlRuns(limit);
+        res.json({ count: runs.length, runs });
+    }));
+
+    router.get('/queue', (req, res) => {
+        const limit = Math.min(parseInt(req.query.limit) || 50, MAX_RUNS_LIMIT);
+        res.json(deps.getQueue(limit));
+    });
+
+    router.get('/districts', asyncHandler(async (req, res) => {
+        const report = await getLastSyncReport();
+        if (!report) return res.status(404).json({ error: '尚未執行過行政區同步' });
+        res.json(report);
+    }));
+
+    router.post('/districts/sync', asyncHandler(async (req, res) => {
+        const { regions = [], apply = false } = req.body || {};
+        if (!Array.isArray(regions) || regions.some(r => !getCounty(r))) {
+            return res.status(400).json({ error: 'regions 必須是縣市代碼陣列 (見 geography.json)' });
+        }
+
+        const queued = await deps.enqueueDistrictSync({ regions, apply: apply === true });
+        res.status(202).json({ message: '行政區同步工作已加入佇列', regions, apply: apply === true, ...formatEnqueueResult(queued) });
+    }));
+
+    // 錯誤處理
+    router.use((err, req, res, next) => {
+        console.error(`❌ 管理 API 錯誤 (${req.method} ${req.originalUrl}):`, err);
+        res.status(500).json({ error: err.message });
+    });
+
+    return router;
+}
+
+module.exports = { createAdminRouter };
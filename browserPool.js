@@ -0,0 +1,373 @@
+/**
+ * 共用瀏覽器池
+ * 爬蟲、收藏檢查與「有興趣」的聯絡資訊查詢共用同一個 Chromium，
+ * 以 context 為單位借出，避免每次操作都重新啟動瀏覽器 (小主機容易 OOM)
+ *
+ * - 同時借出的 context 數量有上限，超過時排隊等待
+ * - 每個 context 開過 N 個頁面後關閉重建，避免記憶體累積
+ * - 整體記憶體 (Node + Chromium) 超過上限時，等目前的工作結束後重啟瀏覽器
+ * - 閒置一段時間後關閉瀏覽器，下次使用時再啟動
+ * - 每個 context 輪流使用不同的 User-Agent / Proxy (見 antiBlock.js)，被擋時可以汰換 context
+ */
+
+const fs = require('fs');
+const { execSync } = require('child_process');
+const { chromium } = require('playwright');
+const { identityRotator } = require('./antiBlock');
+
+const DEFAULT_LAUNCH_OPTIONS = {
+    headless: true,
+    args: ['--no-sandbox', '--disable-setuid-sandbox', '--disable-dev-shm-usage']
+};
+
+// User-Agent 與 Proxy 由 identities 輪替提供
+const DEFAULT_CONTEXT_OPTIONS = {
+    viewport: { width: 1920, height: 1080 },
+    locale: 'zh-TW'
+};
+
+// 確保 Playwright 瀏覽器已安裝
+async function ensureBrowserInstalled() {
+    try {
+        // 嘗試取得瀏覽器路徑
+        const browserPath = chromium.executablePath();
+        if (fs.existsSync(browserPath)) {
+            console.log('✅ Chromium 瀏覽器已就緒');
+            return true;
+        }
+    } catch (e) {
+        // 瀏覽器不存在
+    }
+
+    console.log('📦 正在安裝 Chromium 瀏覽器...');
+    try {
+        execSync('npx playwright install chromium', {
+            stdio: 'inherit',
+            timeout: 300000 // 5 分鐘超時
+        });
+        console.log('✅ Chromium 安裝完成');
+        return true;
+    } catch (error) {
+        console.error('❌ Chromium 安裝失敗:', error.message);
+        return false;
+    }
+}
+
+// 記憶體用量的快取時間 (讀取 /proc 要掃過所有程序，不在每次借出時都讀)
+const MEMORY_CHECK_INTERVAL_MS = 10 * 1000;
+
+const memoryCache = { mb: null, checkedAt: 0, reading: null };
+
+/**
+ * 目前程序 (含 Chromium 子程序) 的記憶體用量 (MB)
+ * Linux 從 /proc 加總整個程序樹的 RSS，其他系統只計算 Node 本身
+ * 以非同步方式讀取，結果快取 MEMORY_CHECK_INTERVAL_MS，同時呼叫時共用同一次讀取
+ * @param {object} options
+ * @param {number} options.maxAgeMs - 快取超過多久才重新讀取 (0 代表一定重新讀取)
+ * @returns {Promise<number>}
+ */
+async function getMemoryUsageMb({ maxAgeMs = MEMORY_CHECK_INTERVAL_MS } = {}) {
+    if (memoryCache.mb !== null && Date.now() - memoryCache.checkedAt < maxAgeMs) return memoryCache.mb;
+    if (!memoryCache.reading) {
+        // readMemoryUsageMb 不會失敗 (讀不到 /proc 時改用 Node 本身的用量)
+        memoryCache.reading = readMemoryUsageMb().then(mb => {
+            Object.assign(memoryCache, { mb, checkedAt: Date.now(), reading: null });
+            return mb;
+        });
+    }
+    return memoryCache.reading;
+}
+
+async function readMemoryUsageMb() {
+    try {
+        const childrenOf = new Map();
+        for (const name of await fs.promises.readdir('/proc')) {
+            if (!/^\d+$/.test(name)) continue;
+            try {
+                // 格式: "pid (comm) state ppid ..."，comm 可能含空白，從最後一個 ")" 之後解析
+                const stat = await fs.promises.readFile(`/proc/${name}/stat`, 'utf8');
+                const ppid = parseInt(stat.substring(stat.lastIndexOf(')') + 2).split(' ')[1]);
+                if (!childrenOf.has(ppid)) childrenOf.set(ppid, []);
+                childrenOf.get(ppid).push(parseInt(name));
+            } catch (e) {
+                // 程序可能已結束
+            }
+        }
+
+        let totalKb = 0;
+        const queue = [process.pid];
+        while (queue.length > 0) {
+            const pid = queue.shift();
+            try {
+                const status = await fs.promises.readFile(`/proc/${pid}/status`, 'utf8');
+                totalKb += parseInt(status.match(/VmRSS:\s+(\d+)/)?.[1]) || 0;
+            } catch (e) {
+                // 程序可能已結束
+            }
+            queue.push(...(childrenOf.get(pid) || []));
+        }
+        return Math.round(totalKb / 1024);
+    } catch (e) {
+        return Math.round(process.memoryUsage().rss / 1024 / 1024);
+    }
+}
+
+class BrowserPool {
+    /**
+     * @param {object} options
+     * @param {number} options.maxContexts - 同時借出的 context 上限
+     * @param {number} options.maxPagesPerContext - 每個 context 開過幾個頁面後重建
+     * @param {number} options.maxMemoryMb - 記憶體上限 (MB)，超過時重啟瀏覽器
+     * @param {number} options.idleTimeoutMs - 閒置多久後關閉瀏覽器
+     * @param {object} options.identities - 身分輪替 (見 antiBlock.IdentityRotator)，null 代表固定使用 contextOptions
+     */
+    constructor({
+        maxContexts = 2,
+        maxPagesPerContext = 20,
+        maxMemoryMb = 450,
+        idleTimeoutMs = 10 * 60 * 1000,
+        launchOptions = DEFAULT_LAUNCH_OPTIONS,
+        contextOptions = DEFAULT_CONTEXT_OPTIONS,
+        identities = null
+    } = {}) {
+        this.maxContexts = maxContexts;
+        this.maxPagesPerContext = maxPagesPerContext;
+        this.maxMemoryMb = maxMemoryMb;
+        this.idleTimeoutMs = idleTimeoutMs;
+        this.launchOptions = launchOptions;
+        this.contextOptions = contextOptions;
+        this.identities = identities;
+
+        this.browser = null;
+        this.launching = null;
+        this.idle = [];            // 可重複使用的 context { context, pages }
+        this.active = new Set();   // 借出中的 context
+        this.inUse = 0;            // 已佔用的名額
+        this.waiters = [];         // 等待名額的請求
+        this.idleTimer = null;
+        this.closed = false;
+    }
+
+    /**
+     * 借一個頁面執行操作，結束後自動關閉頁面並歸還 context
+     * @param {Function} fn - async (page, lease) => result
+     *   lease.identity 為此 context 使用的身分，被擋時呼叫 lease.retire() 讓 context 歸還後關閉，下次換一組身分
+     */
+    async withPage(fn) {
+        const entry = await this.acquire();
+        let page = null;
+        let broken = false;
+        const lease = {
+            identity: entry.identity,
+            retire: () => {
+                entry.retired = true;
+            }
+        };
+
+        try {
+            page = await entry.context.newPage();
+            entry.pages++;
+            return await fn(page, lease);
+        } catch (error) {
+            // 瀏覽器掛掉時這個 context 不能再用
+            broken = !this.browser || !this.browser.isConnected();
+            throw error;
+        } finally {
+            if (page) await page.close().catch(() => {});
+            await this.release(entry, broken);
+        }
+    }
+
+    /**
+     * 借出 context (名額已滿時等待)
+     */
+    async acquire() {
+        if (this.closed) throw new Error('瀏覽器池已關閉');
+
+        this.clearIdleTimer();
+        await this.takeSlot();
+
+        try {
+            await this.enforceMemoryLimit();
+            const browser = await this.getBrowser();
+
+            let entry = this.idle.pop();
+            if (!entry) {
+                entry = await this.createContext(browser);
+            }
+            this.active.add(entry);
+            return entry;
+        } catch (error) {
+            this.releaseSlot();
+            throw error;
+        }
+    }
+
+    /**
+     * 建立新的 context (使用下一組 User-Agent / Proxy)
+     */
+    async createContext(browser) {
+        const identity = this.identities ? this.identities.next() : null;
+        const options = { ...this.contextOptions };
+        if (identity) {
+            options.userAgent = identity.userAgent;
+            if (identity.proxy) options.proxy = identity.proxy;
+        }
+        return { context: await browser.newContext(options), pages: 0, identity, retired: false };
+    }
+
+    /**
+     * 歸還 context，開過太多頁面、已損壞或被汰換的直接關閉
+     */
+    async release(entry, broken = false) {
+        this.active.delete(entry);
+
+        const connected = this.browser && this.browser.isConnected();
+        if (broken || entry.retired || !connected || entry.pages >= this.maxPagesPerContext) {
+            await entry.context.close().catch(() => {});
+        } else {
+            this.idle.push(entry);
+        }
+
+        this.releaseSlot();
+        if (this.inUse === 0) this.scheduleIdleClose();
+    }
+
+    /**
+     * 取得 (或啟動) 共用瀏覽器
+     */
+    async getBrowser() {
+        if (this.browser && this.browser.isConnected()) return this.browser;
+
+        if (!this.launching) {
+            this.launching = this.launch().finally(() => {
+                this.launching = null;
+            });
+        }
+        return this.launching;
+    }
+
+    async launch() {
+        await ensureBrowserInstalled();
+
+        const browser = await chromium.launch(this.launchOptions);
+        browser.on('disconnected', () => {
+            if (this.browser === browser) {
+                console.warn('⚠️ 共用瀏覽器已中斷，下次使用時重新啟動');
+                this.browser = null;
+                this.idle = [];
+            }
+        });
+
+        this.browser = browser;
+        console.log(`🌐 共用瀏覽器已啟動 (記憶體 ${await getMemoryUsageMb({ maxAgeMs: 0 })}MB)`);
+        return browser;
+    }
+
+    /**
+     * 記憶體超過上限時回收：先關閉閒置的 context，沒有其他工作在用時重啟瀏覽器
+     * 在 acquire 取得名額後呼叫；名額只有自己一個時，才沒有其他工作正在使用或建立 context
+     */
+    async enforceMemoryLimit() {
+        if (!this.browser || !this.maxMemoryMb) return;
+
+        const usedMb = await getMemoryUsageMb();
+        if (usedMb <= this.maxMemoryMb || !this.browser) return;
+
+        console.warn(`⚠️ 記憶體用量 ${usedMb}MB 超過上限 ${this.maxMemoryMb}MB，回收瀏覽器資源`);
+        const idle = this.idle;
+        this.idle = [];
+        await Promise.all(idle.map(entry => entry.context.close().catch(() => {})));
+
+        // active 不含已取得名額但還在建立 context 的工作，改看已佔用的名額 (含自己)
+        if (this.inUse === 1) {
+            await this.closeBrowser();
+            // 重啟後的用量要重新讀取，避免依舊的數值再次回收
+            memoryCache.checkedAt = 0;
+        }
+    }
+
+    async takeSlot() {
+        if (this.inUse < this.maxContexts) {
+            this.inUse++;
+            return;
+        }
+        // 名額由 releaseSlot 直接轉交
+        await new Promise(resolve => this.waiters.push(resolve));
+    }
+
+    releaseSlot() {
+        const next = this.waiters.shift();
+        if (next) {
+            next();
+        } else {
+            this.inUse--;
+        }
+    }
+
+    scheduleIdleClose() {
+        this.clearIdleTimer();
+        if (!this.browser || !this.idleTimeoutMs) return;
+
+        this.idleTimer = setTimeout(() => {
+            if (this.inUse === 0) {
+                console.log('💤 瀏覽器閒置，關閉以釋放記憶體');
+                this.closeBrowser();
+            }
+        }, this.idleTimeoutMs);
+        this.idleTimer.unref();
+    }
+
+    clearIdleTimer() {
+        if (this.idleTimer) clearTimeout(this.idleTimer);
+        this.idleTimer = null;
+    }
+
+    async closeBrowser() {
+        const browser = this.browser;
+        this.browser = null;
+        this.idle = [];
+        if (browser) await browser.close().catch(() => {});
+    }
+
+    /**
+     * 關閉瀏覽器池 (伺服器關閉時呼叫)
+     */
+    async shutdown() {
+        this.closed = true;
+        this.clearIdleTimer();
+        if (this.launching) await this.launching.catch(() => {});
+        await this.closeBrowser();
+    }
+
+    /**
+     * 目前狀態 (供管理 API 查看)
+     */
+    async getStats() {
+        return {
+            running: !!this.browser,
+            activeContexts: this.active.size,
+            idleContexts: this.idle.length,
+            waiting: this.waiters.length,
+            memoryMb: await getMemoryUsageMb(),
+            maxMemoryMb: this.maxMemoryMb,
+            ...(this.identities && { identities: this.identities.getStats() })
+        };
+    }
+}
+
+// 全域共用的瀏覽器池
+const browserPool = new BrowserPool({
+    maxContexts: parseInt(process.env.BROWSER_MAX_CONTEXTS) || 2,
+    maxPagesPerContext: parseInt(process.env.BROWSER_PAGES_PER_CONTEXT) || 20,
+    maxMemoryMb: parseInt(process.env.BROWSER_MEMORY_LIMIT_MB) || 450,
+    idleTimeoutMs: (parseInt(process.env.BROWSER_IDLE_MINUTES) || 10) * 60 * 1000,
+    identities: identityRotator
+});
+
+module.exports = {
+    BrowserPool,
+    browserPool,
+    ensureBrowserInstalled,
+    getMemoryUsageMb
+};
@@ -0,0 +1,148 @@
+/**
+ * 通勤時間估算 (離線)
+ * 以 metro.json 的路線建立捷運路網，估算物件到用戶通勤目的地車站的大約時間：
+ * 步行到最近車站 + 搭乘站數 × 每站時間 + 轉乘時間
+ */
+
+const { METRO, findStation, getLineSegments, formatStationName } = require('./metro');
+const { getNormalized, WALK_METERS_PER_MINUTE } = require('./normalize');
+
+const TRAVEL = {
+    minutesPerStop: 2,
+    transferMinutes: 5,
+    ...(METRO.travel || {})
+};
+
+// 物件有車站但沒寫距離時假設的步行距離
+const DEFAULT_WALK_METERS = 500;
+
+// 路網: 車站 → [{ to, lineId, minutes }] (第一次使用時建立)
+let graph = null;
+const routeCache = new Map();
+
+function getGraph() {
+    if (graph) return graph;
+    graph = new Map();
+    const addEdge = (from, to, lineId, minutes) => {
+        if (!graph.has(from)) graph.set(from, []);
+        graph.get(from).push({ to, lineId, minutes });
+    };
+    for (const line of METRO.lines) {
+        const minutes = line.minutesPerStop || TRAVEL.minutesPerStop;
+        for (const segment of getLineSegments(line)) {
+            for (let i = 1; i < segment.length; i++) {
+                addEdge(segment[i - 1], segment[i], line.id, minutes);
+                addEdge(segment[i], segment[i - 1], line.id, minutes);
+            }
+        }
+    }
+    return graph;
+}
+
+/**
+ * 兩站之間搭捷運的最短時間 (換線時加上轉乘時間)
+ * @param {string} from - 出發車站 (可為別名)
+ * @param {string} to - 目的地車站 (可為別名)
+ * @returns {{minutes: number, stops: number, transfers: number}|null} 車站不在資料中或不相連時回傳 null
+ */
+function getMetroRoute(from, to) {
+    const origin = findStation(from);
+    const destination = findStation(to);
+    if (!origin || !destination) return null;
+    if (origin === destination) return { minutes: 0, stops: 0, transfers: 0 };
+
+    const cacheKey = `${origin.name}>${destination.name}`;
+    if (routeCache.has(cacheKey)) return routeCache.get(cacheKey);
+
+    // 以 (車站, 路線) 為節點的 Dijkstra，路網只有一百多站，直接線性找最小值
+    const edges = getGraph();
+    const best = new Map();
+    const queue = [];
+    const push = (state) => {
+        const key = `${state.station}|${state.lineId}`;
+        const known = best.get(key);
+        if (known && known.minutes <= state.minutes) return;
+        best.set(key, state);
+        queue.push(state);
+    };
+    (edges.get(origin.name) || []).forEach(edge => push({ station: origin.name, lineId: edge.lineId, minutes: 0, stops: 0, transfers: 0 }));
+
+    let result = null;
+    while (queue.length > 0) {
+        let index = 0;
+        queue.forEach((state, i) => { if (state.minutes < queue[index].minutes) index = i; });
+        const current = queue.splice(index, 1)[0];
+        if (best.get(`${current.station}|${current.lineId}`) !== current) continue;
+        if (current.station === destination.name) {
+            result = { minutes: current.minutes, stops: current.stops, transfers: current.transfers };
+            break;
+        }
+        for (const edge of edges.get(current.station) || []) {
+            const transfer = edge.lineId !== current.lineId;
+            push({
+                station: edge.to,
+                lineId: edge.lineId,
+                minutes: current.minutes + edge.minutes + (transfer ? TRAVEL.transferMinutes : 0),
+                stops: current.stops + 1,
+                transfers: current.transfers + (transfer ? 1 : 0)
+            });
+        }
+    }
+
+    routeCache.set(cacheKey, result);
+    return result;
+}
+
+/**
+ * 估算物件到通勤目的地的時間
+ * @param {object} listing - 物件 (使用結構化的最近車站與步行距離，見 normalize.js)
+ * @param {string} destination - 目的地車站
+ * @returns {{station: string, destination: string, walkMinutes: number, rideMinutes: number,
+ *   stops: number, transfers: number, minutes: number}|null} 沒有車站資訊或車站不在路網中時回傳 null
+ */
+function estimateCommute(listing, destination) {
+    if (!destination) return null;
+    const { station, walkMeters } = getNormalized(listing);
+    const route = station ? getMetroRoute(station, destination) : null;
+    if (!route) return null;
+
+    const walkMinutes = Math.ceil((walkMeters ?? DEFAULT_WALK_METERS) / WALK_METERS_PER_MINUTE);
+    return {
+        station: findStation(station).name,
+        destination: findStation(destination).name,
+        walkMinutes,
+        rideMinutes: route.minutes,
+        stops: route.stops,
+        transfers: route.transfers,
+        minutes: walkMinutes + route.minutes
+    };
+}
+
+/**
+ * 依通勤時間排序 (短到長，無法估算的物件排在最後，其餘維持原本順序)
+ * @returns {Array} 新陣列，物件加上 commute 欄位 (複本)
+ */
+function sortByCommute(listings, destination) {
+    return listings
+        .map(listing => ({ ...listing, commute: estimateCommute(listing, destination) }))
+        .sort((a, b) => (a.commute?.minutes ?? Infinity) - (b.commute?.minutes ?? Infinity));
+}
+
+/**
+ * 通勤時間的顯示文字，例如「到台北車站約 16 分 (步行 5 分 + 捷運 11 分，轉乘 1 次)」
+ */
+function formatCommute(commute) {
+    if (!commute) return '';
+    const ride = commute.rideMinutes > 0 ? ` + 捷運 ${commute.rideMinutes} 分` : '';
+    const transfers = commute.transfers > 0 ? `，轉乘 ${commute.transfers} 次` : '';
+    return `到${formatStationName(commute.destination)}約 ${commute.minutes} 分 (步行 ${commute.walkMinutes} 分${ride}${transfers})`;
+}
+
+module.exports = {
+    TRAVEL,
+    DEFAULT_WALK_METERS,
+    getMetroRoute,
+    estimateCommute,
+    sortByCommute,
+    formatCommute
+};
@@ -0,0 +1,293 @@
+/**
+ * 每月總花費估算
+ * 租金以外的管理費、電費、水費、網路、車位費從詳情頁 (listing.details) 與屋主說明取得，
+ * 沒寫的部分用用戶自己的用量設定估算 (例如每月用電 150 度、網路 300 元)
+ */
+
+// 預設用量設定
+const DEFAULT_COST_PROFILE = {
+    electricityKwh: 150, // 每月用電度數
+    waterFee: 150,       // 水費 (租金不含水費時)
+    internetFee: 300,    // 網路費 (租金不含網路時)
+    parking: false,      // 需要車位
+    basis: 'rent'        // 租金範圍比對: rent = 租金 / total = 估計總花費
+};
+
+// 比對依據的中文名稱
+const COST_BASIS_LABELS = {
+    rent: '租金',
+    total: '總花費'
+};
+
+// 電費未標示時假設的每度價格 (房東自訂電費常見 5 元/度)
+const DEFAULT_ELECTRICITY_RATE = 5;
+
+// 以總花費篩選時，591 搜尋的最低租金往下放寬的金額 (租金 + 雜費仍可能落在範圍內)
+const COST_SEARCH_MARGIN = 5000;
+
+// 台電住宅用電累進費率 (每月度數上限 → 元/度)，夏月為 6-9 月
+const TAIPOWER_RATES = {
+    summer: [[120, 1.68], [330, 2.45], [500, 3.70], [700, 5.04], [1000, 6.24], [Infinity, 8.46]],
+    other: [[120, 1.68], [330, 2.16], [500, 3.03], [700, 3.61], [1000, 4.48], [Infinity, 5.03]]
+};
+
+// 各項費用的名稱與「租金含」、屋主說明中代表已包含的寫法
+const COST_ITEMS = {
+    managementFee: { label: '管理費', included: /含管理費|管理費\s*[:：]?\s*(含|無|免)/ },
+    electricity: { label: '電', included: /含電費|電費\s*[:：]?\s*(含|免)/ },
+    water: { label: '水', included: /含水費?|水費\s*[:：]?\s*(含|免)/ },
+    internet: { label: '網路', included: /含網路|網路\s*[:：]?\s*(含|免費)|免費網路/ },
+    parking: { label: '車位', included: /含車位|車位費?\s*[:：]?\s*(含|免)/ }
+};
+
+/**
+ * 解析儲存的用量設定 (JSON 字串或物件)，缺少的欄位以預設值補齊
+ */
+function parseCostProfile(raw) {
+    let parsed = {};
+    if (raw && typeof raw === 'object') {
+        parsed = raw;
+    } else if (raw && typeof raw === 'string') {
+        try {
+            parsed = JSON.parse(raw);
+        } catch (e) {
+            console.log('❌ 解析用量設定失敗，使用預設:', e.message);
+        }
+    }
+    return { ...DEFAULT_COST_PROFILE, ...parsed };
+}
+
+/**
+ * 將費用文字轉為每月金額
+ * 例如 "1,000元/月" → 1000、"6000元/年" → 500、"含租金內" → 0
+ * @returns {number|null} 看不出金額時回傳 null
+ */
+function parseMonthlyAmount(text) {
+    const value = String(text || '').replace(/\s/g, '');
+    if (!value) return null;
+
+    const match = value.match(/(\d[\d,]*)/);
+    if (!match) return /含|無|免/.test(value) ? 0 : null;
+
+    const amount = parseInt(match[1].replace(/,/g, ''));
+    if (/年/.test(value)) return Math.round(amount / 12);
+    if (/季/.test(value)) return Math.round(amount / 3);
+    return amount;
+}
+
+/**
+ * 台電累進費率的每月電費
+ * @param {number} kwh - 每月用電度數
+ * @param {Date} date - 計費月份 (判斷夏月)
+ */
+function taipowerCost(kwh, date = new Date()) {
+    const month = date.getMonth() + 1;
+    const rates = month >= 6 && month <= 9 ? TAIPOWER_RATES.summer : TAIPOWER_RATES.other;
+
+    let cost = 0;
+    let lower = 0;
+    for (const [upper, rate] of rates) {
+        if (kwh <= lower) break;
+        cost += (Math.min(kwh, upper) - lower) * rate;
+        lower = upper;
+    }
+    return Math.round(cost);
+}
+
+/**
+ * 判斷電費計算方式
+ * @param {string} text - 詳情頁「電費」欄位或屋主說明
+ * @returns {{ type: 'included'|'taipower'|'flat', rate?: number }|null}
+ */
+function parseElectricityRate(text) {
+    const value = String(text || '').replace(/\s/g, '');
+    if (!value) return null;
+
+    if (/台電|臺電/.test(value)) return { type: 'taipower' };
+    const rate = value.match(/(\d+(?:\.\d+)?)元\/?(?:每)?度/) || value.match(/每度(\d+(?:\.\d+)?)元?/);
+    if (rate) return { type: 'flat', rate: parseFloat(rate[1]) };
+    if (/^(含|免)/.test(value)) return { type: 'included' };
+    return null;
+}
+
+/**
+ * 估算物件每月總花費
+ * @param {object} listing - 物件 (listing.details 由 scraper.enrichListings 補上)
+ * @param {object|string} profile - 用戶用量設定 (見 parseCostProfile)
+ * @param {Date} date - 計費月份 (台電夏月費率)
+ * @returns {{ rent: number, total: number, extra: number, items: Array<{key: string, label: string, amount: number, source: string, note?: string}> }}
+ *   source: listing = 物件有寫 / included = 租金已含 / estimate = 依用量估算 / unknown = 未標示 (以 0 或預設值計)
+ */
+function computeMonthlyCost(listing, profile = DEFAULT_COST_PROFILE, date = new Date()) {
+    const usage = parseCostProfile(profile);
+    const details = listing.details || {};
+    const rent = listing.price || 0;
+    // 「租金含」與屋主說明 (含標題、標籤) 用來判斷哪些費用已包含在租金內
+    const includes = details.rentIncludes || '';
+    const freeText = [details.description || '', listing.title || '', ...(Array.isArray(listing.tags) ? listing.tags : [listing.tags || ''])].join(' ');
+
+    const isIncluded = (key) => includes.includes(COST_ITEMS[key].label) || COST_ITEMS[key].included.test(freeText);
+    const items = [];
+    const add = (key, amount, source, note) => items.push({ key, label: COST_ITEMS[key].label, amount, source, ...(note && { note }) });
+
+    // 管理費
+    const management = parseMonthlyAmount(details.managementFee);
+    if (management !== null) add('managementFee', management, management === 0 ? 'included' : 'listing');
+    else if (isIncluded('managementFee')) add('managementFee', 0, 'included');
+    else add('managementFee', 0, 'unknown');
+
+    // 電費 (依用戶用電度數)
+    const electricity = parseElectricityRate(details.electricity) ||
+        (/電費|(^|[、，,\s])電([、，,\s]|$)/.test(includes) ? { type: 'included' } : null) ||
+        parseElectricityRate(freeText.match(/(台電|臺電|每度\s*\d+(?:\.\d+)?|\d+(?:\.\d+)?\s*元\s*\/?\s*(?:每)?\s*度)/)?.[0]);
+    if (electricity?.type === 'included') {
+        add('electricity', 0, 'included');
+    } else if (electricity?.type === 'taipower') {
+        add('electricity', taipowerCost(usage.electricityKwh, date), 'listing', '台電計費');
+    } else if (electricity?.type === 'flat') {
+        add('electricity', Math.round(electricity.rate * usage.electricityKwh), 'listing', `${electricity.rate}元/度`);
+    } else {
+        add('electricity', Math.round(DEFAULT_ELECTRICITY_RATE * usage.electricityKwh), 'unknown', `假設${DEFAULT_ELECTRICITY_RATE}元/度`);
+    }
+
+    // 水費、網路 (沒寫金額也沒寫含在租金內時，用用戶設定的金額)
+    [['water', details.water, usage.waterFee], ['internet', details.internetFee, usage.internetFee]].forEach(([key, text, fallback]) => {
+        const amount = parseMonthlyAmount(text);
+        if (amount !== null) add(key, amount, amount === 0 ? 'included' : 'listing');
+        else if (isIncluded(key)) add(key, 0, 'included');
+        else add(key, fallback, 'estimate');
+    });
+
+    // 車位 (用戶需要時才計算)
+    if (usage.parking) {
+        const parking = parseMonthlyAmount(details.parkingFee);
+        if (parking !== null) add('parking', parking, parking === 0 ? 'included' : 'listing');
+        else if (isIncluded('parking')) add('parking', 0, 'included');
+        else add('parking', 0, 'unknown', '未標示');
+    }
+
+    const extra = items.reduce((sum, item) => sum + item.amount, 0);
+    return { rent, total: rent + extra, extra, items };
+}
+
+/**
+ * 費用明細文字，例如 "管理費1,000・電750 (5元/度)・水含・網路300估"
+ */
+function formatCostBreakdown(cost) {
+    return cost.items
+        .filter(item => item.amount > 0 || item.source === 'included' || item.note)
+        .map(item => {
+            if (item.source === 'included') return `${item.label}含`;
+            if (item.amount === 0) return `${item.label}${item.note}`;
+            const amount = `${item.label}${item.amount.toLocaleString()}`;
+            if (item.note) return `${amount} (${item.note})`;
+            return item.source === 'estimate' ? `${amount}估` : amount;
+        })
+        .join('・');
+}
+
+/**
+ * 以總花費篩選 (租金範圍套用在估計總花費上)
+ * @param {Array} listings - 已帶有 cost 欄位的物件
+ */
+function applyTotalCostRange(listings, minRent, maxRent) {
+    return listings.filter(listing => {
+        const total = listing.cost ? listing.cost.total : listing.price;
+        if (total < minRent || total > maxRent) {
+            console.log(`   🚫 排除物件 ${listing.id} (估計總花費 ${total} 元)`);
+            return false;
+        }
+        return true;
+    });
+}
+
+/**
+ * 將用量設定轉為可讀字串
+ */
+function formatCostProfile(profile) {
+    const usage = parseCostProfile(profile);
+    return [
+        `用電 ${usage.electricityKwh} 度/月`,
+        `水費 ${usage.waterFee} 元`,
+        `網路 ${usage.internetFee} 元`,
+        usage.parking ? '需要車位' : '',
+        `租金範圍比對${COST_BASIS_LABELS[usage.basis] || COST_BASIS_LABELS.rent}`
+    ].filter(Boolean).join('、');
+}
+
+// LINE 指令名稱 → 數值欄位 [欄位, 單位, 上限]
+const AMOUNT_COMMANDS = {
+    '用電': ['electricityKwh', '度/月', 2000],
+    '電': ['electricityKwh', '度/月', 2000],
+    '水費': ['waterFee', '元/月', 5000],
+    '水': ['waterFee', '元/月', 5000],
+    '網路': ['internetFee', '元/月', 5000]
+};
+
+/**
+ * 解析「費用」指令參數並回傳新的用量設定
+ * 例如：「用電 200」、「網路 0」、「車位 開」、「篩選 總花費」、「重設」
+ * @param {string} fullArgs - 指令參數
+ * @param {object|string} current - 目前的用量設定
+ * @returns {{ profile: object|null, message: string, error: string|null }}
+ */
+function parseCostCommand(fullArgs, current) {
+    const profile = parseCostProfile(current);
+    const [name, ...rest] = fullArgs.trim().split(/\s+/);
+    const value = rest.join('');
+
+    if (name === '重設' || name === '預設') {
+        return { profile: { ...DEFAULT_COST_PROFILE }, message: `✅ 已恢復預設用量：${formatCostProfile(DEFAULT_COST_PROFILE)}`, error: null };
+    }
+
+    const amountCommand = AMOUNT_COMMANDS[name];
+    if (amountCommand) {
+        const [key, unit, max] = amountCommand;
+        const amount = parseInt(value);
+        if (isNaN(amount) || amount < 0 || amount > max) {
+            return { profile: null, message: '', error: `❌ 請輸入 0-${max} 的數字\n範例：費用 ${name} 200` };
+        }
+        profile[key] = amount;
+        return { profile, message: `✅ ${name}：${amount} ${unit}`, error: null };
+    }
+
+    if (name === '車位') {
+        const isOn = ['開', '開啟', 'on', '是', '要', '1'].includes(value.toLowerCase());
+        const isOff = ['關', '關閉', 'off', '否', '不要', '0'].includes(value.toLowerCase());
+        if (!isOn && !isOff) {
+            return { profile: null, message: '', error: '❌ 請指定開或關\n範例：費用 車位 開' };
+        }
+        profile.parking = isOn;
+        return { profile, message: `✅ 車位費：${isOn ? '計入' : '不計入'}`, error: null };
+    }
+
+    if (name === '篩選') {
+        const basis = { '總花費': 'total', '總價': 'total', '總額': 'total', '租金': 'rent' }[value];
+        if (!basis) {
+            return { profile: null, message: '', error: '❌ 請指定「總花費」或「租金」\n範例：費用 篩選 總花費' };
+        }
+        profile.basis = basis;
+        return { profile, message: `✅ 租金範圍改為比對${COST_BASIS_LABELS[basis]}`, error: null };
+    }
+
+    return {
+        profile: null,
+        message: '',
+        error: '❓ 未知的項目\n可用：用電、水費、網路、車位、篩選、重設'
+    };
+}
+
+module.exports = {
+    DEFAULT_COST_PROFILE,
+    COST_BASIS_LABELS,
+    COST_SEARCH_MARGIN,
+    parseCostProfile,
+    parseMonthlyAmount,
+    parseElectricityRate,
+    taipowerCost,
+    computeMonthlyCost,
+    formatCostBreakdown,
+    applyTotalCostRange,
+    formatCostProfile,
+    parseCostCommand
+};
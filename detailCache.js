@@ -0,0 +1,95 @@
+/**
+ * 物件詳情快取
+ * 詳情頁 (押金、管理費、租期、可入籍等) 抓過就存在 DATA_DIR/listing_details.json，
+ * 同一物件在不同用戶、不同次搜尋中重複出現時不必再開一次詳情頁
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { Mutex } = require('./mutex');
+
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
+const CACHE_PATH = path.join(DATA_DIR, 'listing_details.json');
+
+// 快取有效天數 (租約條件偶爾會改，過期後重新抓取)
+const CACHE_TTL_MS = (parseInt(process.env.DETAIL_CACHE_DAYS) || 14) * 24 * 60 * 60 * 1000;
+
+// 最多保留筆數 (超過時刪除最舊的)
+const MAX_ENTRIES = 3000;
+
+const writeMutex = new Mutex();
+
+let entries = null; // listingId → { details, fetchedAt }
+
+/**
+ * 載入快取檔案 (只在第一次使用時讀取)
+ */
+async function loadCache() {
+    if (entries) return entries;
+
+    entries = new Map();
+    try {
+        const raw = JSON.parse(await fs.promises.readFile(CACHE_PATH, 'utf8'));
+        Object.entries(raw).forEach(([id, entry]) => entries.set(id, entry));
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            console.error('❌ 讀取詳情快取失敗，改用空白快取:', error.message);
+        }
+    }
+    return entries;
+}
+
+/**
+ * 取得快取的詳情 (沒有或已過期時回傳 null)
+ * @param {string} listingId
+ */
+async function getCachedDetails(listingId) {
+    const cache = await loadCache();
+    const entry = cache.get(String(listingId));
+    if (!entry) return null;
+    if (Date.now() - new Date(entry.fetchedAt).getTime() > CACHE_TTL_MS) return null;
+    return entry.details;
+}
+
+/**
+ * 寫入多筆詳情並存檔
+ * @param {Object<string, object>} detailsById - listingId → parseListingDetails 的結果
+ */
+async function setCachedDetails(detailsById) {
+    const cache = await loadCache();
+    const fetchedAt = new Date().toISOString();
+    Object.entries(detailsById).forEach(([id, details]) => {
+        cache.delete(id); // 重新插入，讓最近抓取的排在最後
+        cache.set(id, { details, fetchedAt });
+    });
+
+    // Map 依插入順序排列，超過上限時從最舊的開始刪
+    for (const id of cache.keys()) {
+        if (cache.size <= MAX_ENTRIES) break;
+        cache.delete(id);
+    }
+
+    await persistCache();
+}
+
+/**
+ * 存檔 (先寫暫存檔再改名，避免寫到一半被中斷)
+ */
+async function persistCache() {
+    await writeMutex.lock();
+    try {
+        await fs.promises.mkdir(DATA_DIR, { recursive: true });
+        const tmpPath = `${CACHE_PATH}.tmp`;
+        await fs.promises.writeFile(tmpPath, JSON.stringify(Object.fromEntries(entries)));
+        await fs.promises.rename(tmpPath, CACHE_PATH);
+    } catch (error) {
+        console.error('❌ 儲存詳情快取失敗:', error.message);
+    } finally {
+        writeMutex.release();
+    }
+}
+
+module.exports = {
+    getCachedDetails,
+    setCachedDetails
+};
@@ -0,0 +1,406 @@
+/**
+ * 591 行政區代碼同步
+ * 取代 tools/ 下一次性的 get_districts / map_ids / verify_ids / migrate_users 腳本：
+ * 從 591 列表頁的行政區篩選選單取得各縣市的行政區與代碼，和 geography.json 比對，
+ * 回報代碼變動、新增或消失的行政區，並可更新縣市資料與用戶儲存的搜尋地區
+ *
+ * 591 的選單上沒有代碼，逐一點選行政區後從網址的 section 參數取得
+ *
+ * 直接執行:
+ *   node districtSync.js                 只比對並輸出報告
+ *   node districtSync.js 10 17           只比對指定縣市代碼
+ *   node districtSync.js --apply         套用變動 (寫入 DATA_DIR/geography.json 並更新用戶設定)
+ *   node districtSync.js --apply --output=geography.json   更新專案內建的 geography.json
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { browserPool } = require('./browserPool');
+const { parseSectionFilters } = require('./parsers');
+const { getGeographyData, loadGeography, normalizePlaceName, OVERRIDE_PATH } = require('./geography');
+const { getAllUsers, updateUserSettings } = require('./storage');
+
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
+const REPORT_PATH = path.join(DATA_DIR, 'district_sync.json');
+
+const LIST_URL = 'https://rent.591.com.tw/list';
+const SECTION_SELECTOR = '.section.filter-item';
+
+/**
+ * 取出網址中的行政區代碼 (section=26,37 → [26, 37])
+ */
+function getSectionParam(url) {
+    try {
+        const value = new URL(url).searchParams.get('section') || '';
+        return value.split(',').map(v => parseInt(v)).filter(v => !isNaN(v));
+    } catch (e) {
+        return [];
+    }
+}
+
+/**
+ * 等待網址改變 (591 點選篩選條件後以 pushState 更新網址)
+ */
+async function waitForUrlChange(page, previousUrl, timeout = 5000) {
+    try {
+        await page.waitForURL(url => url.href !== previousUrl, { timeout });
+    } catch (e) {
+        // 網址沒變 (點選無效)，由呼叫端判斷
+    }
+}
+
+/**
+ * 取得單一縣市在 591 上的行政區與代碼
+ * @param {object} page - Playwright 頁面
+ * @param {number} regionId - 縣市代碼
+ * @returns {Promise<Array<{id: number, name: string}>>}
+ */
+async function discoverRegionSections(page, regionId) {
+    await page.goto(`${LIST_URL}?region=${regionId}`, { waitUntil: 'domcontentloaded', timeout: 60000 });
+    await page.waitForSelector(SECTION_SELECTOR, { timeout: 30000 });
+    await page.waitForTimeout(1000);
+
+    const names = parseSectionFilters(await page.content());
+    const sections = [];
+
+    for (const name of names) {
+        const option = page.locator(`${SECTION_SELECTOR} .t5-checkbox__text`)
+            .filter({ hasText: new RegExp(`^\\s*${name}\\s*$`) })
+            .first();
+
+        const beforeUrl = page.url();
+        const beforeIds = getSectionParam(beforeUrl);
+        await option.click();
+        await waitForUrlChange(page, beforeUrl);
+
+        const added = getSectionParam(page.url()).filter(id => !beforeIds.includes(id));
+        if (added.length === 1) {
+            sections.push({ id: added[0], name: normalizePlaceName(name) });
+        } else {
+            console.warn(`⚠️ 無法取得「${name}」的代碼 (網址: ${page.url()})`);
+        }
+
+        // 取消勾選 (591 最多只能同時選 5 個行政區)
+        if (added.length > 0) {
+            const checkedUrl = page.url();
+            await option.click();
+            await waitForUrlChange(page, checkedUrl);
+        }
+    }
+
+    return sections;
+}
+
+/**
+ * 比對現有資料與 591 上的行政區 (以名稱對應)
+ * @returns {{ changed: Array<{name, oldId, newId}>, added: Array<{id, name}>, removed: Array<{id, name}> }}
+ */
+function diffSections(current, discovered) {
+    const currentByName = new Map(current.map(s => [normalizePlaceName(s.name), s]));
+    const discoveredNames = new Set(discovered.map(s => normalizePlaceName(s.name)));
+
+    const changed = [];
+    const added = [];
+    for (const section of discovered) {
+        const existing = currentByName.get(normalizePlaceName(section.name));
+        if (!existing) {
+            added.push({ id: section.id, name: section.name });
+        } else if (existing.id !== section.id) {
+            changed.push({ name: section.name, oldId: existing.id, newId: section.id });
+        }
+    }
+
+    const removed = current
+        .filter(s => !discoveredNames.has(normalizePlaceName(s.name)))
+        .map(s => ({ id: s.id, name: s.name }));
+
+    return { changed, added, removed };
+}
+
+/**
+ * 以 591 上的行政區取代某縣市的行政區資料 (保留原有的別名等欄位)，並標記為已確認
+ * @returns {object} 新的縣市資料 (不修改傳入的物件)
+ */
+function applySectionChanges(data, regionId, discovered) {
+    return {
+        ...data,
+        counties: data.counties.map(county => {
+            if (county.id !== regionId) return county;
+
+            const existingByName = new Map(county.sections.map(s => [normalizePlaceName(s.name), s]));
+            const sections = discovered
+                .map(s => ({ ...existingByName.get(normalizePlaceName(s.name)), id: s.id, name: s.name }))
+                .sort((a, b) => a.id - b.id);
+
+            return { ...county, verified: true, sections };
+        })
+    };
+}
+
+/**
+ * 依新的縣市資料更新搜尋目標的行政區代碼
+ * 以目標儲存的行政區名稱為準，名稱對不到時改用舊資料中該代碼的名稱
+ * @param {Array} targets - 用戶的搜尋目標 [{ region, section, name }]
+ * @returns {{ targets: Array, changed: boolean }}
+ */
+function migrateTargets(targets, oldData, newData) {
+    let changed = false;
+
+    const migrated = targets.map(target => {
+        if (!target.section) return target;
+
+        const newCounty = newData.counties.find(c => c.id === target.region);
+        if (!newCounty) return target;
+
+        const findByName = (name) => name
+            ? newCounty.sections.find(s => normalizePlaceName(s.name) === normalizePlaceName(name))
+            : null;
+        const oldSection = oldData.counties.find(c => c.id === target.region)?.sections.find(s => s.id === target.section);
+        // 車站目標 (見 metro.js) 的名稱是車站，只更新行政區代碼
+        const section = (!target.station && findByName((target.name || '').split('-')[1])) || findByName(oldSection?.name);
+
+        if (!section || section.id === target.section) return target;
+
+        changed = true;
+        if (target.station) return { ...target, section: section.id };
+        return { ...target, section: section.id, name: `${newCounty.name}-${section.name}` };
+    });
+
+    return { targets: migrated, changed };
+}
+
+/**
+ * 更新所有用戶儲存的搜尋地區
+ * @returns {Promise<number>} 更新的用戶數
+ */
+async function migrateStoredTargets(oldData, newData) {
+    const users = await getAllUsers();
+    let migratedUsers = 0;
+
+    for (const user of users) {
+        if (!user.targets) continue;
+
+        let targets;
+        try {
+            targets = JSON.parse(user.targets);
+        } catch (e) {
+            console.error(`解析用戶 ${user.userId} targets 失敗:`, e.message);
+            continue;
+        }
+        if (!Array.isArray(targets)) continue;
+
+        const result = migrateTargets(targets, oldData, newData);
+        if (!result.changed) continue;
+
+        await updateUserSettings(user.userId, { targets: JSON.stringify(result.targets) });
+        migratedUsers++;
+        console.log(`🔄 已更新用戶 ${user.userId} 的搜尋地區:`, result.targets.map(t => `${t.name}(${t.section})`).join(', '));
+    }
+
+    return migratedUsers;
+}
+
+/**
+ * 輸出成單行的 JSON (物件加上空白，與 geography.json 的排版一致)
+ */
+function inlineJson(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(inlineJson).join(', ')}]`;
+    }
+    if (value && typeof value === 'object') {
+        return `{ ${Object.entries(value).map(([key, v]) => `${JSON.stringify(key)}: ${inlineJson(v)}`).join(', ')} }`;
+    }
+    return JSON.stringify(value);
+}
+
+/**
+ * 縣市資料 → geography.json 內容 (每個行政區一行，方便檢視 diff)
+ */
+function formatGeography(data) {
+    const { counties, ...metadata } = data;
+    const lines = ['{'];
+
+    Object.entries(metadata).forEach(([key, value]) => {
+        lines.push(`    ${JSON.stringify(key)}: ${inlineJson(value)},`);
+    });
+    lines.push('    "counties": [');
+
+    const blocks = counties.map(county => {
+        const { sections, ...fields } = county;
+        const fieldLines = Object.entries(fields).map(([key, value]) => `            ${JSON.stringify(key)}: ${inlineJson(value)},`);
+        return [
+            '        {',
+            ...fieldLines,
+            '            "sections": [',
+            sections.map(section => `                ${inlineJson(section)}`).join(',\n'),
+            '            ]',
+            '        }'
+        ].join('\n');
+    });
+    lines.push(blocks.join(',\n'));
+    lines.push('    ]', '}');
+
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * 寫入縣市資料 (先寫暫存檔再改名)
+ */
+async function writeGeography(data, filePath) {
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    const tmpPath = `${filePath}.tmp`;
+    await fs.promises.writeFile(tmpPath, formatGeography(data));
+    await fs.promises.rename(tmpPath, filePath);
+}
+
+/**
+ * 報告摘要 (Log / CLI 輸出用)
+ */
+function formatSyncReport(report) {
+    const lines = [`🗺️ 行政區代碼同步 (${report.checkedAt})：檢查 ${report.regions.length} 個縣市，${report.drift} 項變動`];
+
+    for (const region of report.regions) {
+        const { name, changed, added, removed } = region;
+        changed.forEach(c => lines.push(`   🔄 ${name} ${c.name}: ${c.oldId} → ${c.newId}`));
+        added.forEach(s => lines.push(`   ➕ ${name} ${s.name}: ${s.id}`));
+        removed.forEach(s => lines.push(`   ➖ ${name} ${s.name}: ${s.id} (591 上已找不到)`));
+    }
+    report.errors.forEach(e => lines.push(`   ❌ ${e.name || e.regionId}: ${e.error}`));
+
+    if (report.written) {
+        lines.push(`   💾 已寫入 ${report.outputPath}，更新 ${report.migratedUsers} 位用戶的搜尋地區`);
+    } else if (report.drift > 0) {
+        lines.push('   ⚠️ 尚未套用，使用 apply 選項更新縣市資料與用戶設定');
+    }
+
+    return lines.join('\n');
+}
+
+/**
+ * 同步行政區代碼
+ * @param {object} options
+ * @param {number[]} options.regions - 要檢查的縣市代碼 (預設全部)
+ * @param {boolean} options.apply - 是否寫入縣市資料並更新用戶設定
+ * @param {string} options.outputPath - 寫入位置 (預設 DATA_DIR/geography.json)
+ * @returns {Promise<object>} 同步報告
+ */
+async function syncDistricts({ regions = [], apply = false, outputPath = OVERRIDE_PATH } = {}) {
+    const oldData = getGeographyData();
+    const regionIds = regions.length > 0 ? regions.map(Number) : oldData.counties.map(c => c.id);
+    let newData = oldData;
+
+    const report = {
+        checkedAt: new Date().toISOString(),
+        apply,
+        drift: 0,
+        regions: [],
+        errors: [],
+        written: false,
+        outputPath: null,
+        migratedUsers: 0
+    };
+
+    console.log(`🗺️ 開始同步行政區代碼 (${regionIds.length} 個縣市)...`);
+
+    for (const regionId of regionIds) {
+        const county = oldData.counties.find(c => c.id === regionId);
+        if (!county) {
+            report.errors.push({ regionId, error: '未知的縣市代碼' });
+            continue;
+        }
+
+        try {
+            const discovered = await browserPool.withPage(page => discoverRegionSections(page, regionId));
+
+            // 取得的行政區明顯太少，多半是頁面改版或被擋，不採用
+            if (discovered.length < county.sections.length / 2) {
+                throw new Error(`只取得 ${discovered.length}/${county.sections.length} 個行政區`);
+            }
+
+            const diff = diffSections(county.sections, discovered);
+            const drift = diff.changed.length + diff.added.length + diff.removed.length;
+            report.regions.push({ regionId, name: county.name, found: discovered.length, ...diff });
+            report.drift += drift;
+            newData = applySectionChanges(newData, regionId, discovered);
+
+            console.log(drift > 0
+                ? `⚠️ ${county.name}: ${drift} 項變動`
+                : `✅ ${county.name}: ${discovered.length} 個行政區代碼一致`);
+        } catch (error) {
+            console.error(`❌ 同步 ${county.name} 行政區失敗:`, error.message);
+            report.errors.push({ regionId, name: county.name, error: error.message });
+        }
+
+        // 避免請求過快
+        await new Promise(r => setTimeout(r, 2000));
+    }
+
+    if (apply && report.regions.length > 0) {
+        newData.updatedAt = report.checkedAt;
+        await writeGeography(newData, outputPath);
+        loadGeography(newData);
+        report.written = true;
+        report.outputPath = outputPath;
+        report.migratedUsers = await migrateStoredTargets(oldData, newData);
+    }
+
+    try {
+        await fs.promises.mkdir(DATA_DIR, { recursive: true });
+        await fs.promises.writeFile(REPORT_PATH, JSON.stringify(report, null, 2));
+    } catch (error) {
+        console.error('❌ 儲存同步報告失敗:', error.message);
+    }
+
+    console.log(formatSyncReport(report));
+    return report;
+}
+
+/**
+ * 最近一次的同步報告 (沒有時回傳 null)
+ */
+async function getLastSyncReport() {
+    try {
+        return JSON.parse(await fs.promises.readFile(REPORT_PATH, 'utf8'));
+    } catch (error) {
+        return null;
+    }
+}
+
+module.exports = {
+    syncDistricts,
+    getLastSyncReport,
+    discoverRegionSections,
+    getSectionParam,
+    diffSections,
+    applySectionChanges,
+    migrateTargets,
+    formatGeography,
+    formatSyncReport
+};
+
+// 直接執行
+if (require.main === module) {
+    require('dotenv').config();
+    const { initStorage } = require('./storage');
+
+    const args = process.argv.slice(2);
+    const apply = args.includes('--apply');
+    const output = args.find(a => a.startsWith('--output='));
+    const regions = args.filter(a => /^\d+$/.test(a)).map(Number);
+
+    (async () => {
+        // 套用時需要更新用戶設定
+        if (apply) await initStorage();
+        const report = await syncDistricts({
+            regions,
+            apply,
+            outputPath: output ? path.resolve(output.split('=')[1]) : OVERRIDE_PATH
+        });
+        await browserPool.shutdown();
+        process.exit(report.errors.length > 0 ? 1 : 0);
+    })().catch(async (error) => {
+        console.error('❌ 同步失敗:', error);
+        await browserPool.shutdown();
+        process.exit(1);
+    });
+}
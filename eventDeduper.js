@@ -0,0 +1,44 @@
+/**
+ * Webhook 事件去重
+ * LINE 在沒收到 2xx 回應時會重送事件 (同一個 webhookEventId)，
+ * 記住最近處理過的事件 ID，避免重複寫入收藏或重複回覆
+ */
+class EventDeduper {
+    /**
+     * @param {object} options
+     * @param {number} options.ttlMs - 事件 ID 保留時間 (預設 24 小時)
+     * @param {number} options.maxSize - 最多記住幾個事件 ID
+     */
+    constructor({ ttlMs = 24 * 60 * 60 * 1000, maxSize = 10000 } = {}) {
+        this.ttlMs = ttlMs;
+        this.maxSize = maxSize;
+        this.seen = new Map(); // eventId → 處理時間 (依加入順序排列)
+    }
+
+    /**
+     * 記錄事件 ID
+     * @returns {boolean} 第一次看到回傳 true，重複事件回傳 false
+     */
+    markIfNew(eventId, now = Date.now()) {
+        // 沒有 ID 的事件無法去重，直接處理
+        if (!eventId) return true;
+
+        this.prune(now);
+        if (this.seen.has(eventId)) return false;
+
+        this.seen.set(eventId, now);
+        return true;
+    }
+
+    /**
+     * 移除過期或超過上限的事件 ID (Map 依加入順序，最舊的在最前面)
+     */
+    prune(now = Date.now()) {
+        for (const [eventId, seenAt] of this.seen) {
+            if (now - seenAt < this.ttlMs && this.seen.size < this.maxSize) break;
+            this.seen.delete(eventId);
+        }
+    }
+}
+
+module.exports = { EventDeduper };
@@ -0,0 +1,98 @@
+/**
+ * 收藏物件下架檢查模組
+ * 定期重新開啟收藏的物件頁面，確認是否仍在刊登，
+ * 已出租或已下架的物件會更新收藏狀態並通知用戶
+ */
+
+const { checkListingsStatus } = require('./scraper');
+const { getAllFavorites, updateFavoriteStatuses, updateListingStatus } = require('./storage');
+
+// 刊登狀態 → 收藏狀態欄位顯示文字
+const LISTING_STATE_LABELS = {
+    live: '刊登中',
+    rented: '已出租',
+    removed: '已下架',
+    unknown: '無法確認'
+};
+
+// 已確定消失的狀態 (之後不再檢查)
+const GONE_STATUSES = [LISTING_STATE_LABELS.rented, LISTING_STATE_LABELS.removed];
+
+/**
+ * 收藏是否已下架 / 出租
+ */
+function isFavoriteGone(favorite) {
+    return GONE_STATUSES.includes(favorite.status);
+}
+
+/**
+ * 檢查所有收藏物件的刊登狀態
+ * @param {object} options
+ * @param {Function} options.notify - 通知函數 (userId, goneFavorites)，不傳則不通知
+ * @returns {Promise<{checked: number, gone: number}>}
+ */
+async function checkFavorites({ notify = null } = {}) {
+    const favorites = await getAllFavorites();
+    const activeFavorites = favorites.filter(f => !isFavoriteGone(f));
+    const listingIds = [...new Set(activeFavorites.map(f => f.id))];
+
+    if (listingIds.length === 0) {
+        console.log('📭 沒有需要檢查的收藏物件');
+        return { checked: 0, gone: 0 };
+    }
+
+    console.log(`🔎 開始檢查 ${listingIds.length} 間收藏物件的刊登狀態...`);
+    const states = await checkListingsStatus(listingIds);
+    const checkedAt = new Date().toLocaleString('zh-TW', { timeZone: 'Asia/Taipei' });
+
+    // 無法確認的物件不更新，下次再試
+    const updates = [];
+    const goneIds = new Set();
+    for (const [listingId, state] of states) {
+        if (state === 'unknown') continue;
+
+        if (state === 'live') {
+            // 仍在刊登：只更新確認時間，保留用戶的聯繫狀態
+            updates.push({ listingId, checkedAt });
+        } else {
+            updates.push({ listingId, status: LISTING_STATE_LABELS[state], checkedAt });
+            goneIds.add(listingId);
+        }
+    }
+
+    await updateFavoriteStatuses(updates);
+    for (const listingId of goneIds) {
+        await updateListingStatus(listingId, LISTING_STATE_LABELS[states.get(listingId)]);
+    }
+
+    console.log(`✅ 收藏檢查完成: ${states.size} 間，已下架/出租 ${goneIds.size} 間`);
+
+    if (notify && goneIds.size > 0) {
+        // 依用戶分組通知
+        const goneByUser = new Map();
+        for (const favorite of activeFavorites) {
+            if (!goneIds.has(favorite.id)) continue;
+            if (!goneByUser.has(favorite.userId)) goneByUser.set(favorite.userId, []);
+            goneByUser.get(favorite.userId).push({
+                ...favorite,
+                status: LISTING_STATE_LABELS[states.get(favorite.id)]
+            });
+        }
+
+        for (const [userId, goneFavorites] of goneByUser) {
+            try {
+                await notify(userId, goneFavorites);
+            } catch (error) {
+                console.error(`❌ 發送下架通知失敗 (${userId}):`, error.message);
+            }
+        }
+    }
+
+    return { checked: states.size, gone: goneIds.size };
+}
+
+module.exports = {
+    checkFavorites,
+    isFavoriteGone,
+    LISTING_STATE_LABELS
+};
@@ -0,0 +1,550 @@
+/**
+ * 篩選條件模組
+ * 負責解析用戶的關鍵字與篩選條件設定，並在爬取後過濾物件
+ */
+
+const { parseLayout, getNormalized, cleanTags } = require('./normalize');
+const { findStation, findLine, isOnLines, formatLines, formatStationName, splitDistance } = require('./metro');
+const { estimateCommute } = require('./commute');
+
+// 關鍵字組合方式
+const KEYWORD_MODES = {
+    AND: 'AND', // 全部符合
+    OR: 'OR'    // 符合任一
+};
+
+/**
+ * 解析關鍵字字串
+ * 格式：
+ *   「乾濕分離 陽台」   → 兩者皆須符合 (AND)
+ *   「乾濕分離|陽台」   → 符合任一即可 (OR)
+ *   「-頂加 -雅房」     → 排除標題/標籤含有這些字的物件
+ * @param {string} text - 用戶輸入的關鍵字字串
+ * @returns {{ include: string[], exclude: string[], mode: string }}
+ */
+function parseKeywords(text) {
+    const result = { include: [], exclude: [], mode: KEYWORD_MODES.AND };
+    if (!text || typeof text !== 'string') return result;
+
+    const normalized = text.trim().replace(/｜/g, '|');
+    if (!normalized) return result;
+
+    if (normalized.includes('|')) {
+        result.mode = KEYWORD_MODES.OR;
+    }
+
+    const tokens = normalized.split(/[\s,，、|]+/).filter(t => t);
+    for (const token of tokens) {
+        if (/^[-－!！]/.test(token)) {
+            const word = token.substring(1).trim();
+            if (word && !result.exclude.includes(word)) result.exclude.push(word);
+        } else if (!result.include.includes(token)) {
+            result.include.push(token);
+        }
+    }
+
+    return result;
+}
+
+/**
+ * 將解析後的關鍵字轉回可讀字串 (用於訊息顯示)
+ */
+function formatKeywords(keywords) {
+    const spec = typeof keywords === 'string' ? parseKeywords(keywords) : (keywords || parseKeywords(''));
+    const parts = [];
+
+    if (spec.include.length > 0) {
+        const joiner = spec.mode === KEYWORD_MODES.OR ? ' 或 ' : ' + ';
+        parts.push(spec.include.join(joiner));
+    }
+    if (spec.exclude.length > 0) {
+        parts.push(`排除 ${spec.exclude.join('、')}`);
+    }
+
+    return parts.join('，');
+}
+
+/**
+ * 依關鍵字設定產生要送給 591 的搜尋字串
+ * AND：所有關鍵字合併為一次搜尋
+ * OR：每個關鍵字各搜尋一次，之後再合併結果
+ * @returns {string[]} 搜尋字串陣列 (沒有關鍵字時回傳 [''])
+ */
+function buildKeywordQueries(spec) {
+    if (!spec || spec.include.length === 0) return [''];
+    if (spec.mode === KEYWORD_MODES.OR) return [...spec.include];
+    return [spec.include.join(' ')];
+}
+
+/**
+ * 檢查物件的標題/標籤是否含有排除關鍵字
+ * @returns {string|null} 命中的排除關鍵字，沒有則回傳 null
+ */
+function findExcludedKeyword(listing, spec) {
+    if (!spec || spec.exclude.length === 0) return null;
+
+    const haystack = [listing.title || '', ...cleanTags(listing.tags)].join(' ');
+    return spec.exclude.find(word => haystack.includes(word)) || null;
+}
+
+/**
+ * 套用排除關鍵字
+ * @param {Array} listings - 物件列表
+ * @param {object} spec - parseKeywords 的結果
+ */
+function applyExcludeKeywords(listings, spec) {
+    if (!spec || spec.exclude.length === 0) return listings;
+
+    return listings.filter(listing => {
+        const hit = findExcludedKeyword(listing, spec);
+        if (hit) {
+            console.log(`   🚫 排除物件 ${listing.id} (含「${hit}」)`);
+            return false;
+        }
+        return true;
+    });
+}
+
+/**
+ * 在本地比對包含關鍵字 (比對標題與標籤)
+ * 爬取時由網站比對，已儲存的物件 (週報) 可能是其他用戶的查詢爬到的，需要在本地重新比對
+ * @returns {string[]|null} 符合的關鍵字 (沒有設定時為空陣列)，不符合時回傳 null
+ */
+function matchIncludeKeywords(listing, spec) {
+    if (!spec || spec.include.length === 0) return [];
+
+    const haystack = [listing.title || '', ...cleanTags(listing.tags)].join(' ');
+    const matched = spec.include.filter(word => haystack.includes(word));
+    if (spec.mode === KEYWORD_MODES.OR) return matched.length > 0 ? matched : null;
+    return matched.length === spec.include.length ? matched : null;
+}
+
+// ============================================
+// 篩選條件 (Filter Profile)
+// ============================================
+
+// 房屋類型 → 591 kind 參數
+const ROOM_KINDS = {
+    '整層住家': 1,
+    '獨立套房': 2,
+    '分租套房': 3
+};
+
+// 房屋類型別名 (LINE 指令輸入用)
+const ROOM_KIND_ALIASES = {
+    '整層': '整層住家', '整層住家': '整層住家',
+    '套房': '獨立套房', '獨立套房': '獨立套房', '獨套': '獨立套房',
+    '分租': '分租套房', '分租套房': '分租套房'
+};
+
+// 預設篩選條件 (維持原本固定的「近捷運、可開伙」)
+const DEFAULT_FILTERS = {
+    kind: '',          // 房屋類型 ('' = 不限)
+    minArea: 0,        // 最小坪數 (0 = 不限)
+    floorMin: null,    // 最低樓層
+    floorMax: null,    // 最高樓層
+    pets: false,       // 可養寵物
+    elevator: false,   // 有電梯
+    parking: false,    // 有車位
+    subsidy: false,    // 可租補
+    register: false,   // 可入籍
+    fileTax: false,    // 可報稅
+    nearSubway: true,  // 近捷運
+    cook: true,        // 可開伙
+    noRooftop: false,  // 排除頂樓加蓋
+    maxWalkMeters: 0,  // 距車站最遠幾公尺 (0 = 不限)
+    metroLines: [],    // 最近車站須在這些捷運路線上 (路線代碼，見 metro.json)
+    commuteStation: '',    // 通勤目的地車站 ('' = 未設定，設定後通知依通勤時間排序)
+    maxCommuteMinutes: 0   // 通勤最多幾分鐘 (0 = 不限，見 commute.js)
+};
+
+// 可直接對應 591「other」參數的開關條件
+const OTHER_PARAMS = {
+    nearSubway: 'near_subway',
+    cook: 'cook',
+    pets: 'pet',
+    elevator: 'lift',
+    parking: 'cartplace'
+};
+
+// 開關條件的中文名稱 (指令與顯示共用)
+const TOGGLE_LABELS = {
+    nearSubway: '近捷運',
+    cook: '可開伙',
+    pets: '可養寵物',
+    elevator: '有電梯',
+    parking: '有車位',
+    subsidy: '可租補',
+    register: '可入籍',
+    fileTax: '可報稅',
+    noRooftop: '排除頂加'
+};
+
+// LINE 指令名稱 → 條件欄位
+const TOGGLE_COMMANDS = {
+    '近捷運': 'nearSubway', '捷運': 'nearSubway',
+    '開伙': 'cook', '可開伙': 'cook',
+    '寵物': 'pets', '可養寵物': 'pets',
+    '電梯': 'elevator',
+    '車位': 'parking', '停車': 'parking',
+    '租補': 'subsidy', '可租補': 'subsidy',
+    '入籍': 'register', '可入籍': 'register',
+    '報稅': 'fileTax', '可報稅': 'fileTax',
+    '頂加': 'noRooftop', '排除頂加': 'noRooftop'
+};
+
+// 需要詳情頁資料的開關條件 (詳情優先，沒有詳情時看標題與標籤，見 normalize.parseFeatures)
+const DETAIL_TOGGLES = ['subsidy', 'register', 'fileTax'];
+
+/**
+ * 解析儲存的篩選條件 (JSON 字串或物件)，缺少的欄位以預設值補齊
+ */
+function parseFilterProfile(raw) {
+    let parsed = {};
+    if (raw && typeof raw === 'object') {
+        parsed = raw;
+    } else if (raw && typeof raw === 'string') {
+        try {
+            parsed = JSON.parse(raw);
+        } catch (e) {
+            console.log('❌ 解析篩選條件失敗，使用預設:', e.message);
+        }
+    }
+    return { ...DEFAULT_FILTERS, ...parsed };
+}
+
+/**
+ * 將篩選條件轉為 591 搜尋參數
+ * 樓層與可租補 / 可入籍 / 可報稅 591 沒有對應參數，改由 applyFilterProfile 在爬取後檢查
+ * @returns {{ kind?: string, acreage?: string, other: string[] }}
+ */
+function buildFilterParams(profile) {
+    const filters = parseFilterProfile(profile);
+    const params = { other: [] };
+
+    if (filters.kind && ROOM_KINDS[filters.kind]) {
+        params.kind = ROOM_KINDS[filters.kind].toString();
+    }
+    if (filters.minArea > 0) {
+        params.acreage = `${filters.minArea}_`;
+    }
+    for (const [key, value] of Object.entries(OTHER_PARAMS)) {
+        if (filters[key]) params.other.push(value);
+    }
+
+    return params;
+}
+
+/**
+ * 從 layout 字串取出坪數與樓層 (見 normalize.parseLayout)
+ * 例如 "獨立套房3坪1F/5F"、"整層住家4房2廳90坪17F/19F"、"頂樓加蓋/5F"
+ */
+function parseLayoutInfo(layout = '') {
+    const { area, floor, totalFloors, kind } = parseLayout(layout);
+    return { area, floor, totalFloors, kind };
+}
+
+/**
+ * 檢查單一物件是否符合篩選條件 (爬取後檢查，使用結構化欄位，見 normalize.js)
+ * 資訊不足 (例如 layout 沒寫樓層) 時視為符合，避免誤刪
+ * 可租補 / 可入籍 / 可報稅優先看詳情頁 (listing.details)，沒有詳情時才看標題與標籤是否有標示
+ * @returns {string|null} 不符合的原因，符合則回傳 null
+ */
+function checkFilterProfile(listing, profile) {
+    const filters = parseFilterProfile(profile);
+    const info = getNormalized(listing);
+
+    if (filters.kind && info.kind && info.kind !== filters.kind) {
+        return `類型為${info.kind}`;
+    }
+    if (filters.minArea > 0 && info.area !== null && info.area < filters.minArea) {
+        return `坪數 ${info.area} 坪`;
+    }
+    if (info.floor !== null) {
+        if (filters.floorMin !== null && info.floor < filters.floorMin) return `樓層 ${info.floor}F`;
+        if (filters.floorMax !== null && info.floor > filters.floorMax) return `樓層 ${info.floor}F`;
+    }
+    if (filters.noRooftop && info.rooftop) {
+        return '頂樓加蓋';
+    }
+    if (filters.maxWalkMeters > 0 && info.walkMeters !== null && info.walkMeters > filters.maxWalkMeters) {
+        return `距車站 ${info.walkMeters} 公尺`;
+    }
+    if (filters.metroLines.length > 0) {
+        if (!info.station) return '沒有捷運站資訊';
+        // 車站不在資料中時無法判斷，視為符合
+        if (isOnLines(info.station, filters.metroLines) === false) return `${info.station}站不在${formatLines(filters.metroLines)}沿線`;
+    }
+    if (filters.commuteStation && filters.maxCommuteMinutes > 0) {
+        // 無法估算 (沒有車站或車站不在路網中) 時視為符合
+        const commute = estimateCommute(listing, filters.commuteStation);
+        if (commute && commute.minutes > filters.maxCommuteMinutes) return `通勤約 ${commute.minutes} 分鐘`;
+    }
+    for (const key of DETAIL_TOGGLES) {
+        if (!filters[key]) continue;
+        const allowed = info.features[key];
+        if (allowed === false) return `不${TOGGLE_LABELS[key]}`;
+        if (allowed !== true) return `未標示${TOGGLE_LABELS[key]}`;
+    }
+
+    return null;
+}
+
+/**
+ * 檢查網站端篩選參數 (近捷運、可開伙、寵物、電梯、車位) 在本地是否符合
+ * 爬取時由網站過濾；已儲存的物件 (週報) 可能來自其他用戶條件較寬的查詢，只排除明確不符合的物件
+ * @returns {string|null} 不符合的原因，符合則回傳 null
+ */
+function checkSiteFilters(listing, profile) {
+    const filters = parseFilterProfile(profile);
+    const info = getNormalized(listing);
+
+    if (filters.nearSubway && !info.station) return '沒有捷運站資訊';
+    for (const key of Object.keys(OTHER_PARAMS)) {
+        if (key === 'nearSubway' || !filters[key]) continue;
+        if (info.features[key] === false) return `不符合${TOGGLE_LABELS[key]}`;
+    }
+    return null;
+}
+
+/**
+ * 套用篩選條件 (爬取後檢查 layout / 標籤)
+ */
+function applyFilterProfile(listings, profile) {
+    return listings.filter(listing => {
+        const reason = checkFilterProfile(listing, profile);
+        if (reason) {
+            console.log(`   🚫 排除物件 ${listing.id} (${reason})`);
+            return false;
+        }
+        return true;
+    });
+}
+
+/**
+ * 樓層範圍顯示文字
+ */
+function formatFloorRange(floorMin, floorMax) {
+    if (floorMin === null && floorMax === null) return '不限';
+    if (floorMin !== null && floorMin === floorMax) return `${floorMin}F`;
+    if (floorMin !== null && floorMax !== null) return `${floorMin}F-${floorMax}F`;
+    return floorMin !== null ? `${floorMin}F以上` : `${floorMax}F以下`;
+}
+
+/**
+ * 將篩選條件轉為可讀字串
+ */
+function formatFilterProfile(profile) {
+    const filters = parseFilterProfile(profile);
+    const parts = [];
+
+    if (filters.kind) parts.push(filters.kind);
+    if (filters.minArea > 0) parts.push(`${filters.minArea}坪以上`);
+    if (filters.floorMin !== null || filters.floorMax !== null) {
+        parts.push(formatFloorRange(filters.floorMin, filters.floorMax));
+    }
+    if (filters.metroLines.length > 0) parts.push(`捷運${formatLines(filters.metroLines)}`);
+    if (filters.maxWalkMeters > 0) parts.push(`車站${filters.maxWalkMeters}公尺內`);
+    if (filters.commuteStation) {
+        parts.push(`通勤至${formatStationName(filters.commuteStation)}${filters.maxCommuteMinutes > 0 ? `${filters.maxCommuteMinutes}分內` : ''}`);
+    }
+    for (const [key, label] of Object.entries(TOGGLE_LABELS)) {
+        if (filters[key]) parts.push(label);
+    }
+
+    return parts.join('、') || '不限';
+}
+
+/**
+ * 解析「條件」指令參數並回傳新的篩選條件
+ * 例如：「類型 套房」、「坪數 8」、「樓層 2-10」、「電梯 開」、「重設」
+ * @param {string} fullArgs - 指令參數
+ * @param {object|string} current - 目前的篩選條件
+ * @returns {{ filters: object|null, message: string, error: string|null }}
+ */
+function parseFilterCommand(fullArgs, current) {
+    const filters = parseFilterProfile(current);
+    const [name, ...rest] = fullArgs.trim().split(/\s+/);
+    const value = rest.join('');
+    const isOff = ['關', '關閉', 'off', '不限', '無', '0'].includes(value.toLowerCase());
+
+    if (name === '重設' || name === '預設') {
+        return { filters: { ...DEFAULT_FILTERS }, message: `✅ 已恢復預設條件：${formatFilterProfile(DEFAULT_FILTERS)}`, error: null };
+    }
+
+    if (name === '類型') {
+        if (isOff || !value) {
+            filters.kind = '';
+        } else if (ROOM_KIND_ALIASES[value]) {
+            filters.kind = ROOM_KIND_ALIASES[value];
+        } else {
+            return { filters: null, message: '', error: '❌ 不支援的類型\n可用：套房、分租、整層、不限' };
+        }
+        return { filters, message: `✅ 房屋類型：${filters.kind || '不限'}`, error: null };
+    }
+
+    if (name === '坪數') {
+        const area = parseFloat(value);
+        if (isOff || !value) {
+            filters.minArea = 0;
+        } else if (!isNaN(area) && area > 0 && area <= 200) {
+            filters.minArea = area;
+        } else {
+            return { filters: null, message: '', error: '❌ 請輸入有效坪數\n範例：條件 坪數 8' };
+        }
+        return { filters, message: `✅ 最小坪數：${filters.minArea > 0 ? `${filters.minArea} 坪` : '不限'}`, error: null };
+    }
+
+    if (name === '樓層') {
+        if (isOff || !value) {
+            filters.floorMin = null;
+            filters.floorMax = null;
+            return { filters, message: '✅ 樓層：不限', error: null };
+        }
+        const match = value.match(/^(\d+)?[-~～到](\d+)?$/) || value.match(/^(\d+)$/);
+        if (!match) {
+            return { filters: null, message: '', error: '❌ 樓層格式錯誤\n範例：條件 樓層 2-10、條件 樓層 3-' };
+        }
+        const min = match[1] !== undefined ? parseInt(match[1]) : null;
+        const max = match[2] !== undefined ? parseInt(match[2]) : (/[-~～到]/.test(value) ? null : min);
+        if (min !== null && max !== null && min > max) {
+            return { filters: null, message: '', error: '❌ 最低樓層不可高於最高樓層' };
+        }
+        filters.floorMin = min;
+        filters.floorMax = max;
+        return { filters, message: `✅ 樓層：${formatFloorRange(min, max)}`, error: null };
+    }
+
+    if (name === '步行' || name === '距離') {
+        const meters = parseInt(value);
+        if (isOff || !value) {
+            filters.maxWalkMeters = 0;
+        } else if (!isNaN(meters) && meters > 0 && meters <= 5000) {
+            filters.maxWalkMeters = meters;
+        } else {
+            return { filters: null, message: '', error: '❌ 請輸入距車站的公尺數\n範例：條件 步行 500' };
+        }
+        return { filters, message: `✅ 距車站：${filters.maxWalkMeters > 0 ? `${filters.maxWalkMeters} 公尺內` : '不限'}`, error: null };
+    }
+
+    const toggleKey = TOGGLE_COMMANDS[name];
+    if (toggleKey) {
+        const isOn = ['開', '開啟', 'on', '是', '要', '1'].includes(value.toLowerCase());
+        if (!isOn && !isOff) {
+            return { filters: null, message: '', error: `❌ 請指定開或關\n範例：條件 ${name} 開` };
+        }
+        filters[toggleKey] = isOn;
+        return { filters, message: `✅ ${TOGGLE_LABELS[toggleKey]}：${isOn ? '開啟' : '關閉'}`, error: null };
+    }
+
+    return {
+        filters: null,
+        message: '',
+        error: '❓ 未知的條件\n可用：類型、坪數、樓層、步行、寵物、電梯、車位、租補、入籍、報稅、近捷運、開伙、頂加、重設'
+    };
+}
+
+/**
+ * 解析「捷運」指令參數並回傳新的篩選條件
+ * 例如：「淡水信義線 500m」、「紅線 板南線」、「關」
+ * @param {string} fullArgs - 指令參數 (路線名稱，最後可接步行距離)
+ * @param {object|string} current - 目前的篩選條件
+ * @returns {{ filters: object|null, message: string, error: string|null }}
+ */
+function parseMetroCommand(fullArgs, current) {
+    const filters = parseFilterProfile(current);
+    const { args, meters } = splitDistance(fullArgs);
+
+    if (['關', '關閉', 'off', '不限', '清除'].includes(args.toLowerCase())) {
+        filters.metroLines = [];
+        return { filters, message: '✅ 捷運路線：不限', error: null };
+    }
+
+    const lineIds = [];
+    const unknown = [];
+    args.split(/[\s,，、]+/).filter(Boolean).forEach(token => {
+        const line = findLine(token);
+        if (!line) unknown.push(token);
+        else if (!lineIds.includes(line.id)) lineIds.push(line.id);
+    });
+    // 只給距離時只調整步行距離 (「捷運 300m」)
+    if (lineIds.length === 0 && unknown.length === 0 && meters !== null) {
+        filters.maxWalkMeters = meters;
+        return { filters, message: `✅ 距車站：${meters} 公尺內`, error: null };
+    }
+    if (unknown.length > 0 || lineIds.length === 0) {
+        return {
+            filters: null,
+            message: '',
+            error: `❌ 找不到捷運路線：${unknown.join('、') || fullArgs}\n可用：文湖、淡水信義、松山新店、中和新蘆、板南、環狀、機場捷運、淡海輕軌、安坑輕軌\n範例：捷運 淡水信義線 500m`
+        };
+    }
+
+    filters.metroLines = lineIds;
+    if (meters !== null) filters.maxWalkMeters = meters;
+    const walkText = filters.maxWalkMeters > 0 ? `，步行 ${filters.maxWalkMeters} 公尺內` : '';
+    return { filters, message: `✅ 捷運路線：${formatLines(lineIds)}${walkText}`, error: null };
+}
+
+// 通勤時間參數 (「40」、「40分」、「40分鐘」)
+const COMMUTE_MINUTES_PATTERN = /^(\d+)\s*(分鐘?|min)?$/i;
+
+/**
+ * 解析「通勤」指令參數並回傳新的篩選條件
+ * 例如：「台北車站」、「台北車站 40分」、「40分」(只調整上限)、「關」
+ * @param {string} fullArgs - 指令參數 (目的地車站，最後可接通勤時間上限)
+ * @param {object|string} current - 目前的篩選條件
+ * @returns {{ filters: object|null, message: string, error: string|null }}
+ */
+function parseCommuteCommand(fullArgs, current) {
+    const filters = parseFilterProfile(current);
+    const tokens = fullArgs.trim().split(/\s+/).filter(Boolean);
+
+    if (['關', '關閉', 'off', '清除'].includes((tokens[0] || '').toLowerCase())) {
+        filters.commuteStation = '';
+        filters.maxCommuteMinutes = 0;
+        return { filters, message: '✅ 已清除通勤目的地', error: null };
+    }
+
+    const minutesMatch = tokens.length > 0 && tokens[tokens.length - 1].match(COMMUTE_MINUTES_PATTERN);
+    const stationText = (minutesMatch ? tokens.slice(0, -1) : tokens).join('');
+    if (stationText) {
+        const station = findStation(stationText);
+        if (!station) {
+            return { filters: null, message: '', error: `❌ 找不到車站：${stationText}\n範例：通勤 台北車站 40分` };
+        }
+        filters.commuteStation = station.name;
+    } else if (!filters.commuteStation) {
+        return { filters: null, message: '', error: '❓ 請先設定目的地車站\n範例：通勤 台北車站 40分' };
+    }
+    if (minutesMatch) filters.maxCommuteMinutes = parseInt(minutesMatch[1]);
+
+    const limitText = filters.maxCommuteMinutes > 0 ? `，最多 ${filters.maxCommuteMinutes} 分鐘` : '';
+    return {
+        filters,
+        message: `✅ 通勤目的地：${formatStationName(filters.commuteStation)}${limitText}\n新物件會依通勤時間排序`,
+        error: null
+    };
+}
+
+module.exports = {
+    KEYWORD_MODES,
+    parseKeywords,
+    formatKeywords,
+    buildKeywordQueries,
+    findExcludedKeyword,
+    applyExcludeKeywords,
+    matchIncludeKeywords,
+    ROOM_KINDS,
+    DEFAULT_FILTERS,
+    parseFilterProfile,
+    buildFilterParams,
+    parseLayoutInfo,
+    checkFilterProfile,
+    checkSiteFilters,
+    applyFilterProfile,
+    formatFilterProfile,
+    parseFilterCommand,
+    parseMetroCommand,
+    parseCommuteCommand
+};
@@ -0,0 +1,273 @@
+/**
+ * 縣市 / 行政區對照
+ * 資料放在 geography.json (縣市代碼 → 行政區代碼 → 名稱與別名)，
+ * 取代原本依 section 代碼大小猜測縣市 (sectionId <= 20 ? 台北 : 新北) 的做法
+ *
+ * verified: false 的縣市代碼尚未在 591 上逐一確認
+ * districtSync.js 同步後的資料存放在 DATA_DIR/geography.json，存在時優先使用
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
+const BUNDLED_PATH = path.join(__dirname, 'geography.json');
+const OVERRIDE_PATH = path.join(DATA_DIR, 'geography.json');
+
+// 未指定縣市且名稱重複時優先採用的縣市 (台北、新北)
+const DEFAULT_REGIONS = [1, 3];
+
+// 行政區名稱的結尾 (「西屯區」也可以輸入「西屯」)
+const SECTION_SUFFIX = /(區|鄉|鎮|市)$/;
+
+// 縣市列表 (重新載入時原地更新，其他模組持有的參照仍有效)
+const COUNTIES = [];
+
+/**
+ * 統一地名寫法 (臺 → 台、去除空白)
+ */
+function normalizePlaceName(text) {
+    return String(text || '').replace(/臺/g, '台').replace(/\s+/g, '');
+}
+
+/**
+ * 行政區可接受的名稱 (全名 + 去掉「區/鄉/鎮/市」的簡稱，簡稱至少兩個字)
+ */
+function getSectionAliases(section) {
+    const aliases = [section.name, ...(section.aliases || [])];
+    const short = section.name.replace(SECTION_SUFFIX, '');
+    if (short.length >= 2) aliases.push(short);
+    return [...new Set(aliases.map(normalizePlaceName))];
+}
+
+// 查詢索引
+const countyById = new Map();
+const countyByAlias = new Map();
+const sectionsByAlias = new Map(); // 名稱 → [{ county, section }] (可能跨縣市重複)
+let countyAliasesByLength = [];    // 縣市名稱由長到短，用於拆解「台中市西屯區」這類連在一起的輸入
+let metadata = {};                 // counties 以外的欄位 (source、updatedAt)
+
+/**
+ * 載入縣市資料並重建索引
+ * @param {object} data - geography.json 格式 { counties: [...] }
+ */
+function loadGeography(data) {
+    const { counties, ...rest } = data;
+    metadata = rest;
+    COUNTIES.splice(0, COUNTIES.length, ...counties);
+    countyById.clear();
+    countyByAlias.clear();
+    sectionsByAlias.clear();
+
+    for (const county of COUNTIES) {
+        countyById.set(county.id, county);
+        [county.name, ...county.aliases].forEach(alias => countyByAlias.set(normalizePlaceName(alias), county));
+
+        for (const section of county.sections) {
+            for (const alias of getSectionAliases(section)) {
+                if (!sectionsByAlias.has(alias)) sectionsByAlias.set(alias, []);
+                sectionsByAlias.get(alias).push({ county, section });
+            }
+        }
+    }
+
+    countyAliasesByLength = [...countyByAlias.keys()].sort((a, b) => b.length - a.length);
+}
+
+/**
+ * 讀取縣市資料 (優先使用同步後的 DATA_DIR/geography.json)
+ */
+function readGeographyFile() {
+    if (fs.existsSync(OVERRIDE_PATH)) {
+        try {
+            return JSON.parse(fs.readFileSync(OVERRIDE_PATH, 'utf8'));
+        } catch (error) {
+            console.error(`❌ 讀取 ${OVERRIDE_PATH} 失敗，改用內建資料:`, error.message);
+        }
+    }
+    return JSON.parse(fs.readFileSync(BUNDLED_PATH, 'utf8'));
+}
+
+/**
+ * 目前的縣市資料 (深拷貝，修改不影響查詢)
+ */
+function getGeographyData() {
+    return { ...metadata, counties: JSON.parse(JSON.stringify(COUNTIES)) };
+}
+
+loadGeography(readGeographyFile());
+
+/**
+ * 依代碼取得縣市
+ */
+function getCounty(regionId) {
+    return countyById.get(Number(regionId)) || null;
+}
+
+/**
+ * 依代碼取得行政區
+ */
+function getSection(regionId, sectionId) {
+    const county = getCounty(regionId);
+    if (!county) return null;
+    return county.sections.find(s => s.id === Number(sectionId)) || null;
+}
+
+/**
+ * 依名稱找縣市 (「台中」、「台中市」、「臺中市」)
+ */
+function findCounty(text) {
+    return countyByAlias.get(normalizePlaceName(text)) || null;
+}
+
+/**
+ * 依名稱找行政區，名稱重複時回傳所有縣市的結果
+ * @param {string} text - 行政區名稱
+ * @param {number} regionId - 只找此縣市 (可選)
+ * @returns {Array<{county: object, section: object}>}
+ */
+function findSections(text, regionId = null) {
+    const matches = sectionsByAlias.get(normalizePlaceName(text)) || [];
+    return regionId ? matches.filter(m => m.county.id === regionId) : matches;
+}
+
+/**
+ * 建立搜尋目標 (scraper 使用的 { region, section, name } 格式)
+ * 沒有行政區時為整個縣市
+ */
+function buildTarget(county, section = null) {
+    if (!section) {
+        return { region: county.id, name: `${county.name}全區` };
+    }
+    return { region: county.id, section: section.id, name: `${county.name}-${section.name}` };
+}
+
+/**
+ * 從重複的行政區中挑一個：依序看各組偏好縣市，只有一個符合時採用
+ * @param {Array} matches - findSections 的結果
+ * @param {number[][]} preferTiers - 偏好縣市 (依優先順序分組)
+ */
+function pickPreferred(matches, preferTiers) {
+    if (matches.length === 1) return matches[0];
+
+    for (const regions of preferTiers) {
+        const preferred = matches.filter(m => regions.includes(m.county.id));
+        if (preferred.length === 1) return preferred[0];
+    }
+    return null;
+}
+
+/**
+ * 拆解「台中西屯」、「台中市西屯區」這類縣市與行政區連在一起的輸入
+ */
+function splitCountyPrefix(token) {
+    for (const alias of countyAliasesByLength) {
+        if (token.length > alias.length && token.startsWith(alias)) {
+            const county = countyByAlias.get(alias);
+            const matches = findSections(token.substring(alias.length), county.id);
+            if (matches.length > 0) return matches;
+        }
+    }
+    return [];
+}
+
+/**
+ * 解析用戶輸入的地區 (縣市、行政區或「縣市 行政區」組合)
+ *
+ * 規則:
+ *   - 縣市後面的行政區屬於該縣市：「台中 西屯 南屯」
+ *   - 縣市後面沒有行政區時搜尋整個縣市：「台中」、「台北 台中 西屯」中的台北
+ *   - 多個縣市都有的行政區 (東區、中山) 依偏好縣市判斷，仍無法判斷時列入 ambiguous
+ *
+ * @param {string} text - 用戶輸入
+ * @param {object} options
+ * @param {number[]} options.preferRegions - 優先採用的縣市 (通常是用戶目前設定的縣市)
+ * @returns {{ targets: Array, unknown: string[], ambiguous: Array<{input: string, candidates: Array}> }}
+ */
+function resolvePlaces(text, { preferRegions = [] } = {}) {
+    const tokens = String(text || '').split(/[\s,，、]+/).map(normalizePlaceName).filter(Boolean);
+    const targets = [];
+    const unknown = [];
+    const ambiguous = [];
+
+    const addTarget = (target) => {
+        if (!targets.some(t => t.region === target.region && t.section === target.section)) {
+            targets.push(target);
+        }
+    };
+
+    let scope = null;      // 目前的縣市
+    let scopeUsed = false; // 縣市後面是否接了行政區
+
+    const closeScope = () => {
+        if (scope && !scopeUsed) addTarget(buildTarget(scope));
+        scope = null;
+        scopeUsed = false;
+    };
+
+    for (const token of tokens) {
+        const county = findCounty(token);
+        if (county) {
+            closeScope();
+            scope = county;
+            continue;
+        }
+
+        let matches = scope ? findSections(token, scope.id) : [];
+        const inScope = matches.length > 0;
+        if (!inScope) matches = findSections(token);
+        if (matches.length === 0) matches = splitCountyPrefix(token);
+
+        if (matches.length === 0) {
+            unknown.push(token);
+            continue;
+        }
+
+        // 同一次輸入中已選定的縣市最優先 (「西屯 東區」的東區是台中東區)
+        const picked = pickPreferred(matches, [targets.map(t => t.region), preferRegions, DEFAULT_REGIONS]);
+        if (picked) {
+            addTarget(buildTarget(picked.county, picked.section));
+            if (inScope) scopeUsed = true;
+        } else {
+            ambiguous.push({ input: token, candidates: matches.map(m => buildTarget(m.county, m.section)) });
+        }
+    }
+    closeScope();
+
+    return { targets, unknown, ambiguous };
+}
+
+/**
+ * 產生「名稱 → 行政區代碼」對照表 (舊版 SECTIONS 格式，名稱須在這些縣市內不重複)
+ * @param {number[]} regionIds
+ */
+function buildSectionMap(regionIds) {
+    const map = {};
+    for (const regionId of regionIds) {
+        const county = getCounty(regionId);
+        if (!county) continue;
+        county.sections.forEach(section => {
+            getSectionAliases(section).forEach(alias => {
+                map[alias] = section.id;
+            });
+        });
+    }
+    return map;
+}
+
+module.exports = {
+    COUNTIES,
+    DEFAULT_REGIONS,
+    BUNDLED_PATH,
+    OVERRIDE_PATH,
+    loadGeography,
+    getGeographyData,
+    normalizePlaceName,
+    getCounty,
+    getSection,
+    findCounty,
+    findSections,
+    buildTarget,
+    resolvePlaces,
+    buildSectionMap
+};
@@ -0,0 +1,355 @@
+/**
+ * 持久化工作佇列
+ * 取代原本的 isCrawling 旗標：所有爬蟲工作 (手動搜尋、排程、週報、收藏檢查) 都排入佇列依序執行，
+ * 佇列存放在 DATA_DIR/jobs.json，伺服器重啟後會繼續執行未完成的工作
+ *
+ * 功能:
+ *   - 失敗自動重試 (指數退避)
+ *   - 相同內容的待執行工作只保留一筆
+ *   - 每位用戶的手動工作數量限制
+ *   - 查詢工作在佇列中的順位
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { Mutex } = require('./mutex');
+
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
+const QUEUE_PATH = path.join(DATA_DIR, 'jobs.json');
+
+// 工作狀態
+const JOB_STATUS = {
+    PENDING: 'pending',
+    RUNNING: 'running',
+    DONE: 'done',
+    FAILED: 'failed'
+};
+
+// 觸發來源的優先順序 (數字越小越先執行)：用戶手動操作優先於排程
+const TRIGGER_PRIORITY = {
+    line: 0,
+    admin: 0,
+    schedule: 1,
+    weekly: 1,
+    retry: 1
+};
+
+// 已結束的工作保留筆數 (供限流計算與查詢)
+const MAX_FINISHED_JOBS = 200;
+
+class JobQueue {
+    /**
+     * @param {object} options
+     * @param {string} options.filePath - 佇列檔案位置
+     * @param {number} options.maxAttempts - 最多嘗試次數
+     * @param {number} options.backoffMs - 第一次重試的等待時間 (之後每次加倍)
+     * @param {number} options.cooldownMs - 每個工作之間的間隔 (避免對 591 請求過密)
+     * @param {number} options.pollMs - 檢查延後工作的間隔
+     * @param {object} options.userRateLimit - 每位用戶的手動工作限制 { max, windowMs }
+     */
+    constructor({
+        filePath = QUEUE_PATH,
+        maxAttempts = 3,
+        backoffMs = 60 * 1000,
+        cooldownMs = 5000,
+        pollMs = 10 * 1000,
+        userRateLimit = { max: 6, windowMs: 60 * 60 * 1000 }
+    } = {}) {
+        this.filePath = filePath;
+        this.maxAttempts = maxAttempts;
+        this.backoffMs = backoffMs;
+        this.cooldownMs = cooldownMs;
+        this.pollMs = pollMs;
+        this.userRateLimit = userRateLimit;
+
+        this.jobs = [];
+        this.handlers = {};
+        this.mutex = new Mutex();
+        this.writeMutex = new Mutex();
+        this.processing = false;
+        this.started = false;
+        this.timer = null;
+    }
+
+    /**
+     * 註冊工作處理函數
+     * @param {string} type - 工作類型
+     * @param {Function} handler - async (job) => result，丟出錯誤代表失敗 (會重試)
+     */
+    register(type, handler) {
+        this.handlers[type] = handler;
+    }
+
+    /**
+     * 載入佇列檔案並開始處理
+     * 上次關機時執行到一半的工作會重新排回待執行
+     */
+    async start() {
+        try {
+            const raw = await fs.promises.readFile(this.filePath, 'utf8');
+            this.jobs = JSON.parse(raw);
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error('❌ 讀取工作佇列失敗，改用空白佇列:', error.message);
+            }
+            this.jobs = [];
+        }
+
+        const interrupted = this.jobs.filter(j => j.status === JOB_STATUS.RUNNING);
+        interrupted.forEach(job => {
+            job.status = JOB_STATUS.PENDING;
+        });
+        await this.persist();
+        this.started = true;
+
+        const pendingCount = this.jobs.filter(j => j.status === JOB_STATUS.PENDING).length;
+        console.log(`✅ 工作佇列已就緒: ${pendingCount} 筆待執行${interrupted.length ? ` (含 ${interrupted.length} 筆重啟前中斷的工作)` : ''}`);
+
+        this.timer = setInterval(() => this.process(), this.pollMs);
+        this.timer.unref();
+        this.process();
+    }
+
+    /**
+     * 停止定時檢查 (執行中的工作會繼續跑完)
+     */
+    stop() {
+        if (this.timer) clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    /**
+     * 加入工作
+     * @param {object} spec - { type, userId, trigger, payload, delayMs }
+     *   delayMs: 延後多久才執行 (例如讀取失敗的地區稍後重試)
+     * @returns {Promise<{job: object, position: number, duplicate: boolean, rateLimited: boolean, retryAfterMs: number}>}
+     *   position: 前面還有幾個工作 (0 代表下一個就輪到)
+     */
+    async enqueue({ type, userId = '', trigger = 'schedule', payload = {}, delayMs = 0 }) {
+        if (!this.handlers[type]) {
+            throw new Error(`未知的工作類型: ${type}`);
+        }
+
+        await this.mutex.lock();
+        try {
+            const dedupeKey = this.buildDedupeKey(type, userId, payload);
+
+            // 相同內容的工作已在排隊或執行中
+            const existing = this.jobs.find(j => j.dedupeKey === dedupeKey &&
+                (j.status === JOB_STATUS.PENDING || j.status === JOB_STATUS.RUNNING));
+            if (existing) {
+                return { job: existing, position: this.getPosition(existing.id), duplicate: true, rateLimited: false, retryAfterMs: 0 };
+            }
+
+            // 手動工作限流
+            const retryAfterMs = this.getRateLimitDelay(userId, trigger);
+            if (retryAfterMs > 0) {
+                return { job: null, position: -1, duplicate: false, rateLimited: true, retryAfterMs };
+            }
+
+            const now = new Date().toISOString();
+            const job = {
+                id: `${Date.now().toString(36)}${crypto.randomBytes(3).toString('hex')}`,
+                type,
+                userId,
+                trigger,
+                payload,
+                dedupeKey,
+                priority: TRIGGER_PRIORITY[trigger] ?? 1,
+                status: JOB_STATUS.PENDING,
+                attempts: 0,
+                runAt: delayMs > 0 ? new Date(Date.now() + delayMs).toISOString() : now,
+                createdAt: now,
+                startedAt: null,
+                finishedAt: null,
+                lastError: ''
+            };
+            this.jobs.push(job);
+            await this.persist();
+
+            console.log(`📥 工作已加入佇列: ${type} (${trigger}${userId ? `, 用戶 ${userId}` : ''})`);
+            return { job, position: this.getPosition(job.id), duplicate: false, rateLimited: false, retryAfterMs: 0 };
+        } finally {
+            this.mutex.release();
+            setImmediate(() => this.process());
+        }
+    }
+
+    /**
+     * 產生去重用的 key (類型 + 用戶 + 工作內容)
+     */
+    buildDedupeKey(type, userId, payload) {
+        const hash = crypto.createHash('sha1').update(JSON.stringify(payload)).digest('hex').substring(0, 12);
+        return `${type}:${userId}:${hash}`;
+    }
+
+    /**
+     * 計算用戶還要等多久才能再加入手動工作 (0 代表不用等)
+     * 只限制用戶自己觸發的工作 (line)，排程與管理後台不受限
+     */
+    getRateLimitDelay(userId, trigger) {
+        if (!userId || trigger !== 'line' || !this.userRateLimit) return 0;
+
+        const { max, windowMs } = this.userRateLimit;
+        const since = Date.now() - windowMs;
+        const recent = this.jobs
+            .filter(j => j.userId === userId && j.trigger === 'line' && new Date(j.createdAt).getTime() > since)
+            .map(j => new Date(j.createdAt).getTime())
+            .sort((a, b) => a - b);
+
+        if (recent.length < max) return 0;
+        return recent[recent.length - max] + windowMs - Date.now();
+    }
+
+    /**
+     * 依執行順序排列的待執行工作 (優先順序 → 加入時間)
+     */
+    getPendingJobs() {
+        return this.jobs
+            .filter(j => j.status === JOB_STATUS.PENDING)
+            .sort((a, b) => a.priority - b.priority || a.createdAt.localeCompare(b.createdAt));
+    }
+
+    /**
+     * 工作前面還有幾個工作 (執行中的也算，還沒到執行時間的重試 / 延後工作不算)，找不到回傳 -1
+     */
+    getPosition(jobId) {
+        const running = this.jobs.filter(j => j.status === JOB_STATUS.RUNNING);
+        if (running.some(j => j.id === jobId)) return 0;
+
+        const pending = this.getPendingJobs();
+        const index = pending.findIndex(j => j.id === jobId);
+        if (index < 0) return -1;
+        const now = Date.now();
+        const ahead = pending.slice(0, index).filter(j => new Date(j.runAt).getTime() <= now);
+        return running.length + ahead.length;
+    }
+
+    /**
+     * 佇列概況
+     */
+    getStats() {
+        const count = (status) => this.jobs.filter(j => j.status === status).length;
+        return {
+            pending: count(JOB_STATUS.PENDING),
+            running: count(JOB_STATUS.RUNNING),
+            done: count(JOB_STATUS.DONE),
+            failed: count(JOB_STATUS.FAILED)
+        };
+    }
+
+    /**
+     * 目前的工作清單 (執行中 + 待執行 + 最近結束的)
+     */
+    getJobs(limit = 50) {
+        const running = this.jobs.filter(j => j.status === JOB_STATUS.RUNNING);
+        const finished = this.jobs
+            .filter(j => j.status === JOB_STATUS.DONE || j.status === JOB_STATUS.FAILED)
+            .slice(-limit)
+            .reverse();
+        return { running, pending: this.getPendingJobs(), finished };
+    }
+
+    /**
+     * 是否有工作在執行或等待
+     */
+    isBusy() {
+        const { pending, running } = this.getStats();
+        return pending + running > 0;
+    }
+
+    /**
+     * 依序執行到期的工作 (同時只執行一個)
+     */
+    async process() {
+        // 佇列檔案載入前不執行，避免與重啟前的工作衝突
+        if (!this.started || this.processing) return;
+        this.processing = true;
+
+        try {
+            let job;
+            while ((job = this.getPendingJobs().find(j => new Date(j.runAt) <= new Date()))) {
+                await this.runJob(job);
+                if (this.cooldownMs > 0) {
+                    await new Promise(resolve => setTimeout(resolve, this.cooldownMs));
+                }
+            }
+        } catch (error) {
+            // 由 setInterval / setImmediate 呼叫，不能讓錯誤變成未處理的 Promise rejection (會讓程序結束)
+            console.error('❌ 工作佇列處理失敗，下次檢查時繼續:', error);
+        } finally {
+            this.processing = false;
+        }
+    }
+
+    /**
+     * 執行單一工作，失敗時依退避時間重新排入或標記為失敗
+     */
+    async runJob(job) {
+        job.status = JOB_STATUS.RUNNING;
+        job.attempts += 1;
+        job.startedAt = new Date().toISOString();
+        await this.persist();
+
+        // 讓處理函數知道是否為最後一次嘗試 (例如只在最後一次失敗才通知用戶)
+        const context = { ...job, isFinalAttempt: job.attempts >= this.maxAttempts };
+
+        try {
+            console.log(`▶️ 開始執行工作 ${job.id}: ${job.type} (第 ${job.attempts} 次)`);
+            await this.handlers[job.type](context);
+            job.status = JOB_STATUS.DONE;
+            job.lastError = '';
+        } catch (error) {
+            job.lastError = error.message;
+
+            if (job.attempts < this.maxAttempts) {
+                const delay = this.backoffMs * Math.pow(2, job.attempts - 1);
+                job.status = JOB_STATUS.PENDING;
+                job.runAt = new Date(Date.now() + delay).toISOString();
+                console.error(`⚠️ 工作 ${job.id} 失敗，${Math.round(delay / 1000)} 秒後重試: ${error.message}`);
+            } else {
+                job.status = JOB_STATUS.FAILED;
+                console.error(`❌ 工作 ${job.id} 已失敗 ${job.attempts} 次，放棄: ${error.message}`);
+            }
+        }
+
+        if (job.status !== JOB_STATUS.PENDING) {
+            job.finishedAt = new Date().toISOString();
+        }
+        this.pruneFinished();
+        await this.persist();
+    }
+
+    /**
+     * 移除過舊的已結束工作
+     */
+    pruneFinished() {
+        const finished = this.jobs.filter(j => j.status === JOB_STATUS.DONE || j.status === JOB_STATUS.FAILED);
+        if (finished.length <= MAX_FINISHED_JOBS) return;
+
+        const removeIds = new Set(finished.slice(0, finished.length - MAX_FINISHED_JOBS).map(j => j.id));
+        this.jobs = this.jobs.filter(j => !removeIds.has(j.id));
+    }
+
+    /**
+     * 寫入佇列檔案 (先寫暫存檔再改名，避免寫到一半當機造成檔案損毀)
+     */
+    async persist() {
+        await this.writeMutex.lock();
+        try {
+            await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+            const tmpPath = `${this.filePath}.tmp`;
+            await fs.promises.writeFile(tmpPath, JSON.stringify(this.jobs, null, 2));
+            await fs.promises.rename(tmpPath, this.filePath);
+        } finally {
+            this.writeMutex.release();
+        }
+    }
+}
+
+module.exports = {
+    JobQueue,
+    JOB_STATUS,
+    QUEUE_PATH
+};
@@ -37,6 +37,14 @@ function sanitizeText(text) {
         .trim();
 }
 const { getContactInfo } = require('./scraper');
+const { formatKeywords, formatFilterProfile, parseFilterProfile } = require('./filters');
+const { PRICE_ALERT_LABELS, formatPriceTrail } = require('./priceHistory');
+const { formatCostBreakdown, formatCostProfile, parseCostProfile, COST_BASIS_LABELS } = require('./cost');
+const { isFavoriteGone, LISTING_STATE_LABELS } = require('./favoriteCheck');
+const { getListingUrl, getSourceName, DEFAULT_SOURCE } = require('./sources');
+const { getNormalized, formatLayoutSummary, formatStation } = require('./normalize');
+const { formatStationLines, formatStationName } = require('./metro');
+const { sortByCommute, formatCommute } = require('./commute');
 
 // LINE Bot 設定
 const config = {
@@ -77,19 +85,108 @@ async function startLoading(userId, seconds = 20) {
     }
 }
 
+// 詳情頁的「可/不可」條件 (卡片顯示用)
+const DETAIL_PERMISSION_LABELS = {
+    canRegister: '入籍',
+    canFileTax: '報稅',
+    canSubsidy: '租補'
+};
+
+/**
+ * 詳情頁資料的卡片文字 (押金、管理費、租期、遷入日 / 可否入籍報稅租補 / 設備)
+ * @param {object|null} details - scraper.enrichListings 補上的 listing.details
+ * @returns {{ terms: string, permissions: string, equipments: string }}
+ */
+function formatListingDetails(details) {
+    if (!details) return { terms: '', permissions: '', equipments: '' };
+
+    const terms = [
+        details.deposit && `押金${details.deposit}`,
+        details.managementFee && `管理費${details.managementFee}`,
+        details.minLease && `最短${details.minLease}`,
+        details.moveInDate && `${details.moveInDate}遷入`
+    ].filter(Boolean).join('・');
+
+    const permissions = Object.entries(DETAIL_PERMISSION_LABELS)
+        .filter(([key]) => typeof details[key] === 'boolean')
+        .map(([key, label]) => `${details[key] ? '✅可' : '❌不可'}${label}`)
+        .join(' ');
+
+    const equipments = (details.equipments || []).length > 6
+        ? `${details.equipments.slice(0, 6).join('、')}…`
+        : (details.equipments || []).join('、');
+
+    return { terms, permissions, equipments };
+}
+
+/**
+ * 推播訊息開頭的命名搜尋標示 (只有預設搜尋時 searchName 為空，不標示)
+ */
+function formatSearchLabel(searchName) {
+    return searchName ? `🔖【${sanitizeText(searchName)}】\n` : '';
+}
+
+/**
+ * 卡片內的一行資訊 (圖示 + 文字)
+ */
+function buildInfoRow(icon, text) {
+    return {
+        type: 'box',
+        layout: 'horizontal',
+        contents: [
+            {
+                type: 'text',
+                text: icon,
+                size: 'sm',
+                flex: 0
+            },
+            {
+                type: 'text',
+                text: sanitizeText(text),
+                size: 'sm',
+                color: '#666666',
+                margin: 'sm',
+                wrap: true,
+                maxLines: 2
+            }
+        ],
+        margin: 'sm'
+    };
+}
+
 /**
  * 格式化單一物件訊息 (返回單一 bubble)
  */
 function formatListing(listing, index) {
-    const priceFormatted = listing.price.toLocaleString();
+    let priceFormatted = `${listing.price.toLocaleString()} 元/月`;
+    // 降價或重新刊登時附上原價
+    if (listing.previousPrice && listing.previousPrice !== listing.price) {
+        priceFormatted += ` (原 ${listing.previousPrice.toLocaleString()})`;
+    }
     // 清理並截短標題 (避免過長與無效字符)
     const cleanTitle = sanitizeText(listing.title) || '未知標題';
     const shortTitle = cleanTitle.length > 25
         ? cleanTitle.substring(0, 25) + '...'
         : cleanTitle;
 
-    // 確保 URL 有效
-    const validUrl = (url) => url && (url.startsWith('http://') || url.startsWith('https://')) ? url : 'https://rent.591.com.tw';
+    // 詳情頁資料 (有抓到才顯示)
+    const detailText = formatListingDetails(listing.details);
+
+    // 類型・坪數・樓層・每坪租金 (見 normalize.js)
+    const normalized = getNormalized(listing);
+    const layoutText = [
+        formatLayoutSummary(normalized),
+        normalized.rentPerPing && `每坪 ${normalized.rentPerPing.toLocaleString()} 元`
+    ].filter(Boolean).join('・');
+
+    // 最近車站與經過的路線 (見 metro.js)，車站不在資料中時只顯示站名與距離
+    const stationLines = formatStationLines(normalized.station);
+    const stationText = stationLines
+        ? `${stationLines}${normalized.walkMeters !== null ? ` ${normalized.walkMeters}m` : ''}`
+        : formatStation(normalized) || sanitizeText(listing.subway) || '近捷運';
+
+    // 確保 URL 有效 (沒有時依物件 ID 推算來源網站的網址)
+    const validUrl = (url) => url && (url.startsWith('http://') || url.startsWith('https://')) ? url : (getListingUrl(listing.id) || 'https://rent.591.com.tw');
     const listingUrl = validUrl(listing.url);
 
     // 處理圖片 URL (取第一張有效圖片)
@@ -160,7 +257,7 @@ function formatListing(listing, index) {
                         },
                         {
                             type: 'text',
-                            text: `${priceFormatted} 元/月`,
+                            text: priceFormatted,
                             size: 'sm',
                             color: '#E74C3C',
                             weight: 'bold',
@@ -168,6 +265,29 @@ function formatListing(listing, index) {
                         }
                     ]
                 },
+                // 估計每月總花費 (租金 + 管理費、水電、網路)
+                ...(listing.cost && listing.cost.extra > 0 ? [{
+                    type: 'box',
+                    layout: 'horizontal',
+                    contents: [
+                        {
+                            type: 'text',
+                            text: '🧾',
+                            size: 'sm',
+                            flex: 0
+                        },
+                        {
+                            type: 'text',
+                            text: sanitizeText(`總計約 ${listing.cost.total.toLocaleString()} 元/月 (${formatCostBreakdown(listing.cost)})`),
+                            size: 'xs',
+                            color: '#E67E22',
+                            margin: 'sm',
+                            wrap: true,
+                            maxLines: 3
+                        }
+                    ],
+                    margin: 'sm'
+                }] : []),
                 {
                     type: 'box',
                     layout: 'horizontal',
@@ -190,6 +310,9 @@ function formatListing(listing, index) {
                     ],
                     margin: 'sm'
                 },
+                ...(layoutText ? [buildInfoRow('🏠', layoutText)] : []),
+                // 通勤時間 (用戶設定通勤目的地時，見 sendListingsNotification)
+                ...(listing.commute ? [buildInfoRow('🕒', formatCommute(listing.commute))] : []),
                 {
                     type: 'box',
                     layout: 'horizontal',
@@ -202,7 +325,7 @@ function formatListing(listing, index) {
                         },
                         {
                             type: 'text',
-                            text: sanitizeText(listing.subway) || '近捷運',
+                            text: stationText,
                             size: 'sm',
                             color: '#666666',
                             margin: 'sm',
@@ -210,7 +333,35 @@ function formatListing(listing, index) {
                         }
                     ],
                     margin: 'sm'
-                }
+                },
+                // 詳情頁資料 (押金 / 可否入籍 / 設備)
+                ...(detailText.terms ? [buildInfoRow('📝', detailText.terms)] : []),
+                ...(detailText.permissions ? [buildInfoRow('🏛️', detailText.permissions)] : []),
+                ...(detailText.equipments ? [buildInfoRow('🛋️', detailText.equipments)] : []),
+                // 非 591 的物件標示來源網站
+                ...(listing.source && listing.source !== DEFAULT_SOURCE ? [buildInfoRow('🌐', getSourceName(listing.source))] : []),
+                // 符合的關鍵字 (有設定關鍵字時才顯示)
+                ...(listing.matchedKeywords && listing.matchedKeywords.length > 0 ? [{
+                    type: 'box',
+                    layout: 'horizontal',
+                    contents: [
+                        {
+                            type: 'text',
+                            text: '🔑',
+                            size: 'sm',
+                            flex: 0
+                        },
+                        {
+                            type: 'text',
+                            text: sanitizeText(listing.matchedKeywords.join('、')),
+                            size: 'sm',
+                            color: '#8E44AD',
+                            margin: 'sm',
+                            wrap: true
+                        }
+                    ],
+                    margin: 'sm'
+                }] : [])
             ],
             spacing: 'sm'
         },
@@ -249,8 +400,11 @@ function formatListing(listing, index) {
 
 /**
  * 發送物件清單通知
+ * @param {string} userId - LINE 用戶 ID
+ * @param {Array} listings - 物件列表
+ * @param {object} context - 搜尋條件 { minRent, maxRent, keywords, filters }，用於摘要顯示
  */
-async function sendListingsNotification(userId, listings) {
+async function sendListingsNotification(userId, listings, context = {}) {
     if (!listings || listings.length === 0) {
         // 沒有新物件
         await client.pushMessage({
@@ -271,13 +425,33 @@ async function sendListingsNotification(userId, listings) {
     }))].filter(r => r).map(r => sanitizeText(r)).filter(r => r).join('、');
 
     const displayRegion = regions || '台北市、新北市';
+    const { minRent = 8000, maxRent = 12000, keywords = '', filters = '', costProfile = '', searchName = '' } = context;
+    const basisLabel = COST_BASIS_LABELS[parseCostProfile(costProfile).basis] || COST_BASIS_LABELS.rent;
+
+    // 有設定通勤目的地時，卡片依通勤時間排序 (短到長)
+    const { commuteStation } = parseFilterProfile(filters);
+    if (commuteStation) {
+        listings = sortByCommute(listings, commuteStation);
+    }
+    const commuteLine = commuteStation ? `\n排序：到${formatStationName(commuteStation)}的通勤時間` : '';
+
+    // 關鍵字摘要：設定內容 + 實際命中的關鍵字
+    let keywordLine = '';
+    const keywordDisplay = formatKeywords(keywords);
+    if (keywordDisplay) {
+        const matched = [...new Set(listings.flatMap(l => l.matchedKeywords || []))];
+        keywordLine = `\n關鍵字：${keywordDisplay}`;
+        if (matched.length > 0) {
+            keywordLine += `\n符合：${matched.join('、')}`;
+        }
+    }
 
     // 發送摘要訊息
     await client.pushMessage({
         to: userId,
         messages: [{
             type: 'text',
-            text: `🏠 找到 ${listings.length} 間符合條件的房屋！\n\n條件：租金 8,000-12,000 元、近捷運、可開伙、乾濕分離\n地區：${displayRegion}\n\n⬇️ 滑動查看詳情`
+            text: `${formatSearchLabel(searchName)}🏠 找到 ${listings.length} 間符合條件的房屋！\n\n條件：${basisLabel} ${minRent.toLocaleString()}-${maxRent.toLocaleString()} 元、${formatFilterProfile(filters)}${keywordLine}\n地區：${displayRegion}${commuteLine}\n\n⬇️ 滑動查看詳情`
         }]
     });
 
@@ -299,7 +473,7 @@ async function sendListingsNotification(userId, listings) {
             to: userId,
             messages: [{
                 type: 'flex',
-                altText: `找到 ${chunk.length} 間房屋`,
+                altText: `${searchName ? `[${searchName}] ` : ''}找到 ${chunk.length} 間房屋`,
                 contents: {
                     type: 'carousel',
                     contents: bubblesToSend
@@ -314,6 +488,52 @@ async function sendListingsNotification(userId, listings) {
     console.log(`✅ 已發送 ${listings.length} 間物件通知給用戶 ${userId}`);
 }
 
+/**
+ * 發送降價 / 重新刊登通知
+ * @param {string} userId - LINE 用戶 ID
+ * @param {Array} alerts - [{ type: 'drop'|'relist', listing, oldPrice, newPrice, history }]
+ */
+async function sendPriceAlerts(userId, alerts) {
+    if (!alerts || alerts.length === 0) return;
+
+    const lines = alerts.map(alert => {
+        const title = sanitizeText(alert.listing.title).substring(0, 20);
+        const label = alert.type === 'relist' ? '🔁 重新刊登' : '📉 降價';
+        const priceText = alert.oldPrice && alert.oldPrice !== alert.newPrice
+            ? `${alert.oldPrice.toLocaleString()} → ${alert.newPrice.toLocaleString()} 元`
+            : `${alert.newPrice.toLocaleString()} 元`;
+        let line = `${label}：${title}\n   ${priceText}`;
+
+        const trail = formatPriceTrail(alert.history || []);
+        if (trail.includes('→')) {
+            line += `\n   歷史：${trail}`;
+        }
+        return line;
+    });
+
+    const bubbles = alerts.slice(0, 10).map((alert, index) => formatListing(alert.listing, index));
+
+    await client.pushMessage({
+        to: userId,
+        messages: [
+            {
+                type: 'text',
+                text: `💲 你關注的物件有價格變動！\n\n${lines.join('\n\n')}\n\n輸入「降價通知」可調整通知範圍`
+            },
+            {
+                type: 'flex',
+                altText: `${alerts.length} 間物件價格變動`,
+                contents: {
+                    type: 'carousel',
+                    contents: bubbles
+                }
+            }
+        ]
+    });
+
+    console.log(`✅ 已發送 ${alerts.length} 筆價格變動通知給用戶 ${userId}`);
+}
+
 /**
  * 處理 Postback 事件（使用者點擊按鈕）
  */
@@ -376,7 +596,7 @@ async function handlePostback(event) {
 
         // 連結
         replyParts.push('');
-        replyParts.push(`🔗 https://rent.591.com.tw/${id}`);
+        replyParts.push(`🔗 ${getListingUrl(id)}`);
 
         // 發送詳細訊息 (使用 push 因為 reply token 已用過)
         // await client.pushMessage({ ... }); // 移到 server.js 處理，以便判斷是否重複
@@ -400,6 +620,9 @@ async function handlePostback(event) {
  * LINE Webhook middleware
  */
 function lineMiddleware() {
+    if (!config.channelSecret) {
+        throw new Error('缺少 LINE_CHANNEL_SECRET，無法驗證 Webhook 簽章');
+    }
     return middleware(config);
 }
 
@@ -480,6 +703,15 @@ async function sendUserSettings(userId, user, replyToken = null) {
                 type: 'box',
                 layout: 'vertical',
                 contents: [
+                    // 目前編輯中的命名搜尋 (見 savedSearches.applyActiveSearch)
+                    ...(user.searchName ? [{
+                        type: 'box',
+                        layout: 'horizontal',
+                        contents: [
+                            { type: 'text', text: '🔖 搜尋', size: 'sm', color: '#888888', flex: 2 },
+                            { type: 'text', text: user.searchName, size: 'sm', weight: 'bold', flex: 3, wrap: true }
+                        ]
+                    }] : []),
                     {
                         type: 'box',
                         layout: 'horizontal',
@@ -502,7 +734,34 @@ async function sendUserSettings(userId, user, replyToken = null) {
                         layout: 'horizontal',
                         contents: [
                             { type: 'text', text: '🔑 關鍵字', size: 'sm', color: '#888888', flex: 2 },
-                            { type: 'text', text: user.keywords || '(未設定)', size: 'sm', flex: 3 }
+                            { type: 'text', text: formatKeywords(user.keywords) || '(未設定)', size: 'sm', flex: 3, wrap: true }
+                        ],
+                        margin: 'md'
+                    },
+                    {
+                        type: 'box',
+                        layout: 'horizontal',
+                        contents: [
+                            { type: 'text', text: '🏷️ 條件', size: 'sm', color: '#888888', flex: 2 },
+                            { type: 'text', text: formatFilterProfile(user.filters), size: 'sm', flex: 3, wrap: true }
+                        ],
+                        margin: 'md'
+                    },
+                    {
+                        type: 'box',
+                        layout: 'horizontal',
+                        contents: [
+                            { type: 'text', text: '💲 降價通知', size: 'sm', color: '#888888', flex: 2 },
+                            { type: 'text', text: PRICE_ALERT_LABELS[user.priceAlert] || PRICE_ALERT_LABELS.favorites, size: 'sm', flex: 3, wrap: true }
+                        ],
+                        margin: 'md'
+                    },
+                    {
+                        type: 'box',
+                        layout: 'horizontal',
+                        contents: [
+                            { type: 'text', text: '🧾 費用', size: 'sm', color: '#888888', flex: 2 },
+                            { type: 'text', text: formatCostProfile(user.costProfile), size: 'sm', flex: 3, wrap: true }
                         ],
                         margin: 'md'
                     },
@@ -545,8 +804,44 @@ async function sendUserSettings(userId, user, replyToken = null) {
     }
 }
 
+/**
+ * 收藏的刊登狀態文字 (例: 「刊登中 · 待聯繫 (10/19 確認)」、「已出租」)
+ */
+function formatFavoriteState(fav) {
+    if (isFavoriteGone(fav)) return fav.status;
+    if (!fav.checkedAt) return fav.status || '待確認';
+
+    const checkedDate = fav.checkedAt.split(' ')[0];
+    return `${LISTING_STATE_LABELS.live}${fav.status ? ` · ${fav.status}` : ''} (${checkedDate} 確認)`;
+}
+
+/**
+ * 發送收藏物件已下架 / 出租的通知
+ * @param {string} userId - LINE 用戶 ID
+ * @param {Array} favorites - 已下架的收藏 (status 為已出租 / 已下架)
+ */
+async function sendFavoritesGoneNotice(userId, favorites) {
+    if (!favorites || favorites.length === 0) return;
+
+    const lines = favorites.map((fav, index) => {
+        const title = sanitizeText(fav.title).substring(0, 20) || fav.id;
+        return `${index + 1}. ${title}\n   ${fav.status}｜${fav.price.toLocaleString()} 元/月`;
+    });
+
+    await client.pushMessage({
+        to: userId,
+        messages: [{
+            type: 'text',
+            text: `🚫 你收藏的 ${favorites.length} 間物件已經不在 591 上了：\n\n${lines.join('\n')}\n\n輸入「收藏」查看目前狀態`
+        }]
+    });
+
+    console.log(`✅ 已通知用戶 ${userId}: ${favorites.length} 間收藏已下架`);
+}
+
 /**
  * 發送用戶收藏清單
+ * @param {string|null} gasWebAppUrl - 網頁版清單 (Apps Script) 網址，未傳入時使用 APPS_SCRIPT_URL 環境變數
  */
 async function sendMyFavorites(userId, favorites, replyToken = null, gasWebAppUrl = null) {
     if (!favorites || favorites.length === 0) {
@@ -605,6 +900,23 @@ async function sendMyFavorites(userId, favorites, replyToken = null, gasWebAppUr
                         { type: 'text', text: sanitizeText(fav.phone) || '無電話', size: 'xs', color: '#666666', margin: 'sm' }
                     ],
                     margin: 'sm'
+                },
+                {
+                    type: 'box',
+                    layout: 'horizontal',
+                    contents: [
+                        { type: 'text', text: '📌', size: 'sm', flex: 0 },
+                        {
+                            type: 'text',
+                            text: formatFavoriteState(fav),
+                            size: 'xs',
+                            color: isFavoriteGone(fav) ? '#E74C3C' : '#27AE60',
+                            weight: 'bold',
+                            margin: 'sm',
+                            wrap: true
+                        }
+                    ],
+                    margin: 'sm'
                 }
             ],
             spacing: 'sm'
@@ -629,8 +941,9 @@ async function sendMyFavorites(userId, favorites, replyToken = null, gasWebAppUr
         }
     }));
 
-    const gasUrl = process.env.APPS_SCRIPT_URL
-        ? `${process.env.APPS_SCRIPT_URL}?userId=${userId}&view=favorites`
+    const webAppUrl = gasWebAppUrl || process.env.APPS_SCRIPT_URL;
+    const gasUrl = webAppUrl
+        ? `${webAppUrl}?userId=${userId}&view=favorites`
         : '(請設定 APPS_SCRIPT_URL 環境變數)';
 
     const summaryMessage = {
@@ -664,13 +977,14 @@ async function sendMyFavorites(userId, favorites, replyToken = null, gasWebAppUr
  * 發送週報 (Weekly Report)
  * @param {string} userId - LINE 用戶 ID
  * @param {Array} listings - 過去一週的物件列表
+ * @returns {Promise<Array>} 以卡片推播出去的物件 (供記錄推播紀錄)
  */
 async function sendWeeklyReport(userId, listings, context = {}) {
     const today = new Date().toLocaleDateString('zh-TW', { month: 'numeric', day: 'numeric' });
-    const { totalScanned = 0, userRegion = '', userMinRent = 0, userMaxRent = 0 } = context;
+    const { totalScanned = 0, userRegion = '', userMinRent = 0, userMaxRent = 0, searchName = '' } = context;
 
     if (!listings || listings.length === 0) {
-        let msg = `📊 [週報] ${today}\n\n`;
+        let msg = `${formatSearchLabel(searchName)}📊 [週報] ${today}\n\n`;
         msg += `本週系統共掃描 ${totalScanned.toLocaleString()} 筆物件，但沒有發現符合您條件的新物件。\n\n`;
         msg += `🔍 您的篩選條件：\n`;
         msg += `• 地區：${userRegion || '未設定'}\n`;
@@ -684,7 +998,7 @@ async function sendWeeklyReport(userId, listings, context = {}) {
                 text: msg
             }]
         });
-        return;
+        return [];
     }
 
     // 1. 發送文字統計摘要
@@ -705,16 +1019,32 @@ async function sendWeeklyReport(userId, listings, context = {}) {
         .map(([r, c]) => `${r}(${c})`)
         .join('、');
 
-    const summaryText = `📊 [每週租屋週報] ${today}
+    // 每坪租金與熱門車站 (來自結構化欄位，沒有坪數 / 車站的物件不列入)
+    const normalizedList = listings.map(getNormalized);
+    const perPing = normalizedList.map(n => n.rentPerPing).filter(Boolean);
+    const perPingText = perPing.length > 0
+        ? `\n每坪：平均 ${Math.round(perPing.reduce((a, b) => a + b, 0) / perPing.length).toLocaleString()} 元 (${perPing.length} 間有坪數)`
+        : '';
+    const stations = {};
+    normalizedList.forEach(n => {
+        if (n.station) stations[n.station] = (stations[n.station] || 0) + 1;
+    });
+    const topStations = Object.entries(stations)
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, 3)
+        .map(([s, c]) => `${s}(${c})`)
+        .join('、');
+
+    const summaryText = `${formatSearchLabel(searchName)}📊 [每週租屋週報] ${today}
     
 📅 本週系統共掃描 ${totalScanned.toLocaleString()} 筆物件，為您精選 ${listings.length} 間符合條件的好房！
 
 💰 租金行情：
 最低：${minPrice.toLocaleString()} 元
 最高：${maxPrice.toLocaleString()} 元
-平均：${avgPrice.toLocaleString()} 元
+平均：${avgPrice.toLocaleString()} 元${perPingText}
 
-📍 熱門區域：${topRegions}
+📍 熱門區域：${topRegions}${topStations ? `\n🚇 熱門車站：${topStations}` : ''}
 (您的條件: ${userRegion}, $${userMinRent}-$${userMaxRent})
 
 ⬇️ 精選物件推薦 (前 10 筆)`;
@@ -746,7 +1076,7 @@ async function sendWeeklyReport(userId, listings, context = {}) {
         to: userId,
         messages: [{
             type: 'flex',
-            altText: `本週精選 ${topListings.length} 間房屋`,
+            altText: `${searchName ? `[${searchName}] ` : ''}本週精選 ${topListings.length} 間房屋`,
             contents: {
                 type: 'carousel',
                 contents: bubbles
@@ -755,6 +1085,7 @@ async function sendWeeklyReport(userId, listings, context = {}) {
     });
 
     console.log(`✅ 已發送週報給用戶 ${userId} (共 ${listings.length} 筆)`);
+    return topListings;
 }
 
 /**
@@ -773,6 +1104,7 @@ async function getUserProfile(userId) {
 module.exports = {
     client,
     sendListingsNotification,
+    sendPriceAlerts,
     handlePostback,
     lineMiddleware,
     getUserProfile,
@@ -780,6 +1112,7 @@ module.exports = {
     sendWelcomeMessage,
     sendUserSettings,
     sendMyFavorites,
+    sendFavoritesGoneNotice,
     sendWeeklyReport,
     sanitizeText,
     config
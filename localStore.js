@@ -0,0 +1,596 @@
+/**
+ * 本地檔案儲存模組
+ * 以 JSON 檔案實作與 sheets.js / users.js 相同的資料操作，
+ * 讓系統不需要 Google Sheets 也能在本地開發與測試
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { Mutex } = require('./mutex');
+const { DEFAULT_SETTINGS } = require('./users');
+const { getListingUrl, DEFAULT_SOURCE } = require('./sources');
+
+// 資料檔位置 (可用 DATA_DIR 環境變數調整)
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
+const STORE_PATH = path.join(DATA_DIR, 'store.json');
+
+const storeMutex = new Mutex();
+
+// 空白資料結構
+const EMPTY_STORE = {
+    listings: [],   // 所有物件
+    favorites: [],  // 有興趣
+    pushes: [],     // 推播紀錄
+    users: [],      // 用戶設定
+    priceHistory: [], // 價格紀錄
+    crawlRuns: []   // 爬蟲執行紀錄
+};
+
+// 本地保留的爬蟲紀錄筆數
+const MAX_CRAWL_RUNS = 200;
+
+let store = null;
+
+/**
+ * 取得台北時間字串 (與 Sheets 版本的時間格式一致)
+ */
+function nowString() {
+    return new Date().toLocaleString('zh-TW', { timeZone: 'Asia/Taipei' });
+}
+
+/**
+ * 載入資料檔 (只在第一次呼叫時讀取)
+ */
+async function loadStore() {
+    if (store) return store;
+
+    try {
+        const raw = await fs.promises.readFile(STORE_PATH, 'utf8');
+        store = { ...EMPTY_STORE, ...JSON.parse(raw) };
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            console.error('❌ 讀取本地資料檔失敗，改用空白資料:', error.message);
+        }
+        store = JSON.parse(JSON.stringify(EMPTY_STORE));
+    }
+
+    return store;
+}
+
+/**
+ * 寫入資料檔 (先寫暫存檔再改名，避免寫到一半當機造成檔案損毀)
+ */
+async function persistStore() {
+    await fs.promises.mkdir(DATA_DIR, { recursive: true });
+    const tmpPath = `${STORE_PATH}.tmp`;
+    await fs.promises.writeFile(tmpPath, JSON.stringify(store, null, 2));
+    await fs.promises.rename(tmpPath, STORE_PATH);
+}
+
+/**
+ * 在鎖內執行寫入操作，完成後存檔
+ */
+async function withWriteLock(fn) {
+    await storeMutex.lock();
+    try {
+        await loadStore();
+        const result = await fn(store);
+        await persistStore();
+        return result;
+    } finally {
+        storeMutex.release();
+    }
+}
+
+/**
+ * 初始化 (確保資料夾存在並載入資料)
+ */
+async function initStore() {
+    await fs.promises.mkdir(DATA_DIR, { recursive: true });
+    await loadStore();
+    console.log(`✅ 本地資料檔已就緒: ${STORE_PATH}`);
+    return store;
+}
+
+// ============================================
+// 物件
+// ============================================
+
+/**
+ * 將儲存的物件轉為與 Sheets 版本相同的格式
+ */
+function toListing(row) {
+    return {
+        id: row.id,
+        title: row.title,
+        price: row.price,
+        address: row.address,
+        region: row.region,
+        subway: row.subway,
+        tags: row.tags,
+        url: row.url,
+        image: row.image,
+        crawlTime: row.crawlTime,
+        status: row.status,
+        details: row.details || null,
+        source: row.source || DEFAULT_SOURCE,
+        normalized: row.normalized || null
+    };
+}
+
+/**
+ * 儲存物件列表 (只新增不存在的 ID)
+ */
+async function saveListings(listings) {
+    return withWriteLock(async (data) => {
+        const existingIds = new Set(data.listings.map(l => l.id));
+        const newListings = listings.filter(l => !existingIds.has(l.id));
+
+        if (newListings.length === 0) {
+            console.log('📭 沒有新物件需要儲存');
+            return { saved: 0, new: [] };
+        }
+
+        const crawlTime = nowString();
+        const crawledAt = new Date().toISOString();
+
+        for (const listing of newListings) {
+            data.listings.push({
+                id: listing.id,
+                title: listing.title,
+                price: listing.price,
+                address: listing.address || '',
+                region: listing.region || '',
+                subway: listing.subway || '',
+                tags: (listing.tags || []).join(', '),
+                url: listing.url,
+                image: (listing.images && listing.images[0]) || listing.image || '',
+                crawlTime,
+                crawledAt,
+                status: '新發現',
+                fingerprint: listing.fingerprint || '',
+                details: listing.details || null,
+                source: listing.source || DEFAULT_SOURCE,
+                normalized: listing.normalized || null
+            });
+        }
+
+        console.log(`✅ 儲存了 ${newListings.length} 間新物件 (本地)`);
+        return { saved: newListings.length, new: newListings };
+    });
+}
+
+/**
+ * 取得已存在的物件 ID
+ */
+async function getExistingIds() {
+    const data = await loadStore();
+    return new Set(data.listings.map(l => l.id));
+}
+
+/**
+ * 更新物件狀態
+ */
+async function updateListingStatus(listingId, status) {
+    await withWriteLock(async (data) => {
+        const listing = data.listings.find(l => l.id === listingId);
+        if (listing) listing.status = status;
+    });
+}
+
+/**
+ * 取得所有物件的租金與指紋 (供降價/重新刊登偵測)
+ */
+async function getListingSnapshots() {
+    const data = await loadStore();
+    return new Map(data.listings.map(l => [l.id, {
+        id: l.id,
+        title: l.title,
+        price: l.price,
+        fingerprint: l.fingerprint || '',
+        status: l.status
+    }]));
+}
+
+/**
+ * 更新物件租金
+ * @param {Array<{id: string, price: number}>} changes
+ */
+async function updateListingPrices(changes) {
+    if (changes.length === 0) return;
+
+    await withWriteLock(async (data) => {
+        for (const change of changes) {
+            const listing = data.listings.find(l => l.id === change.id);
+            if (listing) listing.price = change.price;
+        }
+    });
+    console.log(`💲 更新了 ${changes.length} 間物件的租金 (本地)`);
+}
+
+/**
+ * 新增價格紀錄
+ */
+async function appendPriceHistory(entries) {
+    if (entries.length === 0) return;
+
+    await withWriteLock(async (data) => {
+        const recordedAt = nowString();
+        for (const entry of entries) {
+            data.priceHistory.push({
+                listingId: entry.listingId,
+                price: entry.price,
+                recordedAt,
+                event: entry.event,
+                previousId: entry.previousId || ''
+            });
+        }
+    });
+}
+
+/**
+ * 取得物件的價格紀錄 (依時間先後，重新刊登的物件會一併帶出原物件的紀錄)
+ */
+async function getPriceHistory(listingId) {
+    const data = await loadStore();
+    const history = [];
+    const visited = new Set();
+    let currentId = listingId;
+
+    while (currentId && !visited.has(currentId)) {
+        visited.add(currentId);
+        const entries = data.priceHistory.filter(h => h.listingId === currentId);
+        history.unshift(...entries.map(h => ({
+            listingId: h.listingId,
+            price: h.price,
+            recordedAt: h.recordedAt,
+            event: h.event
+        })));
+        currentId = entries.find(h => h.previousId)?.previousId;
+    }
+
+    return history;
+}
+
+/**
+ * 取得關注這些物件的用戶 (收藏或曾被推播)
+ */
+async function getListingWatchers(listingIds) {
+    const data = await loadStore();
+    const watchers = new Map(listingIds.map(id => [id, { favoritedBy: new Set(), pushedTo: new Set() }]));
+
+    for (const favorite of data.favorites) {
+        if (watchers.has(favorite.id) && favorite.userId) watchers.get(favorite.id).favoritedBy.add(favorite.userId);
+    }
+    for (const push of data.pushes) {
+        if (watchers.has(push.listingId)) watchers.get(push.listingId).pushedTo.add(push.userId);
+    }
+
+    return watchers;
+}
+
+/**
+ * 取得今日新發現的物件
+ */
+async function getTodayNewListings() {
+    const data = await loadStore();
+    const today = new Date().toLocaleDateString('zh-TW', { timeZone: 'Asia/Taipei' });
+    return data.listings
+        .filter(l => (l.crawlTime || '').includes(today))
+        .map(toListing);
+}
+
+/**
+ * 取得過去 N 天的物件
+ */
+async function getRecentListings(days = 7) {
+    const data = await loadStore();
+    const pastDate = new Date();
+    pastDate.setDate(pastDate.getDate() - days);
+    pastDate.setHours(0, 0, 0, 0);
+
+    return data.listings
+        .filter(l => new Date(l.crawledAt) >= pastDate)
+        .map(toListing);
+}
+
+/**
+ * 取得過去 7 天內的新物件
+ */
+async function getWeeklyNewListings() {
+    return getRecentListings(7);
+}
+
+// ============================================
+// 收藏 / 推播紀錄
+// ============================================
+
+/**
+ * 標記物件為「有興趣」
+ * 參數與回傳值與 sheets.markAsInterested 相同
+ */
+async function markAsInterested(listingId, price, title = '', address = '', contactInfo = {}, userId = '') {
+    return withWriteLock(async (data) => {
+        if (userId && data.favorites.some(f => f.userId === userId && f.id === listingId)) {
+            console.log(`⚠️ 物件 ${listingId} 已經在用戶 ${userId} 的收藏清單中，跳過重複新增`);
+            return 'duplicate';
+        }
+
+        const { phone = '', line = '', landlordName = '' } = contactInfo;
+        const listing = data.listings.find(l => l.id === listingId);
+
+        data.favorites.push({
+            id: listingId,
+            title,
+            price,
+            address,
+            url: getListingUrl(listingId),
+            landlordName,
+            phone,
+            line,
+            clickTime: nowString(),
+            status: '待聯繫',
+            userId,
+            image: listing?.image || ''
+        });
+
+        if (listing) listing.status = '有興趣 ⭐';
+
+        console.log(`⭐ 標記物件 ${listingId} 為「有興趣」(用戶: ${userId}, 標題: ${title})`);
+        return true;
+    });
+}
+
+/**
+ * 取得用戶的收藏清單
+ */
+async function getUserFavorites(userId) {
+    const data = await loadStore();
+    return data.favorites
+        .filter(f => f.userId === userId)
+        .map(toFavorite);
+}
+
+/**
+ * 將儲存的收藏轉為與 Sheets 版本相同的格式
+ */
+function toFavorite(f) {
+    return {
+        id: f.id,
+        title: f.title || '',
+        price: parseInt(String(f.price).replace(/[^\d]/g, '')) || 0,
+        address: f.address || '',
+        url: f.url || getListingUrl(f.id),
+        landlordName: f.landlordName || '',
+        phone: f.phone || '',
+        line: f.line || '',
+        clickTime: f.clickTime || '',
+        status: f.status || '',
+        userId: f.userId || '',
+        checkedAt: f.checkedAt || ''
+    };
+}
+
+/**
+ * 取得所有用戶的收藏 (供下架檢查使用)
+ */
+async function getAllFavorites() {
+    const data = await loadStore();
+    return data.favorites.filter(f => f.id && f.userId).map(toFavorite);
+}
+
+/**
+ * 更新收藏的刊登狀態 (同一物件的所有收藏都會更新)
+ * @param {Array<{listingId: string, status?: string, checkedAt: string}>} updates
+ */
+async function updateFavoriteStatuses(updates) {
+    if (updates.length === 0) return;
+
+    await withWriteLock(async (data) => {
+        for (const update of updates) {
+            for (const favorite of data.favorites.filter(f => f.id === update.listingId)) {
+                if (update.status) favorite.status = update.status;
+                favorite.checkedAt = update.checkedAt;
+            }
+        }
+    });
+}
+
+/**
+ * 記錄已推播的物件
+ */
+async function recordPushedListings(userId, listingIds) {
+    await withWriteLock(async (data) => {
+        const pushedAt = nowString();
+        for (const listingId of listingIds) {
+            data.pushes.push({ userId, listingId, pushedAt });
+        }
+    });
+    console.log(`📝 記錄 ${listingIds.length} 筆推播紀錄 (用戶: ${userId})`);
+}
+
+/**
+ * 取得用戶已推播的物件 ID
+ */
+async function getPushedListingIds(userId) {
+    const data = await loadStore();
+    return new Set(data.pushes.filter(p => p.userId === userId).map(p => p.listingId));
+}
+
+// ============================================
+// 爬蟲紀錄
+// ============================================
+
+/**
+ * 新增爬蟲執行紀錄 (只保留最近 MAX_CRAWL_RUNS 筆)
+ */
+async function recordCrawlRun(run) {
+    await withWriteLock(async (data) => {
+        data.crawlRuns.push(run);
+        if (data.crawlRuns.length > MAX_CRAWL_RUNS) {
+            data.crawlRuns.splice(0, data.crawlRuns.length - MAX_CRAWL_RUNS);
+        }
+    });
+}
+
+/**
+ * 取得最近的爬蟲執行紀錄 (新到舊)
+ */
+async function getCrawlRuns(limit = 20) {
+    const data = await loadStore();
+    return data.crawlRuns.slice(-limit).reverse();
+}
+
+// ============================================
+// 用戶設定
+// ============================================
+
+/**
+ * 將儲存的用戶資料轉為與 users.js 相同的格式
+ */
+function toUser(row) {
+    return {
+        userId: row.userId,
+        displayName: row.displayName || '',
+        region: row.region || DEFAULT_SETTINGS.region,
+        regionCode: parseInt(row.regionCode) || DEFAULT_SETTINGS.regionCode,
+        minRent: parseInt(row.minRent) || DEFAULT_SETTINGS.minRent,
+        maxRent: parseInt(row.maxRent) || DEFAULT_SETTINGS.maxRent,
+        keywords: row.keywords || '',
+        subscribed: row.subscribed === true,
+        createdAt: row.createdAt,
+        updatedAt: row.updatedAt,
+        targets: row.targets || '',
+        filters: row.filters || '',
+        priceAlert: row.priceAlert || DEFAULT_SETTINGS.priceAlert,
+        costProfile: row.costProfile || '',
+        searches: row.searches || '',
+        activeSearch: row.activeSearch || ''
+    };
+}
+
+/**
+ * 建立新用戶
+ */
+async function createUser(userId, displayName = '') {
+    return withWriteLock(async (data) => {
+        const existing = data.users.find(u => u.userId === userId);
+        if (existing) {
+            console.log(`👤 用戶已存在: ${userId}`);
+            return toUser(existing);
+        }
+
+        const now = nowString();
+        const row = {
+            userId,
+            displayName,
+            region: DEFAULT_SETTINGS.region,
+            regionCode: DEFAULT_SETTINGS.regionCode,
+            minRent: DEFAULT_SETTINGS.minRent,
+            maxRent: DEFAULT_SETTINGS.maxRent,
+            keywords: DEFAULT_SETTINGS.keywords,
+            subscribed: true,
+            createdAt: now,
+            updatedAt: now,
+            targets: '',
+            filters: '',
+            priceAlert: DEFAULT_SETTINGS.priceAlert,
+            costProfile: '',
+            searches: '',
+            activeSearch: ''
+        };
+        data.users.push(row);
+
+        console.log(`✅ 新用戶已建立: ${displayName || userId}`);
+        return toUser(row);
+    });
+}
+
+/**
+ * 取得用戶設定
+ */
+async function getUser(userId) {
+    const data = await loadStore();
+    const row = data.users.find(u => u.userId === userId);
+    return row ? toUser(row) : null;
+}
+
+/**
+ * 更新用戶設定 (只更新有傳入的欄位)
+ */
+async function updateUserSettings(userId, settings) {
+    return withWriteLock(async (data) => {
+        const row = data.users.find(u => u.userId === userId);
+        if (!row) {
+            console.log('用戶不存在，無法更新');
+            return null;
+        }
+
+        const fields = ['displayName', 'region', 'regionCode', 'minRent', 'maxRent', 'keywords', 'targets', 'filters', 'priceAlert', 'costProfile', 'searches', 'activeSearch'];
+        for (const field of fields) {
+            if (settings[field] !== undefined && settings[field] !== null) {
+                row[field] = settings[field];
+            }
+        }
+        if (settings.subscribed !== undefined) {
+            row.subscribed = !!settings.subscribed;
+        }
+        row.updatedAt = nowString();
+
+        console.log(`✅ 用戶設定已更新: ${userId}`);
+        return toUser(row);
+    });
+}
+
+/**
+ * 取得所有訂閱中的用戶
+ */
+async function getAllSubscribedUsers() {
+    const data = await loadStore();
+    return data.users.filter(u => u.subscribed === true).map(toUser);
+}
+
+/**
+ * 取得所有用戶 (含暫停推播的用戶)
+ */
+async function getAllUsers() {
+    const data = await loadStore();
+    return data.users.map(toUser);
+}
+
+/**
+ * 切換訂閱狀態
+ */
+async function toggleSubscription(userId, subscribed) {
+    return await updateUserSettings(userId, { subscribed });
+}
+
+module.exports = {
+    initStore,
+    saveListings,
+    getExistingIds,
+    updateListingStatus,
+    getTodayNewListings,
+    getRecentListings,
+    getWeeklyNewListings,
+    getListingSnapshots,
+    updateListingPrices,
+    appendPriceHistory,
+    getPriceHistory,
+    getListingWatchers,
+    recordCrawlRun,
+    getCrawlRuns,
+    markAsInterested,
+    getUserFavorites,
+    getAllFavorites,
+    updateFavoriteStatuses,
+    recordPushedListings,
+    getPushedListingIds,
+    createUser,
+    getUser,
+    updateUserSettings,
+    getAllSubscribedUsers,
+    getAllUsers,
+    toggleSubscription,
+    STORE_PATH
+};
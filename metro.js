@@ -0,0 +1,226 @@
+/**
+ * 台北 / 新北捷運車站
+ * 資料放在 metro.json (路線 → 車站與支線，車站 → 所在縣市與行政區，行車 / 轉乘時間概估)，
+ * 搭配物件的最近車站與步行距離 (見 normalize.parseSubway) 做捷運路線篩選與「車站」搜尋目標
+ *
+ * 車站目標 ({ region, section, name: '捷運-中山站', station: '中山' }) 搜尋車站所在的行政區，
+ * 爬取後只保留最近車站為該站的物件
+ */
+
+const { normalizePlaceName, findCounty, findSections, buildTarget, getCounty, getSection } = require('./geography');
+const METRO = require('./metro.json');
+
+// 車站目標名稱的前綴 (顯示時與行政區一樣取「-」後面的部分)
+const STATION_TARGET_PREFIX = '捷運';
+
+// 距離參數 (「500m」、「500公尺」、「500」)
+const DISTANCE_PATTERN = /^(\d+)\s*(m|公尺|米)?$/i;
+
+/**
+ * 統一車站名稱寫法 (臺 → 台、去除空白、「捷運」前綴與「站」結尾，台北車站等「車站」保留)
+ */
+function normalizeStationName(text) {
+    return normalizePlaceName(text)
+        .replace(/^捷運/, '')
+        .replace(/捷運站$/, '')
+        .replace(/(?<!車)站$/, '');
+}
+
+// 查詢索引
+const stationByAlias = new Map();
+const lineByAlias = new Map();
+const linesByStation = new Map();
+
+METRO.lines.forEach(line => {
+    // 名稱可省略「線」(「板南」、「淡水信義」)
+    [line.id, line.name, line.name.replace(/線$/, ''), ...(line.aliases || [])].forEach(alias => {
+        lineByAlias.set(normalizePlaceName(alias).toUpperCase(), line);
+    });
+    getLineSegments(line).flat().forEach(name => {
+        if (!linesByStation.has(name)) linesByStation.set(name, []);
+        if (!linesByStation.get(name).includes(line)) linesByStation.get(name).push(line);
+    });
+});
+METRO.stations.forEach(station => {
+    [station.name, ...(station.aliases || [])].forEach(alias => {
+        stationByAlias.set(normalizeStationName(alias), station);
+    });
+});
+
+/**
+ * 路線的連續路段：主線加上支線 (支線的第一站為與主線交會的車站，例如中和新蘆線的蘆洲支線由大橋頭分出)
+ * @returns {string[][]}
+ */
+function getLineSegments(line) {
+    return [line.stations, ...(line.branches || [])];
+}
+
+/**
+ * 依名稱找車站 (「中山」、「中山站」、「捷運中山站」、「101」)
+ * @returns {object|null} { name, city, district, aliases }
+ */
+function findStation(text) {
+    if (!text) return null;
+    return stationByAlias.get(normalizeStationName(text)) || null;
+}
+
+/**
+ * 依名稱或代碼找路線 (「淡水信義線」、「紅線」、「R」)
+ */
+function findLine(text) {
+    if (!text) return null;
+    return lineByAlias.get(normalizePlaceName(text).toUpperCase()) || null;
+}
+
+/**
+ * 依代碼取得路線
+ */
+function getLine(lineId) {
+    return METRO.lines.find(line => line.id === lineId) || null;
+}
+
+/**
+ * 經過此車站的路線
+ * @param {string} stationName - 車站名稱 (可為別名)
+ * @returns {Array<object>}
+ */
+function getStationLines(stationName) {
+    const station = findStation(stationName);
+    return station ? linesByStation.get(station.name) || [] : [];
+}
+
+/**
+ * 物件的最近車站是否為指定車站 (名稱與別名都可比對)
+ */
+function isSameStation(listingStation, stationName) {
+    const a = findStation(listingStation);
+    const b = findStation(stationName);
+    if (a && b) return a === b;
+    return !!listingStation && normalizeStationName(listingStation) === normalizeStationName(stationName);
+}
+
+/**
+ * 建立車站搜尋目標 (搜尋車站所在的行政區)
+ * @param {object} station - findStation 的結果
+ * @returns {object|null} 行政區對不到時回傳 null
+ */
+function buildStationTarget(station) {
+    const county = findCounty(station.city);
+    const [match] = county ? findSections(station.district, county.id) : [];
+    if (!match) return null;
+    return {
+        region: county.id,
+        section: match.section.id,
+        name: `${STATION_TARGET_PREFIX}-${station.name}站`,
+        station: station.name
+    };
+}
+
+/**
+ * 車站目標對應的行政區目標 (搜尋與爬蟲紀錄以行政區為單位；行政區目標原樣回傳)
+ */
+function toDistrictTarget(target) {
+    if (!target.station) return target;
+    const county = getCounty(target.region);
+    const section = getSection(target.region, target.section);
+    return county ? buildTarget(county, section) : { region: target.region, section: target.section, name: target.name };
+}
+
+/**
+ * 從用戶輸入中拆出車站 (以「站」結尾的詞，例如「地區 永和 中山站」)
+ * @param {string} text - 用戶輸入
+ * @param {object} options
+ * @param {boolean} options.requireSuffix - 是否只認以「站」結尾的詞 (「車站」指令中所有詞都是車站)
+ * @returns {{targets: Array, rest: string[], unknown: string[]}} rest 為其他的詞 (交給行政區解析)
+ */
+function resolveStationTargets(text, { requireSuffix = true } = {}) {
+    const tokens = String(text || '').split(/[\s,，、]+/).filter(Boolean);
+    const targets = [];
+    const rest = [];
+    const unknown = [];
+
+    for (const token of tokens) {
+        if (requireSuffix && !/站$/.test(token)) {
+            rest.push(token);
+            continue;
+        }
+        const station = findStation(token);
+        const target = station && buildStationTarget(station);
+        if (!target) {
+            unknown.push(token);
+        } else if (!targets.some(t => t.station === target.station)) {
+            targets.push(target);
+        }
+    }
+
+    return { targets, rest, unknown };
+}
+
+/**
+ * 從指令參數最後面拆出距離 (「中山,雙連 500m」→ 500)
+ * @returns {{args: string, meters: number|null}}
+ */
+function splitDistance(fullArgs) {
+    const tokens = String(fullArgs || '').trim().split(/\s+/).filter(Boolean);
+    const match = tokens.length > 0 && tokens[tokens.length - 1].match(DISTANCE_PATTERN);
+    if (!match) return { args: tokens.join(' '), meters: null };
+    return { args: tokens.slice(0, -1).join(' '), meters: parseInt(match[1]) };
+}
+
+/**
+ * 物件是否在指定路線沿線
+ * @param {string} listingStation - 物件的最近車站
+ * @param {string[]} lineIds - 路線代碼
+ * @returns {boolean|null} 車站不在資料中時回傳 null (無法判斷)
+ */
+function isOnLines(listingStation, lineIds) {
+    const station = findStation(listingStation);
+    if (!station) return null;
+    return (linesByStation.get(station.name) || []).some(line => lineIds.includes(line.id));
+}
+
+/**
+ * 路線代碼的顯示文字，例如「淡水信義線/板南線」
+ */
+function formatLines(lineIds = []) {
+    return lineIds.map(id => getLine(id)?.name || id).join('/');
+}
+
+/**
+ * 車站的顯示名稱，例如「中山站」、「台北車站」
+ */
+function formatStationName(stationName) {
+    const name = findStation(stationName)?.name || stationName || '';
+    return !name || name.endsWith('站') ? name : `${name}站`;
+}
+
+/**
+ * 車站與經過路線的顯示文字，例如「中山站 (淡水信義線/松山新店線)」
+ */
+function formatStationLines(stationName) {
+    const station = findStation(stationName);
+    if (!station) return '';
+    const lines = linesByStation.get(station.name) || [];
+    const name = formatStationName(station.name);
+    return lines.length > 0 ? `${name} (${lines.map(l => l.name).join('/')})` : name;
+}
+
+module.exports = {
+    METRO,
+    STATION_TARGET_PREFIX,
+    normalizeStationName,
+    findStation,
+    findLine,
+    getLine,
+    getLineSegments,
+    getStationLines,
+    isSameStation,
+    buildStationTarget,
+    toDistrictTarget,
+    resolveStationTargets,
+    splitDistance,
+    isOnLines,
+    formatLines,
+    formatStationName,
+    formatStationLines
+};
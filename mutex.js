@@ -0,0 +1,33 @@
+/**
+ * 簡單的互斥鎖
+ * 確保同一份資料 (Sheets / 本地檔案) 的寫入不互相衝突
+ */
+
+class Mutex {
+    constructor() {
+        this._queue = [];
+        this._locked = false;
+    }
+
+    lock() {
+        return new Promise((resolve) => {
+            if (this._locked) {
+                this._queue.push(resolve);
+            } else {
+                this._locked = true;
+                resolve();
+            }
+        });
+    }
+
+    release() {
+        if (this._queue.length > 0) {
+            const resolve = this._queue.shift();
+            resolve();
+        } else {
+            this._locked = false;
+        }
+    }
+}
+
+module.exports = { Mutex };
@@ -0,0 +1,218 @@
+/**
+ * 物件欄位結構化
+ * 把列表頁的原始文字 (layout「獨立套房3坪1F/5F」、subway「距台電大樓257公尺」、標籤) 轉成
+ * 類型、坪數、樓層、是否頂加、最近車站、步行距離與設備開關，供篩選條件、卡片與週報使用
+ */
+
+// 房屋類型 (依比對順序，較長的名稱放前面)
+const LISTING_KINDS = ['整層住家', '獨立套房', '分租套房', '雅房', '車位', '店面', '辦公'];
+
+// 廣告 / 推廣標籤 (不是物件本身的特色)
+const PROMO_TAGS = ['置頂', '優選好屋', '精選', '推薦', '廣告', '新上架', '屋主直租推薦'];
+
+// 以步行時間標示時換算成距離 (每分鐘約 80 公尺)
+const WALK_METERS_PER_MINUTE = 80;
+
+// 設備 / 條件開關: 欄位 → { label, words: 標題或標籤中的文字, detail: 詳情頁對應欄位 }
+const FEATURES = {
+    elevator: { label: '電梯', words: ['電梯'] },
+    pets: { label: '可養寵物', words: ['寵物', '可寵'] },
+    cook: { label: '可開伙', words: ['開伙'] },
+    parking: { label: '車位', words: ['車位', '停車'] },
+    balcony: { label: '陽台', words: ['陽台'] },
+    furnished: { label: '附家具', words: ['家具', '傢俱', '拎包入住'] },
+    subsidy: { label: '可租補', words: ['租補', '租金補貼'], detail: 'canSubsidy' },
+    register: { label: '可入籍', words: ['入籍', '入戶籍', '設籍'], detail: 'canRegister' },
+    fileTax: { label: '可報稅', words: ['報稅'], detail: 'canFileTax' }
+};
+
+// 否定字樣 (如「不可開伙」、「無電梯」、「禁養寵物」)
+const NEGATION_PATTERN = '(?:不可以?|不能|不得|禁止?|無|不)(?:養|申請)?';
+
+/**
+ * 解析 layout 文字
+ * 例如 "獨立套房3坪1F/5F"、"整層住家4房2廳90坪17F/19F"、"頂樓加蓋/5F"、"分租套房5坪B1/7F"
+ * @returns {{kind: string, rooms: string, area: number|null, floor: number|null, totalFloors: number|null, rooftop: boolean}}
+ *   floor 為地下樓層時是負數；頂樓加蓋沒有樓層數字時 floor 為 totalFloors + 1
+ */
+function parseLayout(layout = '') {
+    const text = String(layout || '');
+    const areaMatch = text.match(/([\d.]+)\s*坪/);
+    const roomsMatch = text.match(/\d+房(?:\d+廳)?(?:\d+衛)?/);
+    const floorMatch = text.match(/(B?\d+)F?\s*\/\s*(\d+)F/i);
+    const totalMatch = text.match(/\/\s*(\d+)F/i);
+    const rooftop = /頂樓加蓋|頂加/.test(text);
+
+    let floor = null;
+    if (floorMatch) {
+        floor = floorMatch[1].toUpperCase().startsWith('B')
+            ? -parseInt(floorMatch[1].substring(1))
+            : parseInt(floorMatch[1]);
+    }
+    const totalFloors = totalMatch ? parseInt(totalMatch[1]) : null;
+    if (floor === null && rooftop && totalFloors !== null) floor = totalFloors + 1;
+
+    return {
+        kind: LISTING_KINDS.find(k => text.includes(k)) || '',
+        rooms: roomsMatch ? roomsMatch[0] : '',
+        area: areaMatch ? parseFloat(areaMatch[1]) : null,
+        floor,
+        totalFloors,
+        rooftop
+    };
+}
+
+/**
+ * 解析捷運 / 車站文字
+ * 例如 "距台電大樓257公尺"、"距捷運古亭站350公尺"、"距府中捷運站553公尺"、"近中山站步行5分鐘"
+ * @returns {{station: string, walkMeters: number|null}}
+ */
+function parseSubway(subway = '') {
+    const text = String(subway || '').replace(/\s+/g, '');
+    if (!text) return { station: '', walkMeters: null };
+
+    let walkMeters = null;
+    const meters = text.match(/([\d.]+)(公尺|米|m)/i);
+    const km = text.match(/([\d.]+)(公里|km)/i);
+    const minutes = text.match(/(\d+)分(?:鐘)?/);
+    if (meters) walkMeters = Math.round(parseFloat(meters[1]));
+    else if (km) walkMeters = Math.round(parseFloat(km[1]) * 1000);
+    else if (minutes) walkMeters = parseInt(minutes[1]) * WALK_METERS_PER_MINUTE;
+
+    const station = text
+        .replace(/^(距離?|近|鄰近?)/, '')
+        .replace(/(步行)?[\d.]+(公尺|米|m|公里|km|分鐘?).*$/i, '')
+        .replace(/步行$/, '')
+        .replace(/^(捷運|台鐵|高鐵|火車)/, '')
+        .replace(/捷運站$/, '')
+        .replace(/(?<!車)站$/, '')
+        .trim();
+
+    return { station, walkMeters };
+}
+
+/**
+ * 清理標籤：去除空白、重複與廣告標籤
+ * @param {string[]|string} tags - 標籤陣列，或儲存層以逗號串起的文字
+ * @returns {string[]}
+ */
+function cleanTags(tags) {
+    const list = Array.isArray(tags) ? tags : String(tags || '').split(/[,，、]/);
+    const cleaned = list
+        .map(tag => String(tag || '').trim())
+        .filter(tag => tag && !PROMO_TAGS.includes(tag));
+    return [...new Set(cleaned)];
+}
+
+/**
+ * 從標題、標籤與詳情判斷設備 / 條件
+ * @returns {object} 欄位 → true (有標示) / false (標示不可或沒有) / null (沒有提到)
+ *   詳情頁的可入籍 / 報稅 / 租補優先於標題與標籤
+ */
+function parseFeatures(listing) {
+    const text = [listing.title || '', ...cleanTags(listing.tags)].join(' ');
+    const features = {};
+
+    for (const [key, { words, detail }] of Object.entries(FEATURES)) {
+        const fromDetails = detail ? listing.details?.[detail] : undefined;
+        if (typeof fromDetails === 'boolean') {
+            features[key] = fromDetails;
+            continue;
+        }
+        const mentioned = words.filter(word => text.includes(word));
+        if (mentioned.length === 0) {
+            features[key] = null;
+        } else {
+            features[key] = !mentioned.some(word => new RegExp(`${NEGATION_PATTERN}${word}`).test(text));
+        }
+    }
+    return features;
+}
+
+/**
+ * 每坪租金 (四捨五入到元)
+ * @returns {number|null} 沒有坪數時回傳 null
+ */
+function rentPerPing(price, area) {
+    if (!price || !area || area <= 0) return null;
+    return Math.round(price / area);
+}
+
+/**
+ * 將物件轉成結構化欄位 (存在物件的 normalized 欄位)
+ * 列表 API 模式有精確的類型、坪數、樓層與捷運距離，優先使用
+ * @param {object} listing - 爬蟲的物件 ({ title, price, layout, subway, tags, details, ... })
+ * @returns {{kind: string, rooms: string, area: number|null, floor: number|null, totalFloors: number|null,
+ *   rooftop: boolean, station: string, walkMeters: number|null, rentPerPing: number|null, features: object, tags: string[]}}
+ */
+function normalizeListing(listing) {
+    const layout = parseLayout(listing.layout);
+    const subway = parseSubway(listing.subway);
+    const area = listing.area ?? layout.area;
+
+    return {
+        kind: LISTING_KINDS.find(k => (listing.kind || '').includes(k)) || layout.kind,
+        rooms: layout.rooms,
+        area,
+        floor: listing.floor ?? layout.floor,
+        totalFloors: listing.totalFloors ?? layout.totalFloors,
+        rooftop: layout.rooftop || /(?<!非|不是)(頂樓加蓋|頂加)/.test(listing.title || ''),
+        station: subway.station,
+        walkMeters: listing.subwayDistance ?? subway.walkMeters,
+        rentPerPing: rentPerPing(listing.price, area),
+        features: parseFeatures(listing),
+        tags: cleanTags(listing.tags)
+    };
+}
+
+/**
+ * 取得物件的結構化欄位 (已儲存的直接使用，舊資料沒有時以現有欄位推算)
+ */
+function getNormalized(listing) {
+    return listing.normalized || normalizeListing(listing);
+}
+
+/**
+ * 類型、坪數、樓層的顯示文字，例如「獨立套房・3坪・1F/5F」、「雅房・頂加/5F」
+ */
+function formatLayoutSummary(normalized) {
+    if (!normalized) return '';
+    let floorText = '';
+    if (normalized.rooftop) {
+        floorText = `頂加${normalized.totalFloors ? `/${normalized.totalFloors}F` : ''}`;
+    } else if (normalized.floor !== null) {
+        const floor = normalized.floor < 0 ? `B${-normalized.floor}` : `${normalized.floor}F`;
+        floorText = `${floor}${normalized.totalFloors ? `/${normalized.totalFloors}F` : ''}`;
+    }
+    return [
+        normalized.kind,
+        normalized.rooms,
+        normalized.area !== null && `${normalized.area}坪`,
+        floorText
+    ].filter(Boolean).join('・');
+}
+
+/**
+ * 最近車站的顯示文字，例如「台電大樓站 257m」、「台北車站 400m」
+ */
+function formatStation(normalized) {
+    if (!normalized || !normalized.station) return '';
+    const name = normalized.station.endsWith('站') ? normalized.station : `${normalized.station}站`;
+    return `${name}${normalized.walkMeters !== null ? ` ${normalized.walkMeters}m` : ''}`;
+}
+
+module.exports = {
+    LISTING_KINDS,
+    PROMO_TAGS,
+    FEATURES,
+    WALK_METERS_PER_MINUTE,
+    parseLayout,
+    parseSubway,
+    cleanTags,
+    parseFeatures,
+    rentPerPing,
+    normalizeListing,
+    getNormalized,
+    formatLayoutSummary,
+    formatStation
+};
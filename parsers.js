@@ -0,0 +1,628 @@
+/**
+ * 591 頁面解析模組
+ * 從 HTML 字串提取物件資訊 (不需要瀏覽器)，爬蟲取得 page.content() 後交給這裡解析，
+ * 測試時則直接讀取 fixtures/ 內存下來的頁面，選擇器失效可以離線發現
+ */
+
+const cheerio = require('cheerio');
+
+// 產生頁面文字時視為換行的區塊元素 (近似瀏覽器的 innerText)
+const BLOCK_TAGS = 'address, article, aside, blockquote, dd, div, dl, dt, footer, form, h1, h2, h3, h4, h5, h6, header, li, main, nav, ol, p, section, table, tr, ul';
+
+// 電話格式 (包含轉分機，區碼可為 2 碼，如 02-2345-6789)
+const PHONE_PATTERN = /^0\d{1,3}[-\s]?\d{3,4}[-\s]?\d{3,4}(轉\d+)?$/;
+
+// 電話號碼 - 591 新版結構: .t5-button span span 或 data-gtm-behavior="call"
+const PHONE_SELECTORS = [
+    '.phone button span span',
+    '.t5-button[data-gtm-behavior="call"] span span',
+    '[data-gtm-behavior="call"] span span',
+    '.phone-number',
+    '.landlord-phone',
+    '.contact-phone',
+    '[data-phone]',
+    '.phone-txt',
+    '.info-host-word a[href^="tel:"]'
+];
+
+// LINE ID - 591 新版結構: data-gtm-behavior="line_friend"
+const LINE_SELECTORS = [
+    '.line-button',
+    '[data-gtm-behavior="line_friend"]',
+    '.line-id',
+    '.contact-line',
+    '[data-line]'
+];
+
+// 房東/仲介姓名備用選擇器
+const LANDLORD_SELECTORS = [
+    '.landlord-name',
+    '.host-name',
+    '.info-host-label',
+    '.econ-name'
+];
+
+const TITLE_SELECTORS = ['h1.title', '.house-title', '.detail-title', 'h1'];
+const ADDRESS_SELECTORS = ['.address', '.house-address', '.detail-address', '.info-address'];
+
+// 阻擋 / 驗證頁的特徵 (Cloudflare、reCAPTCHA、591 自家的流量限制頁)
+const BLOCK_HTTP_STATUS = [403, 429, 503];
+const BLOCK_TITLE_PATTERN = /Just a moment|Attention Required|Access Denied|Security Check|安全驗證|存取被拒/i;
+const BLOCK_SELECTORS = '#challenge-form, #challenge-running, .cf-browser-verification, .g-recaptcha, .h-captcha, iframe[src*="captcha"], .geetest_holder, #px-captcha';
+const BLOCK_TEXT_PATTERN = /請證明您不是機器人|驗證您是真人|異常流量|請求過於頻繁|訪問過於頻繁|verify you are human|unusual traffic|too many requests/i;
+
+// 列表頁「查無物件」的提示 (等不到物件列表時，用來區分真的沒有物件與讀取失敗)
+const EMPTY_RESULT_SELECTORS = '.empty, .no-data, .list-empty, .vue-list-rent-empty';
+const EMPTY_RESULT_PATTERN = /沒有找到符合|暫無(?:相關)?(?:物件|房源|資料)|查無(?:符合)?(?:條件的)?(?:物件|房源|資料)/;
+
+// 屋主說明 (自由填寫的文字，解析租約條件時排除，避免「押金可議」被當成押金)
+const DESCRIPTION_SELECTORS = '.house-intro, .description, .info-content';
+
+// 詳情頁的租約條件: 欄位 → 頁面上的標籤 (值接在標籤後面，如「押金 二個月」、「管理費：1,000元/月」)
+const DETAIL_LABELS = {
+    deposit: ['押金'],
+    managementFee: ['管理費'],
+    minLease: ['最短租期', '租期'],
+    moveInDate: ['可遷入日', '遷入日期', '可入住日'],
+    electricity: ['電費'],
+    water: ['水費'],
+    internetFee: ['網路費'],
+    parkingFee: ['車位費', '停車費']
+};
+
+// 詳情頁的「可/不可」條件: 欄位 → 關鍵字 (正規表示式)
+const DETAIL_PERMISSIONS = {
+    canRegister: '入籍',
+    canFileTax: '報稅',
+    canSubsidy: '租(?:屋)?補(?:助|貼)?'
+};
+
+/**
+ * 取得頁面可見文字 (排除 script/style，區塊元素之間換行)
+ * @param {object} $ - cheerio 實例
+ * @param {string} selector - 範圍 (預設整個 body)
+ */
+function extractPageText($, selector = 'body') {
+    const root = $(selector).first().clone();
+    root.find('script, style, noscript, template').remove();
+    root.find('br').replaceWith('\n');
+    root.find(BLOCK_TAGS).each((i, el) => {
+        $(el).append('\n');
+    });
+
+    return root.text()
+        .replace(/[ \t\r\f]+/g, ' ')
+        .replace(/ ?\n ?/g, '\n')
+        .replace(/\n{2,}/g, '\n')
+        .trim();
+}
+
+/**
+ * 依序嘗試選擇器，回傳第一個有文字的結果
+ */
+function firstText($, selectors) {
+    for (const sel of selectors) {
+        const text = $(sel).first().text().trim();
+        if (text) return text;
+    }
+    return '';
+}
+
+/**
+ * 判斷列表卡片上一行資訊的類型
+ * @param {string} text - .item-info-txt 的文字
+ * @returns {'address'|'subway'|'layout'|null}
+ */
+function classifyInfoText(text) {
+    if (text.includes('區-') || text.includes('路') || text.includes('街')) return 'address';
+    if (text.includes('公尺') || text.includes('捷運') || text.includes('站')) return 'subway';
+    if (text.includes('房') || text.includes('坪') || text.includes('樓')) return 'layout';
+    return null;
+}
+
+/**
+ * 解析價格文字 (如 "42,000" 或 "12,000元/月")
+ */
+function parsePrice(text) {
+    return parseInt(String(text || '').replace(/[,元\/月]/g, '')) || 0;
+}
+
+/**
+ * 從物件連結取出 591 物件 ID
+ */
+function extractListingId(href) {
+    return String(href || '').match(/\/(\d+)/)?.[1] || '';
+}
+
+/**
+ * 取得圖片網址 (延遲載入的圖片真正網址在 data-src)
+ * @returns {string} 無效圖片 (預留圖、內嵌圖) 回傳空字串
+ */
+function resolveImageUrl(img) {
+    let src = img.attr('data-src') || img.attr('src') || '';
+    if (!src || src.startsWith('data:') || src.includes('placeholder')) return '';
+    if (src.startsWith('//')) src = `https:${src}`;
+    return src;
+}
+
+/**
+ * 將列表上的相對時間 (如 "4小時內更新"、"7天前更新") 換算成時間
+ * @param {string} text - 時間文字
+ * @param {number} now - 基準時間 (毫秒)
+ * @returns {string} ISO 時間字串，無法辨識時回傳空字串
+ */
+function parsePostedAt(text, now = Date.now()) {
+    const value = String(text || '');
+    const MINUTE = 60 * 1000;
+    let ago = null;
+
+    let match;
+    if (/剛剛|今日|今天/.test(value)) ago = 0;
+    else if (/昨日|昨天/.test(value)) ago = 24 * 60 * MINUTE;
+    else if ((match = value.match(/(\d+)\s*分鐘/))) ago = parseInt(match[1]) * MINUTE;
+    else if ((match = value.match(/(\d+)\s*小時/))) ago = parseInt(match[1]) * 60 * MINUTE;
+    else if ((match = value.match(/(\d+)\s*天/))) ago = parseInt(match[1]) * 24 * 60 * MINUTE;
+    else if ((match = value.match(/(\d+)\s*個?月/))) ago = parseInt(match[1]) * 30 * 24 * 60 * MINUTE;
+
+    return ago === null ? '' : new Date(now - ago).toISOString();
+}
+
+/**
+ * 解析列表頁的分頁資訊
+ * @returns {{current: number, last: number, hasNext: boolean}}
+ */
+function parsePagination($) {
+    const current = parseInt($('.paging li.active').first().text().trim()) || 1;
+    const pageNumbers = $('.paging a').map((i, a) => parseInt($(a).text().trim())).get().filter(n => !isNaN(n));
+    const last = Math.max(current, ...pageNumbers);
+
+    // 「下一頁」按鈕在最後一頁會加上 disabled
+    const nextLink = $('.navigator').not('.disabled').find('a').filter((i, a) => $(a).text().includes('下一頁'));
+    const hasNext = nextLink.length > 0 ? !!nextLink.attr('href') : current < last;
+
+    return { current, last, hasNext };
+}
+
+/**
+ * 解析搜尋結果列表頁
+ * @param {string} html - 列表頁 HTML
+ * @param {object} options
+ * @param {number} options.now - 換算刊登時間的基準時間 (毫秒)
+ * @returns {Array<object>} 物件 { id, title, price, address, layout, tags, subway, postedAt, image, images, url }
+ */
+function parseListPage(html, options = {}) {
+    return parseListResults(html, options).listings;
+}
+
+/**
+ * 解析搜尋結果列表頁 (含分頁資訊)
+ * @returns {{listings: Array<object>, pagination: {current: number, last: number, hasNext: boolean}}}
+ */
+function parseListResults(html, { now = Date.now() } = {}) {
+    const $ = cheerio.load(html || '');
+    const results = [];
+
+    $('.item').each((index, el) => {
+        try {
+            const item = $(el);
+
+            // 標題和連結
+            const titleEl = item.find('.item-info-title a, .link.v-middle').first();
+            const title = titleEl.text().trim();
+            const id = extractListingId(titleEl.attr('href')) || `unknown-${index}`;
+
+            // 價格
+            const price = parsePrice(item.find('.item-info-price strong').first().text().trim());
+
+            // 地址和其他資訊從 item-info-txt 提取
+            let address = '';
+            let subway = '';
+            let layout = '';
+            item.find('.item-info-txt').each((i, txt) => {
+                const text = $(txt).text().trim();
+                const type = classifyInfoText(text);
+                if (type === 'address') address = text;
+                else if (type === 'subway') subway = text;
+                else if (type === 'layout') layout = text;
+            });
+
+            // 刊登 / 更新時間 (如 "仲介段小姐 | 4小時內更新 | 昨日229人瀏覽")
+            const timeText = item.find('.role-name span')
+                .map((i, span) => $(span).text().trim()).get()
+                .find(text => text.includes('更新') || text.includes('刊登')) || '';
+            const postedAt = parsePostedAt(timeText, now);
+
+            // 標籤
+            const tags = item.find('.item-tag span, .tag').map((i, tag) => $(tag).text().trim()).get();
+
+            // 圖片 (抓取多張)
+            const images = [];
+            item.find('img').each((i, img) => {
+                const src = resolveImageUrl($(img));
+                if (src && !images.includes(src)) images.push(src);
+            });
+
+            if (title && price > 0) {
+                results.push({
+                    id,
+                    title,
+                    price,
+                    address,
+                    layout,
+                    tags,
+                    subway,
+                    postedAt,
+                    image: images[0] || '', // 保留單張圖片相容性
+                    images,
+                    url: `https://rent.591.com.tw/${id}`
+                });
+            }
+        } catch (e) {
+            console.error('解析錯誤:', e);
+        }
+    });
+
+    return { listings: results, pagination: parsePagination($) };
+}
+
+/**
+ * 取第一個有值的欄位 (591 API 不同版本的欄位名稱不同)
+ */
+function pick(obj, ...keys) {
+    for (const key of keys) {
+        const value = obj?.[key];
+        if (value !== undefined && value !== null && value !== '') return value;
+    }
+    return undefined;
+}
+
+/**
+ * 轉成數字，無法轉換回傳 null
+ */
+function toNumber(value) {
+    if (value === undefined || value === null || value === '') return null;
+    const num = parseFloat(String(value).replace(/,/g, ''));
+    return isNaN(num) ? null : num;
+}
+
+/**
+ * API 的時間欄位 → ISO 時間字串
+ * 可能是 unix 秒數、日期字串或列表上的相對時間 ("4小時內更新")
+ */
+function parseApiTime(value, now) {
+    if (value === undefined || value === null || value === '') return '';
+    if (typeof value === 'number' || /^\d+$/.test(value)) {
+        const num = Number(value);
+        return new Date(num < 1e12 ? num * 1000 : num).toISOString();
+    }
+    const date = new Date(String(value).replace(' ', 'T') + (/[zZ]|[+-]\d\d:?\d\d$/.test(value) ? '' : '+08:00'));
+    if (!isNaN(date.getTime())) return date.toISOString();
+    return parsePostedAt(value, now);
+}
+
+/**
+ * 解析樓層文字 (如 "13F/14F"、"B1/5F")
+ * @returns {{floor: number|null, totalFloors: number|null}}
+ */
+function parseFloorText(text) {
+    const match = String(text || '').match(/(B?\d+)F?\s*\/\s*(\d+)F/i);
+    if (!match) return { floor: null, totalFloors: null };
+    const floor = match[1].toUpperCase().startsWith('B') ? -parseInt(match[1].substring(1)) : parseInt(match[1]);
+    return { floor, totalFloors: parseInt(match[2]) };
+}
+
+/**
+ * 將 591 列表 API 的單筆物件轉成爬蟲的物件格式
+ * address / layout / subway 組成方式與列表頁文字相同，確保兩種模式的物件指紋一致
+ * @param {object} item - API 回傳的物件
+ * @param {object} options - { now }
+ * @returns {object|null} 缺少 ID 或價格時回傳 null
+ */
+function mapApiListing(item, { now = Date.now() } = {}) {
+    const id = String(pick(item, 'id', 'post_id', 'houseid') || '');
+    const title = String(pick(item, 'title') || '').trim();
+    const price = parsePrice(pick(item, 'price'));
+    if (!id || !title || price <= 0) return null;
+
+    const kindName = pick(item, 'kind_name', 'kindName') || '';
+    const layoutText = pick(item, 'layoutStr', 'layout_str', 'room_str', 'layout') || '';
+    const area = toNumber(pick(item, 'area'));
+    const areaName = pick(item, 'area_name', 'areaName') || (area !== null ? `${area}坪` : '');
+    const floorName = pick(item, 'floor_name', 'floor_str', 'floorStr') || '';
+    const { floor, totalFloors } = parseFloorText(floorName);
+
+    const street = pick(item, 'address') || [pick(item, 'section_name'), pick(item, 'street_name')].filter(Boolean).join('-');
+    const community = pick(item, 'community', 'community_name') || '';
+
+    // 周邊交通 (如 { type: 'metro', desc: '距新埔民生', distance: '483公尺' })
+    const surrounding = item.surrounding || {};
+    const subwayDistance = toNumber(surrounding.distance);
+    const subway = surrounding.desc ? `${surrounding.desc}${surrounding.distance || ''}` : '';
+
+    const tags = (pick(item, 'tags', 'rent_tag', 'tag') || [])
+        .map(tag => (typeof tag === 'string' ? tag : tag?.name || '').trim())
+        .filter(Boolean);
+
+    const images = [];
+    (pick(item, 'photoList', 'photo_list', 'photos') || []).forEach(photo => {
+        let src = typeof photo === 'string' ? photo : (photo?.src || photo?.url || '');
+        if (src.startsWith('//')) src = `https:${src}`;
+        if (src && !images.includes(src)) images.push(src);
+    });
+
+    const location = item.location || {};
+    const lat = toNumber(pick(item, 'lat', 'latitude') ?? location.lat);
+    const lng = toNumber(pick(item, 'lng', 'lon', 'longitude') ?? location.lng);
+
+    return {
+        id,
+        title,
+        price,
+        address: `${community}${street}`,
+        layout: `${kindName}${layoutText}${areaName}${floorName}`,
+        tags,
+        subway,
+        postedAt: parseApiTime(pick(item, 'refresh_time', 'refreshtime', 'ltime', 'posttime', 'updatetime'), now),
+        image: images[0] || '',
+        images,
+        url: `https://rent.591.com.tw/${id}`,
+        // API 才有的精確欄位
+        kind: kindName,
+        area,
+        floor,
+        totalFloors,
+        subwayDistance,
+        lat,
+        lng
+    };
+}
+
+/**
+ * 解析 591 列表 API 的回應
+ * @param {object} json - API 回應 ({ status, data: { total, items } })
+ * @param {object} options - { now }
+ * @returns {{listings: Array<object>, total: number}|null} 格式不符時回傳 null
+ */
+function parseListApiResponse(json, options = {}) {
+    const data = json?.data;
+    const items = data?.items || data?.data;
+    if (!Array.isArray(items)) return null;
+
+    const listings = items.map(item => mapApiListing(item, options)).filter(Boolean);
+    return { listings, total: parseInt(pick(data, 'total', 'records')) || listings.length };
+}
+
+/**
+ * 依刊登時間排序 (新到舊)，沒有時間的物件排在後面，同時間以物件 ID 大者 (較新) 優先
+ */
+function sortByPostedAt(listings) {
+    return [...listings].sort((a, b) => {
+        const timeA = a.postedAt ? new Date(a.postedAt).getTime() : 0;
+        const timeB = b.postedAt ? new Date(b.postedAt).getTime() : 0;
+        if (timeA !== timeB) return timeB - timeA;
+        return (parseInt(b.id) || 0) - (parseInt(a.id) || 0);
+    });
+}
+
+/**
+ * 解析列表頁篩選選單中的行政區名稱 (依頁面順序，不含「不限」)
+ * 選單上沒有代碼，代碼要點選後從網址的 section 參數取得 (見 districtSync.js)
+ */
+function parseSectionFilters(html) {
+    const $ = cheerio.load(html);
+    const names = [];
+    $('.section.filter-item .t5-checkbox__text').each((i, el) => {
+        const name = $(el).text().trim();
+        if (name && !names.includes(name)) names.push(name);
+    });
+    return names;
+}
+
+/**
+ * 判斷列表頁是否明確顯示「沒有符合條件的物件」
+ * @param {string} html - 頁面 HTML
+ * @returns {boolean}
+ */
+function isEmptyResultPage(html) {
+    const $ = cheerio.load(html || '');
+    if ($('.item, .vue-list-rent-item').length > 0) return false;
+    if ($(EMPTY_RESULT_SELECTORS).length > 0) return true;
+    return EMPTY_RESULT_PATTERN.test(extractPageText($));
+}
+
+/**
+ * 判斷頁面是否為阻擋 / 驗證頁 (被擋時列表頁不會出現物件，不能當成「沒有物件」)
+ * @param {string} html - 頁面 HTML
+ * @param {object} options
+ * @param {number} options.status - HTTP 狀態碼 (可選)
+ * @returns {string|null} 阻擋原因，正常頁面回傳 null
+ */
+function detectBlockPage(html, { status = 0 } = {}) {
+    if (BLOCK_HTTP_STATUS.includes(status)) return `HTTP ${status}`;
+
+    const $ = cheerio.load(html || '');
+    const title = $('title').first().text().trim();
+    if (BLOCK_TITLE_PATTERN.test(title)) return `驗證頁 (${title})`;
+    if ($(BLOCK_SELECTORS).length > 0) return '驗證碼';
+
+    // 文字特徵只在頁面沒有物件列表時判斷，避免物件說明剛好寫到這些字
+    if ($('.item, .recommend-ware, .vue-list-rent-item').length === 0) {
+        const match = extractPageText($).match(BLOCK_TEXT_PATTERN);
+        if (match) return `流量限制 (${match[0]})`;
+    }
+    return null;
+}
+
+/**
+ * 是否為電話號碼格式
+ */
+function isPhoneNumber(text) {
+    return !!text && PHONE_PATTERN.test(text.replace(/\s/g, ''));
+}
+
+/**
+ * 從頁面文字找出 LINE ID (如 "LINE：abc123")
+ */
+function extractLineId(pageText) {
+    return String(pageText || '').match(/LINE\s*[:：]\s*(\S+)/i)?.[1] || '';
+}
+
+/**
+ * 從頁面文字找出房東/仲介姓名 (如 "屋主: 王先生")
+ */
+function extractLandlordName(pageText) {
+    return String(pageText || '').match(/(仲介|屋主|房東)\s*[:：]\s*([^\s(<]+)/)?.[2] || '';
+}
+
+/**
+ * 解析物件詳情頁的聯絡資訊
+ * @param {string} html - 物件詳情頁 HTML
+ * @returns {{phone: string, line: string, landlordName: string, title: string, address: string}}
+ */
+function parseContactInfo(html) {
+    const $ = cheerio.load(html || '');
+    const pageText = extractPageText($);
+
+    // 電話號碼
+    let phone = '';
+    for (const sel of PHONE_SELECTORS) {
+        $(sel).each((i, el) => {
+            const text = $(el).text().trim() || ($(el).attr('href') || '').replace('tel:', '');
+            if (isPhoneNumber(text)) {
+                phone = text;
+                return false;
+            }
+        });
+        if (phone) break;
+    }
+
+    // LINE ID
+    let line = '';
+    for (const sel of LINE_SELECTORS) {
+        const el = $(sel).first();
+        if (el.length) {
+            // 如果是 LINE 按鈕，只記錄「有 LINE 聯絡」
+            line = el.text().includes('LINE聯絡') ? '有LINE聯絡' : el.text().trim();
+            break;
+        }
+    }
+    // 也檢查頁面文字中是否有 LINE ID
+    if (!line || line === '有LINE聯絡') {
+        line = extractLineId(pageText) || line;
+    }
+
+    // 房東/仲介姓名 - 591 新版結構: 包含「仲介:」或「屋主:」的 span
+    let landlordName = extractLandlordName(pageText);
+    if (!landlordName) {
+        for (const sel of LANDLORD_SELECTORS) {
+            landlordName = $(sel).first().text().trim().replace(/^(仲介|屋主|房東)\s*[:：]\s*/, '');
+            if (landlordName) break;
+        }
+    }
+
+    const title = firstText($, TITLE_SELECTORS);
+
+    // 物件地址，找不到時從麵包屑或其他區域提取
+    let address = firstText($, ADDRESS_SELECTORS);
+    if (!address) {
+        address = $('.breadcrumb, .region-info').first().text().trim().replace(/\s+/g, ' ');
+    }
+
+    return { phone, line, landlordName, title, address };
+}
+
+/**
+ * 從頁面文字取出標籤後面的值 (如「押金 二個月」→「二個月」)
+ * @param {string} pageText - extractPageText 的結果
+ * @param {string[]} labels - 依序嘗試的標籤
+ */
+function extractLabeledValue(pageText, labels) {
+    for (const label of labels) {
+        const match = String(pageText || '').match(new RegExp(`${label}\\s*[:：]?\\s*([^\\s，、]+)`));
+        if (match) return match[1];
+    }
+    return '';
+}
+
+/**
+ * 判斷頁面是否標示「可 / 不可」某條件 (如「可入籍」、「不可報稅」、「入籍：否」)
+ * 「入籍 可」這類寫法的值須接冒號或在行尾，避免「可入籍 不可報稅」的不可被算到入籍
+ * @param {string} pageText - 頁面文字
+ * @param {string} keyword - 關鍵字 (正規表示式)
+ * @returns {boolean|null} 沒有標示時回傳 null
+ */
+function extractPermission(pageText, keyword) {
+    const text = String(pageText || '');
+    if (new RegExp(`(不可|不能|無法)(申請)?${keyword}|${keyword} ?([:：] ?(否|不可|不行)|(否|不可|不行)$)`, 'm').test(text)) return false;
+    if (new RegExp(`可(以)?(申請)?${keyword}|${keyword} ?([:：] ?(可|是)|(可|是)$)`, 'm').test(text)) return true;
+    return null;
+}
+
+/**
+ * 解析物件詳情頁的設備、說明與租約條件
+ * @param {string} html - 物件詳情頁 HTML
+ * @returns {{equipments: string[], description: string, hasDryWetSeparation: boolean, subwayDistance: string,
+ *   deposit: string, managementFee: string, minLease: string, moveInDate: string,
+ *   electricity: string, water: string, internetFee: string, parkingFee: string, rentIncludes: string,
+ *   canRegister: boolean|null, canFileTax: boolean|null, canSubsidy: boolean|null}}
+ */
+function parseListingDetails(html) {
+    const $ = cheerio.load(html || '');
+
+    // 設備列表 (沒有提供的設備 591 會加上 del 樣式)
+    const equipments = $('.service-list-item, .facility span, .icon-item')
+        .not('.del')
+        .map((i, el) => $(el).text().trim())
+        .get()
+        .filter(Boolean);
+
+    // 屋主說明（檢查乾濕分離）
+    const description = $(DESCRIPTION_SELECTORS).first().text().trim();
+
+    // 租約條件只看說明以外的欄位，「可/不可」條件則連說明一起看 (很多屋主只寫在說明裡)
+    $(DESCRIPTION_SELECTORS).remove();
+    const pageText = extractPageText($);
+    const permissionText = `${pageText}\n${description}`;
+
+    const terms = {};
+    for (const [key, labels] of Object.entries(DETAIL_LABELS)) {
+        terms[key] = extractLabeledValue(pageText, labels);
+    }
+    for (const [key, keyword] of Object.entries(DETAIL_PERMISSIONS)) {
+        terms[key] = extractPermission(permissionText, keyword);
+    }
+    // 「租金含 水費、網路」整行都是值
+    terms.rentIncludes = pageText.match(/租金含\s*[:：]?\s*([^\n]+)/)?.[1].trim() || '';
+
+    return {
+        equipments,
+        description: description.substring(0, 500),
+        hasDryWetSeparation: description.includes('乾濕分離') || equipments.some(e => e.includes('乾濕分離')),
+        subwayDistance: $('.traffic-info, .metro-info, .subway-distance').first().text().trim(),
+        ...terms
+    };
+}
+
+module.exports = {
+    parseListPage,
+    parseListResults,
+    parseListApiResponse,
+    mapApiListing,
+    parsePostedAt,
+    sortByPostedAt,
+    parseSectionFilters,
+    detectBlockPage,
+    isEmptyResultPage,
+    parseContactInfo,
+    parseListingDetails,
+    extractLabeledValue,
+    extractPermission,
+    classifyInfoText,
+    parsePrice,
+    extractListingId,
+    resolveImageUrl,
+    isPhoneNumber,
+    extractLineId,
+    extractLandlordName,
+    extractPageText
+};
@@ -0,0 +1,134 @@
+/**
+ * 價格追蹤模組
+ * 負責產生物件指紋，並比對新舊資料找出降價/漲價與重新刊登的物件
+ */
+
+const crypto = require('crypto');
+
+// 價格紀錄事件類型
+const PRICE_EVENTS = {
+    NEW: '新上架',
+    DROP: '降價',
+    RISE: '漲價',
+    RELIST: '重新刊登'
+};
+
+// 降價通知設定
+const PRICE_ALERT_MODES = {
+    FAVORITES: 'favorites', // 只通知收藏的物件 (預設)
+    ALL: 'all',             // 收藏 + 推播過的物件
+    OFF: 'off'              // 關閉
+};
+
+const PRICE_ALERT_LABELS = {
+    favorites: '收藏的物件',
+    all: '收藏 + 推播過的物件',
+    off: '已關閉'
+};
+
+/**
+ * 正規化文字 (移除空白、標點與表情符號，只保留文字與數字)
+ */
+function normalizeText(text) {
+    return String(text || '').toLowerCase().replace(/[^\p{L}\p{N}]/gu, '');
+}
+
+/**
+ * 產生物件指紋 (標題 + 地址 + 格局)
+ * 房東下架後以新 ID 重新刊登時，這三者通常不變，可用來辨識同一間房
+ * @returns {string} 16 字元的雜湊值，資料不足時回傳空字串
+ */
+function listingFingerprint(listing) {
+    const parts = [listing.title, listing.address, listing.layout].map(normalizeText);
+    if (!parts[0] || !parts[1]) return '';
+
+    return crypto.createHash('sha1').update(parts.join('|')).digest('hex').substring(0, 16);
+}
+
+/**
+ * 比對本次爬到的物件與已儲存的資料
+ * @param {Array} listings - 本次爬到的物件 (需已帶有 fingerprint)
+ * @param {Map<string, {id: string, price: number, fingerprint: string}>} snapshots - 已儲存物件 (以 ID 為 key)
+ * @returns {{ priceChanges: Array, relisted: Array }}
+ *   priceChanges: [{ listing, oldPrice, newPrice }]
+ *   relisted: [{ listing, previousId, oldPrice, newPrice }]
+ */
+function detectListingChanges(listings, snapshots) {
+    const priceChanges = [];
+    const relisted = [];
+
+    // 指紋 → 已儲存物件 (同指紋有多筆時取最後一筆，也就是最近刊登的)
+    const byFingerprint = new Map();
+    for (const snapshot of snapshots.values()) {
+        if (snapshot.fingerprint) byFingerprint.set(snapshot.fingerprint, snapshot);
+    }
+
+    for (const listing of listings) {
+        const snapshot = snapshots.get(listing.id);
+
+        if (snapshot) {
+            if (snapshot.price > 0 && listing.price > 0 && snapshot.price !== listing.price) {
+                priceChanges.push({ listing, oldPrice: snapshot.price, newPrice: listing.price });
+            }
+            continue;
+        }
+
+        const previous = listing.fingerprint ? byFingerprint.get(listing.fingerprint) : null;
+        if (previous && previous.id !== listing.id) {
+            relisted.push({
+                listing,
+                previousId: previous.id,
+                oldPrice: previous.price,
+                newPrice: listing.price
+            });
+        }
+    }
+
+    return { priceChanges, relisted };
+}
+
+/**
+ * 將偵測結果轉為價格紀錄
+ * @param {Array} newListings - 本次新增的物件
+ * @param {{ priceChanges: Array, relisted: Array }} changes - detectListingChanges 的結果
+ * @returns {Array<{ listingId: string, price: number, event: string, previousId: string }>}
+ */
+function buildHistoryEntries(newListings, { priceChanges, relisted }) {
+    const relistedById = new Map(relisted.map(r => [r.listing.id, r]));
+
+    return [
+        ...newListings.map(listing => ({
+            listingId: listing.id,
+            price: listing.price,
+            event: relistedById.has(listing.id) ? PRICE_EVENTS.RELIST : PRICE_EVENTS.NEW,
+            previousId: relistedById.get(listing.id)?.previousId || ''
+        })),
+        ...priceChanges.map(change => ({
+            listingId: change.listing.id,
+            price: change.newPrice,
+            event: change.newPrice < change.oldPrice ? PRICE_EVENTS.DROP : PRICE_EVENTS.RISE,
+            previousId: ''
+        }))
+    ];
+}
+
+/**
+ * 將價格紀錄整理成走勢文字 (連續相同的租金只顯示一次)
+ * 例: [13000, 12000, 12000, 11000] → "13,000 → 12,000 → 11,000"
+ * @param {Array<{price: number}>} history
+ */
+function formatPriceTrail(history) {
+    const prices = history.map(h => h.price).filter(p => p > 0);
+    const trail = prices.filter((price, i) => i === 0 || price !== prices[i - 1]);
+    return trail.map(p => p.toLocaleString()).join(' → ');
+}
+
+module.exports = {
+    PRICE_EVENTS,
+    PRICE_ALERT_MODES,
+    PRICE_ALERT_LABELS,
+    formatPriceTrail,
+    listingFingerprint,
+    detectListingChanges,
+    buildHistoryEntries
+};
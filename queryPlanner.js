@@ -0,0 +1,130 @@
+/**
+ * 排程爬蟲的搜尋規劃
+ * 把所有用戶的搜尋條件合併成不重複的查詢：同一個來源、地區、關鍵字與篩選參數只爬一次，
+ * 租金取這些用戶需要的最寬範圍，爬完再依每位用戶的條件在本地比對 (見 scraper.matchListingsForSearch)
+ * 車站目標 (見 metro.js) 以所在行政區搜尋，與同一行政區的其他搜尋共用
+ */
+
+const { parseKeywords, buildKeywordQueries, parseFilterProfile } = require('./filters');
+const { parseCostProfile, COST_SEARCH_MARGIN } = require('./cost');
+const { getSource, DEFAULT_SOURCE } = require('./sources');
+const { toDistrictTarget } = require('./metro');
+
+/**
+ * 整理一組搜尋條件 (關鍵字、篩選條件、花費設定可傳入用戶設定原文或已解析的物件)
+ * @param {object} search - { userId, source, targets, minRent, maxRent, keywords, filters, costProfile }
+ * @returns {object} 加上 keywordSpec、filterProfile、usage 與實際搜尋用的 searchMinRent
+ */
+function normalizeSearch(search) {
+    const keywords = search.keywords || '';
+    const usage = parseCostProfile(search.costProfile);
+    const minRent = search.minRent || 0;
+
+    return {
+        ...search,
+        source: search.source || DEFAULT_SOURCE,
+        targets: search.targets || [],
+        minRent,
+        maxRent: search.maxRent || 0,
+        keywordSpec: typeof keywords === 'string' ? parseKeywords(keywords) : keywords,
+        filterProfile: parseFilterProfile(search.filters),
+        usage,
+        // 以總花費比對時，租金低於下限的物件加上雜費仍可能符合，搜尋的下限要放寬
+        searchMinRent: usage.basis === 'total' ? Math.max(0, minRent - COST_SEARCH_MARGIN) : minRent
+    };
+}
+
+/**
+ * 查詢的合併依據：租金以外的搜尋網址完全相同 (同一來源、地區、關鍵字、網站端篩選參數)
+ * 本地才套用的篩選條件 (樓層、可入籍等) 不影響網址，不同用戶仍可共用同一次爬取
+ */
+function queryKey(source, target, query, filterProfile) {
+    return source.searchUrl(target, { minRent: 0, maxRent: 0, keywords: query, filters: filterProfile });
+}
+
+/**
+ * 合併多位用戶的搜尋條件
+ * 租金範圍有重疊的合併為一次搜尋 (取最寬範圍)；完全不重疊的分開搜尋，避免爬到沒人需要的租金帶
+ * @param {Array<object>} searches - 每位用戶的搜尋條件 (見 normalizeSearch)
+ * @returns {{searches: Array<object>, queries: Array<object>}}
+ *   searches: 整理後的搜尋條件 (順序與傳入相同)
+ *   queries: 不重複的查詢 { id, source, target, keywords, filters, minRent, maxRent, searchIndexes, stationsBySearch }，
+ *     searchIndexes 為需要這個查詢結果的搜尋 (searches 的索引)，
+ *     stationsBySearch 為各搜尋限定的車站 (null 表示整個行政區都要)
+ */
+function buildQueryPlan(searches) {
+    const normalized = searches.map(normalizeSearch);
+    const groups = new Map();
+
+    normalized.forEach((search, index) => {
+        const source = getSource(search.source);
+        if (!source) {
+            console.error(`❌ 未知的物件來源: ${search.source}`);
+            return;
+        }
+        for (const searchTarget of search.targets) {
+            const target = toDistrictTarget(searchTarget);
+            for (const query of buildKeywordQueries(search.keywordSpec)) {
+                const key = queryKey(source, target, query, search.filterProfile);
+                if (!groups.has(key)) {
+                    groups.set(key, { source: source.id, target, keywords: query, filters: search.filterProfile, bands: [] });
+                }
+                groups.get(key).bands.push({
+                    minRent: search.searchMinRent,
+                    maxRent: search.maxRent || Infinity, // 0 表示不限上限，合併時視為無限大
+                    index,
+                    station: searchTarget.station || null
+                });
+            }
+        }
+    });
+
+    const queries = [];
+    for (const { bands, ...group } of groups.values()) {
+        let current = null;
+        for (const band of [...bands].sort((a, b) => a.minRent - b.minRent)) {
+            if (current && band.minRent <= current.maxRent) {
+                current.maxRent = Math.max(current.maxRent, band.maxRent);
+                if (!current.searchIndexes.includes(band.index)) current.searchIndexes.push(band.index);
+            } else {
+                current = {
+                    id: `q${queries.length + 1}`,
+                    ...group,
+                    minRent: band.minRent,
+                    maxRent: band.maxRent,
+                    searchIndexes: [band.index],
+                    stationsBySearch: {}
+                };
+                queries.push(current);
+            }
+            // 同一搜尋同時有行政區與車站目標時，整個行政區都要
+            const stations = current.stationsBySearch[band.index];
+            current.stationsBySearch[band.index] = band.station === null || stations === null
+                ? null
+                : [...(stations || []), band.station];
+        }
+    }
+    for (const query of queries) {
+        if (query.maxRent === Infinity) query.maxRent = 0;
+    }
+
+    return { searches: normalized, queries };
+}
+
+/**
+ * 某一組搜尋條件需要的查詢
+ * @param {object} plan - buildQueryPlan 的結果
+ * @param {number} index - searches 的索引
+ * @returns {Array<object>} 查詢加上這組搜尋限定的車站 stations (null 表示不限)
+ */
+function getSearchQueries(plan, index) {
+    return plan.queries
+        .filter(q => q.searchIndexes.includes(index))
+        .map(q => ({ ...q, stations: q.stationsBySearch[index] ?? null }));
+}
+
+module.exports = {
+    normalizeSearch,
+    buildQueryPlan,
+    getSearchQueries
+};
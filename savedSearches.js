@@ -0,0 +1,350 @@
+/**
+ * 命名搜尋
+ * 用戶設定本身是「預設」搜尋，另外可儲存多組命名搜尋 (例如「大安套房」、「永和兩房」)，
+ * 各自有地區、租金、關鍵字、篩選條件、用量設定與通知排程，以 JSON 存在用戶設定的 searches 欄位
+ *
+ * 「地區」、「租金」、「關鍵字」、「條件」等指令修改的是目前選擇的搜尋 (activeSearch 欄位)：
+ * 讀取時以 applyActiveSearch 套上該搜尋的條件，寫入時以 buildSearchUpdate 決定寫到用戶設定或命名搜尋
+ */
+
+const { resolvePlaces } = require('./geography');
+const { resolveStationTargets } = require('./metro');
+
+// 通知排程
+const SEARCH_SCHEDULES = {
+    WEEKLY: 'weekly', // 每週週報 (原本的行為)
+    DAILY: 'daily',   // 每次排程爬蟲後推播新物件
+    OFF: 'off'        // 不自動通知 (只在手動搜尋時推播)
+};
+
+const SCHEDULE_LABELS = {
+    weekly: '每週週報',
+    daily: '每日推播',
+    off: '不自動通知'
+};
+
+// LINE 指令名稱 → 通知排程
+const SCHEDULE_COMMANDS = {
+    '每週': 'weekly', '週報': 'weekly',
+    '每日': 'daily', '每天': 'daily',
+    '關': 'off', '關閉': 'off', '不通知': 'off'
+};
+
+const DEFAULT_SEARCH_ID = 'default';
+const DEFAULT_SEARCH_NAME = '預設';
+const MAX_SAVED_SEARCHES = 5;
+const MAX_NAME_LENGTH = 12;
+
+// 「地區」/「搜尋」指令的特殊參數 (「搜尋 預設」恢復預設地區)，不能當搜尋名稱
+const REGION_KEYWORDS = ['預設', '全', '全部'];
+
+// 每組搜尋各自擁有的條件 (與用戶設定欄位同名同格式，resolveUserSearch 可直接使用)
+const SEARCH_FIELDS = ['targets', 'minRent', 'maxRent', 'keywords', 'filters', 'costProfile'];
+
+function pickSearchFields(source) {
+    const fields = {};
+    SEARCH_FIELDS.forEach(field => {
+        if (source[field] !== undefined && source[field] !== null) fields[field] = source[field];
+    });
+    return fields;
+}
+
+/**
+ * 解析儲存的命名搜尋 (JSON 字串)
+ * @returns {Array<object>} { id, name, schedule, paused, createdAt, targets, minRent, maxRent, keywords, filters, costProfile }
+ *   id 為 'default' 的項目只記錄預設搜尋的名稱、排程與暫停狀態
+ */
+function parseSavedSearches(raw) {
+    if (!raw) return [];
+    try {
+        const parsed = typeof raw === 'string' ? JSON.parse(raw) : raw;
+        return Array.isArray(parsed) ? parsed.filter(s => s && s.id && s.name) : [];
+    } catch (e) {
+        console.log('❌ 解析命名搜尋失敗，忽略:', e.message);
+        return [];
+    }
+}
+
+/**
+ * 用戶的所有搜尋 (預設搜尋在第一個)
+ * @param {object} user - 用戶設定 (見 storage.getUser)
+ * @returns {Array<object>} { id, name, schedule, paused, targets, minRent, maxRent, keywords, filters, costProfile }
+ */
+function getUserSearches(user) {
+    const saved = parseSavedSearches(user?.searches);
+    const meta = saved.find(s => s.id === DEFAULT_SEARCH_ID) || {};
+    const defaultSearch = {
+        id: DEFAULT_SEARCH_ID,
+        name: meta.name || DEFAULT_SEARCH_NAME,
+        schedule: meta.schedule || SEARCH_SCHEDULES.WEEKLY,
+        paused: !!meta.paused,
+        ...pickSearchFields(user || {})
+    };
+    const others = saved
+        .filter(s => s.id !== DEFAULT_SEARCH_ID)
+        .map(s => ({ schedule: SEARCH_SCHEDULES.WEEKLY, paused: false, ...s }));
+    return [defaultSearch, ...others];
+}
+
+/**
+ * 目前選擇的搜尋 (找不到時為預設搜尋)
+ */
+function getActiveSearch(user) {
+    const searches = getUserSearches(user);
+    return searches.find(s => s.id === user?.activeSearch) || searches[0];
+}
+
+/**
+ * 依名稱或編號 (搜尋列表的順序，從 1 開始) 找搜尋
+ * @param {Array<object>} searches - getUserSearches 的結果
+ * @param {string} text - 名稱或編號
+ * @param {object} options
+ * @param {boolean} options.allowNumber - 是否接受編號 (「搜尋 2」不應被當成第 2 組搜尋時傳 false)
+ */
+function findSearch(searches, text, { allowNumber = true } = {}) {
+    const name = String(text || '').trim();
+    if (!name) return null;
+    if (allowNumber && /^\d+$/.test(name)) return searches[parseInt(name) - 1] || null;
+    return searches.find(s => s.name.toLowerCase() === name.toLowerCase()) || null;
+}
+
+/**
+ * 搜尋的地區顯示文字，例如「中山區、永和區」
+ */
+function formatSearchTargets(search) {
+    let targets = [];
+    try {
+        targets = search.targets ? JSON.parse(search.targets) : [];
+    } catch (e) {
+        targets = [];
+    }
+    return Array.isArray(targets) ? targets.map(t => t.name.split('-')[1] || t.name).join('、') : '';
+}
+
+/**
+ * 套上目前選擇的搜尋條件 (讀取用戶設定後使用，既有讀取 user.filters 等欄位的程式不需修改)
+ * @returns {object} 用戶設定複本，加上 searchName (只有預設搜尋時為空字串，推播不需標示)
+ */
+function applyActiveSearch(user) {
+    if (!user) return user;
+    const searches = getUserSearches(user);
+    const active = getActiveSearch(user);
+    const isDefault = active.id === DEFAULT_SEARCH_ID;
+    return {
+        ...user,
+        ...pickSearchFields(active),
+        region: isDefault ? user.region : (formatSearchTargets(active) || user.region),
+        activeSearch: active.id,
+        searchName: searches.length > 1 ? active.name : ''
+    };
+}
+
+/**
+ * 將搜尋條件的修改轉為用戶設定的更新內容
+ * 目前選擇預設搜尋時原樣回傳；選擇命名搜尋時改寫 searches 欄位中的那一組 (region 只屬於預設搜尋，略過)
+ * @param {object} user - 用戶設定 (未套用 applyActiveSearch 的原始資料)
+ * @param {object} settings - 要更新的欄位 (見 storage.updateUserSettings)
+ */
+function buildSearchUpdate(user, settings) {
+    const active = getActiveSearch(user);
+    if (active.id === DEFAULT_SEARCH_ID) return settings;
+
+    const rest = { ...settings };
+    [...SEARCH_FIELDS, 'region'].forEach(field => delete rest[field]);
+    const changes = pickSearchFields(settings);
+    const saved = parseSavedSearches(user.searches).map(s => s.id === active.id ? { ...s, ...changes } : s);
+    return { ...rest, searches: JSON.stringify(saved) };
+}
+
+/**
+ * 更新一組搜尋的名稱 / 排程 / 暫停狀態 (預設搜尋另外記錄一筆 id 為 'default' 的項目)
+ * @returns {string} 新的 searches 欄位 (JSON)
+ */
+function updateSearchMeta(user, id, changes) {
+    const saved = parseSavedSearches(user.searches);
+    if (id === DEFAULT_SEARCH_ID && !saved.some(s => s.id === DEFAULT_SEARCH_ID)) {
+        saved.unshift({ id: DEFAULT_SEARCH_ID, name: DEFAULT_SEARCH_NAME });
+    }
+    return JSON.stringify(saved.map(s => s.id === id ? { ...s, ...changes } : s));
+}
+
+/**
+ * 是否為「搜尋 [地區]」會切換地區的參數 (預設 / 全部、縣市、行政區或車站)
+ * 「搜尋 名稱」以地區優先，與地區同名的搜尋無法用名稱執行
+ */
+function isRegionName(text) {
+    const name = String(text || '').trim();
+    if (!name) return false;
+    if (REGION_KEYWORDS.includes(name)) return true;
+    const places = resolvePlaces(name);
+    if (places.unknown.length === 0 && (places.targets.length > 0 || places.ambiguous.length > 0)) return true;
+    return resolveStationTargets(name).targets.length > 0;
+}
+
+/**
+ * 檢查搜尋名稱
+ * @returns {string|null} 錯誤訊息
+ */
+function validateSearchName(searches, name, exceptId = null) {
+    if (!name) return '❓ 請輸入搜尋名稱\n範例：新增搜尋 永和兩房';
+    if (/\s/.test(name)) return '❌ 搜尋名稱不能有空白';
+    if (/^\d+$/.test(name)) return '❌ 搜尋名稱不能只有數字';
+    if (name.length > MAX_NAME_LENGTH) return `❌ 搜尋名稱最多 ${MAX_NAME_LENGTH} 個字`;
+    // 預設搜尋可以改回原本的名稱 (「搜尋 預設」仍是恢復預設地區)
+    if (isRegionName(name) && !(exceptId === DEFAULT_SEARCH_ID && name === DEFAULT_SEARCH_NAME)) {
+        return `❌ 「${name}」是地區名稱，「搜尋 ${name}」會切換地區，請換一個搜尋名稱`;
+    }
+    const existing = findSearch(searches, name, { allowNumber: false });
+    if (existing && existing.id !== exceptId) return `❌ 已經有名為「${name}」的搜尋`;
+    return null;
+}
+
+function notFound(text) {
+    return { settings: null, message: '', error: `❌ 找不到搜尋：${text}\n輸入「搜尋列表」查看所有搜尋` };
+}
+
+/**
+ * 新增命名搜尋 (複製目前選擇的搜尋條件)，並切換為目前選擇的搜尋
+ * @returns {{ settings: object|null, message: string, error: string|null }} settings 為 updateUserSettings 的內容
+ */
+function addSearch(user, name) {
+    const searches = getUserSearches(user);
+    const error = validateSearchName(searches, name);
+    if (error) return { settings: null, message: '', error };
+    if (searches.length - 1 >= MAX_SAVED_SEARCHES) {
+        return { settings: null, message: '', error: `❌ 最多只能儲存 ${MAX_SAVED_SEARCHES} 組命名搜尋，請先刪除不用的搜尋` };
+    }
+
+    const search = {
+        id: `s${Date.now().toString(36)}`,
+        name,
+        schedule: SEARCH_SCHEDULES.WEEKLY,
+        paused: false,
+        createdAt: new Date().toISOString(),
+        ...pickSearchFields(getActiveSearch(user))
+    };
+    const saved = [...parseSavedSearches(user.searches), search];
+    return {
+        settings: { searches: JSON.stringify(saved), activeSearch: search.id },
+        message: `✅ 已新增搜尋「${name}」(複製目前的條件)\n接下來的「地區」、「租金」、「關鍵字」、「條件」指令會修改這組搜尋`,
+        error: null
+    };
+}
+
+/**
+ * 切換目前選擇的搜尋
+ */
+function switchSearch(user, text) {
+    const search = findSearch(getUserSearches(user), text);
+    if (!search) return notFound(text);
+    return {
+        settings: { activeSearch: search.id === DEFAULT_SEARCH_ID ? '' : search.id },
+        message: `✅ 已切換至搜尋「${search.name}」\n接下來的「地區」、「租金」、「關鍵字」、「條件」指令會修改這組搜尋`,
+        error: null
+    };
+}
+
+/**
+ * 重新命名 (參數為「舊名稱 新名稱」)
+ */
+function renameSearch(user, args) {
+    const [oldName, newName = ''] = String(args || '').trim().split(/\s+/);
+    const searches = getUserSearches(user);
+    const search = findSearch(searches, oldName);
+    if (!search) return notFound(oldName || '(未輸入)');
+    const error = validateSearchName(searches, newName, search.id);
+    if (error) return { settings: null, message: '', error: newName ? error : '❓ 請輸入新名稱\n範例：重新命名搜尋 永和兩房 永和2房' };
+
+    return {
+        settings: { searches: updateSearchMeta(user, search.id, { name: newName }) },
+        message: `✅ 已將「${search.name}」重新命名為「${newName}」`,
+        error: null
+    };
+}
+
+/**
+ * 暫停 / 恢復搜尋 (暫停的搜尋不參加排程爬蟲，也不推播)
+ */
+function setSearchPaused(user, text, paused) {
+    const search = findSearch(getUserSearches(user), text);
+    if (!search) return notFound(text);
+    return {
+        settings: { searches: updateSearchMeta(user, search.id, { paused }) },
+        message: paused ? `⏸️ 已暫停搜尋「${search.name}」\n輸入「恢復搜尋 ${search.name}」重新開啟` : `▶️ 已恢復搜尋「${search.name}」`,
+        error: null
+    };
+}
+
+/**
+ * 刪除命名搜尋 (預設搜尋不能刪除；刪除目前選擇的搜尋時切回預設搜尋)
+ */
+function deleteSearch(user, text) {
+    const search = findSearch(getUserSearches(user), text);
+    if (!search) return notFound(text);
+    if (search.id === DEFAULT_SEARCH_ID) {
+        return { settings: null, message: '', error: `❌ 「${search.name}」是預設搜尋，無法刪除\n可以輸入「暫停搜尋 ${search.name}」暫停` };
+    }
+
+    const saved = parseSavedSearches(user.searches).filter(s => s.id !== search.id);
+    const settings = { searches: JSON.stringify(saved) };
+    if (getActiveSearch(user).id === search.id) settings.activeSearch = '';
+    return { settings, message: `🗑️ 已刪除搜尋「${search.name}」`, error: null };
+}
+
+/**
+ * 設定通知排程 (參數為「[名稱] 每日 / 每週 / 關」，省略名稱時設定目前選擇的搜尋)
+ */
+function setSearchSchedule(user, args) {
+    const tokens = String(args || '').trim().split(/\s+/).filter(Boolean);
+    const schedule = SCHEDULE_COMMANDS[tokens[tokens.length - 1]];
+    if (!schedule) {
+        return { settings: null, message: '', error: '❓ 請指定通知方式：每日 / 每週 / 關\n範例：搜尋通知 永和兩房 每日' };
+    }
+    const name = tokens.slice(0, -1).join(' ');
+    const search = name ? findSearch(getUserSearches(user), name) : getActiveSearch(user);
+    if (!search) return notFound(name);
+
+    return {
+        settings: { searches: updateSearchMeta(user, search.id, { schedule }) },
+        message: `✅ 搜尋「${search.name}」的通知：${SCHEDULE_LABELS[schedule]}`,
+        error: null
+    };
+}
+
+/**
+ * 搜尋列表的顯示文字
+ */
+function formatSearchList(user) {
+    const searches = getUserSearches(user);
+    const active = getActiveSearch(user);
+    const lines = searches.map((search, index) => {
+        const marker = search.id === active.id ? '👉 ' : '';
+        const status = search.paused ? '⏸️ 已暫停' : `🔔 ${SCHEDULE_LABELS[search.schedule] || SCHEDULE_LABELS.weekly}`;
+        const rent = `${(search.minRent || 0).toLocaleString()}-${(search.maxRent || 0).toLocaleString()} 元`;
+        const region = formatSearchTargets(search) || '預設地區';
+        return `${index + 1}. ${marker}${search.name}\n   📍 ${region} / 💰 ${rent}\n   ${status}`;
+    });
+    return `🔖 我的搜尋 (👉 為目前編輯中的搜尋)\n\n${lines.join('\n\n')}`;
+}
+
+module.exports = {
+    SEARCH_SCHEDULES,
+    SCHEDULE_LABELS,
+    DEFAULT_SEARCH_ID,
+    MAX_SAVED_SEARCHES,
+    parseSavedSearches,
+    getUserSearches,
+    getActiveSearch,
+    findSearch,
+    isRegionName,
+    formatSearchTargets,
+    applyActiveSearch,
+    buildSearchUpdate,
+    addSearch,
+    switchSearch,
+    renameSearch,
+    setSearchPaused,
+    deleteSearch,
+    setSearchSchedule,
+    formatSearchList
+};
@@ -1,596 +1,570 @@
 /**
- * 591 租屋網爬蟲模組
- * 使用 Playwright 爬取動態載入的租屋資訊
+ * 租屋網爬蟲模組
+ * 使用 Playwright 爬取動態載入的租屋資訊，各網站的網址與解析邏輯見 sources/ (目前為 591)
  */
 
-const { chromium } = require('playwright');
-const { execSync } = require('child_process');
-const pLimit = require('p-limit');
-
-// 限制並發數 (避免 Render 記憶體爆掉)
-// Free Tier 建議設定為 1，付費版可設為 2-3 (現在設定為 1 為了穩定，若 Render 有 1G RAM 可改為 2)
-// 為了避免 10+ 人同時排隊太久，這裡嘗試設為 1，但優化 scrape591 流程
-const limit = pLimit(1);
-
-// 確保 Playwright 瀏覽器已安裝
-async function ensureBrowserInstalled() {
-    try {
-        // 嘗試取得瀏覽器路徑
-        const browserPath = chromium.executablePath();
-        const fs = require('fs');
-        if (fs.existsSync(browserPath)) {
-            console.log('✅ Chromium 瀏覽器已就緒');
-            return true;
-        }
-    } catch (e) {
-        // 瀏覽器不存在
-    }
-
-    console.log('📦 正在安裝 Chromium 瀏覽器...');
-    try {
-        execSync('npx playwright install chromium', {
-            stdio: 'inherit',
-            timeout: 300000 // 5 分鐘超時
-        });
-        console.log('✅ Chromium 安裝完成');
-        return true;
-    } catch (error) {
-        console.error('❌ Chromium 安裝失敗:', error.message);
-        return false;
-    }
+const { browserPool } = require('./browserPool');
+const { backoffDelay } = require('./antiBlock');
+const { getCachedDetails, setCachedDetails } = require('./detailCache');
+const { computeMonthlyCost, applyTotalCostRange, COST_BASIS_LABELS } = require('./cost');
+const { buildSectionMap } = require('./geography');
+const {
+    findExcludedKeyword,
+    applyExcludeKeywords,
+    matchIncludeKeywords,
+    checkSiteFilters,
+    KEYWORD_MODES,
+    DEFAULT_FILTERS,
+    applyFilterProfile,
+    formatFilterProfile
+} = require('./filters');
+const { sortByPostedAt } = require('./parsers');
+const { normalizeListing, getNormalized } = require('./normalize');
+const { getSource, resolveListing, DEFAULT_SOURCE } = require('./sources');
+const { classifyCrawlError } = require('./sources/common');
+const { buildQueryPlan, getSearchQueries } = require('./queryPlanner');
+const { isSameStation } = require('./metro');
+
+// 讀取可以設為 0 的數字環境變數 (未設定、空字串或不是數字時用預設值)
+function readCountEnv(name, fallback) {
+    const value = parseInt(process.env[name]);
+    return Number.isNaN(value) ? fallback : value;
 }
 
 // 搜尋設定
 const SEARCH_CONFIG = {
-    baseUrl: 'https://rent.591.com.tw/list',
     // 地區代碼
     regions: {
         taipei: 1,
         newTaipei: 3
     },
-    // 行政區代碼 (Section IDs)
-    sections: {
-        // 台北市 (Region 1)
-        '中正區': 1, '中正': 1,
-        '大同區': 2, '大同': 2,
-        '中山區': 3, '中山': 3,
-        '松山區': 4, '松山': 4,
-        '大安區': 5, '大安': 5,
-        '萬華區': 6, '萬華': 6,
-        '信義區': 7, '信義': 7,
-        '士林區': 8, '士林': 8,
-        '北投區': 9, '北投': 9,
-        '內湖區': 10, '內湖': 10,
-        '南港區': 11, '南港': 11,
-        '文山區': 12, '文山': 12,
-
-        // 新北市 (Region 3)
-        // 新北市 (Region 3) - 2024 Verified
-        '板橋區': 26, '板橋': 26,
-        '三重區': 43, '三重': 43,
-        '中和區': 38, '中和': 38,
-        '永和區': 37, '永和': 37,
-        '新莊區': 44, '新莊': 44,
-        '新店區': 34, '新店': 34,
-        '淡水區': 50, '淡水': 50,
-        '土城區': 39, '土城': 39,
-        '蘆洲區': 47, '蘆洲': 47,
-        '汐止區': 27, '汐止': 27,
-        '樹林區': 41, '樹林': 41,
-        '鶯歌區': 42, '鶯歌': 42,
-        '三峽區': 40, '三峽': 40,
-        '林口區': 46, '林口': 46,
-        '五股區': 48, '五股': 48,
-        '泰山區': 45, '泰山': 45,
-        '八里區': 49, '八里': 49,
-        '瑞芳區': 30, '瑞芳': 30,
-        '深坑區': 28, '深坑': 28,
-        '石碇區': 29, '石碇': 29,
-        '坪林區': 35, '坪林': 35,
-        '平溪區': 31, '平溪': 31,
-        '雙溪區': 32, '雙溪': 32,
-        '貢寮區': 33, '貢寮': 33,
-        '金山區': 53, '金山': 53,
-        '萬里區': 54, '萬里': 54,
-        '烏來區': 36, '烏來': 36,
-        '三芝區': 51, '三芝': 51,
-        '石門區': 52, '石門': 52
-    },
-    filters: {
-        nearSubway: 'near_subway',
-        canCook: 'cook'
-    }
+    // 行政區代碼 (Section IDs，台北/新北；完整對照見 geography.json)
+    sections: buildSectionMap([1, 3]),
+    // 預設篩選條件 (用戶未設定時使用，詳見 filters.js)
+    filters: DEFAULT_FILTERS,
+    // 每個區域 (每組關鍵字) 最多爬幾頁 (每頁約 30 間)
+    maxPages: parseInt(process.env.CRAWL_MAX_PAGES) || 3,
+    // 擷取模式: api = 攔截列表頁載入的 JSON (失敗時改解析頁面) / dom = 只解析頁面
+    mode: process.env.CRAWL_MODE === 'dom' ? 'dom' : 'api',
+    // 每次爬蟲最多開幾個新物件的詳情頁 (0 代表不抓詳情)
+    detailLimit: readCountEnv('DETAIL_ENRICH_LIMIT', 10),
+    // 被網站阻擋時換一組身分重試的次數與第一次重試前的等待時間 (之後每次加倍)
+    blockRetries: readCountEnv('CRAWL_BLOCK_RETRIES', 2),
+    blockBackoffMs: (parseInt(process.env.CRAWL_BLOCK_BACKOFF_SECONDS) || 30) * 1000
 };
 
 /**
- * 建立搜尋 URL
- * @param {number} region - 縣市代碼 (1: 台北, 3: 新北)
- * @param {number|string} section - 行政區代碼 (可選)
+ * 爬取單一地區，被阻擋時換一組身分並以指數退避重試
+ * @param {object} source - 來源轉接器 (見 sources/index.js)
+ * @param {object} target - { region, section, name }
+ * @param {object} options - 見轉接器的 search
+ * @returns {Promise<object>} search 的結果，重試後仍被擋時 blocked 為最後一次的原因
  */
-function buildSearchUrl(region, section, minRent, maxRent, keywords = '') {
-    const params = new URLSearchParams({
-        region: region.toString(),
-        price: `${minRent}_${maxRent}`,
-        other: `${SEARCH_CONFIG.filters.nearSubway},${SEARCH_CONFIG.filters.canCook}`
-    });
-
-    if (section) {
-        params.append('section', section.toString());
-    }
-
-    if (keywords) {
-        params.append('keywords', keywords);
+async function searchWithRetry(source, target, options = {}) {
+    for (let attempt = 0; ; attempt++) {
+        const result = await browserPool.withPage((page, lease) => source.search(page, target, { ...options, lease }));
+        if (!result.blocked || attempt >= SEARCH_CONFIG.blockRetries) return result;
+
+        const delay = backoffDelay(attempt + 1, SEARCH_CONFIG.blockBackoffMs);
+        console.log(`   ⏳ ${Math.round(delay / 1000)} 秒後換一組身分重試 (${attempt + 1}/${SEARCH_CONFIG.blockRetries})`);
+        await new Promise(r => setTimeout(r, delay));
     }
-
-    return `${SEARCH_CONFIG.baseUrl}?${params.toString()}`;
 }
 
 /**
- * 爬取單一地區的租屋列表
+ * 整理單一搜尋 (地區 + 關鍵字) 的結果，記錄在爬蟲紀錄，並讓呼叫端知道哪些地區沒讀到
+ * @param {object} target - { region, section, name }
+ * @param {string} query - 關鍵字 (沒有時為空字串)
+ * @param {string} url - 第一頁的搜尋網址
+ * @param {object} result - 轉接器 search 的結果
+ * @param {number} durationMs - 耗時 (含被擋後的重試)
+ * @returns {{name: string, query: string, status: 'ok'|'partial'|'failed'|'blocked', count: number, pages: number, durationMs: number, url: string, errorClass: string, error: string}}
+ *   partial: 讀到前幾頁後失敗；failed: 一頁都沒讀到；blocked: 被網站阻擋 (errorClass 為 'blocked')
  */
-async function scrapeRegion(page, region, section, minRent, maxRent) {
-    const url = buildSearchUrl(region, section, minRent, maxRent, '乾濕分離');
-    console.log(`📍 爬取: ${url}`);
-
-    try {
-        await page.goto(url, { waitUntil: 'networkidle', timeout: 60000 });
-
-        // 等待列表載入
-        await page.waitForSelector('.item', { timeout: 30000 });
-
-        // 額外等待確保動態內容載入完成
-        await page.waitForTimeout(2000);
-
-        // 滾動頁面以載入更多內容
-        await autoScroll(page);
-
-        // 提取物件資訊
-        const listings = await page.evaluate(() => {
-            const items = document.querySelectorAll('.item');
-            const results = [];
-
-            items.forEach((item, index) => {
-                try {
-                    // 標題和連結
-                    const titleEl = item.querySelector('.item-info-title a, .link.v-middle');
-                    const title = titleEl?.textContent?.trim() || '';
-                    const href = titleEl?.getAttribute('href') || '';
-                    const id = href.match(/\/(\d+)/)?.[1] || `unknown-${index}`;
-
-                    // 價格
-                    const priceEl = item.querySelector('.item-info-price strong');
-                    let priceText = priceEl?.textContent?.trim() || '';
-                    const price = parseInt(priceText.replace(/[,元\/月]/g, '')) || 0;
-
-                    // 地址和其他資訊從 item-info-txt 提取
-                    const infoTxts = item.querySelectorAll('.item-info-txt');
-                    let address = '';
-                    let subway = '';
-                    let layout = '';
-
-                    infoTxts.forEach(txt => {
-                        const text = txt.textContent?.trim() || '';
-                        if (text.includes('區-') || text.includes('路') || text.includes('街')) {
-                            address = text;
-                        } else if (text.includes('公尺') || text.includes('捷運') || text.includes('站')) {
-                            subway = text;
-                        } else if (text.includes('房') || text.includes('坪') || text.includes('樓')) {
-                            layout = text;
-                        }
-                    });
-
-                    // 標籤
-                    const tags = [];
-                    item.querySelectorAll('.item-tag span, .tag').forEach(tag => {
-                        tags.push(tag.textContent?.trim());
-                    });
-
-                    // 圖片 (抓取多張)
-                    const images = [];
-                    item.querySelectorAll('img').forEach(img => {
-                        const src = img.src;
-                        if (src && !src.includes('placeholder') && !images.includes(src)) {
-                            images.push(src);
-                        }
-                    });
-                    const image = images[0] || ''; // 保留單張圖片相容性
-
-                    if (title && price > 0) {
-                        results.push({
-                            id,
-                            title,
-                            price,
-                            address,
-                            layout,
-                            tags,
-                            subway,
-                            image,
-                            images, // 新增多張圖片陣列
-                            url: `https://rent.591.com.tw/${id}`
-                        });
-                    }
-                } catch (e) {
-                    console.error('解析錯誤:', e);
-                }
-            });
-
-            return results;
-        });
-
-        return listings;
-    } catch (e) {
-        console.log(`⚠️ 該區域目前無物件或讀取超時 (${url})`);
-        return [];
-    }
-}
-
-/**
- * 自動滾動頁面以載入更多內容
- */
-async function autoScroll(page) {
-    await page.evaluate(async () => {
-        await new Promise((resolve) => {
-            let totalHeight = 0;
-            const distance = 500;
-            const timer = setInterval(() => {
-                const scrollHeight = document.body.scrollHeight;
-                window.scrollBy(0, distance);
-                totalHeight += distance;
-
-                if (totalHeight >= scrollHeight - window.innerHeight || totalHeight > 3000) {
-                    clearInterval(timer);
-                    resolve();
-                }
-            }, 200);
-        });
-    });
-
-    // 等待新內容載入
-    await page.waitForTimeout(1000);
+function buildTargetResult(target, query, url, result, durationMs) {
+    let status = 'ok';
+    if (result.blocked) status = 'blocked';
+    else if (result.error) status = result.pages > 0 ? 'partial' : 'failed';
+
+    return {
+        name: target.name,
+        query: query || '',
+        status,
+        count: result.listings.length,
+        pages: result.pages,
+        durationMs,
+        url,
+        errorClass: result.blocked ? 'blocked' : (result.error ? result.error.errorClass : ''),
+        error: result.blocked || (result.error ? result.error.message : '')
+    };
 }
 
 /**
- * 取得物件詳細資訊
+ * 補上物件詳情 (押金、管理費、租期、可入籍/報稅/租補、設備)
+ * 有快取的直接使用；沒有快取的只抓新物件 (不在 knownIds 中)，最多 limit 間
+ * @param {Array} listings - 物件列表 (依優先順序排列，會直接加上 details 欄位)
+ * @param {object} options
+ * @param {number} options.limit - 最多抓幾個詳情頁
+ * @param {Set<string>} options.knownIds - 已儲存的物件 ID
+ * @returns {Promise<{fetched: number, cached: number, failed: number, skipped: number, blocked: string|null}>}
+ *   被阻擋後不再開新的詳情頁 (剩下的計入 skipped)
  */
-async function getListingDetails(page, url) {
-    try {
-        await page.goto(url, { waitUntil: 'networkidle', timeout: 30000 });
-
-        const details = await page.evaluate(() => {
-            // 設備列表
-            const equipments = [];
-            document.querySelectorAll('.service-list-item, .facility span, .icon-item').forEach(el => {
-                const text = el.textContent?.trim();
-                if (text) equipments.push(text);
-            });
-
-            // 屋主說明（檢查乾濕分離）
-            const descEl = document.querySelector('.house-intro, .description, .info-content');
-            const description = descEl?.textContent?.trim() || '';
-
-            // 是否有乾濕分離
-            const hasDryWetSeparation = description.includes('乾濕分離') ||
-                equipments.some(e => e.includes('乾濕分離'));
-
-            // 捷運距離
-            const subwayInfo = document.querySelector('.traffic-info, .metro-info, .subway-distance');
-            const subwayDistance = subwayInfo?.textContent?.trim() || '';
+async function enrichListings(listings, { limit = SEARCH_CONFIG.detailLimit, knownIds = new Set() } = {}) {
+    const stats = { fetched: 0, cached: 0, failed: 0, skipped: 0, blocked: null };
+    const fetchedById = {};
+
+    for (const listing of listings) {
+        const cached = await getCachedDetails(listing.id);
+        if (cached) {
+            listing.details = cached;
+            stats.cached++;
+            continue;
+        }
+        if (knownIds.has(listing.id)) continue;
+        if (stats.blocked || stats.fetched + stats.failed >= limit) {
+            stats.skipped++;
+            continue;
+        }
 
-            return {
-                equipments,
-                description: description.substring(0, 500),
-                hasDryWetSeparation,
-                subwayDistance
-            };
-        });
+        const source = getSource(listing.source);
+        if (!source) continue;
+
+        const { details, blocked } = await browserPool.withPage(async (page, lease) => ({
+            details: await source.fetchDetails(page, listing.url, lease),
+            blocked: lease.blocked || null
+        }));
+        if (details) {
+            listing.details = details;
+            fetchedById[listing.id] = details;
+            stats.fetched++;
+        } else {
+            stats.failed++;
+            stats.blocked = blocked;
+        }
 
-        return details;
-    } catch (e) {
-        console.error(`取得詳情失敗: ${url}`, e.message);
-        return null;
+        // 避免請求過快
+        await new Promise(r => setTimeout(r, 1000));
     }
+
+    if (stats.fetched > 0) await setCachedDetails(fetchedById);
+    return stats;
 }
 
 /**
- * 主要爬蟲函數
+ * 依搜尋規劃爬取，每個查詢只爬一次 (見 queryPlanner.js)
+ * 瀏覽器由共用瀏覽器池提供，每個查詢各借一個頁面
+ * @param {object} plan - queryPlanner.buildQueryPlan 的結果
+ * @param {object} options
+ * @param {Set<string>} options.knownIds - 已儲存的物件 ID (不重抓詳情頁)
+ * @param {Set<string>} options.stopIds - 整頁都在其中時提前停止翻頁 (預設為 knownIds)
+ * @param {Map<string, Set<string>>} options.stopIdsByQuery - 各查詢提前停止用的物件 ID (查詢 ID → 物件 ID，優先於 stopIds)
+ * @param {number} options.detailLimit - 最多抓幾個詳情頁 (預設每個地區 SEARCH_CONFIG.detailLimit 間)
+ * @returns {Promise<{listingsByQuery: Map<string, Array>, listings: Array, logs: string[], targets: Array, error: string}>}
+ *   listingsByQuery: 查詢 ID → 搜到的物件 (同一物件在各查詢間為同一個物件)
+ *   listings: 不重複的物件 (新到舊)
+ *   targets: 每個查詢的結果 (見 buildTargetResult)，讀取失敗的地區不會被當成「沒有物件」
+ *   error: 整體流程發生錯誤時的訊息 (此時結果可能不完整)
  */
-/**
- * 實際執行爬蟲的核心函數 (不直接導出)
- */
-async function scrape591Core(options = {}) {
+async function scrapeQueryPlan(plan, options = {}) {
     const {
-        targets = [
-            { region: 1, section: 1, name: '台北市-中正區' },
-            { region: 1, section: 3, name: '台北市-中山區' },
-            { region: 1, section: 2, name: '台北市-大同區' },
-            { region: 3, section: 37, name: '新北市-永和區' }
-        ],
-        minRent = 8000,
-        maxRent = 12000,
-        maxResults = 20,
+        maxPages = SEARCH_CONFIG.maxPages,
+        knownIds = new Set(),
+        stopIds = knownIds,
+        stopIdsByQuery = new Map(),
+        mode = SEARCH_CONFIG.mode,
+        detailLimit = SEARCH_CONFIG.detailLimit * new Set(plan.queries.map(q => q.target.name)).size,
         onProgress = null
     } = options;
 
-    console.log('🚀 開始爬取 591 租屋網...');
-    // ... (rest of the function is the same, just renamed) ...
-    // Since I cannot match the whole function body easily to rename it, 
-    // I will use a wrapper approach where I change the export and the function name in one go if possible,
-    // OR I just change the function definition line and the export line.
+    const listingsByQuery = new Map();
+    const queryIdsByListing = new Map();
+    const seenById = new Map();
+    const executionLogs = [];
+    const targetResults = [];
+    let crawlError = '';
 
     if (onProgress) onProgress('🚀 爬蟲啟動中...');
 
-    console.log(`📊 條件: 租金 ${minRent}-${maxRent} 元`);
-    console.log(`📍 目標區域: ${targets.map(t => t.name).join(', ')}`);
-
-    // 確保瀏覽器已安裝
-    await ensureBrowserInstalled();
-
-    const browser = await chromium.launch({
-        headless: true,
-        args: ['--no-sandbox', '--disable-setuid-sandbox']
-    });
-
-    const context = await browser.newContext({
-        userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
-        viewport: { width: 1920, height: 1080 }
-    });
-
-    const page = await context.newPage();
-    let allListings = [];
-    const executionLogs = [];
-
     try {
-        // 遍歷每個目標區域
-        for (const target of targets) {
-            // 建構搜尋網址僅供 Log 使用 (實際爬取由 scrapeRegion 內部呼叫 buildSearchUrl)
-            const logUrl = buildSearchUrl(target.region, target.section, minRent, maxRent, '乾濕分離');
-            console.log(`\n🏙️ 正在爬取: ${target.name}`);
+        for (const query of plan.queries) {
+            const source = getSource(query.source);
+            const { target, keywords } = query;
+
+            // 建構搜尋網址僅供 Log 使用 (實際爬取由轉接器的 search 逐頁產生)
+            const searchOptions = { minRent: query.minRent, maxRent: query.maxRent, keywords, filters: query.filters };
+            const logUrl = source.searchUrl(target, searchOptions);
+            const queryLabel = keywords ? ` (關鍵字: ${keywords})` : '';
+            console.log(`\n🏙️ 正在爬取: ${target.name}${queryLabel}`);
             console.log(`📍 URL: ${logUrl}`);
 
             // 記錄 Log
-            let logEntry = `🏙️ 正在爬取: ${target.name}\n📍 ${logUrl}`;
+            let logEntry = `🏙️ 正在爬取: ${target.name}${queryLabel}\n📍 ${logUrl}`;
 
             // 即時通知：開始爬取該區
-            if (onProgress) onProgress(`🏙️ 正在爬取: ${target.name}...`);
-
-            const listings = await scrapeRegion(page, target.region, target.section, minRent, maxRent);
-            console.log(`   找到 ${listings.length} 間物件`);
-
-            // 即時通知：該區結果
-            if (onProgress) onProgress(`✅ ${target.name} - 找到 ${listings.length} 間物件`);
-
-            // 新增結果 Log
-            logEntry += `\n   找到 ${listings.length} 間物件`;
+            if (onProgress) onProgress(`🏙️ 正在爬取: ${target.name}${queryLabel}...`);
+
+            const startedAt = Date.now();
+            let regionResult;
+            try {
+                const queryStopIds = stopIdsByQuery.get(query.id) || stopIds;
+                regionResult = await searchWithRetry(source, target, { ...searchOptions, maxPages, knownIds: queryStopIds, mode });
+            } catch (error) {
+                // 借不到頁面 (例如瀏覽器無法啟動)，這個地區記為失敗，繼續下一個
+                console.error(`❌ ${target.name} 爬取失敗:`, error.message);
+                regionResult = {
+                    listings: [], pages: 0, apiPages: 0, stoppedEarly: false, blocked: null,
+                    error: { errorClass: classifyCrawlError(error), message: error.message, page: 1 }
+                };
+            }
+            const { listings, pages, apiPages, stoppedEarly, blocked: blockReason, error: regionError } = regionResult;
+            targetResults.push(buildTargetResult(target, keywords, logUrl, regionResult, Date.now() - startedAt));
+
+            if (blockReason) {
+                console.log(`   ⛔ 重試後仍被阻擋 (${blockReason})，已取得 ${listings.length} 間物件`);
+                if (onProgress) onProgress(`⛔ ${target.name} - 被 ${source.name} 阻擋 (${blockReason})`);
+                logEntry += `\n   ⛔ 被阻擋: ${blockReason} (已取得 ${listings.length} 間物件)`;
+            } else if (regionError) {
+                console.log(`   ⚠️ 讀取失敗 [${regionError.errorClass}]，已取得 ${listings.length} 間物件 (${pages} 頁)`);
+                if (onProgress) onProgress(`⚠️ ${target.name} - 讀取失敗`);
+                logEntry += `\n   ⚠️ 第 ${regionError.page} 頁讀取失敗 [${regionError.errorClass}]: ${regionError.message} (已取得 ${listings.length} 間物件)`;
+            } else {
+                console.log(`   找到 ${listings.length} 間物件 (${pages} 頁，API ${apiPages} 頁${stoppedEarly ? '，遇到已看過的物件提前停止' : ''})`);
+
+                // 即時通知：該區結果
+                if (onProgress) onProgress(`✅ ${target.name} - 找到 ${listings.length} 間物件`);
+
+                // 新增結果 Log
+                logEntry += `\n   找到 ${listings.length} 間物件 (${pages} 頁${stoppedEarly ? '，提前停止' : ''})`;
+            }
             executionLogs.push(logEntry);
 
-            // 為每個物件添加地區標記
-            listings.forEach(l => {
-                l.region = target.name;
-            });
-
-            allListings = allListings.concat(listings);
+            // 為每個物件添加來源與地區標記，並去除重複 (同一物件可能被多個查詢搜到)
+            const queryListings = [];
+            for (const item of listings) {
+                item.source = item.source || source.id;
+                item.region = item.region || target.name;
+                const listing = seenById.get(item.id) || item;
+                seenById.set(item.id, listing);
+                queryListings.push(listing);
+                if (!queryIdsByListing.has(listing.id)) queryIdsByListing.set(listing.id, new Set());
+                queryIdsByListing.get(listing.id).add(query.id);
+            }
+            listingsByQuery.set(query.id, queryListings);
 
             // 避免過快請求
             await new Promise(r => setTimeout(r, 2000));
         }
 
-        // 去除重複 (如果有的話)
-        const uniqueListings = [];
-        const seenIds = new Set();
-        for (const item of allListings) {
-            if (!seenIds.has(item.id)) {
-                seenIds.add(item.id);
-                uniqueListings.push(item);
-            }
-        }
-        allListings = uniqueListings;
-
-        // 依時間排序 (通常 ID 越大越新，或照爬取順序)
-        // 591 預設已排序，這裡保留順序即可
-
-        // 限制結果數量
-        if (allListings.length > maxResults) {
-            allListings = allListings.slice(0, maxResults);
+        // 抓取新物件的詳情頁 (篩選條件與卡片會用到)
+        // 依刊登時間從最新的開始抓，且只抓至少一位用戶不會以排除關鍵字濾掉的物件
+        const wanted = sortByPostedAt([...seenById.values()]).filter(listing => {
+            const indexes = plan.queries
+                .filter(q => queryIdsByListing.get(listing.id).has(q.id))
+                .flatMap(q => q.searchIndexes);
+            return indexes.some(index => !findExcludedKeyword(listing, plan.searches[index].keywordSpec));
+        });
+        if (detailLimit > 0 && wanted.length > 0) {
+            if (onProgress) onProgress('📄 正在讀取新物件的詳細資料...');
+            const detailStats = await enrichListings(wanted, { limit: detailLimit, knownIds });
+            const detailLog = `📄 詳情: 新抓取 ${detailStats.fetched} 間 / 快取 ${detailStats.cached} 間` +
+                `${detailStats.failed ? ` / 失敗 ${detailStats.failed} 間` : ''}${detailStats.skipped ? ` / 略過 ${detailStats.skipped} 間` : ''}` +
+                `${detailStats.blocked ? ` / ⛔ 被阻擋 (${detailStats.blocked})` : ''}`;
+            console.log(detailLog);
+            executionLogs.push(detailLog);
         }
 
-        console.log(`\n✅ 總共找到 ${allListings.length} 間符合條件的物件`);
-
-        executionLogs.push(`✅ 總共找到 ${allListings.length} 間符合條件的物件`);
-
+        // 結構化欄位 (類型、坪數、樓層、車站、設備)，在補上詳情後計算，篩選條件、卡片與週報共用
+        seenById.forEach(listing => {
+            listing.normalized = normalizeListing(listing);
+        });
     } catch (error) {
         console.error('❌ 爬蟲錯誤:', error);
         executionLogs.push(`❌ 爬蟲錯誤: ${error.message}`);
-    } finally {
-        await browser.close();
+        crawlError = error.message;
     }
 
-    return { listings: allListings, logs: executionLogs };
+    const failed = targetResults.filter(t => t.status !== 'ok');
+    if (failed.length > 0) {
+        executionLogs.push(`⚠️ ${failed.length}/${targetResults.length} 個搜尋未完整讀取: ` +
+            failed.map(t => `${t.name}${t.query ? ` (${t.query})` : ''} ${t.status}${t.errorClass ? `/${t.errorClass}` : ''}`).join('、'));
+    }
+
+    return {
+        listingsByQuery,
+        listings: sortByPostedAt([...seenById.values()]),
+        logs: executionLogs,
+        targets: targetResults,
+        error: crawlError
+    };
 }
 
 /**
- * 導出被併發限制保護的爬蟲函數
+ * 從查詢結果中找出符合某位用戶條件的物件
+ * 合併查詢的租金範圍可能比用戶設定寬，這裡再依用戶的租金 / 總花費、車站、排除關鍵字與篩選條件比對
+ * @param {object} search - 整理後的搜尋條件 (見 queryPlanner.normalizeSearch)
+ * @param {Array<object>} queries - 這組搜尋需要的查詢 (見 queryPlanner.getSearchQueries)
+ * @param {Map<string, Array>} listingsByQuery - scrapeQueryPlan 的結果
+ * @param {object} options
+ * @param {number} options.maxResults - 最多回傳幾間 (只保留最新的，0 代表不限制)
+ * @returns {{listings: Array, logs: string[]}} 物件為複本 (加上這位用戶的 matchedKeywords 與 cost)
  */
-const scrape591 = (options) => limit(() => scrape591Core(options));
+function matchListingsForSearch(search, queries, listingsByQuery, { maxResults = 0 } = {}) {
+    const { keywordSpec } = search;
+    const logs = [];
+
+    // 記錄每間物件符合的關鍵字
+    // AND 模式由網站一次比對全部關鍵字，OR 模式則記錄是哪個關鍵字搜到的 (同一物件可能被多個關鍵字搜到)
+    // 車站目標只保留最近車站為指定車站的物件 (query.stations，見 queryPlanner.getSearchQueries)
+    const byId = new Map();
+    const outsideStations = new Set();
+    for (const query of queries) {
+        const matched = !query.keywords ? [] : (keywordSpec.mode === KEYWORD_MODES.OR ? [query.keywords] : [...keywordSpec.include]);
+        for (const listing of listingsByQuery.get(query.id) || []) {
+            if (query.stations && !query.stations.some(s => isSameStation(getNormalized(listing).station, s))) {
+                outsideStations.add(listing.id);
+                continue;
+            }
+            const existing = byId.get(listing.id);
+            if (existing) {
+                existing.matchedKeywords = [...new Set([...existing.matchedKeywords, ...matched])];
+            } else {
+                byId.set(listing.id, { ...listing, region: query.target.name, matchedKeywords: matched });
+            }
+        }
+    }
+    const listings = [...byId.values()];
+    if (outsideStations.size > 0) {
+        logs.push(`🚫 不在指定車站過濾掉 ${outsideStations.size} 間物件`);
+    }
+
+    return filterSearchListings(search, listings, logs, { maxResults });
+}
 
 /**
- * 取得物件聯絡資訊
- * @param {string} listingId - 591 物件 ID
- * @returns {Promise<{phone: string, line: string, landlordName: string}>}
+ * 從已儲存的物件 (例如過去 7 天，所有用戶的查詢爬到的) 中找出符合某組搜尋的物件 (週報使用)
+ * 這些物件不一定是這組搜尋的查詢爬到的，網站端比對的地區、關鍵字與篩選參數都要在本地重新比對，
+ * 其餘與 matchListingsForSearch 相同
+ * @param {object} search - 整理後的搜尋條件 (見 queryPlanner.normalizeSearch)
+ * @param {Array<object>} storedListings - 已儲存的物件 (見 storage.getRecentListings)
+ * @returns {{listings: Array, logs: string[]}} 物件為複本 (加上這位用戶的 matchedKeywords 與 cost)
  */
-async function getContactInfo(listingId) {
-    const url = `https://rent.591.com.tw/${listingId}`;
-    console.log(`📞 正在抓取聯絡資訊: ${url}`);
+function matchStoredListingsForSearch(search, storedListings) {
+    const logs = [];
+    const listings = [];
+    let outsideTargets = 0;
+    let missingKeywords = 0;
+    let siteFiltered = 0;
+
+    for (const listing of storedListings) {
+        // 地區 (簡易字串比對；車站目標比對物件的最近車站)
+        const regionOk = search.targets.some(t => {
+            if (t.station) return isSameStation(getNormalized(listing).station, t.station);
+            const targetName = t.name.split('-')[1] || t.name;
+            return (listing.address || '').includes(targetName) || (listing.region || '').includes(targetName);
+        });
+        if (!regionOk) {
+            outsideTargets++;
+            continue;
+        }
+        const matchedKeywords = matchIncludeKeywords(listing, search.keywordSpec);
+        if (!matchedKeywords) {
+            missingKeywords++;
+            continue;
+        }
+        if (checkSiteFilters(listing, search.filterProfile)) {
+            siteFiltered++;
+            continue;
+        }
+        listings.push({ ...listing, matchedKeywords });
+    }
 
-    await ensureBrowserInstalled();
+    if (outsideTargets > 0) logs.push(`🚫 不在搜尋地區過濾掉 ${outsideTargets} 間物件`);
+    if (missingKeywords > 0) logs.push(`🚫 不含關鍵字過濾掉 ${missingKeywords} 間物件`);
+    if (siteFiltered > 0) logs.push(`🚫 不符合網站篩選條件過濾掉 ${siteFiltered} 間物件`);
 
-    const browser = await chromium.launch({
-        headless: true,
-        args: ['--no-sandbox', '--disable-setuid-sandbox']
-    });
+    return filterSearchListings(search, listings, logs);
+}
 
-    try {
-        const context = await browser.newContext({
-            userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
-            viewport: { width: 1920, height: 1080 }
-        });
+/**
+ * 依搜尋的租金 / 總花費、排除關鍵字與篩選條件過濾物件 (會修改物件的 cost 欄位，傳入複本)
+ * @returns {{listings: Array, logs: string[]}}
+ */
+function filterSearchListings(search, matchedListings, logs, { maxResults = 0 } = {}) {
+    const { keywordSpec, filterProfile, usage, searchMinRent, minRent, maxRent } = search;
+    let listings = matchedListings;
+
+    // 租金範圍 (查詢可能為了其他用戶放寬；讀不到租金的物件保留)
+    const beforeRent = listings.length;
+    listings = listings.filter(l => !l.price || (l.price >= searchMinRent && (!maxRent || l.price <= maxRent)));
+    if (listings.length < beforeRent) {
+        logs.push(`🚫 租金超出範圍過濾掉 ${beforeRent - listings.length} 間物件`);
+    }
 
-        const page = await context.newPage();
-        await page.goto(url, { waitUntil: 'networkidle', timeout: 60000 });
+    // 套用排除關鍵字 (比對標題與標籤)
+    const beforeExclude = listings.length;
+    listings = applyExcludeKeywords(listings, keywordSpec);
+    if (listings.length < beforeExclude) {
+        logs.push(`🚫 排除關鍵字過濾掉 ${beforeExclude - listings.length} 間物件`);
+    }
 
-        // 等待頁面載入
-        await page.waitForTimeout(2000);
+    // 依刊登時間排序 (新到舊)，多個區域的結果才能正確合併
+    listings = sortByPostedAt(listings);
 
-        // 嘗試點擊「顯示電話」按鈕 (如果有)
-        try {
-            const showPhoneBtn = await page.$('.phone-show, .show-phone, [data-phone], button:has-text("電話")');
-            if (showPhoneBtn) {
-                await showPhoneBtn.click();
-                await page.waitForTimeout(1000);
-            }
-        } catch (e) {
-            // 按鈕可能不存在，繼續
+    // 套用網站沒有對應參數的篩選條件 (樓層、可租補、可入籍等)
+    const beforeFilter = listings.length;
+    listings = applyFilterProfile(listings, filterProfile);
+    if (listings.length < beforeFilter) {
+        logs.push(`🚫 篩選條件過濾掉 ${beforeFilter - listings.length} 間物件`);
+    }
+
+    // 估算每月總花費 (租金 + 管理費、水電、網路等)，用戶選擇以總花費比對時依此篩選
+    listings.forEach(l => {
+        l.cost = computeMonthlyCost(l, usage);
+    });
+    if (usage.basis === 'total') {
+        const beforeCost = listings.length;
+        listings = applyTotalCostRange(listings, minRent, maxRent);
+        if (listings.length < beforeCost) {
+            logs.push(`🚫 總花費超出範圍過濾掉 ${beforeCost - listings.length} 間物件`);
         }
+    }
 
-        // 抓取聯絡資訊
-        const contactInfo = await page.evaluate(() => {
-            let phone = '';
-            let line = '';
-            let landlordName = '';
-
-            // 電話號碼 - 591 新版結構: .t5-button span span 或 data-gtm-behavior="call"
-            const phoneSelectors = [
-                '.phone button span span',
-                '.t5-button[data-gtm-behavior="call"] span span',
-                '[data-gtm-behavior="call"] span span',
-                '.phone-number',
-                '.landlord-phone',
-                '.contact-phone',
-                '[data-phone]',
-                '.phone-txt',
-                '.info-host-word a[href^="tel:"]'
-            ];
-            for (const sel of phoneSelectors) {
-                const els = document.querySelectorAll(sel);
-                for (const el of els) {
-                    const text = el.textContent?.trim() || el.getAttribute('href')?.replace('tel:', '') || '';
-                    // 匹配電話格式 (包含轉分機)
-                    if (text && /^0\d{2,3}[-\s]?\d{3,4}[-\s]?\d{3,4}(轉\d+)?$/.test(text.replace(/\s/g, ''))) {
-                        phone = text;
-                        break;
-                    }
-                }
-                if (phone) break;
-            }
+    // 限制結果數量 (只保留最新的，0 代表不限制)
+    if (maxResults > 0 && listings.length > maxResults) {
+        listings = listings.slice(0, maxResults);
+    }
 
-            // LINE ID - 591 新版結構: data-gtm-behavior="line_friend"
-            const lineSelectors = [
-                '.line-button',
-                '[data-gtm-behavior="line_friend"]',
-                '.line-id',
-                '.contact-line',
-                '[data-line]'
-            ];
-            for (const sel of lineSelectors) {
-                const el = document.querySelector(sel);
-                if (el) {
-                    // 如果是 LINE 按鈕，只記錄「有 LINE 聯絡」
-                    if (el.textContent?.includes('LINE聯絡')) {
-                        line = '有LINE聯絡';
-                    } else {
-                        line = el.textContent?.trim() || '';
-                    }
-                    break;
-                }
-            }
-            // 也檢查頁面文字中是否有 LINE ID
-            if (!line || line === '有LINE聯絡') {
-                const pageText = document.body.innerText || '';
-                const lineMatch = pageText.match(/LINE\s*[:：]\s*(\S+)/i);
-                if (lineMatch) {
-                    line = lineMatch[1];
-                }
-            }
+    return { listings, logs };
+}
 
-            // 房東/仲介姓名 - 591 新版結構: 包含「仲介:」或「屋主:」的 span
-            const pageText = document.body.innerText || '';
-            const landlordMatch = pageText.match(/(仲介|屋主|房東)\s*[:：]\s*([^\s(<]+)/);
-            if (landlordMatch) {
-                landlordName = landlordMatch[2];
-            }
-            // 備用選擇器
-            if (!landlordName) {
-                const nameSelectors = [
-                    '.landlord-name',
-                    '.host-name',
-                    '.info-host-label',
-                    '.econ-name'
-                ];
-                for (const sel of nameSelectors) {
-                    const el = document.querySelector(sel);
-                    if (el) {
-                        landlordName = el.textContent?.trim().replace(/^(仲介|屋主|房東)\s*[:：]\s*/, '') || '';
-                        if (landlordName) break;
-                    }
-                }
-            }
+/**
+ * 主要爬蟲函數 (單一用戶的搜尋)
+ * @param {object} options
+ * @param {string} options.source - 來源代碼 (見 sources/index.js，預設 591)
+ * @param {Set<string>} options.knownIds - 已儲存的物件 ID (不重抓詳情頁)
+ * @param {Set<string>} options.stopIds - 整頁都在其中時提前停止翻頁 (預設為 knownIds，見 scrapeQueryPlan)
+ * @returns {Promise<{listings: Array, logs: string[], targets: Array, error: string}>}
+ *   targets: 每個搜尋的結果 (見 buildTargetResult)，讀取失敗的地區不會被當成「沒有物件」
+ *   error: 整體流程發生錯誤時的訊息 (此時 listings 可能不完整)
+ */
+async function scrapeListings(options = {}) {
+    const {
+        source: sourceId = DEFAULT_SOURCE,
+        targets = [
+            { region: 1, section: 1, name: '台北市-中正區' },
+            { region: 1, section: 3, name: '台北市-中山區' },
+            { region: 1, section: 2, name: '台北市-大同區' },
+            { region: 3, section: 37, name: '新北市-永和區' }
+        ],
+        minRent = 8000,
+        maxRent = 12000,
+        maxResults = 0,
+        maxPages = SEARCH_CONFIG.maxPages,
+        knownIds = new Set(),
+        stopIds = knownIds,
+        mode = SEARCH_CONFIG.mode,
+        detailLimit = SEARCH_CONFIG.detailLimit,
+        keywords = '',
+        filters = SEARCH_CONFIG.filters,
+        costProfile = '',
+        onProgress = null
+    } = options;
 
-            // 物件標題
-            let title = '';
-            const titleSelectors = [
-                'h1.title',
-                '.house-title',
-                '.detail-title',
-                'h1'
-            ];
-            for (const sel of titleSelectors) {
-                const el = document.querySelector(sel);
-                if (el) {
-                    title = el.textContent?.trim() || '';
-                    if (title) break;
-                }
-            }
+    const source = getSource(sourceId);
+    if (!source) {
+        return { listings: [], logs: [`❌ 未知的物件來源: ${sourceId}`], targets: [], error: `未知的物件來源: ${sourceId}` };
+    }
 
-            // 物件地址
-            let address = '';
-            const addressSelectors = [
-                '.address',
-                '.house-address',
-                '.detail-address',
-                '.info-address'
-            ];
-            for (const sel of addressSelectors) {
-                const el = document.querySelector(sel);
-                if (el) {
-                    address = el.textContent?.trim() || '';
-                    if (address) break;
-                }
-            }
-            // 也嘗試從麵包屑或其他區域提取地址
-            if (!address) {
-                const breadcrumb = document.querySelector('.breadcrumb, .region-info');
-                if (breadcrumb) {
-                    address = breadcrumb.textContent?.trim().replace(/\s+/g, ' ') || '';
-                }
-            }
+    const plan = buildQueryPlan([{ source: sourceId, targets, minRent, maxRent, keywords, filters, costProfile }]);
+    const [search] = plan.searches;
+    const { keywordSpec, filterProfile, usage } = search;
 
-            return { phone, line, landlordName, title, address };
-        });
+    console.log(`🚀 開始爬取 ${source.name}...`);
+    console.log(`📊 條件: ${COST_BASIS_LABELS[usage.basis] || '租金'} ${minRent}-${maxRent} 元 / ${formatFilterProfile(filterProfile)}`);
+    if (keywordSpec.include.length > 0 || keywordSpec.exclude.length > 0) {
+        console.log(`🔑 關鍵字: ${keywordSpec.include.join(keywordSpec.mode === KEYWORD_MODES.OR ? ' | ' : ' + ') || '(無)'} / 排除: ${keywordSpec.exclude.join('、') || '(無)'}`);
+    }
+    console.log(`📍 目標區域: ${targets.map(t => t.name).join(', ')}`);
+
+    const crawl = await scrapeQueryPlan(plan, { maxPages, knownIds, stopIds, mode, detailLimit, onProgress });
+    if (crawl.error) {
+        return { listings: [], logs: crawl.logs, targets: crawl.targets, error: crawl.error };
+    }
+
+    const { listings, logs } = matchListingsForSearch(search, getSearchQueries(plan, 0), crawl.listingsByQuery, { maxResults });
+    const totalLog = `✅ 總共找到 ${listings.length} 間符合條件的物件`;
+    console.log(`\n${totalLog}`);
+
+    return { listings, logs: [...crawl.logs, ...logs, totalLog], targets: crawl.targets, error: '' };
+}
+
+/**
+ * 取得物件聯絡資訊
+ * @param {string} listingId - 物件 ID (見 sources.resolveListing)
+ * @returns {Promise<{phone: string, line: string, landlordName: string}>}
+ */
+async function getContactInfo(listingId) {
+    const { source, nativeId, url } = resolveListing(listingId);
+    if (!source) {
+        console.error(`❌ 未知的物件來源: ${listingId}`);
+        return { phone: '', line: '', landlordName: '' };
+    }
+    console.log(`📞 正在抓取聯絡資訊: ${url}`);
 
+    try {
+        const contactInfo = await browserPool.withPage((page, lease) => source.fetchContactInfo(page, nativeId, lease));
         console.log(`✅ 聯絡資訊: ${JSON.stringify(contactInfo)}`);
         return contactInfo;
-
     } catch (error) {
         console.error('❌ 抓取聯絡資訊失敗:', error.message);
         return { phone: '', line: '', landlordName: '' };
-    } finally {
-        await browser.close();
     }
 }
 
+/**
+ * 逐一開啟物件頁面，確認是否仍在刊登
+ * 被阻擋後不再繼續開頁面，剩下的物件都視為 'unknown' (不會被誤判為下架)
+ * @param {string[]} listingIds
+ * @returns {Promise<Map<string, string>>} 物件 ID → 'live' | 'rented' | 'removed' | 'unknown'
+ */
+async function checkListingsStatus(listingIds) {
+    const results = new Map();
+    let blocked = false;
+
+    for (const listingId of listingIds) {
+        const { source, nativeId } = resolveListing(listingId);
+        if (blocked || !source) {
+            results.set(listingId, 'unknown');
+            continue;
+        }
+        try {
+            const state = await browserPool.withPage(async (page, lease) => {
+                const result = await source.fetchStatus(page, nativeId, lease);
+                if (lease.blocked) blocked = true;
+                return result;
+            });
+            results.set(listingId, state);
+            console.log(`🔎 物件 ${listingId}: ${state}`);
+        } catch (error) {
+            console.error(`❌ 檢查物件 ${listingId} 失敗:`, error.message);
+            results.set(listingId, 'unknown');
+        }
+
+        // 避免請求過於頻繁
+        await new Promise(r => setTimeout(r, 1000));
+    }
+
+    return results;
+}
+
 module.exports = {
-    scrape591,
-    buildSearchUrl,
-    getListingDetails,
+    scrapeListings,
+    scrapeQueryPlan,
+    matchListingsForSearch,
+    matchStoredListingsForSearch,
     getContactInfo,
+    checkListingsStatus,
+    enrichListings,
+    buildTargetResult,
     SEARCH_CONFIG
 };
@@ -4,7 +4,7 @@
  * 功能：
  * 1. 定時爬取 591 租屋網
  * 2. 透過 LINE Bot 發送通知
- * 3. 將資料儲存到 Google Sheets
+ * 3. 將資料儲存到 Google Sheets (或本地檔案，見 storage.js)
  * 4. 處理使用者互動（標記有興趣）
  */
 
@@ -14,38 +14,83 @@ const line = require('@line/bot-sdk');
 const express = require('express');
 const cron = require('node-cron');
 // 引入其他模組
-const { scrape591, buildSearchUrl, SEARCH_CONFIG: ScraperConfig } = require('./scraper');
+const { scrapeListings, scrapeQueryPlan, matchListingsForSearch, matchStoredListingsForSearch } = require('./scraper');
+const { normalizeSearch, buildQueryPlan, getSearchQueries } = require('./queryPlanner');
 const {
     sendListingsNotification,
+    sendPriceAlerts,
     handlePostback,
     client: lineClient,
     startLoading,
     sendWelcomeMessage,
     sendUserSettings,
     sendMyFavorites,
+    sendFavoritesGoneNotice,
+    lineMiddleware,
     getUserProfile,
     sendWeeklyReport
 } = require('./linebot');
 const {
+    initStorage,
     saveListings,
+    getExistingIds,
     markAsInterested,
-    initSheets,
     recordPushedListings,
     getPushedListingIds,
     getUserFavorites,
-    getRecentListings
-} = require('./sheets');
-const {
+    getRecentListings,
+    getAllListingsForWeekReport,
     createUser,
     getUser,
     updateUserSettings,
     getAllSubscribedUsers,
+    getAllUsers,
+    getPriceHistory,
+    getListingWatchers,
+    recordCrawlRun,
     toggleSubscription,
+    DRIVER_NAME: STORAGE_DRIVER_NAME
+} = require('./storage');
+const {
     parseRegion,
     getSupportedRegions,
     SECTIONS,
     REGION_NAMES
 } = require('./users');
+const {
+    parseKeywords,
+    formatKeywords,
+    parseFilterProfile,
+    formatFilterProfile,
+    parseFilterCommand,
+    parseMetroCommand,
+    parseCommuteCommand
+} = require('./filters');
+const { PRICE_ALERT_MODES, PRICE_ALERT_LABELS } = require('./priceHistory');
+const { parseCostProfile, formatCostProfile, parseCostCommand } = require('./cost');
+const { checkFavorites } = require('./favoriteCheck');
+const { syncDistricts } = require('./districtSync');
+const { EventDeduper } = require('./eventDeduper');
+const { createAdminRouter } = require('./admin');
+const { JobQueue } = require('./jobQueue');
+const { resolvePlaces, getCounty, normalizePlaceName } = require('./geography');
+const { resolveStationTargets, splitDistance, toDistrictTarget, formatLines, formatStationName } = require('./metro');
+const {
+    SEARCH_SCHEDULES,
+    getUserSearches,
+    findSearch,
+    isRegionName,
+    applyActiveSearch,
+    buildSearchUpdate,
+    addSearch,
+    switchSearch,
+    renameSearch,
+    setSearchPaused,
+    deleteSearch,
+    setSearchSchedule,
+    formatSearchList
+} = require('./savedSearches');
+const { browserPool } = require('./browserPool');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -73,8 +118,26 @@ let subscribedUsers = new Set();
 //     subscribedUsers.add(process.env.LINE_USER_ID);
 // }
 
-// 爬蟲狀態鎖
-let isCrawling = false;
+// 爬蟲工作佇列 (同時只執行一個工作，重啟後繼續執行未完成的工作)
+const jobQueue = new JobQueue({
+    maxAttempts: parseInt(process.env.JOB_MAX_ATTEMPTS) || 3,
+    userRateLimit: {
+        max: parseInt(process.env.SEARCH_LIMIT_PER_HOUR) || 6,
+        windowMs: 60 * 60 * 1000
+    }
+});
+
+// 網頁版清單 (Google Apps Script)
+const GAS_WEB_APP_URL = process.env.APPS_SCRIPT_URL || 'https://script.google.com/macros/s/AKfycbwLBL1wJh_KksDuYCJKnlmrzE2E3OE2mDPxX5vVxRn3TsJNkZnvpmN5a2qcC3QH1REi/exec';
+
+// 手動搜尋單次最多推播幾間 (其餘留待下次搜尋，避免未看到的物件被記為已推播)
+const MAX_PUSH_LISTINGS = 20;
+
+// 部分地區讀取失敗時，隔多久只針對這些地區重試一次
+const TARGET_RETRY_DELAY_MS = 10 * 60 * 1000;
+
+// 已處理的 Webhook 事件 (LINE 重送時略過)
+const eventDeduper = new EventDeduper();
 
 /**
  * 回覆文字訊息
@@ -111,18 +174,112 @@ async function handleCustomResponse(event) {
     return false;
 }
 
+/**
+ * 找出尚未推播給該用戶的物件
+ * 「新物件」依各用戶的推播紀錄判斷，而不是看物件是否已存在於資料庫，
+ * 這樣多位用戶監控重疊的地區時，每個人都會收到一次
+ * @param {string} userId - LINE 用戶 ID
+ * @param {Array} listings - 本次爬到的物件
+ */
+async function filterUnpushedListings(userId, listings) {
+    if (listings.length === 0) return [];
+    const pushedIds = await getPushedListingIds(userId);
+    return listings.filter(l => !pushedIds.has(l.id));
+}
+
+/**
+ * 通知關注物件的用戶：降價與重新刊登
+ * (漲價只記錄在價格紀錄，不通知)
+ * @param {{ priceChanges: Array, relisted: Array }} changes - saveListings 回傳的變動
+ */
+async function notifyPriceChanges({ priceChanges = [], relisted = [] }) {
+    const alerts = [
+        ...priceChanges
+            .filter(c => c.newPrice < c.oldPrice)
+            .map(c => ({ type: 'drop', listing: c.listing, oldPrice: c.oldPrice, newPrice: c.newPrice, watchId: c.listing.id })),
+        ...relisted
+            .map(r => ({ type: 'relist', listing: r.listing, oldPrice: r.oldPrice, newPrice: r.newPrice, watchId: r.previousId }))
+    ];
+    if (alerts.length === 0) return;
+
+    try {
+        const watchers = await getListingWatchers(alerts.map(a => a.watchId));
+        const preferences = new Map((await getAllUsers()).map(u => [u.userId, u.priceAlert]));
+
+        // 依用戶分組
+        const alertsByUser = new Map();
+        for (const alert of alerts) {
+            const { favoritedBy, pushedTo } = watchers.get(alert.watchId) || { favoritedBy: new Set(), pushedTo: new Set() };
+            const recipients = new Set();
+
+            favoritedBy.forEach(userId => {
+                if (preferences.get(userId) !== PRICE_ALERT_MODES.OFF) recipients.add(userId);
+            });
+            pushedTo.forEach(userId => {
+                if (preferences.get(userId) === PRICE_ALERT_MODES.ALL) recipients.add(userId);
+            });
+
+            for (const userId of recipients) {
+                if (!alertsByUser.has(userId)) alertsByUser.set(userId, []);
+                alertsByUser.get(userId).push(alert);
+            }
+        }
+
+        for (const [userId, userAlerts] of alertsByUser) {
+            for (const alert of userAlerts) {
+                if (!alert.history) alert.history = await getPriceHistory(alert.listing.id);
+            }
+            await sendPriceAlerts(userId, userAlerts);
+        }
+    } catch (error) {
+        console.error('❌ 發送價格變動通知失敗:', error.message);
+    }
+}
+
+/**
+ * 工作無法立即執行時回覆用戶的訊息 (限流 / 已在排隊 / 前面有其他工作)
+ * @param {object} queued - JobQueue.enqueue 的回傳值
+ */
+function formatQueueReply({ position, duplicate, rateLimited, retryAfterMs }) {
+    if (rateLimited) {
+        return `⏳ 搜尋太頻繁了，請 ${Math.ceil(retryAfterMs / 60000)} 分鐘後再試`;
+    }
+    if (duplicate) {
+        return position === 0
+            ? '🔍 相同條件的搜尋正在執行中，結果出來會立即通知您'
+            : `⏳ 相同條件的搜尋已在排隊中 (目前第 ${position + 1} 位)，輪到時會自動搜尋`;
+    }
+    return `⏳ 系統正在處理其他搜尋，已為您排入佇列 (目前第 ${position + 1} 位)\n輪到時會自動搜尋並通知您`;
+}
+
+/**
+ * 提前停止翻頁用的物件 ID：這些用戶全部都已推播過的物件
+ * 只看用戶自己的推播紀錄 (其他用戶儲存的物件，對剛訂閱或放寬條件的用戶仍然是新的)
+ * @param {string[]} userIds - LINE 用戶 ID
+ * @param {Map<string, Set<string>>} cache - 用戶 → 推播紀錄 (同一次爬蟲重複使用)
+ * @returns {Promise<Set<string>>}
+ */
+async function getPushedByAllUsers(userIds, cache = new Map()) {
+    let common = null;
+    for (const userId of new Set(userIds)) {
+        if (!cache.has(userId)) cache.set(userId, await getPushedListingIds(userId));
+        const pushed = cache.get(userId);
+        common = common === null ? new Set(pushed) : new Set([...common].filter(id => pushed.has(id)));
+        if (common.size === 0) break;
+    }
+    return common || new Set();
+}
+
 /**
  * 執行爬蟲任務
  * @param {boolean} manual - 是否為手動觸發
  * @param {string|null} triggeredByUserId - 觸發者的 userId (手動時傳入)
+ * @param {object} options
+ * @param {boolean} options.willRetry - 失敗後佇列會重試 (此時不廣播錯誤)
  */
-async function runCrawlTask(manual = false, triggeredByUserId = null) {
-    if (isCrawling) {
-        return { status: 'running', message: '爬蟲正在執行中...' };
-    }
-
-    isCrawling = true;
+async function runCrawlTask(manual = false, triggeredByUserId = null, { willRetry = false } = {}) {
     console.log(`[${new Date().toLocaleString()}] 執行爬蟲任務 (手動: ${manual}, 觸發者: ${triggeredByUserId || '排程'})`);
+    const run = startCrawlRun('broadcast', triggeredByUserId || '');
 
     // 發送訊息的輔助函數
     const sendMessage = async (message) => {
@@ -150,28 +307,58 @@ async function runCrawlTask(manual = false, triggeredByUserId = null) {
             }
         };
 
+        // 發送對象 (手動觸發只發給觸發者)
+        const targetUsers = (manual && triggeredByUserId) ? [triggeredByUserId] : [...subscribedUsers];
+
         // 1. 執行爬蟲
-        const { listings, logs } = await scrape591({
+        const { listings, logs, targets: targetResults, error: crawlError } = await scrapeListings({
             targets: SEARCH_CONFIG.targets,
             minRent: SEARCH_CONFIG.minRent,
             maxRent: SEARCH_CONFIG.maxRent,
             maxResults: 20,
+            knownIds: await getExistingIds(),
+            stopIds: await getPushedByAllUsers(targetUsers), // 遇到發送對象都已推播過的物件就停止翻頁
             onProgress // 傳入回調
         });
+        run.targets = targetResults;
+        run.logs.push(...logs);
+        if (crawlError) throw new Error(crawlError);
+
+        // 全部地區都沒讀到：不是「沒有新物件」，記錄為 error / blocked 讓佇列稍後重試
+        const { failed, allFailed, allBlocked } = summarizeTargetResults(targetResults);
+        if (allFailed && listings.length === 0) {
+            const status = allBlocked ? 'blocked' : 'error';
+            const error = formatTargetErrors(failed);
+            console.warn(`⚠️ 廣播爬蟲所有地區都讀取失敗: ${error}`);
+            if (!willRetry) {
+                try {
+                    await sendMessage(formatTargetFailures(failed, '本次沒有取得任何物件'));
+                } catch (e) {
+                    console.error('發送失敗通知失敗:', e);
+                }
+            }
+            await finishCrawlRun(run, { status, error });
+            return { status, error };
+        }
+        const failureNotice = failed.length > 0 ? formatTargetFailures(failed, '下次爬蟲會再讀取') : '';
 
-        // 2. 儲存到 Google Sheets
-        const { saved, new: newListings } = await saveListings(listings);
+        // 2. 儲存到資料庫 (所有物件)，並通知降價 / 重新刊登
+        const saveResult = await saveListings(listings);
+        await notifyPriceChanges(saveResult);
 
         // 準備 Log 訊息
         const logMessage = logs.length > 0 ? logs.join('\n') + '\n\n' : '';
 
         // 3. 發送通知
-        // 決定發送對象
-        const targetUsers = (manual && triggeredByUserId) ? [triggeredByUserId] : [...subscribedUsers];
+        let totalPushed = 0;
 
         for (const userId of targetUsers) {
             let message = '';
 
+            // 依該用戶的推播紀錄判斷哪些是新物件
+            const newListings = await filterUnpushedListings(userId, listings);
+            totalPushed += newListings.length;
+
             if (newListings.length > 0) {
                 // 有新物件：發送通知
                 message += `🏠 找到 ${newListings.length} 間新物件！\n`;
@@ -190,16 +377,14 @@ async function runCrawlTask(manual = false, triggeredByUserId = null) {
                 }
 
                 message += `👀 查看完整清單 (含篩選/排序)：\n`;
-                message += `${process.env.APPS_SCRIPT_URL}?userId=${userId}\n`;
+                message += `${GAS_WEB_APP_URL}?userId=${userId}\n`;
+                if (failureNotice) message += `\n${failureNotice}`;
 
                 await lineClient.pushMessage({ to: userId, messages: [{ type: 'text', text: message }] });
                 console.log(`✅ 已發送通知給用戶 ${userId}`);
 
                 // 記錄推播過的物件 (避免重複)
-                if (newListings.length > 0) {
-                    const pushedIds = newListings.map(l => l.id);
-                    await recordPushedListings(userId, pushedIds);
-                }
+                await recordPushedListings(userId, newListings.map(l => l.id));
 
             } else {
                 // 無新物件：Smart Push 邏輯
@@ -208,6 +393,7 @@ async function runCrawlTask(manual = false, triggeredByUserId = null) {
                     message = '📭 目前沒有發現符合條件的新物件。';
                     const targetNames = SEARCH_CONFIG.targets.map(t => t.name.split('-')[1]).join('、');
                     message += `\n(監控區域: ${targetNames})`;
+                    if (failureNotice) message += `\n\n${failureNotice}`;
                     await lineClient.pushMessage({ to: userId, messages: [{ type: 'text', text: message }] });
                 } else {
                     // 排程觸發且無新物件 -> 安靜 (不發送)
@@ -216,26 +402,28 @@ async function runCrawlTask(manual = false, triggeredByUserId = null) {
             }
         }
 
-        isCrawling = false;
+        await finishCrawlRun(run, { status: 'success', found: listings.length, newCount: totalPushed });
         return {
             status: 'success',
             count: listings.length,
-            newCount: newListings.length
+            newCount: totalPushed
         };
 
     } catch (error) {
         console.error('爬蟲任務失敗:', error);
-        isCrawling = false;
 
-        // 發生錯誤時通知管理員
-        try {
-            await lineClient.broadcast({
-                messages: [{ type: 'text', text: `⚠️ 爬蟲發生錯誤: ${error.message}` }]
-            });
-        } catch (e) {
-            console.error('發送錯誤通知失敗:', e);
+        // 發生錯誤時通知管理員 (最後一次嘗試才通知)
+        if (!willRetry) {
+            try {
+                await lineClient.broadcast({
+                    messages: [{ type: 'text', text: `⚠️ 爬蟲發生錯誤: ${error.message}` }]
+                });
+            } catch (e) {
+                console.error('發送錯誤通知失敗:', e);
+            }
         }
 
+        await finishCrawlRun(run, { status: 'error', error: error.message });
         return { status: 'error', error: error.message };
     }
 }
@@ -248,116 +436,587 @@ async function runCrawlTask(manual = false, triggeredByUserId = null) {
  * @param {number} maxRent - 最高租金
  * @param {boolean} isScheduled - 是否為排程執行
  * @param {boolean} isWeeklyReport - 是否為週報模式 (每週一)
+ * @param {object} searchOptions - 用戶個人搜尋條件
+ * @param {string} searchOptions.keywords - 關鍵字設定 (原始字串，見 filters.parseKeywords)
+ * @param {string|object} searchOptions.filters - 篩選條件 (見 filters.parseFilterProfile)
+ * @param {string|object} searchOptions.costProfile - 用量設定 (見 cost.parseCostProfile)
+ * @param {string} searchOptions.searchName - 命名搜尋的名稱 (推播時標示，見 savedSearches.js)
+ * @param {string} searchOptions.trigger - 觸發來源 (記錄在爬蟲紀錄，預設依模式判斷)
+ * @param {boolean} searchOptions.willRetry - 失敗後佇列會重試 (錯誤訊息會告知用戶稍後重試)
+ * @param {boolean} searchOptions.isFirstAttempt - 佇列第一次執行 (失敗通知只在第一次發送，重試時不重複推播)
+ * @returns {Promise<object>} 爬蟲紀錄 (見 finishCrawlRun)
  */
-async function runCrawlTaskForUser(userId, targets, minRent, maxRent, isScheduled = false, isWeeklyReport = false) {
+async function runCrawlTaskForUser(userId, targets, minRent, maxRent, isScheduled = false, isWeeklyReport = false, searchOptions = {}) {
+    const keywordSpec = parseKeywords(searchOptions.keywords || '');
+    const filterProfile = parseFilterProfile(searchOptions.filters);
+    const costProfile = parseCostProfile(searchOptions.costProfile);
+    const trigger = searchOptions.trigger || (isWeeklyReport ? 'weekly' : isScheduled ? 'schedule' : 'line');
+    const run = startCrawlRun(trigger, userId);
+    const notifyFailure = !isScheduled && searchOptions.isFirstAttempt !== false;
+
     console.log(`[${new Date().toLocaleString()}] 為用戶 ${userId} 執行爬蟲 (${isScheduled ? '排程模式' : '手動模式'}, 週報: ${isWeeklyReport})`);
     console.log(`  目標: ${targets.map(t => t.name).join(', ')}`);
     console.log(`  租金: ${minRent} - ${maxRent}`);
+    console.log(`  關鍵字: ${formatKeywords(keywordSpec) || '(無)'}`);
+    console.log(`  條件: ${formatFilterProfile(filterProfile)}`);
+    console.log(`  用量: ${formatCostProfile(costProfile)}`);
 
     try {
         // 執行爬蟲（不傳送進度通知）
-        const { listings } = await scrape591({
+        const { listings, logs, targets: targetResults, error: crawlError } = await scrapeListings({
             targets: targets,
             minRent: minRent,
             maxRent: maxRent,
-            maxResults: 20
+            knownIds: await getExistingIds(),
+            stopIds: await getPushedListingIds(userId), // 遇到已推播給這位用戶的物件就停止翻頁
+            keywords: keywordSpec,
+            filters: filterProfile,
+            costProfile
         });
+        run.targets = targetResults;
+        run.logs.push(...logs);
+        if (crawlError) throw new Error(crawlError);
+
+        // 全部地區都沒讀到：不能回報「沒有符合條件的物件」，記錄為 error / blocked 讓佇列稍後重試
+        const { failed, allFailed, allBlocked } = summarizeTargetResults(targetResults);
+        if (allFailed && listings.length === 0) {
+            const status = allBlocked ? 'blocked' : 'error';
+            const error = formatTargetErrors(failed);
+            console.warn(`⚠️ 用戶 ${userId} 的搜尋所有地區都讀取失敗: ${error}`);
+            if (notifyFailure) {
+                try {
+                    await lineClient.pushMessage({
+                        to: userId,
+                        messages: [{
+                            type: 'text',
+                            text: formatTargetFailures(failed, searchOptions.willRetry ? '稍後會自動重試，請稍候' : '請過一段時間再搜尋')
+                        }]
+                    });
+                } catch (e) {
+                    console.error('發送失敗通知失敗:', e);
+                }
+            }
+            return await finishCrawlRun(run, { status, error });
+        }
 
-        // 儲存到 Google Sheets
-        const { new: newListings } = await saveListings(listings);
+        // 部分地區讀取失敗：稍後只針對這些地區重試一次 (重試工作本身失敗不再追加)
+        let failureNotice = '';
+        if (failed.length > 0) {
+            let retryQueued = false;
+            if (trigger !== 'retry') {
+                const failedNames = new Set(failed.map(t => t.name));
+                const { job } = await enqueueCrawl(userId, targets.filter(t => failedNames.has(toDistrictTarget(t).name)), minRent, maxRent, {
+                    isScheduled,
+                    keywords: searchOptions.keywords || '',
+                    filters: searchOptions.filters || '',
+                    costProfile: searchOptions.costProfile || '',
+                    searchName: searchOptions.searchName || '',
+                    trigger: 'retry',
+                    delayMs: TARGET_RETRY_DELAY_MS
+                });
+                retryQueued = !!job;
+            }
+            failureNotice = formatTargetFailures(failed, retryQueued ? '稍後重試' : '請稍後再搜尋');
+        }
+
+        // 儲存到資料庫 (所有物件，供週報與網頁版清單使用)
+        const saveResult = await saveListings(listings);
+        const savedListings = saveResult.new;
+        await notifyPriceChanges(saveResult);
+
+        // 依用戶自己的推播紀錄判斷新物件 (其他用戶先爬到的物件，對此用戶仍然是新的)
+        const newListings = await filterUnpushedListings(userId, listings);
 
         if (isScheduled) {
             // ========== 排程模式 ==========
             if (isWeeklyReport) {
                 // 每週一：發送週報 (蒐集過去 7 天資料)
-                console.log(`📅 準備發送週報給用戶 ${userId}...`);
-
-                // 從 Sheets 取得過去 7 天的物件
-                const recentListings = await getRecentListings(7);
-                const totalSystemCount = recentListings.length; // 系統總掃描量
-
-                // 過濾符合用戶條件的物件 (因為 Sheets 存的是所有人的，需再次篩選)
-                // 1. 租金範圍
-                // 2. 地區 (比對 region 欄位)
-                // 3. 排除已推播過的 (可選，週報通常可以重複顯示精選)
-
-                const userFilteredListings = recentListings.filter(l => {
-                    const priceOk = l.price >= minRent && l.price <= maxRent;
-                    // 地區篩選 (簡易字串比對)
-                    const regionOk = targets.some(t => {
-                        const targetName = t.name.split('-')[1] || t.name;
-                        return l.address.includes(targetName) || l.region.includes(targetName);
-                    });
-                    return priceOk && regionOk;
-                });
-
-                // 準備 Context 資訊
-                const userRegionDisplay = targets.map(t => t.name.split('-')[1] || t.name).join('、');
-                const context = {
-                    totalScanned: totalSystemCount,
-                    userRegion: userRegionDisplay,
-                    userMinRent: minRent,
-                    userMaxRent: maxRent
-                };
-
-                await sendWeeklyReport(userId, userFilteredListings, context);
-
+                const search = normalizeSearch({ targets, minRent, maxRent, keywords: keywordSpec, filters: filterProfile, costProfile, searchName: searchOptions.searchName });
+                await sendUserWeeklyReport(userId, search, await getRecentListings(7));
             } else {
                 // 平日 (週二至週日)：靜默爬取，不發送通知
-                console.log(`🤫 平日靜默爬取完成 (新物件: ${newListings.length})，不發送通知`);
+                // 未推播的物件不記錄，留待週報或下次手動搜尋時推播
+                console.log(`🤫 平日靜默爬取完成 (尚未推播: ${newListings.length})，不發送通知`);
 
                 // 僅在有新物件時 Log 一下
-                if (newListings.length > 0) {
-                    console.log(`   (已儲存 ${newListings.length} 筆新資料到 Sheets)`);
+                if (savedListings.length > 0) {
+                    console.log(`   (已儲存 ${savedListings.length} 筆新資料)`);
                 }
             }
 
         } else {
             // ========== 手動模式：發送 Flex 卡片 ==========
+            const notifyContext = { minRent, maxRent, keywords: keywordSpec, filters: filterProfile, costProfile, searchName: searchOptions.searchName };
             if (newListings.length > 0) {
-                await sendListingsNotification(userId, newListings);
+                // 結果已依刊登時間排序，先推播最新的，只記錄實際推播的物件
+                const pushListings = newListings.slice(0, MAX_PUSH_LISTINGS);
+                await sendListingsNotification(userId, pushListings, notifyContext);
+                await recordPushedListings(userId, pushListings.map(l => l.id));
+
+                const remaining = newListings.length - pushListings.length;
+                const notes = [];
+                if (remaining > 0) notes.push(`📦 還有 ${remaining} 間較早刊登的新物件，輸入「搜尋」查看更多`);
+                if (failureNotice) notes.push(failureNotice);
+                if (notes.length > 0) {
+                    await lineClient.pushMessage({
+                        to: userId,
+                        messages: [{ type: 'text', text: notes.join('\n\n') }]
+                    });
+                }
+            } else if (trigger === 'retry') {
+                // 重試讀取失敗的地區，沒有新物件時不再打擾用戶
+                console.log(`[Retry] 用戶 ${userId} 重試的地區沒有新物件，跳過推播`);
             } else if (listings.length > 0) {
-                await sendListingsNotification(userId, listings.slice(0, 10));
+                await lineClient.pushMessage({
+                    to: userId,
+                    messages: [{
+                        type: 'text',
+                        text: `📭 目前沒有新物件\n(符合條件的 ${listings.length} 間都已推播給你過了)${failureNotice ? `\n\n${failureNotice}` : ''}`
+                    }]
+                });
             } else {
                 await lineClient.pushMessage({
                     to: userId,
-                    messages: [{ type: 'text', text: '📭 目前沒有符合條件的物件' }]
+                    messages: [{
+                        type: 'text',
+                        text: failureNotice ? `📭 其他地區目前沒有符合條件的物件\n\n${failureNotice}` : '📭 目前沒有符合條件的物件'
+                    }]
                 });
             }
         }
 
         console.log(`✅ 用戶 ${userId} 爬蟲完成`);
+        return await finishCrawlRun(run, {
+            status: 'success',
+            found: listings.length,
+            newCount: newListings.length
+        });
 
     } catch (error) {
         console.error(`❌ 用戶 ${userId} 爬蟲失敗:`, error);
-        if (!isScheduled) {
+        if (notifyFailure) {
             try {
                 await lineClient.pushMessage({
                     to: userId,
-                    messages: [{ type: 'text', text: `⚠️ 搜尋發生錯誤: ${error.message}` }]
+                    messages: [{
+                        type: 'text',
+                        text: `⚠️ 搜尋發生錯誤: ${error.message}${searchOptions.willRetry ? '\n稍後會自動重試，請稍候' : ''}`
+                    }]
                 });
             } catch (e) {
                 console.error('發送錯誤通知失敗:', e);
             }
         }
+        return await finishCrawlRun(run, { status: 'error', error: error.message });
+    }
+}
+
+/**
+ * 發送週報給單一用戶
+ * 從過去 7 天儲存的物件中 (所有人的查詢爬到的)，依這組搜尋的條件篩選出尚未推播的物件
+ * 1. 地區、關鍵字、租金 / 總花費與篩選條件 (與排程比對相同，見 scraper.matchStoredListingsForSearch)
+ * 2. 排除已推播過的 (每個物件對每位用戶只推播一次)
+ * @param {string} userId - LINE 用戶 ID
+ * @param {object} search - 搜尋條件 (見 queryPlanner.normalizeSearch)，searchName 為命名搜尋的名稱 (推播時標示)
+ * @param {Array} recentListings - 過去 7 天的物件 (見 storage.getRecentListings)
+ */
+async function sendUserWeeklyReport(userId, search, recentListings) {
+    console.log(`📅 準備發送週報給用戶 ${userId}...`);
+    const { targets, minRent, maxRent, searchName = '' } = search;
+    const pushedIds = await getPushedListingIds(userId);
+
+    const { listings, logs } = matchStoredListingsForSearch(search, recentListings.filter(l => !pushedIds.has(l.id)));
+    logs.forEach(log => console.log(`   ${log}`));
+
+    // 準備 Context 資訊
+    const context = {
+        totalScanned: recentListings.length, // 系統總掃描量
+        userRegion: targets.map(t => t.name.split('-')[1] || t.name).join('、'),
+        userMinRent: minRent,
+        userMaxRent: maxRent,
+        searchName
+    };
+
+    const reportedListings = await sendWeeklyReport(userId, listings, context);
+    if (reportedListings.length > 0) {
+        await recordPushedListings(userId, reportedListings.map(l => l.id));
+    }
+}
+
+/**
+ * 排程爬蟲：合併所有訂閱用戶的搜尋條件，相同的搜尋只爬一次 (見 queryPlanner.js)，
+ * 再依每位用戶的條件在本地比對。爬取量隨地區數增加，而不是隨用戶數增加
+ * @param {boolean} isWeeklyReport - 是否發送週報 (平日靜默爬取，不發送通知)
+ * @param {object} options
+ * @param {string} options.trigger - 觸發來源 (記錄在爬蟲紀錄)
+ * @param {string[]|null} options.onlyTargets - 只爬這些地區 (重試讀取失敗的地區時使用)
+ * @param {boolean} options.notify - 每週週報的搜尋也立即推播新物件 (管理後台手動觸發時使用；不自動通知的搜尋仍不推播)
+ * @returns {Promise<object>} 爬蟲紀錄 (見 finishCrawlRun)
+ */
+async function runScheduledCrawl(isWeeklyReport = false, { trigger = 'schedule', onlyTargets = null, notify = false } = {}) {
+    const run = startCrawlRun(trigger);
+    console.log(`[${new Date().toLocaleString()}] 執行排程爬蟲 (週報: ${isWeeklyReport}${onlyTargets ? `，重試: ${onlyTargets.join(', ')}` : ''})`);
+
+    try {
+        const users = await getAllSubscribedUsers();
+        // 每位用戶的每組未暫停的搜尋 (見 savedSearches.js)
+        const searches = users
+            .flatMap(user => {
+                const userSearches = getUserSearches(user);
+                return userSearches.filter(s => !s.paused).map(s => ({
+                    userId: user.userId,
+                    searchName: userSearches.length > 1 ? s.name : '',
+                    schedule: s.schedule,
+                    ...resolveUserSearch(s)
+                }));
+            })
+            .map(search => {
+                // 重試時只爬失敗的地區，週報仍涵蓋這組搜尋的所有地區 (reportTargets)
+                search.reportTargets = search.targets;
+                if (onlyTargets) search.targets = search.targets.filter(t => onlyTargets.includes(toDistrictTarget(t).name));
+                return search;
+            })
+            .filter(search => search.targets.length > 0);
+
+        if (searches.length === 0) {
+            console.log('📭 沒有需要爬取的用戶');
+            return await finishCrawlRun(run, { status: 'success' });
+        }
+
+        const plan = buildQueryPlan(searches);
+        const userCount = new Set(searches.map(s => s.userId)).size;
+        const planLog = `🧭 ${userCount} 位用戶的 ${searches.length} 組搜尋合併為 ${plan.queries.length} 個查詢`;
+        console.log(planLog);
+        run.logs.push(planLog);
+
+        // 每個查詢遇到其所有用戶都已推播過的物件就停止翻頁
+        const pushedCache = new Map();
+        const stopIdsByQuery = new Map();
+        for (const query of plan.queries) {
+            stopIdsByQuery.set(query.id, await getPushedByAllUsers(query.searchIndexes.map(i => plan.searches[i].userId), pushedCache));
+        }
+        const crawl = await scrapeQueryPlan(plan, {
+            knownIds: await getExistingIds(),
+            stopIdsByQuery
+        });
+        run.targets = crawl.targets;
+        run.logs.push(...crawl.logs);
+        if (crawl.error) throw new Error(crawl.error);
+
+        // 全部地區都沒讀到：記錄為 error / blocked 讓佇列稍後重試 (排程不通知用戶)
+        const { failed, allFailed, allBlocked } = summarizeTargetResults(crawl.targets);
+        if (allFailed && crawl.listings.length === 0) {
+            const error = formatTargetErrors(failed);
+            console.warn(`⚠️ 排程爬蟲所有地區都讀取失敗: ${error}`);
+            return await finishCrawlRun(run, { status: allBlocked ? 'blocked' : 'error', error });
+        }
+
+        // 依每位用戶的條件比對，只儲存至少符合一位用戶的物件 (週報從儲存的物件中篩選)
+        const matches = plan.searches.map((search, index) => ({
+            search,
+            ...matchListingsForSearch(search, getSearchQueries(plan, index), crawl.listingsByQuery)
+        }));
+        const matchedById = new Map();
+        matches.forEach(({ listings }) => listings.forEach(l => {
+            if (!matchedById.has(l.id)) matchedById.set(l.id, l);
+        }));
+
+        const saveResult = await saveListings([...matchedById.values()]);
+        await notifyPriceChanges(saveResult);
+        console.log(`💾 符合條件 ${matchedById.size} 間 (新物件 ${saveResult.new.length} 間)`);
+
+        // 部分地區讀取失敗時稍後重試一次 (重試工作本身失敗不再追加)
+        // 週報日時，地區有失敗的搜尋延到重試完成後才發送週報
+        const failedNames = new Set(failed.map(t => t.name));
+        const willRetry = failed.length > 0 && trigger !== 'retry';
+
+        const recentListings = isWeeklyReport ? await getRecentListings(7) : [];
+        let newCount = 0;
+        for (const { search, listings } of matches) {
+            try {
+                // 依用戶自己的推播紀錄判斷新物件 (其他用戶先推播過的物件，對此用戶仍然是新的)
+                const newListings = await filterUnpushedListings(search.userId, listings);
+                newCount += newListings.length;
+                const label = search.searchName ? ` [${search.searchName}]` : '';
+
+                if (search.schedule === SEARCH_SCHEDULES.DAILY || (notify && search.schedule === SEARCH_SCHEDULES.WEEKLY)) {
+                    // 每日推播的搜尋 (或管理後台要求通知時)：推播新物件
+                    if (newListings.length > 0) {
+                        const pushListings = newListings.slice(0, MAX_PUSH_LISTINGS);
+                        await sendListingsNotification(search.userId, pushListings, {
+                            minRent: search.minRent,
+                            maxRent: search.maxRent,
+                            keywords: search.keywordSpec,
+                            filters: search.filterProfile,
+                            costProfile: search.usage,
+                            searchName: search.searchName
+                        });
+                        await recordPushedListings(search.userId, pushListings.map(l => l.id));
+                    }
+                } else if (isWeeklyReport && search.schedule === SEARCH_SCHEDULES.WEEKLY) {
+                    if (willRetry && search.targets.some(t => failedNames.has(toDistrictTarget(t).name))) {
+                        console.log(`⏳ 用戶 ${search.userId}${label}: 部分地區讀取失敗，週報延到重試後發送`);
+                    } else {
+                        await sendUserWeeklyReport(search.userId, { ...search, targets: search.reportTargets }, recentListings);
+                    }
+                } else {
+                    // 平日 (週二至週日) 或不自動通知的搜尋：靜默爬取，不發送通知
+                    // 未推播的物件不記錄，留待週報或下次手動搜尋時推播
+                    console.log(`🤫 用戶 ${search.userId}${label}: 符合 ${listings.length} 間 (尚未推播 ${newListings.length})，不發送通知`);
+                }
+            } catch (error) {
+                console.error(`❌ 用戶 ${search.userId} 的排程結果處理失敗:`, error);
+            }
+        }
+
+        // 部分地區讀取失敗：稍後只針對這些地區重試一次 (週報日的重試會補發延後的週報)
+        if (willRetry) {
+            await jobQueue.enqueue({
+                type: 'scheduledCrawl',
+                trigger: 'retry',
+                payload: { isWeeklyReport, notify, onlyTargets: [...failedNames] },
+                delayMs: TARGET_RETRY_DELAY_MS
+            });
+        }
+
+        return await finishCrawlRun(run, { status: 'success', found: matchedById.size, newCount });
+    } catch (error) {
+        console.error('❌ 排程爬蟲錯誤:', error);
+        return await finishCrawlRun(run, { status: 'error', error: error.message });
+    }
+}
+
+/**
+ * 將用戶爬蟲工作加入佇列
+ * 相同用戶、相同條件的工作已在排隊時不會重複加入
+ * @param {string} userId - LINE 用戶 ID
+ * @param {Array} targets - 搜尋目標陣列
+ * @param {number} minRent - 最低租金
+ * @param {number} maxRent - 最高租金
+ * @param {object} options - { isScheduled, isWeeklyReport, keywords, filters, costProfile, searchName, trigger, delayMs }
+ * @returns {Promise<object>} 見 JobQueue.enqueue
+ */
+function enqueueCrawl(userId, targets, minRent, maxRent, { isScheduled = false, isWeeklyReport = false, keywords = '', filters = '', costProfile = '', searchName = '', trigger, delayMs = 0 } = {}) {
+    return jobQueue.enqueue({
+        type: 'crawl',
+        userId,
+        trigger: trigger || (isWeeklyReport ? 'weekly' : isScheduled ? 'schedule' : 'line'),
+        payload: { targets, minRent, maxRent, keywords, filters, costProfile, searchName, isScheduled, isWeeklyReport },
+        delayMs
+    });
+}
+
+/**
+ * 解析用戶的搜尋條件 (未設定的項目使用預設值)
+ * @param {object|null} user - 用戶設定 (見 storage.getUser) 或一組命名搜尋 (見 savedSearches.getUserSearches)
+ * @returns {{targets: Array, minRent: number, maxRent: number, keywords: string, filters: string, costProfile: string}}
+ */
+function resolveUserSearch(user) {
+    let targets = [];
+    if (user && user.targets) {
+        try {
+            targets = JSON.parse(user.targets);
+        } catch (e) {
+            console.error(`解析用戶 ${user.userId} 的 targets 失敗:`, e.message);
+        }
+    }
+    if (!Array.isArray(targets) || targets.length === 0) targets = SEARCH_CONFIG.targets;
+
+    return {
+        targets,
+        minRent: user?.minRent || SEARCH_CONFIG.minRent,
+        maxRent: user?.maxRent || SEARCH_CONFIG.maxRent,
+        keywords: user?.keywords || '',
+        filters: user?.filters || '',
+        costProfile: user?.costProfile || ''
+    };
+}
+
+/**
+ * 依用戶設定將爬蟲工作加入佇列 (使用目前選擇的搜尋，見 savedSearches.applyActiveSearch)
+ * @param {object} user - 用戶設定 (見 storage.getUser)
+ * @param {object} options - { isScheduled, isWeeklyReport, trigger }
+ */
+function enqueueCrawlForUser(user, { isScheduled = false, isWeeklyReport = false, trigger } = {}) {
+    const search = applyActiveSearch(user);
+    const { targets, minRent, maxRent, keywords, filters, costProfile } = resolveUserSearch(search);
+    return enqueueCrawl(user.userId, targets, minRent, maxRent, { isScheduled, isWeeklyReport, keywords, filters, costProfile, searchName: search.searchName, trigger });
+}
+
+/**
+ * 更新目前選擇的搜尋條件 (預設搜尋寫入用戶設定，命名搜尋寫入 searches 欄位)
+ * @param {string} userId - LINE 用戶 ID
+ * @param {object} settings - 要更新的欄位 (見 storage.updateUserSettings)
+ */
+async function updateSearchSettings(userId, settings) {
+    const user = await getUser(userId);
+    if (!user) return null;
+    return updateUserSettings(userId, buildSearchUpdate(user, settings));
+}
+
+/**
+ * 讀取用戶設定並套上目前選擇的搜尋條件 (用戶不存在時建立)
+ * @param {string} userId - LINE 用戶 ID
+ */
+async function getUserWithActiveSearch(userId) {
+    const user = await getUser(userId) || await createUser(userId);
+    return applyActiveSearch(user);
+}
+
+/**
+ * 為所有訂閱用戶加入排程爬蟲工作 (排程與後台共用)
+ * 所有用戶共用一個工作，相同的搜尋只爬一次 (見 runScheduledCrawl)
+ * @param {boolean} isWeeklyReport - 是否發送週報
+ * @param {string} trigger - 觸發來源
+ * @param {object} options
+ * @param {boolean} options.notify - 每週週報的搜尋也立即推播新物件 (見 runScheduledCrawl)
+ * @returns {Promise<number>} 新加入的工作數 (上次的排程工作尚未執行時為 0)
+ */
+async function enqueueCrawlForAllUsers(isWeeklyReport = false, trigger = 'schedule', { notify = false } = {}) {
+    try {
+        const payload = notify ? { isWeeklyReport, notify } : { isWeeklyReport };
+        const { duplicate } = await jobQueue.enqueue({ type: 'scheduledCrawl', trigger, payload });
+        if (duplicate) {
+            console.log('⚠️ 上次的排程爬蟲工作尚未執行，跳過');
+            return 0;
+        }
+        console.log(`📋 已加入排程爬蟲工作 (週報: ${isWeeklyReport})`);
+        return 1;
+    } catch (error) {
+        console.error('排程爬蟲錯誤:', error);
+        return 0;
     }
 }
 
+// 佇列工作處理函數 (丟出錯誤代表失敗，佇列會延後重試)
+jobQueue.register('crawl', async (job) => {
+    const { targets, minRent, maxRent, keywords, filters, costProfile, searchName, isScheduled, isWeeklyReport } = job.payload;
+    const run = await runCrawlTaskForUser(job.userId, targets, minRent, maxRent, isScheduled, isWeeklyReport, {
+        keywords,
+        filters,
+        costProfile,
+        searchName,
+        trigger: job.trigger,
+        willRetry: !job.isFinalAttempt,
+        isFirstAttempt: job.attempts === 1
+    });
+    if (run.status === 'error' || run.status === 'blocked') throw new Error(run.error);
+});
+
+jobQueue.register('scheduledCrawl', async (job) => {
+    const run = await runScheduledCrawl(!!job.payload.isWeeklyReport, {
+        trigger: job.trigger,
+        onlyTargets: job.payload.onlyTargets || null,
+        notify: !!job.payload.notify
+    });
+    if (run.status === 'error' || run.status === 'blocked') throw new Error(run.error);
+});
+
+jobQueue.register('broadcast', async (job) => {
+    const result = await runCrawlTask(job.payload.manual, job.userId || null, { willRetry: !job.isFinalAttempt });
+    if (result.status === 'error' || result.status === 'blocked') throw new Error(result.error);
+});
+
+jobQueue.register('favoriteCheck', async () => {
+    await checkFavorites({ notify: sendFavoritesGoneNotice });
+});
+
+jobQueue.register('districtSync', async (job) => {
+    const report = await syncDistricts({ regions: job.payload.regions || [], apply: !!job.payload.apply });
+    if (report.regions.length === 0 && report.errors.length > 0) {
+        throw new Error(`行政區同步全部失敗: ${report.errors[0].error}`);
+    }
+});
+
+/**
+ * 整理 scrapeListings 回傳的各地區結果
+ * @param {Array} targetResults - 見 scraper.buildTargetResult
+ * @returns {{failed: Array, allFailed: boolean, allBlocked: boolean}}
+ *   failed: 未完整讀取的搜尋；allFailed: 每個搜尋都一頁都沒讀到 (失敗或被阻擋)
+ */
+function summarizeTargetResults(targetResults = []) {
+    const failed = targetResults.filter(t => t.status !== 'ok');
+    const unread = failed.filter(t => t.status === 'failed' || t.status === 'blocked');
+    return {
+        failed,
+        allFailed: targetResults.length > 0 && unread.length === targetResults.length,
+        allBlocked: targetResults.length > 0 && targetResults.every(t => t.status === 'blocked')
+    };
+}
+
+/**
+ * 讀取失敗地區的 LINE 提示，例如「⚠️ 永和區 讀取失敗，稍後重試」
+ * @param {Array} failed - 見 summarizeTargetResults
+ * @param {string} note - 接在後面的說明 (是否會重試)
+ */
+function formatTargetFailures(failed, note) {
+    const namesOf = list => [...new Set(list.map(t => t.name.split('-')[1] || t.name))].join('、');
+    const lines = [];
+    const unreadNames = namesOf(failed.filter(t => t.status !== 'blocked'));
+    const blockedNames = namesOf(failed.filter(t => t.status === 'blocked'));
+    if (unreadNames) lines.push(`⚠️ ${unreadNames} 讀取失敗`);
+    if (blockedNames) lines.push(`⛔ ${blockedNames} 暫時被 591 阻擋`);
+    return `${lines.join('\n')}${lines.length > 1 ? '\n' : '，'}${note}`;
+}
+
+/**
+ * 讀取失敗的原因摘要 (記錄在爬蟲紀錄的錯誤欄位)
+ * @param {Array} failed - 見 summarizeTargetResults
+ */
+function formatTargetErrors(failed) {
+    return failed.map(t => `${t.name}${t.query ? ` (${t.query})` : ''}: [${t.errorClass}] ${t.error}`).join('; ');
+}
+
+/**
+ * 建立一筆爬蟲紀錄
+ */
+function startCrawlRun(trigger, userId = '') {
+    return {
+        id: `${Date.now().toString(36)}${Math.random().toString(36).substring(2, 6)}`,
+        trigger,
+        userId,
+        startedAt: new Date().toISOString(),
+        targets: [], // 各地區結果 (見 scraper.buildTargetResult)
+        logs: []
+    };
+}
+
+/**
+ * 完成爬蟲紀錄並儲存 (儲存失敗不影響爬蟲結果)
+ * @returns {Promise<object>} { id, trigger, userId, startedAt, finishedAt, durationMs, status, found, newCount, error, targets, logs }
+ */
+async function finishCrawlRun(run, result) {
+    const finishedAt = new Date().toISOString();
+    const finished = {
+        found: 0,
+        newCount: 0,
+        error: '',
+        ...run,
+        ...result,
+        finishedAt,
+        durationMs: new Date(finishedAt) - new Date(run.startedAt)
+    };
+
+    try {
+        await recordCrawlRun(finished);
+    } catch (error) {
+        console.error('❌ 儲存爬蟲紀錄失敗:', error.message);
+    }
+
+    return finished;
+}
+
 
 
 // ============================================
 // Express 路由
 // ============================================
 
-// 健康檢查
+// 健康檢查 (公開，不顯示設定與用戶資訊)
 app.get('/', (req, res) => {
     res.json({
         status: 'ok',
         name: '591 租屋爬蟲系統',
-        subscribedUsers: subscribedUsers.size,
-        config: SEARCH_CONFIG,
-        nextRun: process.env.CRON_SCHEDULE || '0 11 * * *',
-        isCrawling: isCrawling,
         serverTime: new Date().toLocaleString('zh-TW', { timeZone: 'Asia/Taipei' })
     });
 });
@@ -367,80 +1026,91 @@ app.get('/health', (req, res) => {
     res.status(200).send('OK');
 });
 
-// 手動觸發爬蟲
-app.get('/crawl', async (req, res) => {
-    res.json({ message: '爬蟲任務已啟動' });
-    runCrawlTask(true);
-});
+// 管理後台 (需 ADMIN_TOKEN)
+app.use('/admin', createAdminRouter({
+    enqueueCrawlForUser,
+    enqueueCrawlForAllUsers,
+    enqueueBroadcastCrawl: () => jobQueue.enqueue({ type: 'broadcast', trigger: 'admin', payload: { manual: true } }),
+    enqueueDistrictSync: ({ regions, apply }) => jobQueue.enqueue({ type: 'districtSync', trigger: 'admin', payload: { regions, apply } }),
+    getQueue: (limit) => ({ stats: jobQueue.getStats(), ...jobQueue.getJobs(limit) }),
+    getStatus: async () => ({
+        subscribedUsers: subscribedUsers.size,
+        config: SEARCH_CONFIG,
+        nextRun: process.env.CRON_SCHEDULE || '0 11 * * *',
+        queue: jobQueue.getStats(),
+        browser: await browserPool.getStats(),
+        storage: STORAGE_DRIVER_NAME,
+        serverTime: new Date().toLocaleString('zh-TW', { timeZone: 'Asia/Taipei' })
+    })
+}));
 
-// LINE Webhook
-app.post('/webhook', express.json(), async (req, res) => {
-    try {
-        const events = req.body.events || [];
-
-        for (const event of events) {
-            console.log('📩 收到 LINE 事件:', event.type);
-
-            // 記錄使用者 ID 並確保用戶存在於 Sheets
-            if (event.source && event.source.userId) {
-                const userId = event.source.userId;
-                if (!subscribedUsers.has(userId)) {
-                    subscribedUsers.add(userId);
-                    console.log(`👤 新增訂閱用戶: ${userId}`);
-
-                    // 嘗試取得用戶資料並建立/更新用戶設定
-                    try {
-                        console.log(`🔍 正在嘗試取得用戶 ${userId} 的資料...`);
-                        const profile = await getUserProfile(userId);
-                        console.log(`👤 取得用戶資料結果:`, profile ? JSON.stringify(profile) : 'null');
-
-                        const displayName = profile?.displayName || '';
-                        const existingUser = await getUser(userId);
-
-                        if (!existingUser) {
-                            console.log(`🆕 用戶不存在，準備建立新用戶 (名稱: ${displayName})`);
-                            await createUser(userId, displayName);
-                        } else if (!existingUser.displayName && displayName) {
-                            console.log(`✏️ 用戶已存在但無名稱，準備更新 (名稱: ${displayName})`);
-                            await updateUserSettings(userId, { displayName });
-                        } else {
-                            console.log(`✅ 用戶已存在且有名稱 (${existingUser.displayName})，無需更新`);
-                        }
-                    } catch (e) {
-                        console.log('取得用戶資料失敗:', e.message);
-                        console.error(e);
-                    }
+/**
+ * 處理單一 LINE 事件
+ */
+async function handleEvent(event) {
+    console.log('📩 收到 LINE 事件:', event.type);
+
+    // 記錄使用者 ID 並確保用戶存在於 Sheets
+    if (event.source && event.source.userId) {
+        const userId = event.source.userId;
+        if (!subscribedUsers.has(userId)) {
+            subscribedUsers.add(userId);
+            console.log(`👤 新增訂閱用戶: ${userId}`);
+
+            // 嘗試取得用戶資料並建立/更新用戶設定
+            try {
+                console.log(`🔍 正在嘗試取得用戶 ${userId} 的資料...`);
+                const profile = await getUserProfile(userId);
+                console.log(`👤 取得用戶資料結果:`, profile ? JSON.stringify(profile) : 'null');
+
+                const displayName = profile?.displayName || '';
+                const existingUser = await getUser(userId);
+
+                if (!existingUser) {
+                    console.log(`🆕 用戶不存在，準備建立新用戶 (名稱: ${displayName})`);
+                    await createUser(userId, displayName);
+                } else if (!existingUser.displayName && displayName) {
+                    console.log(`✏️ 用戶已存在但無名稱，準備更新 (名稱: ${displayName})`);
+                    await updateUserSettings(userId, { displayName });
+                } else {
+                    console.log(`✅ 用戶已存在且有名稱 (${existingUser.displayName})，無需更新`);
                 }
+            } catch (e) {
+                console.log('取得用戶資料失敗:', e.message);
+                console.error(e);
             }
+        }
+    }
 
-            // 處理不同類型的事件
-            switch (event.type) {
-                case 'message':
-                    // 收到文字訊息
-                    if (event.message.type === 'text') {
-                        // 先檢查是否為自定義特定回應
-                        if (await handleCustomResponse(event)) {
-                            break;
-                        }
+    // 處理不同類型的事件
+    switch (event.type) {
+        case 'message':
+            // 收到文字訊息
+            if (event.message.type === 'text') {
+                // 先檢查是否為自定義特定回應
+                if (await handleCustomResponse(event)) {
+                    break;
+                }
 
-                        const text = event.message.text.trim();
-                        const lowerText = text.toLowerCase();
+                const text = event.message.text.trim();
+                const lowerText = text.toLowerCase();
 
-                        // 指令列表
-                        if (lowerText === '指令' || lowerText === '說明' || lowerText === 'help' || lowerText === '/h') {
-                            await replyText(event.replyToken,
-                                `🤖 591 租屋小幫手 - 完整使用說明
+                // 指令列表
+                if (lowerText === '指令' || lowerText === '說明' || lowerText === 'help' || lowerText === '/h') {
+                    await replyText(event.replyToken,
+                        `🤖 591 租屋小幫手 - 完整使用說明
 
 📌【資料來源與去向】
 • 來源: 591 租屋網 (台北/新北)
 • 儲存: 自動整理至系統資料庫
 • 查詢: 輸入「收藏」看你的待看清單
-• 所有物件: ${process.env.APPS_SCRIPT_URL || '(未設定 GAS 連結)'}
+• 所有物件: ${GAS_WEB_APP_URL}
 
 🔎【目前篩選條件】
 • 地區: 中正區、中山區、大同區、永和區 (預設)
 • 租金: ${SEARCH_CONFIG.minRent}-${SEARCH_CONFIG.maxRent} (可自訂)
-• 固定條件: 近捷運、可開伙、乾濕分離
+• 篩選條件: 預設近捷運、可開伙 (可自訂)
+• 關鍵字: 可自訂 (例如乾濕分離)
 • 排序: 取最新的 20 筆資料
 
 🔔【通知機制】
@@ -448,8 +1118,10 @@ app.post('/webhook', express.json(), async (req, res) => {
 • 無新物件: 發送「今日無新物件」通知\n(監控: 中正/中山/大同/永和)
 
 🔍【新舊判斷】
-• 依據「591物件ID」判斷
-• 只要 Sheets 裡面沒有的 ID 就視為新物件
+• 依據「591物件ID」與你的推播紀錄判斷
+• 沒推播給你過的物件就視為新物件 (每間只推一次)
+• 收藏的物件降價或下架後重新刊登時另外通知
+• 每天檢查收藏是否已出租/下架，並更新收藏狀態
 
 🎮【指令操作】
 1️⃣ 輸入「搜尋」→ 立即爬取 (手動強制檢查)
@@ -458,9 +1130,39 @@ app.post('/webhook', express.json(), async (req, res) => {
    • 「地區 中山」 (只搜中山)
    • 「地區 淡水」 (只搜淡水)
    • 「地區 中山 永和」 (同时搜多區)
+   • 「地區 台中 西屯 南屯」 (其他縣市：縣市 + 行政區)
+   • 「地區 永和 中山站」 (行政區與捷運車站混合)
    • 「地區 預設」 (回歸預設四區)
    • 「地區 台北/新北/全」 (大範圍)
 4️⃣ 輸入「租金 8000-15000」
+   • 「費用 篩選 總花費」 (改用租金 + 管理費水電網路的估計總花費比對)
+   • 「費用 用電 200」 (每月用電度數，用來估算電費)
+   • 「費用 網路 0」/「費用 水費 200」/「費用 車位 開」
+5️⃣ 輸入「關鍵字 [字詞]」
+   • 「關鍵字 乾濕分離 陽台」 (全部符合)
+   • 「關鍵字 乾濕分離|陽台」 (符合任一)
+   • 「關鍵字 乾濕分離 -頂加」 (排除頂加)
+   • 「關鍵字」 (清除)
+6️⃣ 輸入「條件 [項目] [值]」
+   • 「條件 類型 套房」 (套房/分租/整層/不限)
+   • 「條件 坪數 8」 (最小坪數)
+   • 「條件 樓層 2-10」 (樓層範圍)
+   • 「條件 寵物 開」 (寵物/電梯/車位/租補/入籍/報稅/近捷運/開伙)
+   • 「條件 重設」 (恢復預設)
+   • 「捷運 淡水信義線 500m」 (只看沿線車站、步行 500 公尺內)
+   • 「車站 中山,雙連」 (只看最近車站為中山或雙連的物件)
+   • 「通勤 台北車站 40分」 (依到台北車站的通勤時間排序，超過 40 分鐘不通知)
+7️⃣ 輸入「降價通知 [範圍]」
+   • 「降價通知 收藏」 (只通知收藏的物件)
+   • 「降價通知 全部」 (收藏 + 推播過的物件)
+   • 「降價通知 關閉」
+8️⃣ 命名搜尋 (例如同時找大安套房與永和兩房)
+   • 「新增搜尋 永和兩房」 (複製目前條件，之後的地區/租金/關鍵字/條件指令修改這組)
+   • 「搜尋列表」 (查看所有搜尋)
+   • 「切換搜尋 預設」 (切換要修改的搜尋)
+   • 「搜尋 永和兩房」 (立即執行這組搜尋)
+   • 「搜尋通知 永和兩房 每日」 (每日 / 每週 / 關)
+   • 「重新命名搜尋 舊名 新名」/「暫停搜尋 名稱」/「恢復搜尋 名稱」/「刪除搜尋 名稱」
 
 🔘【按鈕功能】
 • 📘 查看: 開啟 591 網頁
@@ -477,298 +1179,468 @@ Nick Chang｜nickleo051216@gmail.com
 🧵 Threads： ZN Studio ( @nickai216 ) (https://www.threads.com/@nickai216)
 👥 Line 社群：https://reurl.cc/1OZNAY
 💬 Line ： https://lin.ee/Faz0doj`);
+                }
+                // 查看設定 (個人化)
+                else if (lowerText === '設定' || lowerText === '狀態' || lowerText === 'status') {
+                    await startLoading(event.source.userId, 10);
+                    const user = await getUserWithActiveSearch(event.source.userId);
+                    await sendUserSettings(event.source.userId, user, event.replyToken);
+                }
+                // 降價 / 重新刊登通知範圍 (須在「收藏」之前，「降價通知 收藏」不是查看收藏)
+                else if (text.startsWith('降價通知')) {
+                    const arg = text.replace('降價通知', '').trim();
+                    const modes = {
+                        '收藏': PRICE_ALERT_MODES.FAVORITES,
+                        '全部': PRICE_ALERT_MODES.ALL,
+                        '關閉': PRICE_ALERT_MODES.OFF
+                    };
+
+                    if (!arg) {
+                        const user = await getUser(event.source.userId) || await createUser(event.source.userId);
+                        return replyText(event.replyToken, `💲 降價通知：${PRICE_ALERT_LABELS[user.priceAlert] || PRICE_ALERT_LABELS.favorites}\n\n範例：\n• 降價通知 收藏 (只通知收藏的物件)\n• 降價通知 全部 (收藏 + 推播過的物件)\n• 降價通知 關閉`);
+                    }
+                    if (!modes[arg]) {
+                        return replyText(event.replyToken, '❌ 格式錯誤\n範例：降價通知 收藏 / 全部 / 關閉');
+                    }
+
+                    await updateUserSettings(event.source.userId, { priceAlert: modes[arg] });
+                    await replyText(event.replyToken, `✅ 降價通知已設定為：${PRICE_ALERT_LABELS[modes[arg]]}`);
+                }
+                // 我的收藏
+                else if (lowerText.includes('收藏') || lowerText.includes('有興趣') || lowerText === 'favorites') {
+                    await startLoading(event.source.userId, 15);
+                    const favorites = await getUserFavorites(event.source.userId);
+                    await sendMyFavorites(event.source.userId, favorites, event.replyToken, GAS_WEB_APP_URL);
+                }
+                // 暫停推播
+                else if (lowerText === '暫停' || lowerText === 'pause' || lowerText === 'stop') {
+                    await toggleSubscription(event.source.userId, false);
+                    await replyText(event.replyToken, '🔕 已暫停每日推播\n\n輸入「恢復」重新開啟');
+                }
+                // 恢復推播
+                else if (lowerText === '恢復' || lowerText === 'resume' || lowerText === 'start') {
+                    await toggleSubscription(event.source.userId, true);
+                    await replyText(event.replyToken, '🔔 已恢復每日推播\n\n每天 11:00 會推播符合你條件的新物件');
+                }
+                // 設定關鍵字
+                else if (text.startsWith('關鍵字')) {
+                    const keyword = text.replace('關鍵字', '').trim();
+                    const spec = parseKeywords(keyword);
+
+                    if (keyword && spec.include.length === 0 && spec.exclude.length === 0) {
+                        return replyText(event.replyToken, '❌ 格式錯誤\n範例：關鍵字 乾濕分離 陽台\n　　　關鍵字 乾濕分離|陽台 -頂加');
+                    }
+
+                    await updateSearchSettings(event.source.userId, { keywords: keyword });
+                    if (keyword) {
+                        const modeText = spec.include.length > 1
+                            ? (spec.mode === 'OR' ? '(符合任一即可)' : '(需全部符合)')
+                            : '';
+                        await replyText(event.replyToken, `✅ 搜尋關鍵字已設定為「${formatKeywords(spec)}」${modeText}\n\n輸入「搜尋」立即查找`);
+                    } else {
+                        await replyText(event.replyToken, '✅ 已清除搜尋關鍵字');
+                    }
+                }
+                // 篩選條件 (房型、坪數、樓層、設備)
+                else if (text.startsWith('條件')) {
+                    const fullArgs = text.replace('條件', '').trim();
+                    const user = await getUserWithActiveSearch(event.source.userId);
+
+                    if (!fullArgs) {
+                        return replyText(event.replyToken, `🏷️ 目前篩選條件：${formatFilterProfile(user.filters)}\n\n範例：\n• 條件 類型 套房\n• 條件 坪數 8\n• 條件 樓層 2-10\n• 條件 電梯 開\n• 條件 重設`);
+                    }
+
+                    const { filters, message, error } = parseFilterCommand(fullArgs, user.filters);
+                    if (error) {
+                        return replyText(event.replyToken, error);
+                    }
+
+                    await updateSearchSettings(event.source.userId, { filters: JSON.stringify(filters) });
+                    console.log(`用戶 ${event.source.userId} 更新篩選條件:`, filters);
+                    await replyText(event.replyToken, `${message}\n\n🏷️ 目前條件：${formatFilterProfile(filters)}\n輸入「搜尋」立即查找`);
+                }
+                // 捷運路線篩選 (可在最後加上步行距離)
+                else if (text.startsWith('捷運')) {
+                    const fullArgs = text.replace('捷運', '').trim();
+                    const user = await getUserWithActiveSearch(event.source.userId);
+
+                    if (!fullArgs) {
+                        const { metroLines } = parseFilterProfile(user.filters);
+                        return replyText(event.replyToken, `🚇 目前捷運路線：${metroLines.length > 0 ? formatLines(metroLines) : '不限'}\n\n範例：\n• 捷運 淡水信義線 500m\n• 捷運 板南 文湖\n• 捷運 300m (只調整步行距離)\n• 捷運 關`);
+                    }
+
+                    const { filters, message, error } = parseMetroCommand(fullArgs, user.filters);
+                    if (error) {
+                        return replyText(event.replyToken, error);
+                    }
+
+                    await updateSearchSettings(event.source.userId, { filters: JSON.stringify(filters) });
+                    console.log(`用戶 ${event.source.userId} 更新捷運路線:`, filters.metroLines);
+                    await replyText(event.replyToken, `${message}\n\n🏷️ 目前條件：${formatFilterProfile(filters)}\n輸入「搜尋」立即查找`);
+                }
+                // 以捷運車站為搜尋目標 (搜尋車站所在行政區，只保留最近車站為這些車站的物件)
+                else if (text.startsWith('車站')) {
+                    const fullArgs = text.replace('車站', '').trim();
+                    const user = await getUserWithActiveSearch(event.source.userId);
+                    const currentTargets = resolveUserSearch(user).targets;
+
+                    if (!fullArgs) {
+                        const stations = currentTargets.filter(t => t.station).map(t => t.name.split('-')[1]);
+                        return replyText(event.replyToken, `🚇 目前車站：${stations.join('、') || '(未設定)'}\n\n範例：\n• 車站 中山,雙連\n• 車站 中山 雙連 500m (步行 500 公尺內)\n• 車站 清除 (只保留行政區)`);
+                    }
+
+                    let newTargets;
+                    let message;
+                    let filters = null;
+                    if (fullArgs === '清除') {
+                        const districts = currentTargets.filter(t => !t.station);
+                        newTargets = districts.length > 0 ? districts : SEARCH_CONFIG.targets;
+                        message = '✅ 已清除車站';
+                    } else {
+                        const { args, meters } = splitDistance(fullArgs);
+                        const { targets, unknown } = resolveStationTargets(args, { requireSuffix: false });
+                        if (targets.length === 0) {
+                            return replyText(event.replyToken, `❌ 找不到車站：${unknown.join('、') || fullArgs}\n範例：車站 中山,雙連`);
                         }
-                        // 查看設定 (個人化)
-                        else if (lowerText === '設定' || lowerText === '狀態' || lowerText === 'status') {
-                            await startLoading(event.source.userId, 10);
-                            const user = await getUser(event.source.userId) || await createUser(event.source.userId);
-                            await sendUserSettings(event.source.userId, user, event.replyToken);
-                        }
-                        // 我的收藏
-                        else if (lowerText.includes('收藏') || lowerText.includes('有興趣') || lowerText === 'favorites') {
-                            await startLoading(event.source.userId, 15);
-                            const favorites = await getUserFavorites(event.source.userId);
-                            await sendMyFavorites(event.source.userId, favorites, event.replyToken, gasWebAppUrl);
-                        }
-                        // 暫停推播
-                        else if (lowerText === '暫停' || lowerText === 'pause' || lowerText === 'stop') {
-                            await toggleSubscription(event.source.userId, false);
-                            await replyText(event.replyToken, '🔕 已暫停每日推播\n\n輸入「恢復」重新開啟');
-                        }
-                        // 恢復推播
-                        else if (lowerText === '恢復' || lowerText === 'resume' || lowerText === 'start') {
-                            await toggleSubscription(event.source.userId, true);
-                            await replyText(event.replyToken, '🔔 已恢復每日推播\n\n每天 11:00 會推播符合你條件的新物件');
+                        newTargets = targets;
+                        message = `✅ 已設定監控車站：${targets.map(t => t.name.split('-')[1]).join('、')}`;
+                        if (meters !== null) {
+                            filters = { ...parseFilterProfile(user.filters), maxWalkMeters: meters };
+                            message += `，步行 ${meters} 公尺內`;
                         }
-                        // 設定關鍵字
-                        else if (text.startsWith('關鍵字')) {
-                            const keyword = text.replace('關鍵字', '').trim();
-                            await updateUserSettings(event.source.userId, { keywords: keyword });
-                            if (keyword) {
-                                await replyText(event.replyToken, `✅ 搜尋關鍵字已設定為「${keyword}」\n\n輸入「搜尋」立即查找`);
-                            } else {
-                                await replyText(event.replyToken, '✅ 已清除搜尋關鍵字');
-                            }
+                        if (unknown.length > 0) {
+                            message += `\n(⚠️ 未知車站：${unknown.join('、')})`;
                         }
-                        // 調整租金 (儲存到用戶設定)
-                        else if (text.startsWith('租金')) {
-                            const match = text.match(/(\d+)[^\d]+(\d+)/);
-                            if (match) {
-                                const min = parseInt(match[1]);
-                                const max = parseInt(match[2]);
-                                if (min < max && min >= 1000 && max <= 100000) {
-                                    // 儲存到用戶個人設定
-                                    await updateUserSettings(event.source.userId, {
-                                        minRent: min,
-                                        maxRent: max
-                                    });
-                                    await replyText(event.replyToken,
-                                        `✅ 租金範圍已更新！
+                    }
+
+                    const regionDisplay = newTargets.map(t => t.name.split('-')[1] || t.name).join('、');
+                    await updateSearchSettings(event.source.userId, {
+                        targets: JSON.stringify(newTargets),
+                        region: regionDisplay || '台北市',
+                        filters: filters ? JSON.stringify(filters) : undefined
+                    });
+                    console.log(`用戶 ${event.source.userId} 更新監控車站:`, newTargets);
+                    await replyText(event.replyToken, `${message}\n\n📍 監控區域：${regionDisplay}\n輸入「搜尋」立即查找`);
+                }
+                // 通勤目的地 (新物件依通勤時間排序，可設定通勤時間上限)
+                else if (text.startsWith('通勤')) {
+                    const fullArgs = text.replace('通勤', '').trim();
+                    const user = await getUserWithActiveSearch(event.source.userId);
+
+                    if (!fullArgs) {
+                        const { commuteStation, maxCommuteMinutes } = parseFilterProfile(user.filters);
+                        const current = commuteStation
+                            ? `${formatStationName(commuteStation)}${maxCommuteMinutes > 0 ? `，最多 ${maxCommuteMinutes} 分鐘` : ''}`
+                            : '(未設定)';
+                        return replyText(event.replyToken, `🕒 通勤目的地：${current}\n\n範例：\n• 通勤 台北車站\n• 通勤 台北車站 40分 (超過 40 分鐘的物件不通知)\n• 通勤 30分 (只調整上限)\n• 通勤 關`);
+                    }
+
+                    const { filters, message, error } = parseCommuteCommand(fullArgs, user.filters);
+                    if (error) {
+                        return replyText(event.replyToken, error);
+                    }
+
+                    await updateSearchSettings(event.source.userId, { filters: JSON.stringify(filters) });
+                    console.log(`用戶 ${event.source.userId} 更新通勤目的地:`, filters.commuteStation, filters.maxCommuteMinutes);
+                    await replyText(event.replyToken, `${message}\n\n🏷️ 目前條件：${formatFilterProfile(filters)}\n輸入「搜尋」立即查找`);
+                }
+                // 每月總花費的用量設定 (用電度數、水費、網路、車位、比對依據)
+                else if (text.startsWith('費用')) {
+                    const fullArgs = text.replace('費用', '').trim();
+                    const user = await getUserWithActiveSearch(event.source.userId);
+
+                    if (!fullArgs) {
+                        return replyText(event.replyToken, `🧾 目前用量設定：${formatCostProfile(user.costProfile)}\n\n範例：\n• 費用 篩選 總花費 (租金範圍改比對總花費)\n• 費用 用電 200\n• 費用 水費 200\n• 費用 網路 0\n• 費用 車位 開\n• 費用 重設`);
+                    }
+
+                    const { profile, message, error } = parseCostCommand(fullArgs, user.costProfile);
+                    if (error) {
+                        return replyText(event.replyToken, error);
+                    }
+
+                    await updateSearchSettings(event.source.userId, { costProfile: JSON.stringify(profile) });
+                    console.log(`用戶 ${event.source.userId} 更新用量設定:`, profile);
+                    await replyText(event.replyToken, `${message}\n\n🧾 目前設定：${formatCostProfile(profile)}\n輸入「搜尋」立即查找`);
+                }
+                // 調整租金 (儲存到用戶設定)
+                else if (text.startsWith('租金')) {
+                    const match = text.match(/(\d+)[^\d]+(\d+)/);
+                    if (match) {
+                        const min = parseInt(match[1]);
+                        const max = parseInt(match[2]);
+                        if (min < max && min >= 1000 && max <= 100000) {
+                            // 儲存到用戶個人設定
+                            await updateSearchSettings(event.source.userId, {
+                                minRent: min,
+                                maxRent: max
+                            });
+                            await replyText(event.replyToken,
+                                `✅ 租金範圍已更新！
 
 💰 新範圍：${min.toLocaleString()} - ${max.toLocaleString()} 元/月
 
 輸入「搜尋」立即查找`);
-                                } else {
-                                    await replyText(event.replyToken, '❌ 請輸入有效的租金範圍（1,000 - 100,000）\n範例：租金 8000-15000');
-                                }
-                            } else {
-                                await replyText(event.replyToken, '❌ 格式錯誤\n範例：租金 8000-15000');
-                            }
+                        } else {
+                            await replyText(event.replyToken, '❌ 請輸入有效的租金範圍（1,000 - 100,000）\n範例：租金 8000-15000');
                         }
-                        // 調整地區 (儲存到用戶設定)
-                        else if (text.startsWith('地區')) {
-                            const fullArgs = text.replace('地區', '').trim();
-
-                            if (fullArgs === '') {
-                                return replyText(event.replyToken, '❓ 請輸入地區名稱，例如：「地區 中山」、「地區 淡水」或「地區 預設」');
-                            }
-
-                            const args = fullArgs.split(/\s+/);
-                            let message = '';
-                            let newTargets = [];
-
-                            if (args[0] === '預設') {
-                                newTargets = [
-                                    { region: 1, section: 1, name: '台北市-中正區' },
-                                    { region: 1, section: 3, name: '台北市-中山區' },
-                                    { region: 1, section: 2, name: '台北市-大同區' },
-                                    { region: 3, section: 37, name: '新北市-永和區' }
-                                ];
-                                message = '✅ 已恢復【預設監控區域】：中正、中山、大同、永和';
-                            } else if (args[0] === '全' || args[0] === '全部') {
-                                newTargets = [
-                                    { region: 1, name: '台北市全區' },
-                                    { region: 3, name: '新北市全區' }
-                                ];
-                                message = '✅ 已切換為【搜尋全台北 + 全新北】';
-                            } else if (args[0] === '台北') {
-                                newTargets = [{ region: 1, name: '台北市全區' }];
-                                message = '✅ 已切換為【搜尋全台北市】';
-                            } else if (args[0] === '新北') {
-                                newTargets = [{ region: 3, name: '新北市全區' }];
-                                message = '✅ 已切換為【搜尋全新北市】';
-                            } else {
-                                // 指定特定行政區
-                                const sectionMap = ScraperConfig.sections;
-                                const unknownArgs = [];
-
-                                for (const arg of args) {
-                                    const cleanArg = arg.replace('區', '') + '區';
-                                    const cleanArgShort = arg.replace('區', '');
-                                    let sectionId = sectionMap[cleanArg] || sectionMap[cleanArgShort];
-
-                                    if (sectionId) {
-                                        const regionId = sectionId <= 20 ? 1 : 3;
-                                        const regionName = regionId === 1 ? '台北市' : '新北市';
-                                        newTargets.push({
-                                            region: regionId,
-                                            section: sectionId,
-                                            name: `${regionName}-${cleanArg}`
-                                        });
-                                    } else {
-                                        unknownArgs.push(arg);
-                                    }
-                                }
-
-                                if (newTargets.length > 0) {
-                                    const names = newTargets.map(t => t.name.split('-')[1]).join('、');
-                                    message = `✅ 已設定監控區域：${names}`;
-                                    if (unknownArgs.length > 0) {
-                                        message += `\n(⚠️ 未知區域：${unknownArgs.join('、')})`;
-                                    }
-                                } else {
-                                    return replyText(event.replyToken, `❌ 找不到區域：${unknownArgs.join(' ')}\n請確認名稱是否正確 (例如：中山、淡水)`);
-                                }
-                            }
-
-                            // 儲存到用戶設定 (使用 JSON 字串儲存 targets)
-                            // region 欄位儲存簡易顯示名稱
-                            const regionDisplay = newTargets.map(t => t.name.split('-')[1] || t.name).join('、');
-                            await updateUserSettings(event.source.userId, {
-                                targets: JSON.stringify(newTargets),
-                                region: regionDisplay || '台北市'
-                            });
+                    } else {
+                        await replyText(event.replyToken, '❌ 格式錯誤\n範例：租金 8000-15000');
+                    }
+                }
+                // 調整地區 (儲存到用戶設定)
+                else if (text.startsWith('地區')) {
+                    const fullArgs = text.replace('地區', '').trim();
 
-                            console.log(`用戶 ${event.source.userId} 更新監控區域:`, newTargets);
-                            return replyText(event.replyToken, message);
-                        }
-                        // 手動搜尋 (可支援「搜尋 中山」直接切換地區)
-                        else if (lowerText.includes('搜尋') || lowerText.includes('找房') || lowerText === '開始') {
-                            const fullArgs = text.replace(/搜尋|找房|開始/g, '').trim();
-
-                            // 如果有參數，先嘗試更新地區
-                            if (fullArgs) {
-                                const { newTargets, message, error } = parseRegionArgs(fullArgs);
-
-                                if (error) {
-                                    return replyText(event.replyToken, error);
-                                }
-
-                                if (newTargets.length > 0) {
-                                    // 儲存新的地區設定
-                                    const regionDisplay = newTargets.map(t => t.name.split('-')[1] || t.name).join('、');
-                                    await updateUserSettings(event.source.userId, {
-                                        targets: JSON.stringify(newTargets),
-                                        region: regionDisplay || '台北市'
-                                    });
-                                    console.log(`用戶 ${event.source.userId} 透過搜尋指令更新地區:`, newTargets);
-
-                                    // 告知用戶已切換
-                                    await lineClient.pushMessage({
-                                        to: event.source.userId,
-                                        messages: [{ type: 'text', text: `🔄 已為您切換至【${regionDisplay}】並開始搜尋...` }]
-                                    });
-                                }
-                            }
-
-                            await startLoading(event.source.userId, 40);
-
-                            // 讀取用戶設定 (此時已經是更新後的)
-                            const user = await getUser(event.source.userId);
-                            console.log('📋 用戶設定:', user ? JSON.stringify({
-                                region: user.region,
-                                minRent: user.minRent,
-                                maxRent: user.maxRent,
-                                targets: user.targets ? '有設定' : '空'
-                            }) : '用戶不存在');
-
-                            let userTargets = SEARCH_CONFIG.targets; // 預設
-                            let userMinRent = SEARCH_CONFIG.minRent;
-                            let userMaxRent = SEARCH_CONFIG.maxRent;
-
-                            if (user) {
-                                userMinRent = user.minRent || SEARCH_CONFIG.minRent;
-                                userMaxRent = user.maxRent || SEARCH_CONFIG.maxRent;
-
-                                // 嘗試解析 targets JSON
-                                if (user.targets) {
-                                    try {
-                                        userTargets = JSON.parse(user.targets);
-                                        console.log('✅ 解析 targets 成功:', userTargets);
-                                    } catch (e) {
-                                        console.log('❌ 解析 targets 失敗，使用預設:', e.message);
-                                    }
-                                }
-                            }
-
-                            const targetNames = userTargets.map(t => t.name.split('-')[1] || t.name).join('、');
-
-                            // 避免重複傳送訊息 (如果剛剛已經傳了切換訊息，這裡可以簡化)
-                            if (!fullArgs) {
-                                await replyText(event.replyToken, `🔍 正在搜尋中...
-                                
-📍 地區：${targetNames}
-💰 租金：${userMinRent.toLocaleString()} - ${userMaxRent.toLocaleString()} 元`);
-                            }
+                    if (fullArgs === '') {
+                        return replyText(event.replyToken, '❓ 請輸入地區名稱，例如：「地區 中山」、「地區 台中 西屯」或「地區 預設」');
+                    }
 
-                            // 使用用戶設定執行爬蟲
-                            runCrawlTaskForUser(event.source.userId, userTargets, userMinRent, userMaxRent);
+                    const currentUser = await getUserWithActiveSearch(event.source.userId);
+                    const { newTargets, message, error, ambiguous } = parseRegionArgs(fullArgs, {
+                        preferRegions: resolveUserSearch(currentUser).targets.map(t => t.region)
+                    });
+
+                    if (ambiguous) {
+                        return lineClient.replyMessage({
+                            replyToken: event.replyToken,
+                            messages: [buildRegionChoiceMessage('地區', fullArgs, ambiguous)]
+                        });
+                    }
+                    if (error) {
+                        return replyText(event.replyToken, error);
+                    }
+
+                    // 儲存到用戶設定 (使用 JSON 字串儲存 targets)
+                    // region 欄位儲存簡易顯示名稱
+                    const regionDisplay = newTargets.map(t => t.name.split('-')[1] || t.name).join('、');
+                    await updateSearchSettings(event.source.userId, {
+                        targets: JSON.stringify(newTargets),
+                        region: regionDisplay || '台北市'
+                    });
+
+                    console.log(`用戶 ${event.source.userId} 更新監控區域:`, newTargets);
+                    return replyText(event.replyToken, message);
+                }
+                // 命名搜尋列表
+                else if (lowerText === '搜尋列表' || lowerText === '我的搜尋') {
+                    const user = await getUser(event.source.userId) || await createUser(event.source.userId);
+                    await replyText(event.replyToken, `${formatSearchList(user)}\n\n範例：\n• 新增搜尋 永和兩房\n• 切換搜尋 永和兩房\n• 重新命名搜尋 永和兩房 永和2房\n• 暫停搜尋 永和兩房 / 恢復搜尋 永和兩房\n• 刪除搜尋 永和兩房\n• 搜尋通知 永和兩房 每日 (每日 / 每週 / 關)\n• 搜尋 永和兩房 (立即執行這組搜尋)`);
+                }
+                // 命名搜尋管理 (新增 / 切換 / 重新命名 / 暫停 / 恢復 / 刪除 / 通知排程，見 savedSearches.js)
+                else if (/^(新增|切換|重新命名|改名|暫停|恢復|刪除)搜尋/.test(text) || text.startsWith('搜尋通知')) {
+                    const [, action = '通知'] = text.match(/^(新增|切換|重新命名|改名|暫停|恢復|刪除)搜尋/) || [];
+                    const args = text.replace(/^(新增|切換|重新命名|改名|暫停|恢復|刪除)搜尋|^搜尋通知/, '').trim();
+                    const user = await getUser(event.source.userId) || await createUser(event.source.userId);
+
+                    if (!args) {
+                        return replyText(event.replyToken, `❓ 請輸入搜尋名稱\n\n${formatSearchList(user)}`);
+                    }
+
+                    const handlers = {
+                        '新增': () => addSearch(user, args),
+                        '切換': () => switchSearch(user, args),
+                        '重新命名': () => renameSearch(user, args),
+                        '改名': () => renameSearch(user, args),
+                        '暫停': () => setSearchPaused(user, args, true),
+                        '恢復': () => setSearchPaused(user, args, false),
+                        '刪除': () => deleteSearch(user, args),
+                        '通知': () => setSearchSchedule(user, args)
+                    };
+                    const { settings, message, error } = handlers[action]();
+                    if (error) {
+                        return replyText(event.replyToken, error);
+                    }
+
+                    const updated = await updateUserSettings(event.source.userId, settings);
+                    console.log(`用戶 ${event.source.userId} ${action}搜尋:`, args);
+                    await replyText(event.replyToken, updated ? `${message}\n\n${formatSearchList(updated)}` : message);
+                }
+                // 手動搜尋 (可支援「搜尋 中山」直接切換地區、「搜尋 永和兩房」執行命名搜尋)
+                else if (lowerText.includes('搜尋') || lowerText.includes('找房') || lowerText === '開始') {
+                    const fullArgs = text.replace(/搜尋|找房|開始/g, '').trim();
+                    // 地區名稱 (含「預設」) 優先切換地區，其餘才比對命名搜尋
+                    const namedSearch = fullArgs && !isRegionName(fullArgs)
+                        ? findSearch(getUserSearches(await getUser(event.source.userId)), fullArgs, { allowNumber: false })
+                        : null;
+
+                    // 如果有參數 (且不是命名搜尋的名稱)，先嘗試更新地區
+                    if (fullArgs && !namedSearch) {
+                        const currentUser = await getUserWithActiveSearch(event.source.userId);
+                        const { newTargets, error, ambiguous } = parseRegionArgs(fullArgs, {
+                            preferRegions: resolveUserSearch(currentUser).targets.map(t => t.region)
+                        });
+
+                        if (ambiguous) {
+                            return lineClient.replyMessage({
+                                replyToken: event.replyToken,
+                                messages: [buildRegionChoiceMessage('搜尋', fullArgs, ambiguous)]
+                            });
                         }
-                        // 測試週報 (手動觸發)
-                        else if (text === '測試週報') {
-                            await replyText(event.replyToken, '📊 正在為您生成即時週報，請稍候...');
-
-                            // 讀取用戶設定
-                            const user = await getUser(event.source.userId);
-                            let userTargets = SEARCH_CONFIG.targets;
-                            let userMinRent = SEARCH_CONFIG.minRent;
-                            let userMaxRent = SEARCH_CONFIG.maxRent;
-
-                            if (user) {
-                                userMinRent = user.minRent || SEARCH_CONFIG.minRent;
-                                userMaxRent = user.maxRent || SEARCH_CONFIG.maxRent;
-                                if (user.targets) {
-                                    try {
-                                        userTargets = JSON.parse(user.targets);
-                                    } catch (e) { console.error(e); }
-                                }
-                            }
-
-                            // 強制執行週報邏輯
-                            runCrawlTaskForUser(
-                                event.source.userId,
-                                userTargets,
-                                userMinRent,
-                                userMaxRent,
-                                true, // isScheduled (進入排程邏輯區塊)
-                                true  // isWeeklyReport (強制發送週報)
-                            );
+                        if (error) {
+                            return replyText(event.replyToken, error);
                         }
-                    }
-                    break;
 
-                case 'postback':
-                    // 使用者點擊按鈕
-                    const result = await handlePostback(event);
-
-                    if (result && result.action === 'interested') {
-                        // 標記為有興趣 (含完整資訊 + userId)
-                        const saveResult = await markAsInterested(
-                            result.id,
-                            result.price,
-                            result.title,
-                            result.address,
-                            result.contactInfo,
-                            event.source.userId
-                        );
-
-                        // 根據結果發送通知
-                        if (saveResult === 'duplicate') {
-                            await lineClient.pushMessage({
-                                to: event.source.userId,
-                                messages: [{
-                                    type: 'text',
-                                    text: `⚠️ 您已收藏過此物件！\n\n${result.replyContent}`
-                                }]
+                        if (newTargets.length > 0) {
+                            // 儲存新的地區設定
+                            const regionDisplay = newTargets.map(t => t.name.split('-')[1] || t.name).join('、');
+                            await updateSearchSettings(event.source.userId, {
+                                targets: JSON.stringify(newTargets),
+                                region: regionDisplay || '台北市'
                             });
-                        } else {
+                            console.log(`用戶 ${event.source.userId} 透過搜尋指令更新地區:`, newTargets);
+
+                            // 告知用戶已切換
                             await lineClient.pushMessage({
                                 to: event.source.userId,
-                                messages: [{
-                                    type: 'text',
-                                    text: `✅ 已加入待看清單！\n\n${result.replyContent}`
-                                }]
+                                messages: [{ type: 'text', text: `🔄 已為您切換至【${regionDisplay}】並開始搜尋...` }]
                             });
                         }
                     }
-                    break;
 
-                case 'follow':
-                    // 新用戶加入好友
-                    console.log('🎉 新用戶加入:', event.source.userId);
-                    const profile = await getUserProfile(event.source.userId);
-                    const displayName = profile?.displayName || '';
-                    await createUser(event.source.userId, displayName);
-                    await sendWelcomeMessage(event.source.userId, displayName);
-                    break;
+                    // 讀取用戶設定 (此時已經是更新後的)，指定命名搜尋時使用該組條件
+                    const user = await getUserWithActiveSearch(event.source.userId);
+                    const searchName = namedSearch ? namedSearch.name : user?.searchName || '';
+                    console.log('📋 用戶設定:', user ? JSON.stringify({
+                        search: searchName || '(預設)',
+                        region: user.region,
+                        minRent: user.minRent,
+                        maxRent: user.maxRent,
+                        targets: user.targets ? '有設定' : '空'
+                    }) : '用戶不存在');
+
+                    const search = resolveUserSearch(namedSearch || user);
+                    const targetNames = search.targets.map(t => t.name.split('-')[1] || t.name).join('、');
+
+                    // 加入爬蟲佇列 (使用用戶設定)
+                    const queued = await enqueueCrawl(event.source.userId, search.targets, search.minRent, search.maxRent, {
+                        keywords: search.keywords,
+                        filters: search.filters,
+                        costProfile: search.costProfile,
+                        searchName
+                    });
+
+                    if (queued.rateLimited || queued.duplicate || queued.position > 0) {
+                        return replyText(event.replyToken, formatQueueReply(queued));
+                    }
+
+                    await startLoading(event.source.userId, 40);
+
+                    // 避免重複傳送訊息 (如果剛剛已經傳了切換訊息，這裡可以簡化)
+                    if (!fullArgs || namedSearch) {
+                        const keywordDisplay = formatKeywords(search.keywords);
+                        await replyText(event.replyToken, `🔍 正在搜尋中...${searchName ? `\n🔖 搜尋：${searchName}` : ''}
+                                
+📍 地區：${targetNames}
+💰 租金：${search.minRent.toLocaleString()} - ${search.maxRent.toLocaleString()} 元${keywordDisplay ? `\n🔑 關鍵字：${keywordDisplay}` : ''}`);
+                    }
+                }
+                // 測試週報 (手動觸發)
+                else if (text === '測試週報') {
+                    // 讀取用戶設定，強制執行週報邏輯 (isScheduled + isWeeklyReport)
+                    const user = await getUserWithActiveSearch(event.source.userId);
+                    const search = resolveUserSearch(user);
+                    const queued = await enqueueCrawl(event.source.userId, search.targets, search.minRent, search.maxRent, {
+                        isScheduled: true,
+                        isWeeklyReport: true,
+                        keywords: search.keywords,
+                        filters: search.filters,
+                        costProfile: search.costProfile,
+                        searchName: user.searchName,
+                        trigger: 'line'
+                    });
+
+                    if (queued.rateLimited || queued.duplicate || queued.position > 0) {
+                        return replyText(event.replyToken, formatQueueReply(queued));
+                    }
+                    await replyText(event.replyToken, '📊 正在為您生成即時週報，請稍候...');
+                }
             }
+            break;
+
+        case 'postback':
+            // 使用者點擊按鈕
+            const result = await handlePostback(event);
+
+            if (result && result.action === 'interested') {
+                // 標記為有興趣 (含完整資訊 + userId)
+                const saveResult = await markAsInterested(
+                    result.id,
+                    result.price,
+                    result.title,
+                    result.address,
+                    result.contactInfo,
+                    event.source.userId
+                );
+
+                // 根據結果發送通知
+                if (saveResult === 'duplicate') {
+                    await lineClient.pushMessage({
+                        to: event.source.userId,
+                        messages: [{
+                            type: 'text',
+                            text: `⚠️ 您已收藏過此物件！\n\n${result.replyContent}`
+                        }]
+                    });
+                } else {
+                    await lineClient.pushMessage({
+                        to: event.source.userId,
+                        messages: [{
+                            type: 'text',
+                            text: `✅ 已加入待看清單！\n\n${result.replyContent}`
+                        }]
+                    });
+                }
+            }
+            break;
+
+        case 'follow':
+            // 新用戶加入好友
+            console.log('🎉 新用戶加入:', event.source.userId);
+            const profile = await getUserProfile(event.source.userId);
+            const displayName = profile?.displayName || '';
+            await createUser(event.source.userId, displayName);
+            await sendWelcomeMessage(event.source.userId, displayName);
+            break;
+    }
+}
+
+/**
+ * 依序處理 Webhook 事件 (略過重送的重複事件)
+ */
+async function processWebhookEvents(events) {
+    for (const event of events) {
+        if (!eventDeduper.markIfNew(event.webhookEventId)) {
+            console.log(`⏭️ 略過重複的 LINE 事件: ${event.webhookEventId}${event.deliveryContext?.isRedelivery ? ' (重送)' : ''}`);
+            continue;
         }
 
-        res.status(200).send('OK');
-    } catch (error) {
-        console.error('Webhook 錯誤:', error);
-        res.status(500).send('Error');
+        try {
+            await handleEvent(event);
+        } catch (error) {
+            console.error(`Webhook 事件處理錯誤 (${event.type}):`, error);
+        }
     }
+}
+
+// LINE Webhook
+// lineMiddleware 會用原始 body 驗證 x-line-signature，所以這裡不能先套 express.json()
+app.post('/webhook', lineMiddleware(), (req, res) => {
+    // 先回應 200，避免處理時間過長讓 LINE 判定逾時而重送
+    res.status(200).send('OK');
+    processWebhookEvents(req.body.events || []);
+});
+
+// Webhook 驗證失敗 (簽章錯誤或 body 格式錯誤)
+app.use((err, req, res, next) => {
+    if (err instanceof line.SignatureValidationFailed) {
+        console.warn(`🚫 拒絕 Webhook 請求 (簽章驗證失敗: ${err.message}) - IP: ${req.ip}`);
+        return res.status(401).send('Invalid signature');
+    }
+    if (err instanceof line.JSONParseError) {
+        console.warn(`🚫 拒絕 Webhook 請求 (JSON 格式錯誤: ${err.message}) - IP: ${req.ip}`);
+        return res.status(400).send('Invalid body');
+    }
+    next(err);
 });
 
 // ============================================
@@ -782,47 +1654,17 @@ console.log(`⏰ 每日爬蟲排程: ${dailySchedule}`);
 cron.schedule(dailySchedule, async () => {
     console.log('⏰ [每日排程] 觸發靜默爬蟲...');
 
-    if (isCrawling) {
-        console.log('⚠️ 上次爬蟲尚未結束，跳過本次排程');
-        return;
-    }
-
-    isCrawling = true;
-
-    try {
-        const users = await getAllSubscribedUsers();
-
-        // 檢查是否有獨立的週報排程
-        // 如果有設定 WEEKLY_SCHEDULE，則每日排程永遠保持靜默 (isWeeklyReport = false)
-        // 週報將由另一個 Cron Job 處理
-        const hasSeparateWeeklySchedule = !!process.env.WEEKLY_SCHEDULE;
+    // 檢查是否有獨立的週報排程
+    // 如果有設定 WEEKLY_SCHEDULE，則每日排程永遠保持靜默 (isWeeklyReport = false)
+    // 週報將由另一個 Cron Job 處理
+    const hasSeparateWeeklySchedule = !!process.env.WEEKLY_SCHEDULE;
 
-        // 如果沒有獨立排程設定，則維持舊邏輯：週一由每日排程代發週報
-        const today = new Date();
-        const isMonday = today.getDay() === 1;
-        const isWeeklyReport = !hasSeparateWeeklySchedule && isMonday;
+    // 如果沒有獨立排程設定，則維持舊邏輯：週一由每日排程代發週報
+    const today = new Date();
+    const isMonday = today.getDay() === 1;
+    const isWeeklyReport = !hasSeparateWeeklySchedule && isMonday;
 
-        for (const user of users) {
-            let userTargets = [];
-            if (user.targets) {
-                try {
-                    userTargets = JSON.parse(user.targets);
-                } catch (e) { console.error(e); }
-            }
-            if (!userTargets || userTargets.length === 0) userTargets = SEARCH_CONFIG.targets;
-
-            await runCrawlTaskForUser(
-                user.userId, userTargets, user.minRent, user.maxRent,
-                true,           // isScheduled
-                isWeeklyReport  // 是否發送週報
-            );
-            await new Promise(resolve => setTimeout(resolve, 5000));
-        }
-    } catch (error) {
-        console.error('每日排程錯誤:', error);
-    } finally {
-        isCrawling = false;
-    }
+    await enqueueCrawlForAllUsers(isWeeklyReport, isWeeklyReport ? 'weekly' : 'schedule');
 }, { timezone: 'Asia/Taipei' });
 
 
@@ -835,40 +1677,42 @@ if (process.env.WEEKLY_SCHEDULE) {
         console.log('⏰ [週報排程] 觸發週報發送...');
 
         // 注意：週報排程也執行爬蟲，確保資料最新，並且強制 isWeeklyReport = true
-        if (isCrawling) {
-            console.log('⚠️ 系統忙碌中 (爬蟲執行中)，稍後重試週報...');
-            // 簡單的重試邏輯或直接跳過，這裡選擇跳過避免衝突
-            return;
-        }
+        // 工作排入佇列，等前面的爬蟲結束後依序執行
+        await enqueueCrawlForAllUsers(true, 'weekly');
+    }, { timezone: 'Asia/Taipei' });
+}
 
-        isCrawling = true;
+// 3. 收藏物件下架檢查 (確認收藏是否已出租/下架並通知用戶)
+const favoriteCheckSchedule = process.env.FAVORITE_CHECK_SCHEDULE || '0 20 * * *';
+console.log(`⏰ 收藏下架檢查排程: ${favoriteCheckSchedule}`);
 
-        try {
-            const users = await getAllSubscribedUsers();
-            console.log(`📋 開始為 ${users.length} 位用戶生成週報...`);
-
-            for (const user of users) {
-                let userTargets = [];
-                if (user.targets) {
-                    try {
-                        userTargets = JSON.parse(user.targets);
-                    } catch (e) { console.error(e); }
-                }
-                if (!userTargets || userTargets.length === 0) userTargets = SEARCH_CONFIG.targets;
+cron.schedule(favoriteCheckSchedule, async () => {
+    console.log('⏰ [收藏檢查] 加入收藏檢查工作...');
 
-                await runCrawlTaskForUser(
-                    user.userId, userTargets, user.minRent, user.maxRent,
-                    true, // isScheduled
-                    true  // isWeeklyReport (強制發週報)
-                );
-                await new Promise(resolve => setTimeout(resolve, 5000));
-            }
+    try {
+        await jobQueue.enqueue({ type: 'favoriteCheck', trigger: 'schedule' });
+    } catch (error) {
+        console.error('收藏檢查錯誤:', error);
+    }
+}, { timezone: 'Asia/Taipei' });
+
+// 4. 行政區代碼同步 (偵測 591 代碼變動，DISTRICT_SYNC_AUTO_APPLY=true 時自動更新)
+const districtSyncSchedule = process.env.DISTRICT_SYNC_SCHEDULE || '0 4 * * 0';
+if (districtSyncSchedule !== 'off') {
+    console.log(`⏰ 行政區代碼同步排程: ${districtSyncSchedule}`);
+
+    cron.schedule(districtSyncSchedule, async () => {
+        console.log('⏰ [行政區同步] 加入行政區代碼同步工作...');
+
+        try {
+            await jobQueue.enqueue({
+                type: 'districtSync',
+                trigger: 'schedule',
+                payload: { apply: process.env.DISTRICT_SYNC_AUTO_APPLY === 'true' }
+            });
         } catch (error) {
-            console.error('週報排程錯誤:', error);
-        } finally {
-            isCrawling = false;
+            console.error('行政區同步錯誤:', error);
         }
-
     }, { timezone: 'Asia/Taipei' });
 }
 
@@ -907,7 +1751,6 @@ async function sendWeeklyReports() {
  * 生成週報內容
  */
 async function generateWeeklyReport(userId) {
-    const { getAllListingsForWeekReport } = require('./sheets');
     const { listings, stats } = await getAllListingsForWeekReport();
 
     if (stats.total === 0) {
@@ -915,7 +1758,6 @@ async function generateWeeklyReport(userId) {
         return `📊 【591 租屋週報】\n\n本週沒有發現符合條件的新物件。\n\n建議您嘗試調整搜尋條件 (租金/區域) 以獲得更多結果。`;
     }
 
-    const { getUser } = require('./users');
     const user = await getUser(userId);
     const userName = user?.displayName || '租屋戰士';
 
@@ -948,9 +1790,7 @@ async function generateWeeklyReport(userId) {
 
     // 4️⃣ 結尾與連結
     report += `\n👀 查看完整清單 (含篩選/排序)：\n`;
-    // 取得 GAS URL
-    const gasWebAppUrl = 'https://script.google.com/macros/s/AKfycbwLBL1wJh_KksDuYCJKnlmrzE2E3OE2mDPxX5vVxRn3TsJNkZnvpmN5a2qcC3QH1REi/exec';
-    report += `${gasWebAppUrl}?userId=${userId}\n\n`;
+    report += `${GAS_WEB_APP_URL}?userId=${userId}\n\n`;
     report += `💡 輸入「搜尋」立即查看最新物件`;
 
     return report;
@@ -960,19 +1800,24 @@ async function generateWeeklyReport(userId) {
 // 啟動伺服器
 // ============================================
 
+let httpServer = null;
+
 async function start() {
     try {
-        // 初始化 Google Sheets
-        await initSheets();
+        // 初始化儲存層 (Google Sheets 或本地檔案)
+        await initStorage();
+
+        // 載入工作佇列 (繼續執行重啟前未完成的工作)
+        await jobQueue.start();
 
         // 啟動伺服器
-        app.listen(PORT, () => {
+        httpServer = app.listen(PORT, () => {
             console.log('\n========================================');
             console.log('🏠 591 租屋爬蟲系統已啟動！');
             console.log('========================================');
             console.log(`📡 伺服器: http://localhost:${PORT}`);
             console.log(`📡 Webhook: http://localhost:${PORT}/webhook`);
-            console.log(`📡 手動爬取: http://localhost:${PORT}/crawl`);
+            console.log(`📡 管理後台: http://localhost:${PORT}/admin${process.env.ADMIN_TOKEN ? '' : ' (未設定 ADMIN_TOKEN，已停用)'}`);
             console.log(`⏰ 每日爬蟲排程: ${dailySchedule}`);
             if (process.env.WEEKLY_SCHEDULE) {
                 console.log(`⏰ 週報專屬排程: ${process.env.WEEKLY_SCHEDULE}`);
@@ -992,6 +1837,29 @@ async function start() {
     }
 }
 
+/**
+ * 關閉伺服器 (部署平台重啟時會送出 SIGTERM)
+ * 停止接收新工作並關閉共用瀏覽器，避免留下 Chromium 程序
+ */
+async function shutdown(signal) {
+    console.log(`\n🛑 收到 ${signal}，正在關閉伺服器...`);
+
+    jobQueue.stop();
+    if (httpServer) httpServer.close();
+
+    try {
+        await browserPool.shutdown();
+        console.log('✅ 共用瀏覽器已關閉');
+    } catch (error) {
+        console.error('❌ 關閉瀏覽器失敗:', error.message);
+    }
+
+    process.exit(0);
+}
+
+process.once('SIGTERM', () => shutdown('SIGTERM'));
+process.once('SIGINT', () => shutdown('SIGINT'));
+
 start();
 
 // ============================================
@@ -1000,67 +1868,99 @@ start();
 
 /**
  * 解析地區參數
- * @param {string} fullArgs - 參數字串 (如 "中山" 或 "台北")
+ * @param {string} fullArgs - 參數字串 (如 "中山"、"台北" 或 "台中 西屯 南屯")
+ * @param {object} options
+ * @param {number[]} options.preferRegions - 行政區名稱重複時優先採用的縣市 (用戶目前設定的縣市)
+ * @returns {{ newTargets: Array, message: string, error: string|null, ambiguous: object|null }}
+ *   ambiguous: 無法判斷縣市的行政區 { input, candidates }，需請用戶選擇
  */
-function parseRegionArgs(fullArgs) {
+function parseRegionArgs(fullArgs, { preferRegions = [] } = {}) {
     const args = fullArgs.split(/\s+/);
-    let message = '';
-    let newTargets = [];
-    let error = null;
 
     if (args[0] === '預設') {
-        newTargets = [
-            { region: 1, section: 1, name: '台北市-中正區' },
-            { region: 1, section: 3, name: '台北市-中山區' },
-            { region: 1, section: 2, name: '台北市-大同區' },
-            { region: 3, section: 37, name: '新北市-永和區' }
-        ];
-        message = '✅ 已恢復【預設監控區域】：中正、中山、大同、永和';
-    } else if (args[0] === '全' || args[0] === '全部') {
-        newTargets = [
-            { region: 1, name: '台北市全區' },
-            { region: 3, name: '新北市全區' }
-        ];
-        message = '✅ 已切換為【搜尋全台北 + 全新北】';
-    } else if (args[0] === '台北') {
-        newTargets = [{ region: 1, name: '台北市全區' }];
-        message = '✅ 已切換為【搜尋全台北市】';
-    } else if (args[0] === '新北') {
-        newTargets = [{ region: 3, name: '新北市全區' }];
-        message = '✅ 已切換為【搜尋全新北市】';
-    } else {
-        // 指定特定行政區
-        const sectionMap = ScraperConfig.sections;
-        const unknownArgs = [];
-
-        for (const arg of args) {
-            const cleanArg = arg.replace('區', '') + '區';
-            const cleanArgShort = arg.replace('區', '');
-            let sectionId = sectionMap[cleanArg] || sectionMap[cleanArgShort];
-
-            if (sectionId) {
-                const regionId = sectionId <= 20 ? 1 : 3;
-                const regionName = regionId === 1 ? '台北市' : '新北市';
-                newTargets.push({
-                    region: regionId,
-                    section: sectionId,
-                    name: `${regionName}-${cleanArg}`
-                });
-            } else {
-                unknownArgs.push(arg);
-            }
-        }
+        return {
+            newTargets: [
+                { region: 1, section: 1, name: '台北市-中正區' },
+                { region: 1, section: 3, name: '台北市-中山區' },
+                { region: 1, section: 2, name: '台北市-大同區' },
+                { region: 3, section: 37, name: '新北市-永和區' }
+            ],
+            message: '✅ 已恢復【預設監控區域】：中正、中山、大同、永和',
+            error: null,
+            ambiguous: null
+        };
+    }
+    if (args[0] === '全' || args[0] === '全部') {
+        return {
+            newTargets: [
+                { region: 1, name: '台北市全區' },
+                { region: 3, name: '新北市全區' }
+            ],
+            message: '✅ 已切換為【搜尋全台北 + 全新北】',
+            error: null,
+            ambiguous: null
+        };
+    }
 
-        if (newTargets.length > 0) {
-            const names = newTargets.map(t => t.name.split('-')[1]).join('、');
-            message = `✅ 已設定監控區域：${names}`;
-            if (unknownArgs.length > 0) {
-                message += `\n(⚠️ 未知區域：${unknownArgs.join('、')})`;
-            }
-        } else {
-            error = `❌ 找不到區域：${unknownArgs.join(' ')}\n請確認名稱是否正確 (例如：中山、淡水)`;
-        }
+    // 以「站」結尾的詞為捷運車站 (例如「永和 中山站」)，其餘交給行政區解析
+    const stations = resolveStationTargets(fullArgs);
+    const places = stations.rest.length > 0
+        ? resolvePlaces(stations.rest.join(' '), { preferRegions })
+        : { targets: [], unknown: [], ambiguous: [] };
+    const { ambiguous } = places;
+    const targets = [...places.targets, ...stations.targets];
+    const unknown = [...places.unknown, ...stations.unknown];
+
+    if (ambiguous.length > 0) {
+        return { newTargets: [], message: '', error: null, ambiguous: ambiguous[0] };
+    }
+    if (targets.length === 0) {
+        return {
+            newTargets: [],
+            message: '',
+            error: `❌ 找不到區域：${unknown.join(' ')}\n請確認名稱是否正確 (例如：中山、淡水、台中 西屯)`,
+            ambiguous: null
+        };
     }
 
-    return { newTargets, message, error };
+    let message;
+    if (targets.every(t => !t.section)) {
+        message = `✅ 已切換為【搜尋${targets.map(t => `全${getCounty(t.region).name}`).join(' + ')}】`;
+    } else {
+        const names = targets.map(t => t.name.split('-')[1] || t.name).join('、');
+        message = `✅ 已設定監控區域：${names}`;
+    }
+    if (unknown.length > 0) {
+        message += `\n(⚠️ 未知區域：${unknown.join('、')})`;
+    }
+
+    return { newTargets: targets, message, error: null, ambiguous: null };
+}
+
+/**
+ * 行政區名稱在多個縣市重複時，請用戶選擇縣市 (快速回覆按鈕會帶入完整指令)
+ * @param {string} command - 原本的指令 (地區 / 搜尋)
+ * @param {string} fullArgs - 原本的參數
+ * @param {{ input: string, candidates: Array }} ambiguous - parseRegionArgs 回傳的重複行政區
+ */
+function buildRegionChoiceMessage(command, fullArgs, { input, candidates }) {
+    const args = fullArgs.split(/\s+/);
+    const index = args.findIndex(arg => normalizePlaceName(arg) === input);
+    const choices = candidates.slice(0, 13).map(target => {
+        const label = target.name.replace('-', '');
+        const newArgs = [...args];
+        newArgs[index < 0 ? args.length : index] = label;
+        return { label, text: `${command} ${newArgs.join(' ')}` };
+    });
+
+    return {
+        type: 'text',
+        text: `❓「${input}」在多個縣市都有，請選擇：\n${choices.map(c => `• ${c.label}`).join('\n')}\n\n也可以直接輸入縣市，例如「${command} ${getCounty(candidates[0].region).name} ${input}」`,
+        quickReply: {
+            items: choices.map(c => ({
+                type: 'action',
+                action: { type: 'message', label: c.label.substring(0, 20), text: c.text }
+            }))
+        }
+    };
 }
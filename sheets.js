@@ -4,36 +4,10 @@
  */
 
 const { google } = require('googleapis');
-const fs = require('fs');
-
-// 簡單的互斥鎖 (確保 Sheets 寫入不衝突)
-class Mutex {
-    constructor() {
-        this._queue = [];
-        this._locked = false;
-    }
-
-    lock() {
-        return new Promise((resolve) => {
-            if (this._locked) {
-                this._queue.push(resolve);
-            } else {
-                this._locked = true;
-                resolve();
-            }
-        });
-    }
-
-    release() {
-        if (this._queue.length > 0) {
-            const resolve = this._queue.shift();
-            resolve();
-        } else {
-            this._locked = false;
-        }
-    }
-}
+const { Mutex } = require('./mutex');
+const { getListingUrl, DEFAULT_SOURCE } = require('./sources');
 
+// 確保 Sheets 寫入不衝突
 const sheetMutex = new Mutex();
 
 // Google Sheets 設定
@@ -45,9 +19,23 @@ const SCOPES = ['https://www.googleapis.com/auth/spreadsheets'];
 const SHEETS = {
     ALL_LISTINGS: '所有物件',
     INTERESTED: '有興趣',
-    HISTORY: '歷史紀錄'
+    HISTORY: '歷史紀錄',
+    PRICE_HISTORY: '價格紀錄',
+    CRAWL_RUNS: '爬蟲紀錄'
 };
 
+// 「所有物件」欄位 (L 欄指紋用來辨識重新刊登的物件，M 欄為詳情頁資料 JSON)
+const LISTING_HEADERS = ['ID', '標題', '租金', '地址', '地區', '捷運', '標籤', '連結', '圖片', '爬取時間', '狀態', '指紋', '詳情', '來源', '結構化'];
+
+// 「價格紀錄」欄位
+const PRICE_HISTORY_HEADERS = ['ID', '租金', '紀錄時間', '事件', '原物件ID'];
+
+// 「爬蟲紀錄」欄位
+const CRAWL_RUN_HEADERS = ['ID', '觸發', 'userId', '開始時間', '結束時間', '耗時(ms)', '狀態', '物件數', '新物件數', '錯誤', '紀錄', '地區結果'];
+
+// 單一儲存格上限為 50,000 字元，紀錄欄位保留一些餘裕
+const MAX_CELL_LENGTH = 45000;
+
 let sheetsClient = null;
 
 /**
@@ -82,10 +70,25 @@ async function initSheets() {
     }
 }
 
+/**
+ * 欄位序號轉欄位字母 (1 → A, 12 → L)
+ */
+function columnLetter(index) {
+    let letter = '';
+    while (index > 0) {
+        const mod = (index - 1) % 26;
+        letter = String.fromCharCode(65 + mod) + letter;
+        index = Math.floor((index - 1) / 26);
+    }
+    return letter;
+}
+
 /**
  * 確保工作表存在
+ * @param {string} sheetName - 工作表名稱
+ * @param {string[]} headers - 新建工作表時寫入的標題列 (預設為物件欄位)
  */
-async function ensureSheetExists(sheetName) {
+async function ensureSheetExists(sheetName, headers = LISTING_HEADERS) {
     const sheets = await initSheets();
 
     try {
@@ -109,11 +112,10 @@ async function ensureSheetExists(sheetName) {
                 }
             });
 
-            // 添加標題列 (新增「圖片」欄位)
-            const headers = ['ID', '標題', '租金', '地址', '地區', '捷運', '標籤', '連結', '圖片', '爬取時間', '狀態'];
+            // 添加標題列
             await sheets.spreadsheets.values.update({
                 spreadsheetId: SPREADSHEET_ID,
-                range: `${sheetName}!A1:K1`,
+                range: `${sheetName}!A1:${columnLetter(headers.length)}1`,
                 valueInputOption: 'RAW',
                 requestBody: { values: [headers] }
             });
@@ -168,14 +170,18 @@ async function saveListings(listings) {
                 listing.url,
                 imageUrl, // 新增圖片欄位
                 timestamp,
-                '新發現'
+                '新發現',
+                listing.fingerprint || '',
+                listing.details ? JSON.stringify(listing.details) : '',
+                listing.source || DEFAULT_SOURCE,
+                listing.normalized ? JSON.stringify(listing.normalized) : ''
             ];
         });
 
         // 附加到工作表
         await sheets.spreadsheets.values.append({
             spreadsheetId: SPREADSHEET_ID,
-            range: `${SHEETS.ALL_LISTINGS}!A:K`,
+            range: `${SHEETS.ALL_LISTINGS}!A:O`,
             valueInputOption: 'RAW',
             insertDataOption: 'INSERT_ROWS',
             requestBody: { values: rows }
@@ -189,6 +195,18 @@ async function saveListings(listings) {
     }
 }
 
+/**
+ * 解析 JSON 欄位 (物件詳情、結構化欄位、爬蟲的地區結果)，空白或格式錯誤時回傳 null
+ */
+function parseJsonCell(cell) {
+    if (!cell) return null;
+    try {
+        return JSON.parse(cell);
+    } catch (e) {
+        return null;
+    }
+}
+
 /**
  * 取得已存在的物件 ID
  */
@@ -266,7 +284,7 @@ async function markAsInterested(listingId, price, title = '', address = '', cont
                     title,
                     price,
                     address,
-                    `https://rent.591.com.tw/${listingId}`,
+                    getListingUrl(listingId),
                     landlordName,
                     phone,
                     line,
@@ -342,6 +360,235 @@ async function updateListingStatus(listingId, status) {
     }
 }
 
+/**
+ * 取得所有物件的租金與指紋 (供降價/重新刊登偵測)
+ * @returns {Promise<Map<string, {id: string, title: string, price: number, fingerprint: string, status: string}>>}
+ */
+async function getListingSnapshots() {
+    const sheets = await initSheets();
+
+    try {
+        const response = await sheets.spreadsheets.values.get({
+            spreadsheetId: SPREADSHEET_ID,
+            range: `${SHEETS.ALL_LISTINGS}!A:L`
+        });
+
+        const values = response.data.values || [];
+        const snapshots = new Map();
+
+        for (const row of values.slice(1)) {
+            if (!row[0]) continue;
+            snapshots.set(row[0], {
+                id: row[0],
+                title: row[1] || '',
+                price: parseInt(row[2]) || 0,
+                fingerprint: row[11] || '',
+                status: row[10] || ''
+            });
+        }
+
+        return snapshots;
+    } catch (error) {
+        console.log('取得物件快照失敗（可能是空表）:', error.message);
+        return new Map();
+    }
+}
+
+/**
+ * 更新物件租金 (C 欄)
+ * @param {Array<{id: string, price: number}>} changes
+ */
+async function updateListingPrices(changes) {
+    if (changes.length === 0) return;
+
+    await sheetMutex.lock();
+    try {
+        const sheets = await initSheets();
+        const response = await sheets.spreadsheets.values.get({
+            spreadsheetId: SPREADSHEET_ID,
+            range: `${SHEETS.ALL_LISTINGS}!A:A`
+        });
+
+        const ids = (response.data.values || []).map(row => row[0]);
+        const data = changes
+            .map(change => ({ change, rowIndex: ids.indexOf(change.id) }))
+            .filter(({ rowIndex }) => rowIndex > 0)
+            .map(({ change, rowIndex }) => ({
+                range: `${SHEETS.ALL_LISTINGS}!C${rowIndex + 1}`,
+                values: [[change.price]]
+            }));
+
+        if (data.length === 0) return;
+
+        await sheets.spreadsheets.values.batchUpdate({
+            spreadsheetId: SPREADSHEET_ID,
+            requestBody: { valueInputOption: 'RAW', data }
+        });
+
+        console.log(`💲 更新了 ${data.length} 間物件的租金`);
+    } catch (error) {
+        console.error('更新租金失敗:', error.message);
+    } finally {
+        sheetMutex.release();
+    }
+}
+
+/**
+ * 新增價格紀錄
+ * 工作表結構: ID, 租金, 紀錄時間, 事件, 原物件ID
+ * @param {Array<{listingId: string, price: number, event: string, previousId: string}>} entries
+ */
+async function appendPriceHistory(entries) {
+    if (entries.length === 0) return;
+
+    const sheets = await initSheets();
+    await ensureSheetExists(SHEETS.PRICE_HISTORY, PRICE_HISTORY_HEADERS);
+
+    const timestamp = new Date().toLocaleString('zh-TW', { timeZone: 'Asia/Taipei' });
+    const rows = entries.map(e => [e.listingId, e.price, timestamp, e.event, e.previousId || '']);
+
+    await sheets.spreadsheets.values.append({
+        spreadsheetId: SPREADSHEET_ID,
+        range: `${SHEETS.PRICE_HISTORY}!A:E`,
+        valueInputOption: 'RAW',
+        insertDataOption: 'INSERT_ROWS',
+        requestBody: { values: rows }
+    });
+}
+
+/**
+ * 取得物件的價格紀錄 (依時間先後)
+ * 重新刊登的物件會一併帶出原物件的紀錄
+ * @returns {Promise<Array<{listingId: string, price: number, recordedAt: string, event: string}>>}
+ */
+async function getPriceHistory(listingId) {
+    const sheets = await initSheets();
+
+    try {
+        const response = await sheets.spreadsheets.values.get({
+            spreadsheetId: SPREADSHEET_ID,
+            range: `${SHEETS.PRICE_HISTORY}!A:E`
+        });
+
+        const rows = (response.data.values || []).slice(1);
+        const history = [];
+        let currentId = listingId;
+        const visited = new Set();
+
+        // 沿著「原物件ID」往回追溯
+        while (currentId && !visited.has(currentId)) {
+            visited.add(currentId);
+            const entries = rows.filter(row => row[0] === currentId);
+            history.unshift(...entries.map(row => ({
+                listingId: row[0],
+                price: parseInt(row[1]) || 0,
+                recordedAt: row[2] || '',
+                event: row[3] || ''
+            })));
+            currentId = entries.find(row => row[4])?.[4];
+        }
+
+        return history;
+    } catch (error) {
+        console.log('取得價格紀錄失敗:', error.message);
+        return [];
+    }
+}
+
+/**
+ * 取得關注這些物件的用戶 (收藏或曾被推播)
+ * @param {string[]} listingIds
+ * @returns {Promise<Map<string, {favoritedBy: Set<string>, pushedTo: Set<string>}>>}
+ */
+async function getListingWatchers(listingIds) {
+    const sheets = await initSheets();
+    const watchers = new Map(listingIds.map(id => [id, { favoritedBy: new Set(), pushedTo: new Set() }]));
+
+    try {
+        const [favResponse, pushResponse] = await Promise.all([
+            sheets.spreadsheets.values.get({ spreadsheetId: SPREADSHEET_ID, range: `${SHEETS.INTERESTED}!A:K` }),
+            sheets.spreadsheets.values.get({ spreadsheetId: SPREADSHEET_ID, range: '推播紀錄!A:B' })
+        ]);
+
+        for (const row of (favResponse.data.values || []).slice(1)) {
+            if (watchers.has(row[0]) && row[10]) watchers.get(row[0]).favoritedBy.add(row[10]);
+        }
+        for (const row of pushResponse.data.values || []) {
+            if (watchers.has(row[1]) && row[0]) watchers.get(row[1]).pushedTo.add(row[0]);
+        }
+    } catch (error) {
+        console.error('取得物件關注用戶失敗:', error.message);
+    }
+
+    return watchers;
+}
+
+/**
+ * 新增爬蟲執行紀錄
+ * @param {object} run - 見 server.finishCrawlRun
+ */
+async function recordCrawlRun(run) {
+    const sheets = await initSheets();
+    await ensureSheetExists(SHEETS.CRAWL_RUNS, CRAWL_RUN_HEADERS);
+
+    await sheets.spreadsheets.values.append({
+        spreadsheetId: SPREADSHEET_ID,
+        range: `${SHEETS.CRAWL_RUNS}!A:L`,
+        valueInputOption: 'RAW',
+        insertDataOption: 'INSERT_ROWS',
+        requestBody: {
+            values: [[
+                run.id,
+                run.trigger,
+                run.userId || '',
+                run.startedAt,
+                run.finishedAt,
+                run.durationMs,
+                run.status,
+                run.found,
+                run.newCount,
+                run.error || '',
+                (run.logs || []).join('\n').substring(0, MAX_CELL_LENGTH),
+                JSON.stringify(run.targets || []).substring(0, MAX_CELL_LENGTH)
+            ]]
+        }
+    });
+}
+
+/**
+ * 取得最近的爬蟲執行紀錄 (新到舊)
+ * @param {number} limit - 筆數
+ */
+async function getCrawlRuns(limit = 20) {
+    const sheets = await initSheets();
+
+    try {
+        const response = await sheets.spreadsheets.values.get({
+            spreadsheetId: SPREADSHEET_ID,
+            range: `${SHEETS.CRAWL_RUNS}!A:L`
+        });
+
+        const rows = (response.data.values || []).slice(1);
+        return rows.slice(-limit).reverse().map(row => ({
+            id: row[0],
+            trigger: row[1] || '',
+            userId: row[2] || '',
+            startedAt: row[3] || '',
+            finishedAt: row[4] || '',
+            durationMs: parseInt(row[5]) || 0,
+            status: row[6] || '',
+            found: parseInt(row[7]) || 0,
+            newCount: parseInt(row[8]) || 0,
+            error: row[9] || '',
+            logs: row[10] ? row[10].split('\n') : [],
+            targets: parseJsonCell(row[11]) || []
+        }));
+    } catch (error) {
+        console.log('取得爬蟲紀錄失敗（可能是空表）:', error.message);
+        return [];
+    }
+}
+
 /**
  * 取得今日新發現的物件
  */
@@ -349,10 +596,10 @@ async function getTodayNewListings() {
     const sheets = await initSheets();
 
     try {
-        // 更新讀取範圍到 K
+        // 讀取範圍到 O (含詳情、來源與結構化欄位)
         const response = await sheets.spreadsheets.values.get({
             spreadsheetId: SPREADSHEET_ID,
-            range: `${SHEETS.ALL_LISTINGS}!A:K`
+            range: `${SHEETS.ALL_LISTINGS}!A:O`
         });
 
         const values = response.data.values || [];
@@ -381,7 +628,10 @@ async function getTodayNewListings() {
                 tags: row[6],
                 url: row[7],
                 image: row[8], // 新增圖片
-                status: row[10] // 索引變為 10
+                status: row[10], // 索引變為 10
+                details: parseJsonCell(row[12]),
+                source: row[13] || DEFAULT_SOURCE,
+                normalized: parseJsonCell(row[14])
             };
         });
     } catch (error) {
@@ -397,10 +647,10 @@ async function getRecentListings(days = 7) {
     const sheets = await initSheets();
 
     try {
-        // 更新讀取範圍到 K
+        // 讀取範圍到 O (含詳情、來源與結構化欄位)
         const response = await sheets.spreadsheets.values.get({
             spreadsheetId: SPREADSHEET_ID,
-            range: `${SHEETS.ALL_LISTINGS}!A:K`
+            range: `${SHEETS.ALL_LISTINGS}!A:O`
         });
 
         const values = response.data.values || [];
@@ -440,7 +690,10 @@ async function getRecentListings(days = 7) {
                 url: row[7],
                 image: row[8], // 新增圖片
                 crawlTime: row[9],
-                status: row[10]
+                status: row[10],
+                details: parseJsonCell(row[12]),
+                source: row[13] || DEFAULT_SOURCE,
+                normalized: parseJsonCell(row[14])
             };
         });
     } catch (error) {
@@ -455,7 +708,7 @@ async function getRecentListings(days = 7) {
  */
 async function recordPushedListings(userId, listingIds) {
     const sheets = await initSheets();
-    await ensureSheetExists('推播紀錄');
+    await ensureSheetExists('推播紀錄', ['userId', 'listingId', '推播時間']);
 
     const timestamp = new Date().toLocaleString('zh-TW', { timeZone: 'Asia/Taipei' });
     const rows = listingIds.map(id => [userId, id, timestamp]);
@@ -499,48 +752,102 @@ async function getPushedListingIds(userId) {
     }
 }
 
+/**
+ * 將「有興趣」工作表的一列轉為收藏物件
+ * 工作表結構: ID, 標題, 租金, 地址, 連結, 聯絡人, 電話, LINE, 點擊時間, 狀態, userId, 圖片, 確認時間
+ */
+function rowToFavorite(row) {
+    // 解析租金 (支援 NT$X,XXX 格式)
+    let priceStr = String(row[2] || '0');
+    let price = parseInt(priceStr.replace(/[NT$,\s]/g, '')) || 0;
+
+    return {
+        id: row[0],
+        title: row[1] || '',
+        price: price,
+        address: row[3] || '',
+        url: row[4] || getListingUrl(row[0]),
+        landlordName: row[5] || '',
+        phone: row[6] || '',
+        line: row[7] || '',
+        clickTime: row[8] || '',
+        status: row[9] || '',
+        userId: row[10] || '',
+        checkedAt: row[12] || ''
+    };
+}
+
 /**
  * 取得用戶的收藏清單
- * 工作表結構: ID, 標題, 租金, 地址, 連結, 聯絡人, 電話, LINE, 點擊時間, 狀態, userId
  */
 async function getUserFavorites(userId) {
+    const favorites = await getAllFavorites();
+    return favorites.filter(f => f.userId === userId);
+}
+
+/**
+ * 取得所有用戶的收藏 (供下架檢查使用)
+ */
+async function getAllFavorites() {
     const sheets = await initSheets();
 
     try {
         const response = await sheets.spreadsheets.values.get({
             spreadsheetId: SPREADSHEET_ID,
-            range: `${SHEETS.INTERESTED}!A:K`
+            range: `${SHEETS.INTERESTED}!A:M`
         });
 
         const values = response.data.values || [];
         if (values.length <= 1) return [];
 
-        // 過濾該用戶的收藏 (userId 在第 K 欄，索引 10)
-        const userFavorites = values.slice(1)
-            .filter(row => row[10] === userId)
-            .map(row => {
-                // 解析租金 (支援 NT$X,XXX 格式)
-                let priceStr = String(row[2] || '0');
-                let price = parseInt(priceStr.replace(/[NT$,\s]/g, '')) || 0;
-
-                return {
-                    id: row[0],
-                    title: row[1] || '',
-                    price: price,
-                    address: row[3] || '',
-                    url: row[4] || `https://rent.591.com.tw/${row[0]}`,
-                    landlordName: row[5] || '',
-                    phone: row[6] || '',
-                    line: row[7] || '',
-                    clickTime: row[8] || '',
-                    status: row[9] || ''
-                };
+        return values.slice(1)
+            .filter(row => row[0] && row[10]) // 需有 ID 與 userId
+            .map(rowToFavorite);
+    } catch (error) {
+        console.error('取得收藏失敗:', error.message);
+        return [];
+    }
+}
+
+/**
+ * 更新收藏的刊登狀態 (同一物件的所有收藏列都會更新)
+ * @param {Array<{listingId: string, status?: string, checkedAt: string}>} updates
+ *   status 有值時覆寫 J 欄狀態，checkedAt 寫入 M 欄確認時間
+ */
+async function updateFavoriteStatuses(updates) {
+    if (updates.length === 0) return;
+
+    await sheetMutex.lock();
+    try {
+        const sheets = await initSheets();
+        const response = await sheets.spreadsheets.values.get({
+            spreadsheetId: SPREADSHEET_ID,
+            range: `${SHEETS.INTERESTED}!A:A`
+        });
+
+        const ids = (response.data.values || []).map(row => row[0]);
+        const data = [];
+
+        updates.forEach(update => {
+            ids.forEach((id, rowIndex) => {
+                if (rowIndex === 0 || id !== update.listingId) return;
+                if (update.status) {
+                    data.push({ range: `${SHEETS.INTERESTED}!J${rowIndex + 1}`, values: [[update.status]] });
+                }
+                data.push({ range: `${SHEETS.INTERESTED}!M${rowIndex + 1}`, values: [[update.checkedAt]] });
             });
+        });
+
+        if (data.length === 0) return;
 
-        return userFavorites;
+        await sheets.spreadsheets.values.batchUpdate({
+            spreadsheetId: SPREADSHEET_ID,
+            requestBody: { valueInputOption: 'RAW', data }
+        });
     } catch (error) {
-        console.error('取得用戶收藏失敗:', error.message);
-        return [];
+        console.error('更新收藏狀態失敗:', error.message);
+    } finally {
+        sheetMutex.release();
     }
 }
 
@@ -589,50 +896,6 @@ async function getWeeklyNewListings() {
     }
 }
 
-/**
- * 取得週報所需的完整統計資料
- */
-async function getAllListingsForWeekReport() {
-    const weeklyListings = await getWeeklyNewListings();
-
-    // 統計數據
-    const stats = {
-        total: weeklyListings.length,
-        byRegion: {},
-        minPrice: Infinity,
-        maxPrice: 0,
-        avgPrice: 0
-    };
-
-    if (stats.total === 0) {
-        stats.minPrice = 0;
-        return { listings: [], stats };
-    }
-
-    let totalPrice = 0;
-
-    weeklyListings.forEach(item => {
-        // 區域統計
-        const region = item.region || '未知';
-        stats.byRegion[region] = (stats.byRegion[region] || 0) + 1;
-
-        // 價格統計
-        if (item.price > 0) {
-            if (item.price < stats.minPrice) stats.minPrice = item.price;
-            if (item.price > stats.maxPrice) stats.maxPrice = item.price;
-            totalPrice += item.price;
-        }
-    });
-
-    stats.avgPrice = Math.round(totalPrice / weeklyListings.length);
-
-    // 取熱門/精選物件 (這裡暫時用最新 5 筆當作精選)
-    // 未來可以改成點擊數最高的
-    const highlights = weeklyListings.slice(0, 5);
-
-    return { listings: highlights, stats };
-}
-
 module.exports = {
     initSheets,
     saveListings,
@@ -644,7 +907,15 @@ module.exports = {
     recordPushedListings,
     getPushedListingIds,
     getUserFavorites,
+    getAllFavorites,
+    updateFavoriteStatuses,
     getWeeklyNewListings,
-    getAllListingsForWeekReport,
+    getListingSnapshots,
+    updateListingPrices,
+    appendPriceHistory,
+    getPriceHistory,
+    getListingWatchers,
+    recordCrawlRun,
+    getCrawlRuns,
     SHEETS
 };
@@ -0,0 +1,101 @@
+/**
+ * 各來源轉接器共用的工具 (物件 ID、阻擋偵測、錯誤分類、頁面操作)
+ */
+
+const { identityRotator } = require('../antiBlock');
+const { detectBlockPage } = require('../parsers');
+
+// 預設來源 (舊資料沒有 source 欄位時視為此來源，物件 ID 也不加前綴)
+const DEFAULT_SOURCE = '591';
+
+/**
+ * 組合儲存用的物件 ID
+ * 預設來源沿用原本的 ID，其他來源加上「來源:」前綴，避免不同網站的 ID 重複
+ * @param {string} sourceId - 來源代碼
+ * @param {string|number} nativeId - 來源網站上的物件 ID
+ */
+function toListingId(sourceId, nativeId) {
+    return sourceId === DEFAULT_SOURCE ? String(nativeId) : `${sourceId}:${nativeId}`;
+}
+
+/**
+ * 拆解儲存用的物件 ID
+ * @param {string} listingId
+ * @returns {{source: string, nativeId: string}}
+ */
+function parseListingId(listingId) {
+    const text = String(listingId);
+    const index = text.indexOf(':');
+    if (index <= 0) return { source: DEFAULT_SOURCE, nativeId: text };
+    return { source: text.substring(0, index), nativeId: text.substring(index + 1) };
+}
+
+/**
+ * 檢查目前頁面是否為阻擋 / 驗證頁，是的話記錄並汰換這個 context (下次換一組 User-Agent / Proxy)
+ * @param {object} page - Playwright 頁面
+ * @param {object|null} response - page.goto 的回應
+ * @param {object|null} lease - browserPool.withPage 提供的 lease
+ * @param {string} url - 目前網址 (記錄用)
+ * @returns {Promise<string|null>} 阻擋原因，正常頁面回傳 null
+ */
+async function checkBlocked(page, response, lease, url) {
+    const html = await page.content().catch(() => '');
+    const reason = detectBlockPage(html, { status: response ? response.status() : 0 });
+    if (reason) {
+        console.warn(`⛔ 被阻擋 (${reason}): ${url}`);
+        identityRotator.recordBlock(lease ? lease.identity : null, reason, url);
+        if (lease) {
+            lease.retire();
+            lease.blocked = reason;
+        }
+    }
+    return reason;
+}
+
+/**
+ * 爬取失敗的錯誤分類 (記錄在爬蟲紀錄，方便判斷是網站變慢、網路問題還是瀏覽器掛掉)
+ * @param {Error} error
+ * @returns {'timeout'|'network'|'browser'|'unknown'}
+ */
+function classifyCrawlError(error) {
+    if (!error) return 'unknown';
+    if (error.name === 'TimeoutError') return 'timeout';
+    const message = error.message || '';
+    if (/net::ERR_|ECONNRESET|ECONNREFUSED|ENOTFOUND|ETIMEDOUT/.test(message)) return 'network';
+    if (/Target (?:page, context or browser )?(?:has been )?closed|browser has been closed|disconnected|瀏覽器池已關閉|Failed to launch/i.test(message)) return 'browser';
+    return 'unknown';
+}
+
+/**
+ * 自動滾動頁面以載入更多內容
+ */
+async function autoScroll(page) {
+    await page.evaluate(async () => {
+        await new Promise((resolve) => {
+            let totalHeight = 0;
+            const distance = 500;
+            const timer = setInterval(() => {
+                const scrollHeight = document.body.scrollHeight;
+                window.scrollBy(0, distance);
+                totalHeight += distance;
+
+                if (totalHeight >= scrollHeight - window.innerHeight || totalHeight > 3000) {
+                    clearInterval(timer);
+                    resolve();
+                }
+            }, 200);
+        });
+    });
+
+    // 等待新內容載入
+    await page.waitForTimeout(1000);
+}
+
+module.exports = {
+    DEFAULT_SOURCE,
+    toListingId,
+    parseListingId,
+    checkBlocked,
+    classifyCrawlError,
+    autoScroll
+};
@@ -0,0 +1,111 @@
+/**
+ * 租屋來源轉接器
+ * 爬蟲流程 (scraper.js)、儲存與 LINE 訊息只透過這裡的介面操作各網站，新增網站時只要加一個轉接器並註冊
+ *
+ * 轉接器介面 (見 rent591.js):
+ *   id                                    來源代碼，存在物件的 source 欄位
+ *   name                                  顯示名稱
+ *   searchUrl(target, options)            搜尋網址 (options: { minRent, maxRent, keywords, filters, page })
+ *   search(page, target, options)         爬取搜尋結果 → { listings, pages, apiPages, stoppedEarly, blocked, error }
+ *   listingUrl(nativeId)                  物件網址
+ *   parseListPage(html)                   解析列表頁 → { listings, pagination }
+ *   parseDetailPage(html)                 解析詳情頁 → 物件詳情 (押金、管理費、可入籍等，格式見 parsers.parseListingDetails)
+ *   parseContactInfo(html)                解析聯絡資訊 → { phone, line, landlordName }
+ *   fetchDetails(page, url, lease)        開啟詳情頁並解析，失敗或被阻擋時回傳 null
+ *   fetchContactInfo(page, nativeId, lease)  開啟物件頁並解析聯絡資訊
+ *   fetchStatus(page, nativeId, lease)    物件是否仍在刊登 → 'live' | 'rented' | 'removed' | 'unknown'
+ *
+ * 物件格式與 591 相同 ({ id, title, price, address, url, tags, image, postedAt, ... })，並加上 source。
+ * 非預設來源的物件 ID 需以 common.toListingId 加上來源前綴，避免與其他網站重複。
+ * 解析函數只吃 HTML 字串，可直接用 fixtures/ 的頁面測試 (見 test_sources.js)。
+ */
+
+const rent591 = require('./rent591');
+const { DEFAULT_SOURCE, toListingId, parseListingId } = require('./common');
+
+// 已註冊的來源 (代碼 → 轉接器)
+const SOURCES = {
+    [rent591.id]: rent591
+};
+
+// 轉接器必須提供的函數
+const ADAPTER_METHODS = [
+    'searchUrl',
+    'search',
+    'listingUrl',
+    'parseListPage',
+    'parseDetailPage',
+    'parseContactInfo',
+    'fetchDetails',
+    'fetchContactInfo',
+    'fetchStatus'
+];
+
+/**
+ * 取得來源轉接器 (未指定時為預設來源)
+ * @param {string} sourceId - 來源代碼
+ * @returns {object|null} 未註冊的來源回傳 null
+ */
+function getSource(sourceId = DEFAULT_SOURCE) {
+    return SOURCES[sourceId || DEFAULT_SOURCE] || null;
+}
+
+/**
+ * 所有已註冊的來源
+ */
+function listSources() {
+    return Object.values(SOURCES);
+}
+
+/**
+ * 來源的顯示名稱 (未註冊時直接顯示代碼)
+ */
+function getSourceName(sourceId) {
+    const source = getSource(sourceId);
+    return source ? source.name : String(sourceId);
+}
+
+/**
+ * 依儲存用的物件 ID 找出來源與網址
+ * @param {string} listingId
+ * @returns {{source: object|null, nativeId: string, url: string}}
+ */
+function resolveListing(listingId) {
+    const { source: sourceId, nativeId } = parseListingId(listingId);
+    const source = getSource(sourceId);
+    return { source, nativeId, url: source ? source.listingUrl(nativeId) : '' };
+}
+
+/**
+ * 物件網址 (只有 ID 時使用，例如「有興趣」與收藏)
+ */
+function getListingUrl(listingId) {
+    return resolveListing(listingId).url;
+}
+
+/**
+ * 檢查轉接器是否實作完整介面
+ * @returns {string[]} 缺少的項目 (空陣列代表完整)
+ */
+function validateAdapter(adapter) {
+    const missing = [];
+    if (!adapter || typeof adapter.id !== 'string' || !adapter.id) missing.push('id');
+    if (!adapter || typeof adapter.name !== 'string' || !adapter.name) missing.push('name');
+    ADAPTER_METHODS.forEach(method => {
+        if (!adapter || typeof adapter[method] !== 'function') missing.push(method);
+    });
+    return missing;
+}
+
+module.exports = {
+    DEFAULT_SOURCE,
+    ADAPTER_METHODS,
+    getSource,
+    listSources,
+    getSourceName,
+    resolveListing,
+    getListingUrl,
+    validateAdapter,
+    toListingId,
+    parseListingId
+};
@@ -0,0 +1,340 @@
+/**
+ * 591 租屋網轉接器
+ * 介面說明見 sources/index.js；頁面解析邏輯在 parsers.js (可用 fixtures/ 的 HTML 測試)
+ */
+
+const { buildFilterParams, DEFAULT_FILTERS } = require('../filters');
+const {
+    parseListResults,
+    parseListApiResponse,
+    parseListingDetails,
+    parseContactInfo,
+    isEmptyResultPage
+} = require('../parsers');
+const { checkBlocked, classifyCrawlError, autoScroll } = require('./common');
+
+const ID = '591';
+
+const CONFIG = {
+    baseUrl: 'https://rent.591.com.tw/list',
+    detailBaseUrl: 'https://rent.591.com.tw',
+    // 列表頁載入物件資料的 API
+    listApiPattern: /bff[\w-]*\.591\.com\.tw\/.*rent\/list/,
+    // 等待列表 API 回應的時間 (毫秒)
+    listApiTimeout: 10000
+};
+
+/**
+ * 標上來源 (591 的物件 ID 沿用原本的數字 ID)
+ */
+function withSource(listings) {
+    listings.forEach(l => {
+        l.source = ID;
+    });
+    return listings;
+}
+
+/**
+ * 建立搜尋 URL
+ * @param {number} region - 縣市代碼 (1: 台北, 3: 新北)
+ * @param {number|string} section - 行政區代碼 (可選)
+ * @param {object} filters - 篩選條件 (可選，預設為近捷運 + 可開伙)
+ * @param {number} page - 頁碼 (從 1 開始)
+ */
+function buildSearchUrl(region, section, minRent, maxRent, keywords = '', filters = DEFAULT_FILTERS, page = 1) {
+    const filterParams = buildFilterParams(filters);
+    const params = new URLSearchParams({
+        region: region.toString(),
+        price: `${minRent}_${maxRent}`,
+        sort: 'posttime_desc' // 依刊登時間新到舊，提前停止才有意義
+    });
+
+    if (filterParams.other.length > 0) {
+        params.append('other', filterParams.other.join(','));
+    }
+
+    if (filterParams.kind) {
+        params.append('kind', filterParams.kind);
+    }
+
+    if (filterParams.acreage) {
+        params.append('acreage', filterParams.acreage);
+    }
+
+    if (section) {
+        params.append('section', section.toString());
+    }
+
+    if (keywords) {
+        params.append('keywords', keywords);
+    }
+
+    if (page > 1) {
+        params.append('page', page.toString());
+    }
+
+    return `${CONFIG.baseUrl}?${params.toString()}`;
+}
+
+/**
+ * 搜尋網址 (轉接器介面)
+ * @param {object} target - { region, section, name }
+ * @param {object} options - { minRent, maxRent, keywords, filters, page }
+ */
+function searchUrl(target, { minRent, maxRent, keywords = '', filters = DEFAULT_FILTERS, page = 1 } = {}) {
+    return buildSearchUrl(target.region, target.section, minRent, maxRent, keywords, filters, page);
+}
+
+/**
+ * 物件網址
+ * @param {string} nativeId - 591 物件 ID
+ */
+function listingUrl(nativeId) {
+    return `${CONFIG.detailBaseUrl}/${nativeId}`;
+}
+
+/**
+ * 解析列表頁 HTML
+ * @returns {{listings: Array, pagination: object}}
+ */
+function parseListPage(html) {
+    const result = parseListResults(html);
+    withSource(result.listings);
+    return result;
+}
+
+/**
+ * 判斷物件頁面的刊登狀態
+ * @param {object} page - { httpStatus, finalUrl, listingId, bodyText }
+ * @returns {'live'|'rented'|'removed'|'unknown'}
+ */
+function classifyListingPage({ httpStatus, finalUrl, listingId, bodyText }) {
+    if (httpStatus === 404 || httpStatus === 410) return 'removed';
+    if (!httpStatus || httpStatus >= 500 || !bodyText) return 'unknown';
+
+    // 被導回列表頁或首頁，代表物件已不存在
+    if (finalUrl && !finalUrl.includes(listingId)) return 'removed';
+
+    if (/此房屋已出租|已出租|已成交/.test(bodyText)) return 'rented';
+    if (/物件不存在|已下架|已關閉|已刪除|找不到/.test(bodyText)) return 'removed';
+
+    return 'live';
+}
+
+/**
+ * 從列表 API 回應取得物件 (需在 page.goto 之前呼叫才能攔截到)
+ * @returns {Promise<{listings: Array, total: number}|null>} 沒有攔截到或格式不符時回傳 null
+ */
+function captureListApi(page) {
+    return page.waitForResponse(
+        res => CONFIG.listApiPattern.test(res.url()) && res.request().method() === 'GET' && res.status() === 200,
+        { timeout: CONFIG.listApiTimeout }
+    )
+        .then(res => res.json())
+        .then(json => parseListApiResponse(json))
+        .catch(() => null);
+}
+
+/**
+ * 解析頁面 DOM 取得物件 (API 攔截失敗時的備案)
+ */
+async function scrapeListDom(page) {
+    // 等待列表載入
+    await page.waitForSelector('.item', { timeout: 30000 });
+
+    // 額外等待確保動態內容載入完成
+    await page.waitForTimeout(2000);
+
+    // 滾動頁面以載入圖片
+    await autoScroll(page);
+
+    // 提取物件資訊 (解析邏輯見 parsers.js)
+    return parseListPage(await page.content());
+}
+
+/**
+ * 爬取單一地區的租屋列表 (逐頁爬取)
+ * @param {object} page - Playwright 頁面
+ * @param {object} target - { region, section, name }
+ * @param {object} options
+ * @param {number} options.minRent - 最低租金
+ * @param {number} options.maxRent - 最高租金
+ * @param {string} options.keywords - 送給 591 的搜尋關鍵字 (可選)
+ * @param {object} options.filters - 篩選條件 (可選)
+ * @param {number} options.maxPages - 最多爬幾頁
+ * @param {Set<string>} options.knownIds - 已看過的物件 ID (例如已推播給用戶的)，整頁都是已知物件時提前停止 (結果依新到舊排序，後面只會更舊)
+ * @param {string} options.mode - 擷取模式 ('api' | 'dom')
+ * @param {object} options.lease - browserPool.withPage 提供的 lease (被擋時汰換 context)
+ * @returns {Promise<{listings: Array, pages: number, apiPages: number, stoppedEarly: boolean, blocked: string|null, error: object|null}>}
+ *   blocked: 被阻擋的原因 (與「沒有物件」區分)，沒被擋時為 null
+ *   error: 讀取失敗時為 { errorClass, message, page } (見 common.classifyCrawlError)，已取得的頁面仍會回傳
+ */
+async function search(page, target, { minRent, maxRent, keywords = '', filters = DEFAULT_FILTERS, maxPages = 3, knownIds = new Set(), mode = 'api', lease = null } = {}) {
+    const listings = [];
+    const seenIds = new Set();
+    let pages = 0;
+    let apiPages = 0;
+    let stoppedEarly = false;
+    let blocked = null;
+    let error = null;
+
+    for (let pageNo = 1; pageNo <= maxPages; pageNo++) {
+        const url = searchUrl(target, { minRent, maxRent, keywords, filters, page: pageNo });
+        console.log(`📍 爬取: ${url}`);
+
+        let result;
+        try {
+            if (mode === 'api') {
+                const apiResult = captureListApi(page);
+                const response = await page.goto(url, { waitUntil: 'domcontentloaded', timeout: 60000 });
+                blocked = await checkBlocked(page, response, lease, url);
+                if (blocked) break;
+                const captured = await apiResult;
+
+                if (captured && captured.listings.length > 0) {
+                    apiPages++;
+                    result = {
+                        listings: withSource(captured.listings),
+                        pagination: { current: pageNo, hasNext: pageNo * captured.listings.length < captured.total }
+                    };
+                } else if (captured && captured.total === 0) {
+                    // API 明確回傳 0 筆，不必再等頁面
+                    apiPages++;
+                    result = { listings: [], pagination: { current: pageNo, hasNext: false } };
+                } else {
+                    console.log('   未攔截到列表 API，改為解析頁面');
+                    result = await scrapeListDom(page);
+                }
+            } else {
+                const response = await page.goto(url, { waitUntil: 'networkidle', timeout: 60000 });
+                blocked = await checkBlocked(page, response, lease, url);
+                if (blocked) break;
+                result = await scrapeListDom(page);
+            }
+        } catch (e) {
+            // 等不到物件列表時，先確認是不是驗證頁 (例如載入後才跳出的驗證碼)
+            blocked = await checkBlocked(page, null, lease, url);
+            if (blocked) break;
+
+            // 頁面明確顯示查無物件，不算失敗
+            if (isEmptyResultPage(await page.content().catch(() => ''))) {
+                console.log(`   ${pageNo === 1 ? '該區域目前無物件' : `第 ${pageNo} 頁沒有物件`}`);
+                break;
+            }
+
+            error = { errorClass: classifyCrawlError(e), message: e.message, page: pageNo };
+            console.log(`⚠️ 第 ${pageNo} 頁讀取失敗 [${error.errorClass}] (${url}): ${e.message}`);
+            break;
+        }
+
+        pages++;
+        const pageListings = result.listings.filter(l => !seenIds.has(l.id));
+        pageListings.forEach(l => seenIds.add(l.id));
+        listings.push(...pageListings);
+
+        if (pageListings.length === 0 || !result.pagination.hasNext) break;
+
+        // 整頁都已儲存過，後面的頁面只會更舊
+        if (knownIds.size > 0 && pageListings.every(l => knownIds.has(l.id))) {
+            console.log(`   第 ${pageNo} 頁都是已儲存的物件，停止翻頁`);
+            stoppedEarly = pageNo < maxPages;
+            break;
+        }
+
+        if (pageNo < maxPages) {
+            // 避免過快請求
+            await page.waitForTimeout(1500);
+        }
+    }
+
+    return { listings, pages, apiPages, stoppedEarly, blocked, error };
+}
+
+/**
+ * 取得物件詳細資訊
+ * @param {object} lease - browserPool.withPage 提供的 lease (可選，被擋時汰換 context)
+ * @returns {Promise<object|null>} 失敗或被阻擋時回傳 null (被擋時 lease.blocked 為原因)
+ */
+async function fetchDetails(page, url, lease = null) {
+    try {
+        const response = await page.goto(url, { waitUntil: 'networkidle', timeout: 30000 });
+        if (await checkBlocked(page, response, lease, url)) return null;
+
+        return parseListingDetails(await page.content());
+    } catch (e) {
+        console.error(`取得詳情失敗: ${url}`, e.message);
+        return null;
+    }
+}
+
+/**
+ * 取得物件聯絡資訊
+ * @param {string} nativeId - 591 物件 ID
+ * @returns {Promise<{phone: string, line: string, landlordName: string}>}
+ */
+async function fetchContactInfo(page, nativeId, lease = null) {
+    const url = listingUrl(nativeId);
+    const response = await page.goto(url, { waitUntil: 'networkidle', timeout: 60000 });
+    if (await checkBlocked(page, response, lease, url)) {
+        return { phone: '', line: '', landlordName: '' };
+    }
+
+    // 等待頁面載入
+    await page.waitForTimeout(2000);
+
+    // 嘗試點擊「顯示電話」按鈕 (如果有)
+    try {
+        const showPhoneBtn = await page.$('.phone-show, .show-phone, [data-phone], button:has-text("電話")');
+        if (showPhoneBtn) {
+            await showPhoneBtn.click();
+            await page.waitForTimeout(1000);
+        }
+    } catch (e) {
+        // 按鈕可能不存在，繼續
+    }
+
+    // 抓取聯絡資訊 (解析邏輯見 parsers.js)
+    return parseContactInfo(await page.content());
+}
+
+/**
+ * 開啟物件頁面，確認是否仍在刊登
+ * @param {string} nativeId - 591 物件 ID
+ * @returns {Promise<'live'|'rented'|'removed'|'unknown'>} 被阻擋時回傳 'unknown' (lease.blocked 為原因)
+ */
+async function fetchStatus(page, nativeId, lease = null) {
+    const url = listingUrl(nativeId);
+    const response = await page.goto(url, { waitUntil: 'domcontentloaded', timeout: 30000 });
+    await page.waitForTimeout(1500);
+    if (await checkBlocked(page, response, lease, url)) return 'unknown';
+
+    const bodyText = await page.evaluate(() => {
+        // 只看主要內容區，避免推薦物件的「已出租」字樣誤判
+        const main = document.querySelector('.house-title, .main-info, main') || document.body;
+        return (document.title || '') + '\n' + (main.innerText || '').substring(0, 3000);
+    });
+
+    return classifyListingPage({
+        httpStatus: response ? response.status() : 0,
+        finalUrl: page.url(),
+        listingId: nativeId,
+        bodyText
+    });
+}
+
+module.exports = {
+    id: ID,
+    name: '591 租屋網',
+    searchUrl,
+    search,
+    listingUrl,
+    parseListPage,
+    parseDetailPage: parseListingDetails,
+    parseContactInfo,
+    fetchDetails,
+    fetchContactInfo,
+    fetchStatus,
+    // 591 專用 (不屬於轉接器介面)
+    buildSearchUrl,
+    classifyListingPage
+};
@@ -0,0 +1,264 @@
+/**
+ * 儲存層模組
+ * 統一物件、收藏、推播紀錄與用戶設定的存取介面，
+ * 依 STORAGE_DRIVER 環境變數選擇實作：
+ *   sheets (預設) - Google Sheets (sheets.js + users.js)
+ *   local         - 本地 JSON 檔案 (localStore.js)
+ *
+ * 使用 local 時設定 SHEETS_EXPORT=true，新物件、收藏與狀態變更會同步匯出到 Sheets，
+ * 讓 GAS 網頁版清單照常運作
+ */
+
+const sheets = require('./sheets');
+const users = require('./users');
+const { listingFingerprint, detectListingChanges, buildHistoryEntries } = require('./priceHistory');
+
+const DRIVER_NAME = (process.env.STORAGE_DRIVER || 'sheets').toLowerCase();
+const SHEETS_EXPORT = DRIVER_NAME === 'local' && process.env.SHEETS_EXPORT === 'true';
+
+// Google Sheets 實作
+const sheetsDriver = {
+    init: sheets.initSheets,
+    saveListings: sheets.saveListings,
+    getExistingIds: sheets.getExistingIds,
+    updateListingStatus: sheets.updateListingStatus,
+    getTodayNewListings: sheets.getTodayNewListings,
+    getRecentListings: sheets.getRecentListings,
+    getWeeklyNewListings: sheets.getWeeklyNewListings,
+    getListingSnapshots: sheets.getListingSnapshots,
+    updateListingPrices: sheets.updateListingPrices,
+    appendPriceHistory: sheets.appendPriceHistory,
+    getPriceHistory: sheets.getPriceHistory,
+    getListingWatchers: sheets.getListingWatchers,
+    recordCrawlRun: sheets.recordCrawlRun,
+    getCrawlRuns: sheets.getCrawlRuns,
+    markAsInterested: sheets.markAsInterested,
+    getUserFavorites: sheets.getUserFavorites,
+    getAllFavorites: sheets.getAllFavorites,
+    updateFavoriteStatuses: sheets.updateFavoriteStatuses,
+    recordPushedListings: sheets.recordPushedListings,
+    getPushedListingIds: sheets.getPushedListingIds,
+    createUser: users.createUser,
+    getUser: users.getUser,
+    updateUserSettings: users.updateUserSettings,
+    getAllSubscribedUsers: users.getAllSubscribedUsers,
+    getAllUsers: users.getAllUsers,
+    toggleSubscription: users.toggleSubscription
+};
+
+/**
+ * 取得本地檔案實作 (延遲載入，避免 sheets 模式下建立資料夾)
+ */
+function createLocalDriver() {
+    const local = require('./localStore');
+    return {
+        init: local.initStore,
+        saveListings: local.saveListings,
+        getExistingIds: local.getExistingIds,
+        updateListingStatus: local.updateListingStatus,
+        getTodayNewListings: local.getTodayNewListings,
+        getRecentListings: local.getRecentListings,
+        getWeeklyNewListings: local.getWeeklyNewListings,
+        getListingSnapshots: local.getListingSnapshots,
+        updateListingPrices: local.updateListingPrices,
+        appendPriceHistory: local.appendPriceHistory,
+        getPriceHistory: local.getPriceHistory,
+        getListingWatchers: local.getListingWatchers,
+        recordCrawlRun: local.recordCrawlRun,
+        getCrawlRuns: local.getCrawlRuns,
+        markAsInterested: local.markAsInterested,
+        getUserFavorites: local.getUserFavorites,
+        getAllFavorites: local.getAllFavorites,
+        updateFavoriteStatuses: local.updateFavoriteStatuses,
+        recordPushedListings: local.recordPushedListings,
+        getPushedListingIds: local.getPushedListingIds,
+        createUser: local.createUser,
+        getUser: local.getUser,
+        updateUserSettings: local.updateUserSettings,
+        getAllSubscribedUsers: local.getAllSubscribedUsers,
+        getAllUsers: local.getAllUsers,
+        toggleSubscription: local.toggleSubscription
+    };
+}
+
+const DRIVERS = {
+    sheets: () => sheetsDriver,
+    local: createLocalDriver
+};
+
+if (!DRIVERS[DRIVER_NAME]) {
+    throw new Error(`未知的 STORAGE_DRIVER: ${DRIVER_NAME} (可用: ${Object.keys(DRIVERS).join(', ')})`);
+}
+
+const driver = DRIVERS[DRIVER_NAME]();
+
+/**
+ * 背景匯出到 Sheets (失敗只記錄，不影響主流程)
+ */
+function exportToSheets(label, fn) {
+    if (!SHEETS_EXPORT) return;
+    fn().catch(error => {
+        console.error(`⚠️ 匯出到 Sheets 失敗 (${label}):`, error.message);
+    });
+}
+
+/**
+ * 初始化儲存層
+ */
+async function initStorage() {
+    console.log(`🗄️ 儲存方式: ${DRIVER_NAME}${SHEETS_EXPORT ? ' (同步匯出到 Sheets)' : ''}`);
+    await driver.init();
+    if (SHEETS_EXPORT) {
+        await sheets.initSheets();
+    }
+}
+
+/**
+ * 儲存物件列表，並比對既有資料找出價格變動與重新刊登的物件
+ * @returns {Promise<{saved: number, new: Array, priceChanges: Array, relisted: Array}>}
+ */
+async function saveListings(listings) {
+    listings.forEach(listing => {
+        listing.fingerprint = listingFingerprint(listing);
+    });
+
+    const snapshots = await driver.getListingSnapshots();
+    const changes = detectListingChanges(listings, snapshots);
+
+    // 標記原價，讓推播卡片可以顯示
+    changes.priceChanges.forEach(({ listing, oldPrice }) => { listing.previousPrice = oldPrice; });
+    changes.relisted.forEach(({ listing, previousId, oldPrice }) => {
+        listing.previousPrice = oldPrice;
+        listing.relistedFrom = previousId;
+    });
+
+    const result = await driver.saveListings(listings);
+    if (result.new.length > 0) {
+        exportToSheets('saveListings', () => sheets.saveListings(result.new));
+    }
+
+    try {
+        if (changes.priceChanges.length > 0) {
+            const priceUpdates = changes.priceChanges.map(c => ({ id: c.listing.id, price: c.newPrice }));
+            await driver.updateListingPrices(priceUpdates);
+            exportToSheets('updateListingPrices', () => sheets.updateListingPrices(priceUpdates));
+        }
+
+        // 原物件標記為已重新刊登
+        for (const { listing, previousId } of changes.relisted) {
+            await updateListingStatus(previousId, `重新刊登 → ${listing.id}`);
+        }
+
+        const historyEntries = buildHistoryEntries(result.new, changes);
+        await driver.appendPriceHistory(historyEntries);
+        exportToSheets('appendPriceHistory', () => sheets.appendPriceHistory(historyEntries));
+    } catch (error) {
+        console.error('❌ 更新價格紀錄失敗:', error.message);
+    }
+
+    if (changes.priceChanges.length > 0 || changes.relisted.length > 0) {
+        console.log(`💲 價格變動 ${changes.priceChanges.length} 間，重新刊登 ${changes.relisted.length} 間`);
+    }
+
+    return { ...result, ...changes };
+}
+
+/**
+ * 標記物件為「有興趣」
+ * @returns {Promise<true|'duplicate'>}
+ */
+async function markAsInterested(listingId, price, title = '', address = '', contactInfo = {}, userId = '') {
+    const result = await driver.markAsInterested(listingId, price, title, address, contactInfo, userId);
+    if (result !== 'duplicate') {
+        exportToSheets('markAsInterested', () => sheets.markAsInterested(listingId, price, title, address, contactInfo, userId));
+    }
+    return result;
+}
+
+/**
+ * 更新物件狀態
+ */
+async function updateListingStatus(listingId, status) {
+    await driver.updateListingStatus(listingId, status);
+    exportToSheets('updateListingStatus', () => sheets.updateListingStatus(listingId, status));
+}
+
+/**
+ * 更新收藏的刊登狀態
+ */
+async function updateFavoriteStatuses(updates) {
+    await driver.updateFavoriteStatuses(updates);
+    exportToSheets('updateFavoriteStatuses', () => sheets.updateFavoriteStatuses(updates));
+}
+
+/**
+ * 取得週報所需的完整統計資料
+ */
+async function getAllListingsForWeekReport() {
+    const weeklyListings = await driver.getWeeklyNewListings();
+
+    // 統計數據
+    const stats = {
+        total: weeklyListings.length,
+        byRegion: {},
+        minPrice: Infinity,
+        maxPrice: 0,
+        avgPrice: 0
+    };
+
+    if (stats.total === 0) {
+        stats.minPrice = 0;
+        return { listings: [], stats };
+    }
+
+    let totalPrice = 0;
+
+    weeklyListings.forEach(item => {
+        // 區域統計
+        const region = item.region || '未知';
+        stats.byRegion[region] = (stats.byRegion[region] || 0) + 1;
+
+        // 價格統計
+        if (item.price > 0) {
+            if (item.price < stats.minPrice) stats.minPrice = item.price;
+            if (item.price > stats.maxPrice) stats.maxPrice = item.price;
+            totalPrice += item.price;
+        }
+    });
+
+    stats.avgPrice = Math.round(totalPrice / weeklyListings.length);
+
+    // 取熱門/精選物件 (這裡暫時用最新 5 筆當作精選)
+    // 未來可以改成點擊數最高的
+    const highlights = weeklyListings.slice(0, 5);
+
+    return { listings: highlights, stats };
+}
+
+module.exports = {
+    initStorage,
+    saveListings,
+    getExistingIds: driver.getExistingIds,
+    updateListingStatus,
+    getTodayNewListings: driver.getTodayNewListings,
+    getRecentListings: driver.getRecentListings,
+    getWeeklyNewListings: driver.getWeeklyNewListings,
+    getAllListingsForWeekReport,
+    getPriceHistory: driver.getPriceHistory,
+    getListingWatchers: driver.getListingWatchers,
+    recordCrawlRun: driver.recordCrawlRun,
+    getCrawlRuns: driver.getCrawlRuns,
+    markAsInterested,
+    getUserFavorites: driver.getUserFavorites,
+    getAllFavorites: driver.getAllFavorites,
+    updateFavoriteStatuses,
+    recordPushedListings: driver.recordPushedListings,
+    getPushedListingIds: driver.getPushedListingIds,
+    createUser: driver.createUser,
+    getUser: driver.getUser,
+    updateUserSettings: driver.updateUserSettings,
+    getAllSubscribedUsers: driver.getAllSubscribedUsers,
+    getAllUsers: driver.getAllUsers,
+    toggleSubscription: driver.toggleSubscription,
+    DRIVER_NAME
+};
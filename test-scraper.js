@@ -5,13 +5,13 @@
 
 require('dotenv').config();
 
-const { scrape591 } = require('./scraper');
+const { scrapeListings } = require('./scraper');
 
 async function testScraper() {
     console.log('🧪 開始測試爬蟲...\n');
 
     try {
-        const { listings } = await scrape591({
+        const { listings } = await scrapeListings({
             regions: [1, 3], // 台北市, 新北市
             minRent: 8000,
             maxRent: 12000,
@@ -0,0 +1,75 @@
+// Test script to verify offline commute estimates over the bundled metro graph (no network needed)
+
+const { getMetroRoute, estimateCommute, sortByCommute, formatCommute } = require('./commute');
+const { checkFilterProfile, parseCommuteCommand, formatFilterProfile } = require('./filters');
+
+let passed = true;
+
+function check(name, output, expected) {
+    const isSuccess = JSON.stringify(output) === JSON.stringify(expected);
+    console.log(`[${name}]`);
+    console.log(`Output:   ${JSON.stringify(output)}`);
+    console.log(`Expected: ${JSON.stringify(expected)}`);
+    console.log(`Status:   ${isSuccess ? '✅ PASS' : '❌ FAIL'}\n`);
+    if (!isSuccess) passed = false;
+}
+
+console.log("🔍 Starting Commute Verification...\n");
+
+// ===== 路網 =====
+check("Route: one stop on the same line",
+    getMetroRoute('中山', '台北車站'),
+    { minutes: 2, stops: 1, transfers: 0 });
+check("Route: transfer is cheaper than staying on a longer line",
+    getMetroRoute('古亭', '台北車站'),
+    { minutes: 11, stops: 3, transfers: 1 });
+check("Route: branches connect through the junction only",
+    [getMetroRoute('蘆洲', '台北橋'), getMetroRoute('小碧潭', '新店')],
+    [{ minutes: 12, stops: 6, transfers: 0 }, { minutes: 6, stops: 3, transfers: 0 }]);
+check("Route: per-line stop time and aliases",
+    [getMetroRoute('泰山貴和', '北車').minutes, getMetroRoute('台北車站', '北車').minutes],
+    [20, 0]);
+check("Route: unknown stations",
+    getMetroRoute('火星', '中山'),
+    null);
+
+// ===== 物件 =====
+const listing = (id, subway) => ({ id, title: `套房${id}`, price: 10000, tags: ['近捷運', '可開伙'], subway });
+const commute = estimateCommute(listing('1', '距捷運古亭站350公尺'), '台北車站');
+check("Listing: walking plus ride",
+    [commute.walkMinutes, commute.rideMinutes, commute.minutes, formatCommute(commute)],
+    [5, 11, 16, '到台北車站約 16 分 (步行 5 分 + 捷運 11 分，轉乘 1 次)']);
+check("Listing: missing distance uses the default walk, missing station cannot be estimated",
+    [estimateCommute(listing('2', '近中山站'), '台北車站').walkMinutes, estimateCommute(listing('3', ''), '台北車站')],
+    [7, null]);
+check("Sort: shortest commute first, unknown last",
+    sortByCommute([listing('1', '距淡水300公尺'), listing('2', ''), listing('3', '距中山100公尺')], '台北車站').map(l => l.id),
+    ['3', '1', '2']);
+
+// ===== 指令與篩選 =====
+const { filters } = parseCommuteCommand('台北 車站 40分', {});
+check("Command: destination and limit",
+    [filters.commuteStation, filters.maxCommuteMinutes, formatFilterProfile(filters)],
+    ['台北車站', 40, '通勤至台北車站40分內、近捷運、可開伙']);
+check("Command: limit only, unknown station, clear",
+    [
+        parseCommuteCommand('30', filters).filters.maxCommuteMinutes,
+        !!parseCommuteCommand('30', {}).error,
+        !!parseCommuteCommand('火星', {}).error,
+        parseCommuteCommand('關', filters).filters.commuteStation
+    ],
+    [30, true, true, '']);
+check("Filter: long commutes are excluded, unknown commutes kept",
+    [
+        checkFilterProfile(listing('1', '距中山100公尺'), filters),
+        checkFilterProfile(listing('2', '距淡水300公尺'), filters),
+        checkFilterProfile(listing('3', '距火星300公尺'), filters)
+    ],
+    [null, '通勤約 42 分鐘', null]);
+
+if (passed) {
+    console.log("🎉 All commute tests passed!");
+} else {
+    console.error("💥 Some tests failed.");
+    process.exit(1);
+}
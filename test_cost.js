@@ -0,0 +1,71 @@
+// Test script to verify monthly cost estimation (no network needed)
+
+const fs = require('fs');
+const path = require('path');
+const { parseListingDetails } = require('./parsers');
+const {
+    parseMonthlyAmount,
+    parseElectricityRate,
+    taipowerCost,
+    computeMonthlyCost,
+    formatCostBreakdown,
+    applyTotalCostRange,
+    parseCostCommand
+} = require('./cost');
+
+let passed = true;
+
+function check(name, output, expected) {
+    const isSuccess = JSON.stringify(output) === JSON.stringify(expected);
+    console.log(`[${name}]`);
+    console.log(`Output:   ${JSON.stringify(output)}`);
+    console.log(`Expected: ${JSON.stringify(expected)}`);
+    console.log(`Status:   ${isSuccess ? '✅ PASS' : '❌ FAIL'}\n`);
+    if (!isSuccess) passed = false;
+}
+
+console.log("🔍 Starting Cost Verification...\n");
+
+// ===== 金額與電費 =====
+check("Monthly amounts",
+    ['1,000元/月', '6000元/年', '含租金內', '無', '', '另計'].map(parseMonthlyAmount),
+    [1000, 500, 0, 0, null, null]);
+check("Electricity rates",
+    ['5元/度', '每度 4.5 元', '依台電計費', '含', '另計'].map(parseElectricityRate),
+    [{ type: 'flat', rate: 5 }, { type: 'flat', rate: 4.5 }, { type: 'taipower' }, { type: 'included' }, null]);
+check("Taipower tiers (summer / other months)",
+    [taipowerCost(100, new Date('2026-07-01')), taipowerCost(150, new Date('2026-07-01')), taipowerCost(400, new Date('2026-01-01'))],
+    [168, 275, 867]);
+
+// ===== 總花費 =====
+const details = parseListingDetails(fs.readFileSync(path.join(__dirname, 'fixtures/detail_page.html'), 'utf8'));
+const fixtureCost = computeMonthlyCost({ price: 15500, title: '中山區近捷運電梯套房', tags: [], details }, {});
+check("Detail page: fee, flat electricity, included water and internet",
+    { total: fixtureCost.total, breakdown: formatCostBreakdown(fixtureCost) },
+    { total: 17250, breakdown: '管理費1,000・電750 (5元/度)・水含・網路含' });
+
+const noDetails = computeMonthlyCost({ price: 10000, title: '雅房 台電計費', tags: '含網路' }, { electricityKwh: 100, waterFee: 200, parking: true }, new Date('2026-07-01'));
+check("No detail page: title/tags, user usage and unknown parking",
+    { total: noDetails.total, breakdown: formatCostBreakdown(noDetails) },
+    { total: 10368, breakdown: '電168 (台電計費)・水200估・網路含・車位未標示' });
+
+check("Filter by total cost",
+    applyTotalCostRange([
+        { id: 'a', price: 11000, cost: { total: 12500 } },
+        { id: 'b', price: 9000, cost: { total: 11000 } },
+        { id: 'c', price: 7500, cost: { total: 7900 } }
+    ], 8000, 12000).map(l => l.id),
+    ['b']);
+
+// ===== 指令 =====
+check("Command: usage and basis",
+    [parseCostCommand('用電 200', '').profile?.electricityKwh, parseCostCommand('篩選 總花費', '').profile?.basis, parseCostCommand('車位 開', '{"waterFee":0}').profile],
+    [200, 'total', { electricityKwh: 150, waterFee: 0, internetFee: 300, parking: true, basis: 'rent' }]);
+check("Command: invalid input", ['用電 -5', '篩選 別的', '瓦斯 100'].map(args => !!parseCostCommand(args, '').error), [true, true, true]);
+
+if (passed) {
+    console.log("🎉 All cost tests passed!");
+} else {
+    console.error("💥 Some tests failed.");
+    process.exit(1);
+}
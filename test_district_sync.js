@@ -0,0 +1,113 @@
+// Test script to verify district ID drift detection and migration (no network needed)
+
+const fs = require('fs');
+const path = require('path');
+const {
+    getSectionParam,
+    diffSections,
+    applySectionChanges,
+    migrateTargets,
+    formatGeography
+} = require('./districtSync');
+
+let passed = true;
+
+function check(name, output, expected) {
+    const isSuccess = JSON.stringify(output) === JSON.stringify(expected);
+    console.log(`[${name}]`);
+    console.log(`Output:   ${JSON.stringify(output)}`);
+    console.log(`Expected: ${JSON.stringify(expected)}`);
+    console.log(`Status:   ${isSuccess ? '✅ PASS' : '❌ FAIL'}\n`);
+    if (!isSuccess) passed = false;
+}
+
+console.log("🔍 Starting District Sync Verification...\n");
+
+// ===== 網址參數 =====
+check("Section IDs from URL",
+    ['https://rent.591.com.tw/list?region=3&section=26,37', 'https://rent.591.com.tw/list?region=3', 'not a url'].map(getSectionParam),
+    [[26, 37], [], []]);
+
+// ===== 比對 =====
+const oldData = {
+    source: 'https://rent.591.com.tw/list',
+    counties: [
+        {
+            id: 3,
+            name: '新北市',
+            aliases: ['新北'],
+            verified: false,
+            sections: [
+                { id: 26, name: '板橋區' },
+                { id: 53, name: '金山區', aliases: ['金山'] },
+                { id: 54, name: '萬里區' },
+                { id: 99, name: '消失區' }
+            ]
+        },
+        { id: 1, name: '台北市', aliases: ['台北'], verified: true, sections: [{ id: 3, name: '中山區' }] }
+    ]
+};
+const discovered = [
+    { id: 26, name: '板橋區' },
+    { id: 21, name: '金山區' },
+    { id: 20, name: '萬里區' },
+    { id: 60, name: '新設區' }
+];
+
+check("Diff: changed, added and removed sections", diffSections(oldData.counties[0].sections, discovered), {
+    changed: [{ name: '金山區', oldId: 53, newId: 21 }, { name: '萬里區', oldId: 54, newId: 20 }],
+    added: [{ id: 60, name: '新設區' }],
+    removed: [{ id: 99, name: '消失區' }]
+});
+check("Diff: no drift", diffSections([{ id: 3, name: '中山區' }], [{ id: 3, name: '中山區' }]), { changed: [], added: [], removed: [] });
+check("Diff: 臺 and 台 are the same name", diffSections([{ id: 340, name: '台東市' }], [{ id: 340, name: '台東市' }]).changed, []);
+
+// ===== 套用 =====
+const newData = applySectionChanges(oldData, 3, discovered);
+check("Apply: sections replaced, sorted and verified", newData.counties[0], {
+    id: 3,
+    name: '新北市',
+    aliases: ['新北'],
+    verified: true,
+    sections: [
+        { id: 20, name: '萬里區' },
+        { id: 21, name: '金山區', aliases: ['金山'] },
+        { id: 26, name: '板橋區' },
+        { id: 60, name: '新設區' }
+    ]
+});
+check("Apply: other counties untouched", newData.counties[1] === oldData.counties[1], true);
+check("Apply: input not modified", oldData.counties[0].sections[1].id, 53);
+
+// ===== 用戶設定遷移 =====
+check("Migrate: IDs follow the section name",
+    migrateTargets([
+        { region: 3, section: 53, name: '新北市-金山區' },
+        { region: 3, section: 26, name: '新北市-板橋區' },
+        { region: 1, name: '台北市全區' }
+    ], oldData, newData),
+    {
+        targets: [
+            { region: 3, section: 21, name: '新北市-金山區' },
+            { region: 3, section: 26, name: '新北市-板橋區' },
+            { region: 1, name: '台北市全區' }
+        ],
+        changed: true
+    });
+check("Migrate: name missing from target, use old ID's name",
+    migrateTargets([{ region: 3, section: 54, name: '新北市' }], oldData, newData).targets,
+    [{ region: 3, section: 20, name: '新北市-萬里區' }]);
+check("Migrate: removed section left as is",
+    migrateTargets([{ region: 3, section: 99, name: '新北市-消失區' }], oldData, newData),
+    { targets: [{ region: 3, section: 99, name: '新北市-消失區' }], changed: false });
+
+// ===== 寫出格式 =====
+const bundled = fs.readFileSync(path.join(__dirname, 'geography.json'), 'utf8');
+check("Format: regenerating geography.json keeps the file unchanged", formatGeography(JSON.parse(bundled)) === bundled, true);
+
+if (passed) {
+    console.log("🎉 All district sync tests passed!");
+} else {
+    console.error("💥 Some tests failed.");
+    process.exit(1);
+}
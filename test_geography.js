@@ -0,0 +1,75 @@
+// Test script to verify county / district lookup (geography.json)
+
+const {
+    COUNTIES,
+    findCounty,
+    findSections,
+    getSection,
+    resolvePlaces,
+    buildSectionMap
+} = require('./geography');
+const { REGIONS, REGION_NAMES } = require('./users');
+
+let passed = true;
+
+function check(name, output, expected) {
+    const isSuccess = JSON.stringify(output) === JSON.stringify(expected);
+    console.log(`[${name}]`);
+    console.log(`Output:   ${JSON.stringify(output)}`);
+    console.log(`Expected: ${JSON.stringify(expected)}`);
+    console.log(`Status:   ${isSuccess ? '✅ PASS' : '❌ FAIL'}\n`);
+    if (!isSuccess) passed = false;
+}
+
+const names = (result) => result.targets.map(t => t.name);
+
+console.log("🔍 Starting Geography Verification...\n");
+
+// ===== 資料完整性 =====
+check("Every county in REGIONS has sections",
+    Object.keys(REGION_NAMES).filter(code => !(COUNTIES.find(c => c.id === Number(code))?.sections.length > 0)),
+    []);
+check("Section IDs are unique", (() => {
+    const ids = COUNTIES.flatMap(c => c.sections.map(s => s.id));
+    return ids.length === new Set(ids).size;
+})(), true);
+check("Legacy region aliases", ['台北', '新竹', '新竹縣', '嘉義', '台東縣'].map(name => REGIONS[name]), [1, 6, 7, 14, 24]);
+check("County lookup accepts 臺", ['臺中', '臺中市', '台中市'].map(name => findCounty(name)?.id), [10, 10, 10]);
+check("Verified Taipei / New Taipei IDs",
+    [getSection(1, 12)?.name, getSection(3, 26)?.name, getSection(3, 37)?.name, getSection(3, 52)?.name],
+    ['文山區', '板橋區', '永和區', '石門區']);
+check("Legacy section map (台北/新北)",
+    (({ 中山區, 中山, 板橋, 淡水區 }) => ({ 中山區, 中山, 板橋, 淡水區 }))(buildSectionMap([1, 3])),
+    { 中山區: 3, 中山: 3, 板橋: 26, 淡水區: 50 });
+
+// ===== 查詢 =====
+check("District in several counties", findSections('東區').map(m => m.county.name), ['新竹市', '台中市', '嘉義市', '台南市']);
+check("District limited to a county", findSections('東區', 10).map(m => m.section.name), ['東區']);
+
+// ===== 解析用戶輸入 =====
+check("Taipei district by short name", names(resolvePlaces('中山')), ['台北市-中山區']);
+check("Multiple districts", names(resolvePlaces('中山 永和')), ['台北市-中山區', '新北市-永和區']);
+check("County + districts", names(resolvePlaces('台中 西屯 南屯')), ['台中市-西屯區', '台中市-南屯區']);
+check("County alone is the whole county", resolvePlaces('高雄').targets, [{ region: 19, name: '高雄市全區' }]);
+check("Mixed counties", names(resolvePlaces('台北 台中 西屯')), ['台北市全區', '台中市-西屯區']);
+check("County and district in one word", names(resolvePlaces('台中市西屯區 臺南東區')), ['台中市-西屯區', '台南市-東區']);
+check("Township suffix is optional", names(resolvePlaces('宜蘭 礁溪 羅東鎮')), ['宜蘭縣-礁溪鄉', '宜蘭縣-羅東鎮']);
+check("County name wins over district short name", names(resolvePlaces('桃園 桃園區')), ['桃園市-桃園區']);
+check("Unknown names", resolvePlaces('中山 火星').unknown, ['火星']);
+
+const ambiguous = resolvePlaces('東區');
+check("Ambiguous district asks for a choice",
+    { targets: ambiguous.targets, input: ambiguous.ambiguous[0]?.input, candidates: ambiguous.ambiguous[0]?.candidates.map(t => t.name) },
+    { targets: [], input: '東區', candidates: ['新竹市-東區', '台中市-東區', '嘉義市-東區', '台南市-東區'] });
+check("Ambiguous district resolved by current county", names(resolvePlaces('東區', { preferRegions: [17] })), ['台南市-東區']);
+check("Ambiguous district resolved by other districts in the input", names(resolvePlaces('西屯 東區')), ['台中市-西屯區', '台中市-東區']);
+check("Shared name prefers Taipei over Keelung", names(resolvePlaces('信義')), ['台北市-信義區']);
+check("Shared name prefers the user's county", names(resolvePlaces('信義', { preferRegions: [4] })), ['基隆市-信義區']);
+check("Wrong county falls back to a global lookup", names(resolvePlaces('台北 板橋')), ['新北市-板橋區', '台北市全區']);
+
+if (passed) {
+    console.log("🎉 All geography tests passed!");
+} else {
+    console.error("💥 Some tests failed.");
+    process.exit(1);
+}
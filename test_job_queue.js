@@ -0,0 +1,73 @@
+// Test script to verify job queue positions and error handling (no network needed)
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { JobQueue } = require('./jobQueue');
+
+// 使用暫存資料夾，不影響 data/jobs.json
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'rental-bot-queue-'));
+
+let passed = true;
+
+function check(name, output, expected) {
+    const isSuccess = JSON.stringify(output) === JSON.stringify(expected);
+    console.log(`[${name}]`);
+    console.log(`Output:   ${JSON.stringify(output)}`);
+    console.log(`Expected: ${JSON.stringify(expected)}`);
+    console.log(`Status:   ${isSuccess ? '✅ PASS' : '❌ FAIL'}\n`);
+    if (!isSuccess) passed = false;
+}
+
+async function main() {
+    console.log("🔍 Starting Job Queue Verification...\n");
+
+    // 未呼叫 start()，工作不會被執行，只檢查排隊位置
+    const queue = new JobQueue({ filePath: path.join(dataDir, 'jobs.json'), cooldownMs: 0 });
+    queue.register('crawl', async () => {});
+
+    // ===== 排隊位置 =====
+    const retry = await queue.enqueue({ type: 'crawl', userId: 'A', trigger: 'line', payload: { n: 1 }, delayMs: 10 * 60 * 1000 });
+    const first = await queue.enqueue({ type: 'crawl', userId: 'B', trigger: 'line', payload: { n: 2 } });
+    const second = await queue.enqueue({ type: 'crawl', userId: 'C', trigger: 'line', payload: { n: 3 } });
+    check("Position: delayed jobs ahead are not counted",
+        [first.position, second.position],
+        [0, 1]);
+    check("Position: a delayed job still counts the due jobs ahead of it",
+        [queue.getPosition(retry.job.id), queue.getPosition('missing')],
+        [0, -1]);
+
+    queue.jobs.find(j => j.id === first.job.id).status = 'running';
+    check("Position: running jobs are counted",
+        [queue.getPosition(first.job.id), queue.getPosition(second.job.id)],
+        [0, 1]);
+
+    // ===== 錯誤處理 =====
+    let unhandled = null;
+    process.once('unhandledRejection', error => {
+        unhandled = error;
+    });
+    queue.jobs.find(j => j.id === first.job.id).status = 'pending';
+    queue.started = true;
+    queue.persist = () => Promise.reject(new Error('disk full'));
+    await queue.process();
+    await new Promise(resolve => setImmediate(resolve));
+    check("Process: storage errors are caught and processing can resume",
+        [unhandled, queue.processing],
+        [null, false]);
+}
+
+main()
+    .catch(error => {
+        console.error('❌ 測試執行失敗:', error);
+        passed = false;
+    })
+    .finally(() => {
+        fs.rmSync(dataDir, { recursive: true, force: true });
+        if (passed) {
+            console.log("🎉 All job queue tests passed!");
+        } else {
+            console.error("💥 Some tests failed.");
+            process.exit(1);
+        }
+    });
@@ -0,0 +1,116 @@
+// Test script to verify the local JSON storage driver (no Google Sheets or network needed)
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// 使用暫存資料夾，不影響 data/store.json
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'rental-bot-store-'));
+process.env.DATA_DIR = dataDir;
+
+let passed = true;
+
+function check(name, output, expected) {
+    const isSuccess = JSON.stringify(output) === JSON.stringify(expected);
+    console.log(`[${name}]`);
+    console.log(`Output:   ${JSON.stringify(output)}`);
+    console.log(`Expected: ${JSON.stringify(expected)}`);
+    console.log(`Status:   ${isSuccess ? '✅ PASS' : '❌ FAIL'}\n`);
+    if (!isSuccess) passed = false;
+}
+
+// 重新載入模組 (模擬重新啟動，資料從檔案讀回)
+function loadFreshStore() {
+    delete require.cache[require.resolve('./localStore')];
+    return require('./localStore');
+}
+
+const listing = (id, price = 10000) => ({
+    id, title: `套房${id}`, price, address: '台北市中山區', region: '台北市-中山區',
+    subway: '距中山200公尺', tags: ['近捷運', '可開伙'], url: `https://rent.591.com.tw/${id}`
+});
+
+async function main() {
+    console.log("🔍 Starting Local Store Verification...\n");
+
+    // 既有資料檔：一間 10 天前的物件 (週報不應包含)
+    const old = new Date();
+    old.setDate(old.getDate() - 10);
+    fs.writeFileSync(path.join(dataDir, 'store.json'), JSON.stringify({
+        listings: [{ id: 'old', title: '舊物件', price: 9000, tags: '', crawledAt: old.toISOString() }]
+    }));
+
+    let store = loadFreshStore();
+    await store.initStore();
+
+    // ===== 物件 =====
+    const first = await store.saveListings([listing('1'), listing('2')]);
+    const second = await store.saveListings([listing('2'), listing('3')]);
+    check("Listings: only new IDs are saved",
+        [first.saved, second.new.map(l => l.id), [...await store.getExistingIds()]],
+        [2, ['3'], ['old', '1', '2', '3']]);
+    check("Listings: recent listings skip older ones and match the Sheets format",
+        (await store.getRecentListings(7)).map(l => [l.id, l.tags, l.source]),
+        [['1', '近捷運, 可開伙', '591'], ['2', '近捷運, 可開伙', '591'], ['3', '近捷運, 可開伙', '591']]);
+
+    // ===== 並行寫入 =====
+    await Promise.all([
+        ...Array.from({ length: 10 }, (_, i) => store.recordPushedListings('U1', [`p${i}`])),
+        store.saveListings([listing('4')]),
+        store.recordPushedListings('U2', ['1'])
+    ]);
+    const onDisk = JSON.parse(fs.readFileSync(path.join(dataDir, 'store.json'), 'utf8'));
+    check("Concurrent writes are serialized and all persisted",
+        [onDisk.pushes.length, onDisk.listings.length],
+        [11, 5]);
+    check("Persistence leaves no temporary file behind",
+        fs.readdirSync(dataDir),
+        ['store.json']);
+
+    // ===== 推播紀錄 =====
+    check("Push history is per user",
+        [(await store.getPushedListingIds('U1')).size, [...await store.getPushedListingIds('U2')], (await store.getPushedListingIds('U3')).size],
+        [10, ['1'], 0]);
+
+    // ===== 收藏 =====
+    const added = await store.markAsInterested('1', 10000, '套房1', '台北市中山區', { phone: '0912' }, 'U1');
+    const duplicate = await store.markAsInterested('1', 10000, '套房1', '台北市中山區', {}, 'U1');
+    await store.markAsInterested('1', 10000, '套房1', '台北市中山區', {}, 'U2');
+    await store.updateFavoriteStatuses([{ listingId: '1', status: '已下架', checkedAt: '2026/10/19' }]);
+    check("Favorites: duplicates skipped and statuses updated for every user",
+        [added, duplicate, (await store.getUserFavorites('U1')).map(f => [f.id, f.phone, f.status, f.checkedAt]), (await store.getAllFavorites()).length],
+        [true, 'duplicate', [['1', '0912', '已下架', '2026/10/19']], 2]);
+    check("Favorites: listing status is marked",
+        (await store.getRecentListings(7)).find(l => l.id === '1').status,
+        '有興趣 ⭐');
+
+    // ===== 用戶設定 =====
+    await store.createUser('U1', '小明');
+    await store.updateUserSettings('U1', { minRent: 9000, keywords: '陽台', searches: '[]' });
+    await store.toggleSubscription('U1', false);
+
+    // ===== 重新啟動後讀回 =====
+    store = loadFreshStore();
+    const user = await store.getUser('U1');
+    check("Data survives a restart",
+        [[...await store.getExistingIds()].length, (await store.getPushedListingIds('U1')).size, (await store.getUserFavorites('U2')).length],
+        [5, 10, 1]);
+    check("Users: settings and subscription persist",
+        [user.displayName, user.minRent, user.keywords, user.searches, user.subscribed, (await store.getAllSubscribedUsers()).length],
+        ['小明', 9000, '陽台', '[]', false, 0]);
+}
+
+main()
+    .catch(error => {
+        console.error('❌ 測試執行失敗:', error);
+        passed = false;
+    })
+    .finally(() => {
+        fs.rmSync(dataDir, { recursive: true, force: true });
+        if (passed) {
+            console.log("🎉 All local store tests passed!");
+        } else {
+            console.error("💥 Some tests failed.");
+            process.exit(1);
+        }
+    });
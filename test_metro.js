@@ -0,0 +1,137 @@
+// Test script to verify metro station lookups, line filters and station targets (no network needed)
+
+const {
+    METRO,
+    findStation,
+    findLine,
+    getLineSegments,
+    isSameStation,
+    resolveStationTargets,
+    toDistrictTarget,
+    splitDistance,
+    isOnLines,
+    formatStationLines
+} = require('./metro');
+const { getCounty, getSection } = require('./geography');
+const { checkFilterProfile, parseMetroCommand, formatFilterProfile } = require('./filters');
+const { buildQueryPlan, getSearchQueries } = require('./queryPlanner');
+const { matchListingsForSearch } = require('./scraper');
+const { migrateTargets } = require('./districtSync');
+
+let passed = true;
+
+function check(name, output, expected) {
+    const isSuccess = JSON.stringify(output) === JSON.stringify(expected);
+    console.log(`[${name}]`);
+    console.log(`Output:   ${JSON.stringify(output)}`);
+    console.log(`Expected: ${JSON.stringify(expected)}`);
+    console.log(`Status:   ${isSuccess ? '✅ PASS' : '❌ FAIL'}\n`);
+    if (!isSuccess) passed = false;
+}
+
+console.log("🔍 Starting Metro Verification...\n");
+
+// ===== 資料 =====
+const missing = [];
+METRO.lines.forEach(line => getLineSegments(line).flat().forEach(name => {
+    if (!findStation(name)) missing.push(`${line.id}:${name}`);
+}));
+METRO.stations.forEach(station => {
+    const target = resolveStationTargets(station.name, { requireSuffix: false }).targets[0];
+    if (!target || !getCounty(target.region) || !getSection(target.region, target.section)) missing.push(station.name);
+});
+check("Dataset: every line station and station district exists", missing, []);
+
+// ===== 查詢 =====
+check("Stations: names, suffixes and aliases",
+    ['中山', '中山站', '捷運中山站', '臺北車站', '北車', '101'].map(text => findStation(text)?.name),
+    ['中山', '中山', '中山', '台北車站', '台北車站', '台北101/世貿']);
+check("Lines: name, short name, code and colour",
+    ['淡水信義線', '淡水信義', 'r', '藍線', '文湖'].map(text => findLine(text)?.id),
+    ['R', 'R', 'R', 'BL', 'BR']);
+check("Station and line display",
+    [formatStationLines('中山'), formatStationLines('火星')],
+    ['中山站 (淡水信義線/松山新店線)', '']);
+check("Same station across spellings",
+    [isSameStation('台北101/世貿', '101'), isSameStation('中山國小', '中山'), isSameStation('', '中山')],
+    [true, false, false]);
+
+// ===== 搜尋目標 =====
+const mixed = resolveStationTargets('永和 中山站 雙連站 火星站');
+check("Targets: station words are split out from districts",
+    [mixed.targets, mixed.rest, mixed.unknown],
+    [
+        [
+            { region: 1, section: 3, name: '捷運-中山站', station: '中山' },
+            { region: 1, section: 3, name: '捷運-雙連站', station: '雙連' }
+        ],
+        ['永和'],
+        ['火星站']
+    ]);
+check("Targets: station target maps back to its district",
+    toDistrictTarget(mixed.targets[0]),
+    { region: 1, section: 3, name: '台北市-中山區' });
+check("Distance suffix",
+    [splitDistance('中山,雙連 500m'), splitDistance('淡水信義線 300公尺'), splitDistance('中山')],
+    [{ args: '中山,雙連', meters: 500 }, { args: '淡水信義線', meters: 300 }, { args: '中山', meters: null }]);
+check("District sync keeps station target names",
+    migrateTargets([{ region: 1, section: 3, name: '捷運-中山站', station: '中山' }],
+        { counties: [{ id: 1, sections: [{ id: 3, name: '中山區' }] }] },
+        { counties: [{ id: 1, name: '台北市', sections: [{ id: 30, name: '中山區' }] }] }).targets,
+    [{ region: 1, section: 30, name: '捷運-中山站', station: '中山' }]);
+
+// ===== 路線篩選 =====
+const metro = parseMetroCommand('淡水信義線 板南線 500m', {});
+check("Metro command: lines and walking distance",
+    [metro.filters.metroLines, metro.filters.maxWalkMeters, metro.message],
+    [['R', 'BL'], 500, '✅ 捷運路線：淡水信義線/板南線，步行 500 公尺內']);
+check("Metro command: unknown line and reset",
+    [!!parseMetroCommand('火星線', {}).error, parseMetroCommand('關', metro.filters).filters.metroLines],
+    [true, []]);
+check("Metro filter display",
+    formatFilterProfile(metro.filters),
+    '捷運淡水信義線/板南線、車站500公尺內、近捷運、可開伙');
+
+check("Line membership",
+    [isOnLines('新埔民生', ['Y']), isOnLines('新埔民生', ['R']), isOnLines('火星', ['R'])],
+    [true, false, null]);
+const listing = (id, subway) => ({ id, title: `套房${id}`, price: 10000, tags: ['近捷運', '可開伙'], subway, postedAt: `2026-10-0${id}` });
+check("Line filter: off-line stations are excluded, unknown stations kept",
+    [
+        checkFilterProfile(listing('1', '距中山200公尺'), metro.filters),
+        checkFilterProfile(listing('2', '距古亭200公尺'), metro.filters),
+        checkFilterProfile(listing('3', '距火星200公尺'), metro.filters),
+        checkFilterProfile(listing('4', ''), metro.filters)
+    ],
+    [null, '古亭站不在淡水信義線/板南線沿線', null, '沒有捷運站資訊']);
+
+// ===== 車站目標與合併查詢 =====
+const zhongshan = { region: 1, section: 3, name: '台北市-中山區' };
+const plan = buildQueryPlan([
+    { targets: resolveStationTargets('中山站 雙連站').targets, minRent: 8000, maxRent: 12000, filters: { nearSubway: false } },
+    { targets: [zhongshan], minRent: 8000, maxRent: 12000, filters: { nearSubway: false } },
+    { targets: [zhongshan, ...resolveStationTargets('中山站').targets], minRent: 8000, maxRent: 12000, filters: { nearSubway: false } }
+]);
+check("Station targets share the district query",
+    plan.queries.map(q => [q.target.name, q.searchIndexes]),
+    [['台北市-中山區', [0, 1, 2]]]);
+check("Station restrictions per search",
+    [0, 1, 2].map(index => getSearchQueries(plan, index)[0].stations),
+    [['中山', '雙連'], null, null]);
+
+const listingsByQuery = new Map([[plan.queries[0].id, [
+    listing('1', '距中山200公尺'),
+    listing('2', '距捷運雙連站300公尺'),
+    listing('3', '距行天宮400公尺')
+]]]);
+const matched = index => matchListingsForSearch(plan.searches[index], getSearchQueries(plan, index), listingsByQuery);
+check("Station targets keep only listings near the chosen stations",
+    [matched(0).listings.map(l => l.id), matched(1).listings.map(l => l.id), matched(0).logs],
+    [['2', '1'], ['3', '2', '1'], ['🚫 不在指定車站過濾掉 1 間物件']]);
+
+if (passed) {
+    console.log("🎉 All metro tests passed!");
+} else {
+    console.error("💥 Some tests failed.");
+    process.exit(1);
+}
@@ -0,0 +1,115 @@
+// Test script to verify structured listing fields and the filters built on them (no network needed)
+
+const fs = require('fs');
+const path = require('path');
+const { parseListPage } = require('./parsers');
+const {
+    parseLayout,
+    parseSubway,
+    cleanTags,
+    parseFeatures,
+    normalizeListing,
+    formatLayoutSummary,
+    formatStation
+} = require('./normalize');
+const { checkFilterProfile, parseFilterCommand, formatFilterProfile } = require('./filters');
+
+let passed = true;
+
+function check(name, output, expected) {
+    const isSuccess = JSON.stringify(output) === JSON.stringify(expected);
+    console.log(`[${name}]`);
+    console.log(`Output:   ${JSON.stringify(output)}`);
+    console.log(`Expected: ${JSON.stringify(expected)}`);
+    console.log(`Status:   ${isSuccess ? '✅ PASS' : '❌ FAIL'}\n`);
+    if (!isSuccess) passed = false;
+}
+
+console.log("🔍 Starting Normalization Verification...\n");
+
+// ===== layout =====
+check("Layout: studio",
+    parseLayout('獨立套房3坪1F/5F'),
+    { kind: '獨立套房', rooms: '', area: 3, floor: 1, totalFloors: 5, rooftop: false });
+check("Layout: whole flat with rooms",
+    parseLayout('整層住家4房2廳90坪17F/19F'),
+    { kind: '整層住家', rooms: '4房2廳', area: 90, floor: 17, totalFloors: 19, rooftop: false });
+check("Layout: rooftop addition and basement",
+    [parseLayout('雅房頂樓加蓋/5F'), parseLayout('分租套房5坪B1/7F').floor],
+    [{ kind: '雅房', rooms: '', area: null, floor: 6, totalFloors: 5, rooftop: true }, -1]);
+check("Layout summary",
+    [formatLayoutSummary(parseLayout('獨立套房3坪1F/5F')), formatLayoutSummary(parseLayout('雅房頂樓加蓋/5F'))],
+    ['獨立套房・3坪・1F/5F', '雅房・頂加/5F']);
+
+// ===== 捷運 =====
+check("Subway: station and walking meters",
+    ['距台電大樓257公尺', '距捷運古亭站350公尺', '近中山站步行5分鐘', '距板橋1.2公里', ''].map(parseSubway),
+    [
+        { station: '台電大樓', walkMeters: 257 },
+        { station: '古亭', walkMeters: 350 },
+        { station: '中山', walkMeters: 400 },
+        { station: '板橋', walkMeters: 1200 },
+        { station: '', walkMeters: null }
+    ]);
+check("Station display",
+    [formatStation(parseSubway('距台電大樓257公尺')), formatStation(parseSubway('距台北車站400公尺'))],
+    ['台電大樓站 257m', '台北車站 400m']);
+
+// ===== 標籤與設備 =====
+check("Tags: drop empty, duplicate and promo labels",
+    [cleanTags(['', '置頂', '近捷運', '優選好屋', '可開伙', '近捷運']), cleanTags('近捷運, , 精選, 有電梯')],
+    [['近捷運', '可開伙'], ['近捷運', '有電梯']]);
+const features = parseFeatures({ title: '中山套房 不可養寵物', tags: ['有電梯', '可開伙'], details: { canRegister: false } });
+check("Features: typed flags from title, tags and details",
+    [features.elevator, features.cook, features.pets, features.parking, features.register],
+    [true, true, false, null, false]);
+
+// ===== 整體 =====
+const normalized = normalizeListing({
+    title: '中山套房', price: 12000, layout: '獨立套房8坪3F/5F', subway: '距中山257公尺', tags: ['', '置頂', '近捷運']
+});
+check("Listing: rent per ping and station",
+    [normalized.kind, normalized.area, normalized.rentPerPing, normalized.station, normalized.walkMeters, normalized.tags],
+    ['獨立套房', 8, 1500, '中山', 257, ['近捷運']]);
+check("Listing: exact API fields take priority",
+    (({ area, floor, walkMeters }) => ({ area, floor, walkMeters }))(normalizeListing({ price: 10000, layout: '獨立套房3坪1F/5F', area: 4, floor: 2, subwayDistance: 120 })),
+    { area: 4, floor: 2, walkMeters: 120 });
+
+const listHtml = fs.readFileSync(path.join(__dirname, 'fixtures/list_page.html'), 'utf8');
+const fixtureListings = parseListPage(listHtml);
+check("Saved list page: structured fields",
+    fixtureListings.map(l => normalizeListing(l)).map(n => [n.kind, n.area, n.floor, n.station, n.walkMeters, n.rentPerPing, n.tags.includes('精選')]),
+    [
+        ['整層住家', 32.6, 13, '新埔民生', 483, 1288, false],
+        ['整層住家', 25, 5, '板橋', 261, 980, false],
+        ['獨立套房', 7, 3, '府中', 553, 2357, false]
+    ]);
+
+// ===== 篩選條件 =====
+const rooftopListing = { title: '頂加雅房', price: 6000, layout: '雅房頂樓加蓋/5F', subway: '距古亭800公尺', tags: [] };
+const noRooftop = parseFilterCommand('頂加 開', {}).filters;
+const walk500 = parseFilterCommand('步行 500', {}).filters;
+check("Filters: rooftop and walking distance use structured fields",
+    [checkFilterProfile(rooftopListing, noRooftop), checkFilterProfile(rooftopListing, walk500), checkFilterProfile(rooftopListing, {})],
+    ['頂樓加蓋', '距車站 800 公尺', null]);
+check("Filters: display",
+    formatFilterProfile({ ...walk500, noRooftop: true }),
+    '車站500公尺內、近捷運、可開伙、排除頂加');
+
+const floorRange = args => {
+    const { filters } = parseFilterCommand(`樓層 ${args}`, {});
+    return [filters.floorMin, filters.floorMax];
+};
+check("Filters: open-ended floor range with every separator",
+    ['3-', '3~', '3～', '3到'].map(floorRange),
+    [[3, null], [3, null], [3, null], [3, null]]);
+check("Filters: floor range bounds and single floor",
+    ['2-10', '2到10', '-5', '3'].map(floorRange),
+    [[2, 10], [2, 10], [null, 5], [3, 3]]);
+
+if (passed) {
+    console.log("🎉 All normalization tests passed!");
+} else {
+    console.error("💥 Some tests failed.");
+    process.exit(1);
+}
@@ -0,0 +1,227 @@
+// Test script to verify 591 page parsing against saved HTML (no network needed)
+
+const fs = require('fs');
+const path = require('path');
+const {
+    parseListPage,
+    parseListResults,
+    parseListApiResponse,
+    parsePostedAt,
+    sortByPostedAt,
+    parseSectionFilters,
+    detectBlockPage,
+    isEmptyResultPage,
+    parseContactInfo,
+    parseListingDetails,
+    extractLabeledValue,
+    extractPermission,
+    classifyInfoText,
+    parsePrice,
+    isPhoneNumber,
+    extractLineId,
+    extractLandlordName
+} = require('./parsers');
+
+const readFixture = (name) => fs.readFileSync(path.join(__dirname, name), 'utf8');
+
+let passed = true;
+
+function check(name, output, expected) {
+    const isSuccess = JSON.stringify(output) === JSON.stringify(expected);
+    console.log(`[${name}]`);
+    console.log(`Output:   ${JSON.stringify(output)}`);
+    console.log(`Expected: ${JSON.stringify(expected)}`);
+    console.log(`Status:   ${isSuccess ? '✅ PASS' : '❌ FAIL'}\n`);
+    if (!isSuccess) passed = false;
+}
+
+console.log("🔍 Starting Parser Verification...\n");
+
+// ===== 列表頁 =====
+const listings = parseListPage(readFixture('fixtures/list_page.html'));
+
+check("List page: listing count", listings.length, 3);
+check("List page: first listing fields",
+    (({ id, price, address, layout, subway, url }) => ({ id, price, address, layout, subway, url }))(listings[0] || {}),
+    {
+        id: '20505096',
+        price: 42000,
+        address: '富臨極品板橋區-雨農路',
+        layout: '整層住家3房2廳32.6坪13F/14F',
+        subway: '距新埔民生483公尺',
+        url: 'https://rent.591.com.tw/20505096'
+    });
+check("List page: ID from link with query string", listings.map(l => l.id), ['20505096', '20525090', '20412001']);
+check("List page: tags", listings[1]?.tags.includes('可養寵物'), true);
+check("List page: lazy-loaded image uses data-src",
+    listings[0]?.image,
+    'https://img2.591.com.tw/house/2026/01/20/176888182083386607.jpg!1000x.water2.jpg');
+check("List page: no inline placeholder images", listings.every(l => l.images.every(src => src.startsWith('https://'))), true);
+
+const syntheticList = parseListPage(`
+    <div class="item">
+        <div class="item-info-title"><a class="link v-middle" href="/123456">測試套房</a></div>
+        <div class="item-info-txt">中山區-林森北路</div>
+        <div class="item-info-price"><strong>12,000元/月</strong></div>
+        <img src="//img1.591.com.tw/house/a.jpg"><img src="//img1.591.com.tw/house/a.jpg">
+    </div>
+    <div class="item">
+        <div class="item-info-title"><a class="link v-middle" href="/654321">沒有價格的物件</a></div>
+    </div>
+`);
+check("Synthetic list: items without price are skipped", syntheticList.map(l => l.id), ['123456']);
+check("Synthetic list: protocol-relative image, deduped", syntheticList[0]?.images, ['https://img1.591.com.tw/house/a.jpg']);
+
+// ===== 分頁與刊登時間 =====
+const NOW = Date.parse('2026-01-27T12:00:00Z');
+const listResults = parseListResults(readFixture('fixtures/list_page.html'), { now: NOW });
+
+check("List page: pagination", listResults.pagination, { current: 1, last: 476, hasNext: true });
+check("List page: last page has no next",
+    parseListResults('<ul class="paging"><li><a href="/list?page=1">1</a></li><li class="active"><a href="/list?page=2">2</a></li></ul><span class="disabled navigator"><a href="">下一頁</a></span>').pagination,
+    { current: 2, last: 2, hasNext: false });
+check("List page: no paginator (single page)", parseListResults('<div class="item"></div>').pagination, { current: 1, last: 1, hasNext: false });
+check("List page: posted time from role-name row",
+    listResults.listings.map(l => l.postedAt),
+    ['2026-01-27T08:00:00.000Z', '2026-01-20T12:00:00.000Z', '2026-01-10T12:00:00.000Z']);
+check("Relative time formats",
+    ['30分鐘內更新', '剛剛更新', '昨日更新', '2個月前更新', '229人瀏覽', ''].map(text => parsePostedAt(text, NOW)),
+    ['2026-01-27T11:30:00.000Z', '2026-01-27T12:00:00.000Z', '2026-01-26T12:00:00.000Z', '2025-11-28T12:00:00.000Z', '', '']);
+check("Sort by posted time (newest first, unknown last, ties by ID)",
+    sortByPostedAt([
+        { id: '1', postedAt: '' },
+        { id: '2', postedAt: '2026-01-20T00:00:00.000Z' },
+        { id: '3', postedAt: '2026-01-25T00:00:00.000Z' },
+        { id: '4', postedAt: '2026-01-20T00:00:00.000Z' }
+    ]).map(l => l.id),
+    ['3', '4', '2', '1']);
+
+// ===== 列表 API (JSON) =====
+// fixtures/list_api.json 為列表 API 的回應格式，內容與 list_page.html 的 3 筆物件相同
+const apiResult = parseListApiResponse(JSON.parse(readFixture('fixtures/list_api.json')), { now: NOW });
+const pickShared = ({ id, title, price, address, layout, subway, postedAt }) => ({ id, title, price, address, layout, subway, postedAt });
+
+check("List API: total", apiResult.total, 14267);
+check("List API: same fields as list page (fingerprints stay stable)",
+    apiResult.listings.map(pickShared),
+    listResults.listings.map(pickShared));
+check("List API: exact fields",
+    (({ kind, area, floor, totalFloors, subwayDistance, lat, lng }) => ({ kind, area, floor, totalFloors, subwayDistance, lat, lng }))(apiResult.listings[0]),
+    { kind: '整層住家', area: 32.6, floor: 13, totalFloors: 14, subwayDistance: 483, lat: 25.0237, lng: 121.4682 });
+check("List API: older field names and unix post time",
+    (({ id, address, layout, floor, postedAt }) => ({ id, address, layout, floor, postedAt }))(parseListApiResponse({
+        status: 1,
+        data: {
+            data: [{ post_id: 123, title: '頂樓套房', price: '9,500', kind_name: '獨立套房', room_str: '', area: 6, floor_str: 'B1/5F', section_name: '中山區', street_name: '林森北路', ltime: 1769500800 }]
+        }
+    }).listings[0]),
+    { id: '123', address: '中山區-林森北路', layout: '獨立套房6坪B1/5F', floor: -1, postedAt: '2026-01-27T08:00:00.000Z' });
+check("List API: unexpected payload", parseListApiResponse({ status: 0, msg: 'error' }), null);
+
+// ===== 行政區篩選選單 =====
+check("Section filter names",
+    parseSectionFilters(`
+        <div class="options">
+            <button class="section filter-item"><label class="t5-checkbox"><span class="t5-checkbox__text"><!--[-->板橋區<!--]--></span></label></button>
+            <button class="section filter-item"><label class="t5-checkbox"><input class="t5-checkbox__input" type="checkbox" checked><span class="t5-checkbox__text"> 新莊區 </span></label></button>
+            <button class="kind filter-item"><label class="t5-checkbox"><span class="t5-checkbox__text">整層住家</span></label></button>
+        </div>`),
+    ['板橋區', '新莊區']);
+
+// 完整頁面存檔 (tools/dump_page.js 產生) 存在時也一起檢查
+const DUMP_SECTION_COUNTS = { '591_dump.html': 29, 'page_dump.html': 12 };
+['591_dump.html', 'page_dump.html'].forEach(file => {
+    if (!fs.existsSync(path.join(__dirname, file))) return;
+    const html = readFixture(file);
+    const dumped = parseListPage(html);
+    check(`Full dump ${file}: 30 listings with numeric IDs, price and address`,
+        dumped.length === 30 && dumped.every(l => /^\d+$/.test(l.id) && l.price > 0 && l.address),
+        true);
+    check(`Full dump ${file}: section filter names`, parseSectionFilters(html).length, DUMP_SECTION_COUNTS[file]);
+    check(`Full dump ${file}: not a block page`, detectBlockPage(html), null);
+});
+
+// ===== 阻擋 / 驗證頁 =====
+check("Block page: Cloudflare challenge", detectBlockPage(readFixture('fixtures/block_page.html')), '驗證頁 (Just a moment...)');
+check("Block page: HTTP status and rate-limit text",
+    [detectBlockPage('', { status: 429 }), detectBlockPage('<title>591</title><p>您的請求過於頻繁，請稍後再試</p>')],
+    ['HTTP 429', '流量限制 (請求過於頻繁)']);
+check("Block page: normal pages are not blocked",
+    ['fixtures/list_page.html', 'fixtures/detail_page.html'].map(file => detectBlockPage(readFixture(file), { status: 200 })),
+    [null, null]);
+
+// ===== 查無物件 =====
+check("Empty result page: message vs. listings vs. timeout",
+    [
+        isEmptyResultPage('<div class="list-container"><p>沒有找到符合條件的物件，試試放寬條件</p></div>'),
+        isEmptyResultPage(readFixture('fixtures/list_page.html')),
+        isEmptyResultPage('<html><body><div id="app"></div></body></html>')
+    ],
+    [true, false, false]);
+
+// ===== 詳情頁 =====
+const detailHtml = readFixture('fixtures/detail_page.html');
+
+check("Detail page: contact info", parseContactInfo(detailHtml), {
+    phone: '0912-345-678',
+    line: 'rent-zs88',
+    landlordName: '王先生',
+    title: '中山區近捷運電梯套房 乾濕分離',
+    address: '中山區-南京東路二段'
+});
+
+const details = parseListingDetails(detailHtml);
+check("Detail page: equipments and dry/wet separation",
+    { equipments: details.equipments, hasDryWetSeparation: details.hasDryWetSeparation, subwayDistance: details.subwayDistance },
+    { equipments: ['冷氣', '洗衣機', '冰箱', '熱水器'], hasDryWetSeparation: true, subwayDistance: '距松江南京站 120 公尺' });
+check("Detail page: lease terms (description ignored)",
+    { deposit: details.deposit, managementFee: details.managementFee, minLease: details.minLease, moveInDate: details.moveInDate },
+    { deposit: '二個月', managementFee: '1,000元/月', minLease: '一年', moveInDate: '隨時' });
+check("Detail page: utilities",
+    { electricity: details.electricity, water: details.water, internetFee: details.internetFee, parkingFee: details.parkingFee, rentIncludes: details.rentIncludes },
+    { electricity: '5元/度', water: '', internetFee: '', parkingFee: '', rentIncludes: '水費、網路' });
+check("Detail page: register / tax / subsidy (description included)",
+    { canRegister: details.canRegister, canFileTax: details.canFileTax, canSubsidy: details.canSubsidy },
+    { canRegister: true, canFileTax: false, canSubsidy: true });
+check("Detail page: labelled values with colon or on the next line",
+    [extractLabeledValue('管理費：含租金內', ['管理費']), extractLabeledValue('押金\n2個月', ['押金']), extractLabeledValue('租金含 管理費、水費', ['管理費'])],
+    ['含租金內', '2個月', '']);
+check("Detail page: permission wording",
+    ['可以入籍', '入籍：否', '入籍 可', '可入籍 不可報稅', '入籍限本人', '不可申請租補'].map(text => extractPermission(text, '入籍')),
+    [true, false, true, true, null, null]);
+
+check("Detail page: LINE button only (no ID in text)",
+    parseContactInfo('<button data-gtm-behavior="line_friend">LINE聯絡</button>').line,
+    '有LINE聯絡');
+check("Detail page: landlord from fallback selector",
+    parseContactInfo('<div class="econ-name">仲介：陳小姐</div>').landlordName,
+    '陳小姐');
+check("Detail page: phone from tel link",
+    parseContactInfo('<div class="info-host-word"><a href="tel:0223456789"></a></div>').phone,
+    '0223456789');
+
+// ===== 正規表示式 =====
+check("Phone formats",
+    ['0912-345-678', '0912 345 678', '02-2345-6789', '0223456789轉123', '12345', '0912-345'].map(isPhoneNumber),
+    [true, true, true, true, false, false]);
+check("LINE ID from page text",
+    ['LINE：abc_123', 'line id: foo', 'Line : bar.baz', '請用LINE聯絡'].map(extractLineId),
+    ['abc_123', '', 'bar.baz', '']);
+check("Landlord name from page text",
+    ['屋主: 王先生(屋主)', '仲介：段小姐 4小時內更新', '房東:林太太', '聯絡人 李先生'].map(extractLandlordName),
+    ['王先生', '段小姐', '林太太', '']);
+
+// ===== 分類規則 =====
+check("Info text classification",
+    ['板橋區-雨農路', '信義區-松仁路', '距新埔民生483公尺', '近捷運', '整層住家3房2廳32.6坪', '獨立套房7坪3F/4F', '仲介段小姐4小時內更新'].map(classifyInfoText),
+    ['address', 'address', 'subway', 'subway', 'layout', 'layout', null]);
+check("Price parsing",
+    ['42,000', '12,000元/月', '', 'abc'].map(parsePrice),
+    [42000, 12000, 0, 0]);
+
+if (passed) {
+    console.log("🎉 All parser tests passed!");
+} else {
+    console.error("💥 Some tests failed.");
+    process.exit(1);
+}
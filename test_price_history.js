@@ -0,0 +1,61 @@
+// Test script to verify price-drop and relisting detection
+
+const { listingFingerprint, detectListingChanges, formatPriceTrail } = require('./priceHistory');
+
+const withFingerprint = (listing) => ({ ...listing, fingerprint: listingFingerprint(listing) });
+
+const stored = withFingerprint({ id: '100', title: '近捷運 乾濕分離套房!', address: '中山區-南京東路二段', layout: '1房1廳', price: 12000 });
+const snapshots = new Map([[stored.id, { id: stored.id, price: stored.price, fingerprint: stored.fingerprint }]]);
+
+const testCases = [
+    {
+        name: "Same ID, lower price (Price drop)",
+        listing: withFingerprint({ ...stored, price: 11000 }),
+        expected: { priceChanges: 1, relisted: 0 }
+    },
+    {
+        name: "Same ID, same price (No change)",
+        listing: withFingerprint({ ...stored }),
+        expected: { priceChanges: 0, relisted: 0 }
+    },
+    {
+        name: "New ID, same title/address/layout with different spacing (Relisted)",
+        listing: withFingerprint({ ...stored, id: '200', title: '近捷運乾濕分離套房', price: 11500 }),
+        expected: { priceChanges: 0, relisted: 1 }
+    },
+    {
+        name: "New ID, different address (Brand new listing)",
+        listing: withFingerprint({ ...stored, id: '300', address: '大安區-復興南路' }),
+        expected: { priceChanges: 0, relisted: 0 }
+    }
+];
+
+console.log("🔍 Starting Price History Verification...\n");
+
+let passed = true;
+testCases.forEach(test => {
+    const result = detectListingChanges([test.listing], snapshots);
+    const output = { priceChanges: result.priceChanges.length, relisted: result.relisted.length };
+    const isSuccess = output.priceChanges === test.expected.priceChanges && output.relisted === test.expected.relisted;
+
+    console.log(`[${test.name}]`);
+    console.log(`Output:   ${JSON.stringify(output)}`);
+    console.log(`Expected: ${JSON.stringify(test.expected)}`);
+    console.log(`Status:   ${isSuccess ? '✅ PASS' : '❌ FAIL'}\n`);
+
+    if (!isSuccess) passed = false;
+});
+
+const trail = formatPriceTrail([{ price: 13000 }, { price: 12000 }, { price: 12000 }, { price: 11000 }]);
+const trailSuccess = trail === '13,000 → 12,000 → 11,000';
+console.log(`[Price trail]`);
+console.log(`Output:   ${trail}`);
+console.log(`Status:   ${trailSuccess ? '✅ PASS' : '❌ FAIL'}\n`);
+if (!trailSuccess) passed = false;
+
+if (passed) {
+    console.log("🎉 All price history tests passed!");
+} else {
+    console.error("💥 Some tests failed.");
+    process.exit(1);
+}
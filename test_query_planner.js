@@ -0,0 +1,131 @@
+// Test script to verify scheduled crawl query planning and per-user matching (no network needed)
+
+const { buildQueryPlan, getSearchQueries } = require('./queryPlanner');
+const { matchListingsForSearch, matchStoredListingsForSearch } = require('./scraper');
+
+let passed = true;
+
+function check(name, output, expected) {
+    const isSuccess = JSON.stringify(output) === JSON.stringify(expected);
+    console.log(`[${name}]`);
+    console.log(`Output:   ${JSON.stringify(output)}`);
+    console.log(`Expected: ${JSON.stringify(expected)}`);
+    console.log(`Status:   ${isSuccess ? '✅ PASS' : '❌ FAIL'}\n`);
+    if (!isSuccess) passed = false;
+}
+
+console.log("🔍 Starting Query Planner Verification...\n");
+
+const zhongshan = { region: 1, section: 3, name: '台北市-中山區' };
+const yonghe = { region: 3, section: 37, name: '新北市-永和區' };
+const summarize = plan => plan.queries.map(q => [q.target.name, q.keywords, q.minRent, q.maxRent, q.searchIndexes]);
+
+// ===== 合併查詢 =====
+const tenUsers = Array.from({ length: 10 }, (_, i) => ({
+    userId: `U${i}`,
+    targets: [zhongshan],
+    minRent: 8000 + i * 500,
+    maxRent: 12000 + i * 500
+}));
+check("Ten users watching the same district share one query at the widest price range",
+    summarize(buildQueryPlan(tenUsers)),
+    [['台北市-中山區', '', 8000, 16500, [0, 1, 2, 3, 4, 5, 6, 7, 8, 9]]]);
+
+check("Disjoint price bands are searched separately",
+    summarize(buildQueryPlan([
+        { targets: [zhongshan], minRent: 8000, maxRent: 12000 },
+        { targets: [zhongshan], minRent: 30000, maxRent: 40000 },
+        { targets: [zhongshan, yonghe], minRent: 11000, maxRent: 15000 }
+    ])),
+    [
+        ['台北市-中山區', '', 8000, 15000, [0, 2]],
+        ['台北市-中山區', '', 30000, 40000, [1]],
+        ['新北市-永和區', '', 11000, 15000, [2]]
+    ]);
+
+check("No upper limit (maxRent 0) covers every band above it",
+    summarize(buildQueryPlan([
+        { targets: [zhongshan], minRent: 8000, maxRent: 0 },
+        { targets: [zhongshan], minRent: 30000, maxRent: 40000 },
+        { targets: [zhongshan], minRent: 5000, maxRent: 7000 }
+    ])),
+    [
+        ['台北市-中山區', '', 5000, 7000, [2]],
+        ['台北市-中山區', '', 8000, 0, [0, 1]]
+    ]);
+
+check("Different keywords and site-side filters are different queries; local-only filters are shared",
+    summarize(buildQueryPlan([
+        { targets: [zhongshan], minRent: 8000, maxRent: 12000, keywords: '電梯' },
+        { targets: [zhongshan], minRent: 8000, maxRent: 12000, filters: { minArea: 10 } },
+        { targets: [zhongshan], minRent: 8000, maxRent: 12000, filters: { floorMin: 2 } },
+        { targets: [zhongshan], minRent: 8000, maxRent: 12000, keywords: '電梯 | 陽台' },
+        { targets: [zhongshan], minRent: 8000, maxRent: 12000 }
+    ])),
+    [
+        ['台北市-中山區', '電梯', 8000, 12000, [0, 3]],
+        ['台北市-中山區', '', 8000, 12000, [1]],
+        ['台北市-中山區', '', 8000, 12000, [2, 4]],
+        ['台北市-中山區', '陽台', 8000, 12000, [3]]
+    ]);
+
+check("Total-cost searches widen the lower bound",
+    summarize(buildQueryPlan([{ targets: [zhongshan], minRent: 10000, maxRent: 15000, costProfile: JSON.stringify({ basis: 'total' }) }])),
+    [['台北市-中山區', '', 5000, 15000, [0]]]);
+
+check("Unknown sources are skipped",
+    buildQueryPlan([{ source: 'nope', targets: [zhongshan], minRent: 8000, maxRent: 12000 }]).queries.length,
+    0);
+
+// ===== 依用戶條件比對 =====
+const plan = buildQueryPlan([
+    { userId: 'A', targets: [zhongshan], minRent: 8000, maxRent: 10000 },
+    { userId: 'B', targets: [zhongshan], minRent: 9000, maxRent: 14000, keywords: '-頂加' }
+]);
+const listingsByQuery = new Map([[plan.queries[0].id, [
+    { id: '1', title: '中山套房', price: 8500, tags: [], postedAt: '2026-10-01' },
+    { id: '2', title: '頂加雅房', price: 9500, tags: [], postedAt: '2026-10-02' },
+    { id: '3', title: '中山一房', price: 13000, tags: [], postedAt: '2026-10-03' }
+]]]);
+const matchIds = index => matchListingsForSearch(plan.searches[index], getSearchQueries(plan, index), listingsByQuery).listings.map(l => l.id);
+check("Each user's matches are computed locally from the shared results",
+    [matchIds(0), matchIds(1)],
+    [['2', '1'], ['3']]);
+
+const matched = matchListingsForSearch(plan.searches[0], getSearchQueries(plan, 0), listingsByQuery).listings[0];
+check("Matches are per-user copies tagged with the district",
+    [matched.region, matched === listingsByQuery.get(plan.queries[0].id)[1]],
+    ['台北市-中山區', false]);
+
+// ===== 週報：從所有用戶爬到的物件中比對 =====
+const weeklyPlan = buildQueryPlan([
+    { userId: 'A', targets: [zhongshan], minRent: 8000, maxRent: 15000, keywords: '陽台', filters: { kind: '獨立套房', pets: true, nearSubway: false, cook: false } },
+    { userId: 'B', targets: [zhongshan], minRent: 8000, maxRent: 15000, keywords: '-頂加', filters: { nearSubway: false, cook: false } }
+]);
+const stored = (id, title, layout, price, tags = [], region = '台北市-中山區') =>
+    ({ id, title, layout, price, tags, region, address: region.replace('-', ''), postedAt: `2026-10-0${id}` });
+const recentListings = [
+    stored('1', '中山陽台套房', '獨立套房5坪3F/5F', 10000, ['可養寵物']),
+    stored('2', '中山雅房', '雅房3坪2F/5F', 9000),
+    stored('3', '陽台套房 不可養寵物', '獨立套房6坪4F/5F', 11000),
+    stored('4', '陽台套房', '獨立套房4坪6F/5F', 12000, '頂加, 近捷運'),
+    stored('5', '大安陽台套房', '獨立套房5坪3F/5F', 10000, [], '台北市-大安區'),
+    stored('6', '中山陽台整層', '整層住家2房1廳20坪5F/12F', 14000)
+];
+const weekly = index => matchStoredListingsForSearch(weeklyPlan.searches[index], recentListings);
+check("Weekly report applies each search's keywords and filters to the shared pool",
+    [weekly(0).listings.map(l => l.id), weekly(1).listings.map(l => l.id)],
+    [['4', '1'], ['6', '3', '2', '1']]);
+check("Weekly report match logs",
+    weekly(0).logs,
+    ['🚫 不在搜尋地區過濾掉 1 間物件', '🚫 不含關鍵字過濾掉 1 間物件', '🚫 不符合網站篩選條件過濾掉 1 間物件', '🚫 篩選條件過濾掉 1 間物件']);
+check("Weekly report keeps matched keywords per search",
+    weekly(0).listings.map(l => l.matchedKeywords),
+    [['陽台'], ['陽台']]);
+
+if (passed) {
+    console.log("🎉 All query planner tests passed!");
+} else {
+    console.error("💥 Some tests failed.");
+    process.exit(1);
+}
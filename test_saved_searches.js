@@ -0,0 +1,153 @@
+// Test script to verify named saved searches: management commands, active-search editing and schedules (no network needed)
+
+const {
+    getUserSearches,
+    getActiveSearch,
+    findSearch,
+    isRegionName,
+    applyActiveSearch,
+    buildSearchUpdate,
+    addSearch,
+    switchSearch,
+    renameSearch,
+    setSearchPaused,
+    deleteSearch,
+    setSearchSchedule,
+    formatSearchList,
+    MAX_SAVED_SEARCHES
+} = require('./savedSearches');
+const { buildQueryPlan } = require('./queryPlanner');
+
+let passed = true;
+
+function check(name, output, expected) {
+    const isSuccess = JSON.stringify(output) === JSON.stringify(expected);
+    console.log(`[${name}]`);
+    console.log(`Output:   ${JSON.stringify(output)}`);
+    console.log(`Expected: ${JSON.stringify(expected)}`);
+    console.log(`Status:   ${isSuccess ? '✅ PASS' : '❌ FAIL'}\n`);
+    if (!isSuccess) passed = false;
+}
+
+// 模擬 storage.updateUserSettings
+function apply(user, result) {
+    if (!result.settings) throw new Error(result.error);
+    return { ...user, ...result.settings };
+}
+
+console.log("🔍 Starting Saved Search Verification...\n");
+
+const daan = JSON.stringify([{ region: 1, section: 5, name: '台北市-大安區' }]);
+const yonghe = JSON.stringify([{ region: 3, section: 38, name: '新北市-永和區' }]);
+let user = {
+    userId: 'U1', region: '大安區', targets: daan, minRent: 8000, maxRent: 12000,
+    keywords: '套房', filters: '', costProfile: '', searches: '', activeSearch: ''
+};
+
+// ===== 預設搜尋 =====
+check("Default search comes from the user row",
+    getUserSearches(user).map(s => [s.id, s.name, s.schedule, s.paused, s.keywords]),
+    [['default', '預設', 'weekly', false, '套房']]);
+check("Single search has no push label",
+    applyActiveSearch(user).searchName,
+    '');
+check("Default search updates pass through",
+    buildSearchUpdate(user, { keywords: '陽台', region: '大安區' }),
+    { keywords: '陽台', region: '大安區' });
+
+// ===== 新增與編輯 =====
+user = apply(user, addSearch(user, '永和兩房'));
+const saved = getActiveSearch(user);
+check("Added search copies the active conditions and becomes active",
+    [saved.name, saved.targets, saved.minRent, saved.keywords, user.activeSearch === saved.id],
+    ['永和兩房', daan, 8000, '套房', true]);
+
+user = apply(user, { settings: buildSearchUpdate(user, { targets: yonghe, region: '永和區', maxRent: 18000, keywords: '兩房' }) });
+check("Edits go to the active saved search only",
+    [user.targets, user.region, user.keywords, getActiveSearch(user).targets, getActiveSearch(user).maxRent, getActiveSearch(user).keywords],
+    [daan, '大安區', '套房', yonghe, 18000, '兩房']);
+
+const active = applyActiveSearch(user);
+check("Active search is applied on read",
+    [active.targets, active.minRent, active.maxRent, active.keywords, active.region, active.searchName],
+    [yonghe, 8000, 18000, '兩房', '永和區', '永和兩房']);
+
+check("Name validation",
+    [addSearch(user, '永和兩房').error, addSearch(user, '').error, addSearch(user, '2').error, addSearch(user, '一二三四五六七八九十一二三').error],
+    ['❌ 已經有名為「永和兩房」的搜尋', '❓ 請輸入搜尋名稱\n範例：新增搜尋 永和兩房', '❌ 搜尋名稱不能只有數字', '❌ 搜尋名稱最多 12 個字']);
+
+check("Region names are reserved for 搜尋 <地區>",
+    [isRegionName('預設'), isRegionName('中山'), isRegionName('東區'), isRegionName('中山站'), isRegionName('永和兩房'),
+        addSearch(user, '永和').error, addSearch(user, '全部').error],
+    [true, true, true, true, false,
+        '❌ 「永和」是地區名稱，「搜尋 永和」會切換地區，請換一個搜尋名稱', '❌ 「全部」是地區名稱，「搜尋 全部」會切換地區，請換一個搜尋名稱']);
+
+let full = user;
+for (let i = getUserSearches(full).length; i <= MAX_SAVED_SEARCHES; i++) full = apply(full, addSearch(full, `搜尋${i}`));
+check("Saved search limit",
+    [getUserSearches(full).length, addSearch(full, '再一組').error],
+    [MAX_SAVED_SEARCHES + 1, `❌ 最多只能儲存 ${MAX_SAVED_SEARCHES} 組命名搜尋，請先刪除不用的搜尋`]);
+
+// ===== 管理指令 =====
+user = apply(user, switchSearch(user, '1'));
+check("Switch by list number back to the default search",
+    [user.activeSearch, getActiveSearch(user).name, applyActiveSearch(user).searchName],
+    ['', '預設', '預設']);
+check("Find by name ignores numbers when asked",
+    [findSearch(getUserSearches(user), '永和兩房')?.name, findSearch(getUserSearches(user), '2', { allowNumber: false })],
+    ['永和兩房', null]);
+
+user = apply(user, renameSearch(user, '預設 大安套房'));
+user = apply(user, renameSearch(user, '永和兩房 永和2房'));
+check("Rename saved and default searches",
+    getUserSearches(user).map(s => s.name),
+    ['大安套房', '永和2房']);
+check("Default search may take back its name, other searches may not",
+    [renameSearch(user, '大安套房 預設').error, renameSearch(user, '永和2房 預設').error],
+    [null, '❌ 「預設」是地區名稱，「搜尋 預設」會切換地區，請換一個搜尋名稱']);
+check("Rename needs a new name",
+    renameSearch(user, '永和2房').error,
+    '❓ 請輸入新名稱\n範例：重新命名搜尋 永和兩房 永和2房');
+
+user = apply(user, setSearchSchedule(user, '永和2房 每日'));
+user = apply(user, setSearchPaused(user, '大安套房', true));
+check("Schedule and pause",
+    getUserSearches(user).map(s => [s.name, s.schedule, s.paused]),
+    [['大安套房', 'weekly', true], ['永和2房', 'daily', false]]);
+check("Schedule needs a mode",
+    setSearchSchedule(user, '永和2房').error,
+    '❓ 請指定通知方式：每日 / 每週 / 關\n範例：搜尋通知 永和兩房 每日');
+
+check("Search list",
+    formatSearchList(user),
+    '🔖 我的搜尋 (👉 為目前編輯中的搜尋)\n\n' +
+    '1. 👉 大安套房\n   📍 大安區 / 💰 8,000-12,000 元\n   ⏸️ 已暫停\n\n' +
+    '2. 永和2房\n   📍 永和區 / 💰 8,000-18,000 元\n   🔔 每日推播');
+
+// ===== 排程合併 =====
+user = apply(user, setSearchPaused(user, '大安套房', false));
+const plan = buildQueryPlan(getUserSearches(user).map(search => ({ userId: user.userId, searchName: search.name, ...search, targets: JSON.parse(search.targets) })));
+check("Each search is matched separately in the scheduled crawl",
+    [plan.queries.map(q => [q.target.name, q.searchIndexes]), plan.searches.map(s => s.searchName)],
+    [[['台北市-大安區', [0]], ['新北市-永和區', [1]]], ['大安套房', '永和2房']]);
+
+// ===== 刪除 =====
+check("Default search cannot be deleted",
+    !!deleteSearch(user, '大安套房').error,
+    true);
+user = apply(user, switchSearch(user, '永和2房'));
+const deleted = deleteSearch(user, '永和2房');
+user = apply(user, deleted);
+check("Deleting the active search switches back to the default",
+    [deleted.message, user.activeSearch, getUserSearches(user).map(s => s.name)],
+    ['🗑️ 已刪除搜尋「永和2房」', '', ['大安套房']]);
+check("Unknown search",
+    switchSearch(user, '火星').error,
+    '❌ 找不到搜尋：火星\n輸入「搜尋列表」查看所有搜尋');
+
+if (passed) {
+    console.log("🎉 All saved search tests passed!");
+} else {
+    console.error("💥 Some tests failed.");
+    process.exit(1);
+}
@@ -0,0 +1,108 @@
+// Test script to verify listing source adapters against saved HTML (no network needed)
+
+const fs = require('fs');
+const path = require('path');
+const {
+    listSources,
+    getSource,
+    validateAdapter,
+    toListingId,
+    parseListingId,
+    resolveListing,
+    getListingUrl
+} = require('./sources');
+
+let passed = true;
+
+function check(name, output, expected) {
+    const isSuccess = JSON.stringify(output) === JSON.stringify(expected);
+    console.log(`[${name}]`);
+    console.log(`Output:   ${JSON.stringify(output)}`);
+    console.log(`Expected: ${JSON.stringify(expected)}`);
+    console.log(`Status:   ${isSuccess ? '✅ PASS' : '❌ FAIL'}\n`);
+    if (!isSuccess) passed = false;
+}
+
+function readFixture(file) {
+    return fs.readFileSync(path.join(__dirname, file), 'utf8');
+}
+
+/**
+ * 以固定 HTML 模擬 Playwright 頁面 (只實作轉接器會用到的方法)
+ */
+function createFixturePage(html, status = 200) {
+    return {
+        goto: async () => ({ status: () => status }),
+        content: async () => html,
+        waitForSelector: async () => {},
+        waitForResponse: () => Promise.reject(new Error('no api')),
+        waitForTimeout: async () => {},
+        evaluate: async () => '',
+        url: () => ''
+    };
+}
+
+console.log("🔍 Starting Source Adapter Verification...\n");
+
+// ===== 介面 =====
+listSources().forEach(source => {
+    check(`Adapter ${source.id}: implements the full interface`, validateAdapter(source), []);
+});
+check("Adapter validation reports missing methods", validateAdapter({ id: 'x', name: 'X', searchUrl() {} }).slice(0, 3), ['search', 'listingUrl', 'parseListPage']);
+
+// ===== 物件 ID =====
+check("Listing IDs: default source keeps plain IDs",
+    [toListingId('591', 123), parseListingId('123'), getListingUrl('123')],
+    ['123', { source: '591', nativeId: '123' }, 'https://rent.591.com.tw/123']);
+check("Listing IDs: other sources are prefixed",
+    [toListingId('sinyi', 'A9'), parseListingId('sinyi:A9'), resolveListing('sinyi:A9').source],
+    ['sinyi:A9', { source: 'sinyi', nativeId: 'A9' }, null]);
+
+// ===== 591 =====
+const rent591 = getSource('591');
+const listHtml = readFixture('fixtures/list_page.html');
+const detailHtml = readFixture('fixtures/detail_page.html');
+
+const parsedList = rent591.parseListPage(listHtml);
+check("591: list page listings carry source and listing URLs",
+    parsedList.listings.map(l => [l.source, l.url === rent591.listingUrl(l.id)]),
+    [['591', true], ['591', true], ['591', true]]);
+check("591: detail and contact parsing",
+    [rent591.parseDetailPage(detailHtml).deposit, rent591.parseContactInfo(detailHtml).phone],
+    ['二個月', '0912-345-678']);
+
+const searchUrl = new URL(rent591.searchUrl({ region: 1, section: 3 }, { minRent: 8000, maxRent: 12000, keywords: '電梯', filters: {} }));
+check("591: search URL",
+    ['region', 'section', 'price', 'keywords'].map(key => searchUrl.searchParams.get(key)),
+    ['1', '3', '8000_12000', '電梯']);
+
+(async () => {
+    const target = { region: 1, section: 3, name: '台北市-中山區' };
+    const options = { minRent: 8000, maxRent: 12000, filters: {}, maxPages: 1, mode: 'dom' };
+
+    const found = await rent591.search(createFixturePage(listHtml), target, options);
+    check("591: search against saved list page",
+        { count: found.listings.length, pages: found.pages, blocked: found.blocked, error: found.error },
+        { count: 3, pages: 1, blocked: null, error: null });
+
+    const lease = { identity: null, retire() { this.retired = true; } };
+    const blocked = await rent591.search(createFixturePage(readFixture('fixtures/block_page.html')), target, { ...options, lease });
+    check("591: search against saved block page",
+        { count: blocked.listings.length, blocked: blocked.blocked, retired: lease.retired },
+        { count: 0, blocked: '驗證頁 (Just a moment...)', retired: true });
+
+    check("591: listing status classification",
+        [
+            rent591.classifyListingPage({ httpStatus: 404, finalUrl: '', listingId: '12345', bodyText: '' }),
+            rent591.classifyListingPage({ httpStatus: 200, finalUrl: 'https://rent.591.com.tw/12345', listingId: '12345', bodyText: '此房屋已出租' }),
+            rent591.classifyListingPage({ httpStatus: 200, finalUrl: 'https://rent.591.com.tw/list', listingId: '12345', bodyText: '租屋' })
+        ],
+        ['removed', 'rented', 'removed']);
+
+    if (passed) {
+        console.log("🎉 All source adapter tests passed!");
+    } else {
+        console.error("💥 Some tests failed.");
+        process.exit(1);
+    }
+})();
@@ -1,78 +0,0 @@
-const axios = require('axios');
-
-async function fetchDistricts() {
-    try {
-        // 591 API to get regions/sections often requires a specific endpoint or parsing the main page
-        // A common endpoint: https://rent.591.com.tw/?kind=0&region=1
-        // But the filter data is loaded dynamically.
-        // Let's try to fetch the filter data directly if known, or just parse the desktop page.
-
-        // Actually, the easiest way is to use the existing scraper mechanism but dump the filter map.
-        // But running playwright is heavy. 
-        // Let's try to fetch a known API endpoint for mobile/app if possible, or just the main page.
-
-        // Let's try fetching the main rental page and extracting the JSON data often embedded in script.
-        const response = await axios.get('https://rent.591.com.tw/?kind=0&region=1');
-        const html = response.data;
-
-        // Look for something that looks like district data
-        // Often in a variable `window.__NUXT__` or similar.
-
-        console.log("Fetching 591 main page...");
-
-        // To be safe, let's just use a hardcoded list of known 591 IDs from a reliable source or previous knowledge 
-        // because parsing broken HTML is flaky. 
-        // However, the issue implies my hardcoded list MIGHT be wrong.
-
-        // Let's verify standard IDs:
-        // Taipei=1, NewTaipei=3.
-        // Sections:
-        // Banqiao=26, Xinzhuang=30, Zhonghe=29, Yonghe=37.
-        // Verification: Check a URL for Zhonghe.
-        // https://rent.591.com.tw/?region=3&section=29 => Should be Zhonghe.
-        // If user says "Searched Shiding", maybe Shiding is 29? No, Shiding is usually obscure.
-
-        // Let's try to run a quick puppeteer/playwright script to check the IDs from the site elements.
-
-        const { chromium } = require('playwright');
-        const browser = await chromium.launch({ headless: true });
-        const page = await browser.newPage();
-        await page.goto('https://rent.591.com.tw/?region=3'); // New Taipei
-
-        await page.waitForSelector('.search-location-span');
-        await page.click('.search-location-span'); // Open location picker
-
-        // This might be tricky to click through. 
-        // Let's try to find the data in the page source first.
-
-        // Actually, let's just search "中和" and see what URL parameter it generates.
-        const sections = await page.evaluate(() => {
-            // Try to find the filter buttons
-            // The structure varies. 
-            // Let's assume standard Desktop UI.
-            // Usually there is a list of districts.
-            const links = document.querySelectorAll('li[data-id]');
-            const result = {};
-            links.forEach(li => {
-                const name = li.innerText;
-                const id = li.getAttribute('data-id');
-                if (id) result[name] = id;
-            });
-            return result;
-        });
-
-        console.log('Detected Sections:', JSON.stringify(sections, null, 2));
-        await browser.close();
-
-    } catch (error) {
-        console.error('Error:', error.message);
-    }
-}
-
-// Since I cannot easily run playwright in this reduced env without ensureBrowserInstalled which is in scraper.js,
-// I'll reuse scraper.js? No, it's a module.
-// I will create a standalone script that uses the installed playwright.
-// I need valid package.json for that? Checking if playwright is installed.
-// It should be.
-
-// Let's just create a simpler script using `scraper.js` if possible, or a new file.
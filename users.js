@@ -4,106 +4,25 @@
  */
 
 const { google } = require('googleapis');
+const { COUNTIES, getCounty, resolvePlaces, buildSectionMap } = require('./geography');
 
 // Google Sheets 設定
 const SPREADSHEET_ID = process.env.GOOGLE_SHEETS_ID;
 const SHEET_NAME = '用戶設定';
 
-// 支援的縣市對照表
-const REGIONS = {
-    '台北': 1, '台北市': 1,
-    '新北': 3, '新北市': 3,
-    '基隆': 4, '基隆市': 4,
-    '桃園': 5, '桃園市': 5,
-    '新竹市': 6,
-    '新竹縣': 7,
-    '新竹': 6,
-    '苗栗': 8, '苗栗縣': 8,
-    '台中': 10, '台中市': 10,
-    '彰化': 11, '彰化縣': 11,
-    '南投': 12, '南投縣': 12,
-    '雲林': 13, '雲林縣': 13,
-    '嘉義市': 14,
-    '嘉義縣': 15,
-    '嘉義': 14,
-    '台南': 17, '台南市': 17,
-    '高雄': 19, '高雄市': 19,
-    '屏東': 21, '屏東縣': 21,
-    '宜蘭': 22, '宜蘭縣': 22,
-    '花蓮': 23, '花蓮縣': 23,
-    '台東': 24, '台東縣': 24
-};
+// 支援的縣市對照表 (名稱 / 別名 → 縣市代碼，資料見 geography.json)
+const REGIONS = {};
+COUNTIES.forEach(county => {
+    [county.name, ...county.aliases].forEach(alias => {
+        REGIONS[alias] = county.id;
+    });
+});
 
 // 地區代碼轉名稱
-const REGION_NAMES = {
-    1: '台北市',
-    3: '新北市',
-    4: '基隆市',
-    5: '桃園市',
-    6: '新竹市',
-    7: '新竹縣',
-    8: '苗栗縣',
-    10: '台中市',
-    11: '彰化縣',
-    12: '南投縣',
-    13: '雲林縣',
-    14: '嘉義市',
-    15: '嘉義縣',
-    17: '台南市',
-    19: '高雄市',
-    21: '屏東縣',
-    22: '宜蘭縣',
-    23: '花蓮縣',
-    24: '台東縣'
-};
+const REGION_NAMES = Object.fromEntries(COUNTIES.map(county => [county.id, county.name]));
 
-// 行政區對照表 (台北/新北)
-const SECTIONS = {
-    // 台北市 (Region 1)
-    '中正區': 1, '中正': 1,
-    '大同區': 2, '大同': 2,
-    '中山區': 3, '中山': 3,
-    '松山區': 4, '松山': 4,
-    '大安區': 5, '大安': 5,
-    '萬華區': 6, '萬華': 6,
-    '信義區': 7, '信義': 7,
-    '士林區': 8, '士林': 8,
-    '北投區': 9, '北投': 9,
-    '內湖區': 10, '內湖': 10,
-    '南港區': 11, '南港': 11,
-    '文山區': 12, '文山': 12,
-
-    // 新北市 (Region 3) - 2024 Verified IDs
-    '板橋區': 26, '板橋': 26,
-    '三重區': 43, '三重': 43,
-    '中和區': 38, '中和': 38,
-    '永和區': 37, '永和': 37,
-    '新莊區': 44, '新莊': 44,
-    '新店區': 34, '新店': 34,
-    '淡水區': 50, '淡水': 50,
-    '土城區': 39, '土城': 39,
-    '蘆洲區': 47, '蘆洲': 47,
-    '汐止區': 27, '汐止': 27,
-    '樹林區': 41, '樹林': 41,
-    '鶯歌區': 42, '鶯歌': 42,
-    '三峽區': 40, '三峽': 40,
-    '林口區': 46, '林口': 46,
-    '五股區': 48, '五股': 48,
-    '泰山區': 45, '泰山': 45,
-    '八里區': 49, '八里': 49,
-    '瑞芳區': 30, '瑞芳': 30,
-    '深坑區': 28, '深坑': 28,
-    '石碇區': 29, '石碇': 29,
-    '坪林區': 35, '坪林': 35,
-    '平溪區': 31, '平溪': 31,
-    '雙溪區': 32, '雙溪': 32,
-    '貢寮區': 33, '貢寮': 33,
-    '金山區': 53, '金山': 53, // 推測
-    '萬里區': 54, '萬里': 54, // 推測
-    '烏來區': 36, '烏來': 36,
-    '三芝區': 51, '三芝': 51,
-    '石門區': 52, '石門': 52
-};
+// 行政區對照表 (台北/新北，其他縣市請用 geography.js 查詢)
+const SECTIONS = buildSectionMap([1, 3]);
 
 // 預設用戶設定
 const DEFAULT_SETTINGS = {
@@ -112,9 +31,42 @@ const DEFAULT_SETTINGS = {
     minRent: 8000,
     maxRent: 15000,
     keywords: '',
-    subscribed: true
+    subscribed: true,
+    filters: '',
+    priceAlert: 'favorites',
+    costProfile: '',
+    searches: '',
+    activeSearch: ''
 };
 
+// 用戶設定欄位 (A ~ P)
+const USER_HEADERS = ['userId', 'displayName', 'region', 'regionCode', 'minRent', 'maxRent', 'keywords', 'subscribed', 'createdAt', 'updatedAt', 'targets', 'filters', 'priceAlert', 'costProfile', 'searches', 'activeSearch'];
+const LAST_COLUMN = 'P';
+
+/**
+ * 將工作表的一列轉為用戶物件
+ */
+function rowToUser(row) {
+    return {
+        userId: row[0],
+        displayName: row[1] || '',
+        region: row[2] || DEFAULT_SETTINGS.region,
+        regionCode: parseInt(row[3]) || DEFAULT_SETTINGS.regionCode,
+        minRent: parseInt(row[4]) || DEFAULT_SETTINGS.minRent,
+        maxRent: parseInt(row[5]) || DEFAULT_SETTINGS.maxRent,
+        keywords: row[6] || '',
+        subscribed: row[7] === 'TRUE',
+        createdAt: row[8],
+        updatedAt: row[9],
+        targets: row[10] || '', // targets JSON 字串
+        filters: row[11] || '', // filters JSON 字串
+        priceAlert: row[12] || DEFAULT_SETTINGS.priceAlert,
+        costProfile: row[13] || '', // 用量設定 JSON 字串 (見 cost.parseCostProfile)
+        searches: row[14] || '', // 命名搜尋 JSON 字串 (見 savedSearches.js)
+        activeSearch: row[15] || '' // 目前編輯中的命名搜尋 ID ('' = 預設搜尋)
+    };
+}
+
 let sheetsClient = null;
 
 /**
@@ -145,11 +97,11 @@ async function initSheets() {
 }
 
 /**
- * 確保用戶設定工作表存在，且標題列包含 targets 欄位
+ * 確保用戶設定工作表存在，且標題列包含所有欄位
  */
 async function ensureUserSheet() {
     const sheets = await initSheets();
-    const headers = ['userId', 'displayName', 'region', 'regionCode', 'minRent', 'maxRent', 'keywords', 'subscribed', 'createdAt', 'updatedAt', 'targets'];
+    const headers = USER_HEADERS;
 
     try {
         const response = await sheets.spreadsheets.get({
@@ -171,33 +123,34 @@ async function ensureUserSheet() {
                 }
             });
 
-            // 添加標題列 (11 欄: 含 targets)
+            // 添加標題列
             await sheets.spreadsheets.values.update({
                 spreadsheetId: SPREADSHEET_ID,
-                range: `${SHEET_NAME}!A1:K1`,
+                range: `${SHEET_NAME}!A1:${LAST_COLUMN}1`,
                 valueInputOption: 'RAW',
                 requestBody: { values: [headers] }
             });
 
             console.log(`✅ 建立用戶設定工作表`);
         } else {
-            // 工作表已存在，檢查標題列是否包含 targets
+            // 工作表已存在，檢查標題列是否包含所有欄位
             const headerResponse = await sheets.spreadsheets.values.get({
                 spreadsheetId: SPREADSHEET_ID,
-                range: `${SHEET_NAME}!A1:K1`
+                range: `${SHEET_NAME}!A1:${LAST_COLUMN}1`
             });
 
             const currentHeaders = headerResponse.data.values?.[0] || [];
 
-            // 如果標題列少於 11 欄或沒有 targets，則更新標題列
-            if (currentHeaders.length < 11 || !currentHeaders.includes('targets')) {
+            // 如果標題列缺少欄位，則更新標題列
+            const missing = headers.filter(h => !currentHeaders.includes(h));
+            if (missing.length > 0) {
                 await sheets.spreadsheets.values.update({
                     spreadsheetId: SPREADSHEET_ID,
-                    range: `${SHEET_NAME}!A1:K1`,
+                    range: `${SHEET_NAME}!A1:${LAST_COLUMN}1`,
                     valueInputOption: 'RAW',
                     requestBody: { values: [headers] }
                 });
-                console.log(`✅ 更新用戶設定工作表標題列 (新增 targets 欄位)`);
+                console.log(`✅ 更新用戶設定工作表標題列 (新增 ${missing.join(' / ')} 欄位)`);
             }
         }
     } catch (error) {
@@ -232,14 +185,19 @@ async function createUser(userId, displayName = '') {
         'TRUE',
         now,
         now,
-        '' // targets 初始為空
+        '', // targets 初始為空
+        '', // filters 初始為空 (使用預設條件)
+        DEFAULT_SETTINGS.priceAlert,
+        '', // costProfile 初始為空 (使用預設用量)
+        '', // searches 初始為空 (只有預設搜尋)
+        '' // activeSearch 初始為預設搜尋
     ];
 
     console.log(`📝 準備寫入新用戶資料:`, JSON.stringify(userData));
 
     await sheets.spreadsheets.values.append({
         spreadsheetId: SPREADSHEET_ID,
-        range: `${SHEET_NAME}!A:K`,
+        range: `${SHEET_NAME}!A:${LAST_COLUMN}`,
         valueInputOption: 'RAW',
         insertDataOption: 'INSERT_ROWS',
         requestBody: { values: [userData] }
@@ -264,7 +222,7 @@ async function getUser(userId) {
     try {
         const response = await sheets.spreadsheets.values.get({
             spreadsheetId: SPREADSHEET_ID,
-            range: `${SHEET_NAME}!A:K`
+            range: `${SHEET_NAME}!A:${LAST_COLUMN}`
         });
 
         const values = response.data.values || [];
@@ -273,19 +231,7 @@ async function getUser(userId) {
         const row = values.find(r => r[0] === userId);
         if (!row) return null;
 
-        return {
-            userId: row[0],
-            displayName: row[1] || '',
-            region: row[2] || DEFAULT_SETTINGS.region,
-            regionCode: parseInt(row[3]) || DEFAULT_SETTINGS.regionCode,
-            minRent: parseInt(row[4]) || DEFAULT_SETTINGS.minRent,
-            maxRent: parseInt(row[5]) || DEFAULT_SETTINGS.maxRent,
-            keywords: row[6] || '',
-            subscribed: row[7] === 'TRUE',
-            createdAt: row[8],
-            updatedAt: row[9],
-            targets: row[10] || '' // targets JSON 字串
-        };
+        return rowToUser(row);
     } catch (error) {
         console.error('取得用戶失敗:', error.message);
         return null;
@@ -301,7 +247,7 @@ async function updateUserSettings(userId, settings) {
     try {
         const response = await sheets.spreadsheets.values.get({
             spreadsheetId: SPREADSHEET_ID,
-            range: `${SHEET_NAME}!A:K`
+            range: `${SHEET_NAME}!A:${LAST_COLUMN}`
         });
 
         const values = response.data.values || [];
@@ -329,28 +275,24 @@ async function updateUserSettings(userId, settings) {
             settings.subscribed !== undefined ? (settings.subscribed ? 'TRUE' : 'FALSE') : currentRow[7],
             currentRow[8], // createdAt 不變
             now, // updatedAt 更新
-            settings.targets ?? currentRow[10] ?? '' // targets JSON
+            settings.targets ?? currentRow[10] ?? '', // targets JSON
+            settings.filters ?? currentRow[11] ?? '', // filters JSON
+            settings.priceAlert ?? currentRow[12] ?? DEFAULT_SETTINGS.priceAlert,
+            settings.costProfile ?? currentRow[13] ?? '', // 用量設定 JSON
+            settings.searches ?? currentRow[14] ?? '', // 命名搜尋 JSON
+            settings.activeSearch ?? currentRow[15] ?? ''
         ];
 
         await sheets.spreadsheets.values.update({
             spreadsheetId: SPREADSHEET_ID,
-            range: `${SHEET_NAME}!A${rowIndex + 1}:K${rowIndex + 1}`,
+            range: `${SHEET_NAME}!A${rowIndex + 1}:${LAST_COLUMN}${rowIndex + 1}`,
             valueInputOption: 'RAW',
             requestBody: { values: [updatedRow] }
         });
 
         console.log(`✅ 用戶設定已更新: ${userId}`);
 
-        return {
-            userId,
-            displayName: updatedRow[1],
-            region: updatedRow[2],
-            regionCode: parseInt(updatedRow[3]),
-            minRent: parseInt(updatedRow[4]),
-            maxRent: parseInt(updatedRow[5]),
-            keywords: updatedRow[6],
-            subscribed: updatedRow[7] === 'TRUE'
-        };
+        return rowToUser(updatedRow);
     } catch (error) {
         console.error('更新用戶失敗:', error.message);
         return null;
@@ -367,7 +309,7 @@ async function getAllSubscribedUsers() {
     try {
         const response = await sheets.spreadsheets.values.get({
             spreadsheetId: SPREADSHEET_ID,
-            range: `${SHEET_NAME}!A:K`
+            range: `${SHEET_NAME}!A:${LAST_COLUMN}`
         });
 
         const values = response.data.values || [];
@@ -375,23 +317,38 @@ async function getAllSubscribedUsers() {
 
         return values.slice(1)
             .filter(row => row[7] === 'TRUE') // subscribed = TRUE
-            .map(row => ({
-                userId: row[0],
-                displayName: row[1] || '',
-                region: row[2] || DEFAULT_SETTINGS.region,
-                regionCode: parseInt(row[3]) || DEFAULT_SETTINGS.regionCode,
-                minRent: parseInt(row[4]) || DEFAULT_SETTINGS.minRent,
-                maxRent: parseInt(row[5]) || DEFAULT_SETTINGS.maxRent,
-                keywords: row[6] || '',
-                subscribed: true,
-                targets: row[10] || '' // targets JSON string
-            }));
+            .map(rowToUser);
     } catch (error) {
         console.error('取得訂閱用戶失敗:', error.message);
         return [];
     }
 }
 
+/**
+ * 取得所有用戶 (含暫停推播的用戶)
+ */
+async function getAllUsers() {
+    const sheets = await initSheets();
+    await ensureUserSheet();
+
+    try {
+        const response = await sheets.spreadsheets.values.get({
+            spreadsheetId: SPREADSHEET_ID,
+            range: `${SHEET_NAME}!A:${LAST_COLUMN}`
+        });
+
+        const values = response.data.values || [];
+        if (values.length <= 1) return [];
+
+        return values.slice(1)
+            .filter(row => row[0])
+            .map(rowToUser);
+    } catch (error) {
+        console.error('取得用戶列表失敗:', error.message);
+        return [];
+    }
+}
+
 /**
  * 切換訂閱狀態
  */
@@ -400,47 +357,25 @@ async function toggleSubscription(userId, subscribed) {
 }
 
 /**
- * 解析地區名稱 (支援縣市 + 行政區)
+ * 解析地區名稱 (支援縣市 + 行政區，例如「中山」、「台中 西屯」)
+ * 名稱在多個縣市重複且無法判斷時回傳 null
  * @returns {{ region: string, regionCode: number, section?: number, sectionName?: string } | null}
  */
 function parseRegion(text) {
-    const cleanText = text.trim().replace('區', '') + '區';
-    const cleanTextShort = text.trim().replace('區', '');
-
-    // 先檢查是否為行政區 (台北/新北)
-    const sectionId = SECTIONS[cleanText] || SECTIONS[cleanTextShort];
-    if (sectionId) {
-        // 判斷屬於台北還是新北
-        const regionCode = sectionId <= 20 ? 1 : 3;
-        const regionName = regionCode === 1 ? '台北市' : '新北市';
-        return {
-            region: regionName,
-            regionCode: regionCode,
-            section: sectionId,
-            sectionName: cleanText.endsWith('區') ? cleanText : cleanText + '區'
-        };
-    }
+    const { targets } = resolvePlaces(text);
+    if (targets.length === 0) return null;
 
-    // 再檢查是否為縣市
-    const cityText = text.trim();
-    if (REGIONS[cityText]) {
-        return {
-            region: REGION_NAMES[REGIONS[cityText]],
-            regionCode: REGIONS[cityText]
-        };
-    }
-
-    // 模糊匹配
-    for (const [name, code] of Object.entries(REGIONS)) {
-        if (cityText.includes(name) || name.includes(cityText)) {
-            return {
-                region: REGION_NAMES[code],
-                regionCode: code
-            };
-        }
+    const target = targets[0];
+    const county = getCounty(target.region);
+    if (!target.section) {
+        return { region: county.name, regionCode: county.id };
     }
-
-    return null;
+    return {
+        region: county.name,
+        regionCode: county.id,
+        section: target.section,
+        sectionName: target.name.split('-')[1]
+    };
 }
 
 /**
@@ -451,16 +386,12 @@ function getSupportedRegions() {
 }
 
 /**
- * 取得所有支援的行政區列表 (台北+新北)
+ * 取得支援的行政區列表
+ * @param {number} regionCode - 縣市代碼 (可選，預設為台北+新北)
  */
-function getSupportedSections() {
-    const sections = [];
-    for (const [name, id] of Object.entries(SECTIONS)) {
-        if (name.endsWith('區')) {
-            sections.push(name);
-        }
-    }
-    return [...new Set(sections)];
+function getSupportedSections(regionCode = null) {
+    const regionCodes = regionCode ? [regionCode] : [1, 3];
+    return regionCodes.flatMap(code => (getCounty(code)?.sections || []).map(s => s.name));
 }
 
 module.exports = {
@@ -468,6 +399,7 @@ module.exports = {
     getUser,
     updateUserSettings,
     getAllSubscribedUsers,
+    getAllUsers,
     toggleSubscription,
     parseRegion,
     getSupportedRegions,